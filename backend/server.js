@@ -3,18 +3,31 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Rate limits and sessions key on the client IP. Behind a proxy (e.g. Vercel) set
+// TRUST_PROXY_HOPS to the number of proxies so it's read from X-Forwarded-For;
+// unset, the header is ignored so clients can't pick their own IP.
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+app.set('trust proxy', Number.isInteger(TRUST_PROXY_HOPS) && TRUST_PROXY_HOPS > 0 ? TRUST_PROXY_HOPS : false);
+
 // Middleware
 app.use(
   cors({
     origin: "https://nolu-f781.vercel.app",
     credentials: true, 
+    exposedHeaders: ['Retry-After'],
   })
 );
-app.use(express.json());
+// Larger limit so CSV imports and account archives can be posted as JSON
+app.use(express.json({ limit: '5mb' }));
 
 // MongoDB Connection (for Vercel deployment)
 const MONGODB_URI = process.env.MONGODB_URI;
@@ -31,6 +44,13 @@ const connectDB = async () => {
     console.error("❌ MongoDB connection error:", error.message);
     process.exit(1);
   }
+  
+  // Runs after the module has loaded, so the migrations defined below exist
+  try {
+    await runMigrations();
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+  }
 }
 connectDB();
 
@@ -38,6 +58,89 @@ connectDB();
 // SCHEMAS
 // ======================
 
+const MATCH_TYPES = ['Ranked', 'Casual', 'Tournament', 'Practice'];
+const OUTCOMES = ['Win', 'Loss', 'Draw'];
+
+// Supported games and their map pools
+const GAMES = {
+  Valorant: {
+    maps: [
+      'Ascent', 'Bind', 'Haven', 'Split', 'Icebox', 'Breeze',
+      'Fracture', 'Pearl', 'Lotus', 'Sunset', 'Abyss', 'District'
+    ],
+    // Playable agents grouped by role
+    agents: {
+      Duelist: ['Jett', 'Phoenix', 'Reyna', 'Raze', 'Yoru', 'Neon', 'Iso', 'Waylay'],
+      Initiator: ['Sova', 'Breach', 'Skye', 'KAY/O', 'Fade', 'Gekko', 'Tejo'],
+      Controller: ['Brimstone', 'Viper', 'Omen', 'Astra', 'Harbor', 'Clove'],
+      Sentinel: ['Killjoy', 'Cypher', 'Sage', 'Chamber', 'Deadlock', 'Vyse', 'Veto']
+    }
+  },
+  CS2: {
+    maps: ['Mirage', 'Inferno', 'Dust2', 'Nuke', 'Overpass', 'Vertigo', 'Ancient', 'Anubis', 'Train'],
+    agents: {}
+  }
+};
+const GAME_NAMES = Object.keys(GAMES);
+
+// Work out the game from a map name (map pools don't overlap)
+const inferGame = (map) => GAME_NAMES.find(game => GAMES[game].maps.includes(map));
+
+// Role of an agent in a game's catalog (undefined when the game has no such agent)
+const agentRole = (game, agent) => Object.keys(GAMES[game]?.agents || {}).find(role => (
+  GAMES[game].agents[role].includes(agent)
+));
+
+// Flat list of { name, role } for a game's agents
+const listAgents = (game) => Object.entries(GAMES[game].agents).flatMap(([role, agents]) => (
+  agents.map(name => ({ name, role }))
+));
+
+// Aggregated stats for one slice of a user's matches (e.g. one match type)
+const statsSchema = new mongoose.Schema({
+  kdRatio: { type: Number, default: 0.0 },
+  damagePerRound: { type: Number, default: 0.0 },
+  winPercentage: { type: Number, default: 0.0 },
+  killsPerRound: { type: Number, default: 0.0 },
+  wins: { type: Number, default: 0 },
+  kills: { type: Number, default: 0 },
+  deaths: { type: Number, default: 0 },
+  assists: { type: Number, default: 0 },
+  totalGames: { type: Number, default: 0 },
+  totalRounds: { type: Number, default: 0 },
+  totalDamage: { type: Number, default: 0 }
+}, { _id: false });
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Lowercase, strip accents and collapse punctuation so "Jétt_Main" searches like "jett main"
+const normalizeSearchText = (text) => String(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Three-letter slices of each word, padded so word starts and ends count.
+// Queries leave off the closing pad so a partly typed word still matches in full.
+const searchTrigrams = (text, { partial = false } = {}) => {
+  const trigrams = new Set();
+  normalizeSearchText(text).split(' ').filter(Boolean).forEach(word => {
+    const padded = ` ${word}${partial ? '' : ' '}`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      trigrams.add(padded.slice(i, i + 3));
+    }
+  });
+  return [...trigrams];
+};
+
+// Indexed search keys kept alongside the display values
+const buildSearchKeys = ({ userId, username }) => ({
+  userId: normalizeSearchText(userId),
+  username: normalizeSearchText(username),
+  trigrams: [...new Set([...searchTrigrams(userId), ...searchTrigrams(username)])]
+});
+
 // User Schema
 const userSchema = new mongoose.Schema({
   userId: {
@@ -60,10 +163,29 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Optional address for password reset messages
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 254,
+    match: [EMAIL_PATTERN, 'Email address is not valid']
+  },
   isPublic: {
     type: Boolean,
     default: true
   },
+  // Match types that count toward the public headline stats
+  publicMatchTypes: {
+    type: [{ type: String, enum: MATCH_TYPES }],
+    default: () => [...MATCH_TYPES]
+  },
+  // Achievement rules this player's match history has been checked against
+  // (a new account has no history, so it starts with all of them)
+  achievementsChecked: {
+    type: [String],
+    default: () => ACHIEVEMENTS.map(({ key }) => key)
+  },
   // Aggregated stats (calculated from matches)
   kdRatio: {
     type: Number,
@@ -108,11 +230,59 @@ const userSchema = new mongoose.Schema({
   totalDamage: {
     type: Number,
     default: 0
+  },
+  // Same aggregates split by match type
+  matchTypeStats: Object.fromEntries(
+    MATCH_TYPES.map(type => [type, { type: statsSchema, default: () => ({}) }])
+  ),
+  // Same aggregates split by game
+  gameStats: Object.fromEntries(
+    GAME_NAMES.map(game => [game, { type: statsSchema, default: () => ({}) }])
+  ),
+  // Player search keys (see buildSearchKeys); never sent to clients
+  search: {
+    type: new mongoose.Schema({
+      userId: { type: String, index: true },
+      username: { type: String, index: true },
+      trigrams: { type: [String], index: true }
+    }, { _id: false }),
+    select: false
   }
 }, {
   timestamps: true
 });
 
+// Keep the search keys in step with the names they're built from
+userSchema.pre('save', function() {
+  if (this.isNew || this.isModified('userId') || this.isModified('username')) {
+    this.search = buildSearchKeys(this);
+  }
+});
+
+const ROUND_SIDES = ['attack', 'defense'];
+
+// One round of a match from the player's point of view (optional round log)
+const roundSchema = new mongoose.Schema({
+  won: {
+    type: Boolean,
+    required: true
+  },
+  side: {
+    type: String,
+    required: true,
+    enum: ROUND_SIDES
+  },
+  kills: { type: Number, required: true, min: 0 },
+  deaths: { type: Number, required: true, min: 0, max: 1 },
+  damage: { type: Number, required: true, min: 0 },
+  planted: { type: Boolean, default: false },
+  defused: { type: Boolean, default: false },
+  // The player got the round's opening kill
+  firstBlood: { type: Boolean, default: false },
+  // The player won the round as the last one alive on their team
+  clutch: { type: Boolean, default: false }
+}, { _id: false });
+
 // Match Schema (Individual matches)
 const matchSchema = new mongoose.Schema({
   userId: {
@@ -120,6 +290,11 @@ const matchSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  game: {
+    type: String,
+    required: true,
+    enum: GAME_NAMES
+  },
   date: {
     type: Date,
     required: true
@@ -131,16 +306,33 @@ const matchSchema = new mongoose.Schema({
   matchType: {
     type: String,
     required: true,
-    enum: ['Ranked', 'Casual', 'Tournament', 'Practice']
+    enum: MATCH_TYPES
   },
   outcome: {
     type: String,
     required: true,
-    enum: ['Win', 'Loss', 'Draw']
+    enum: OUTCOMES
   },
   map: {
     type: String,
-    required: true
+    required: true,
+    validate: {
+      validator: function(map) {
+        // Only check the pool on document saves, where the game is known
+        return !this.game || !GAMES[this.game] || GAMES[this.game].maps.includes(map);
+      },
+      message: props => `${props.value} is not a valid map for this game`
+    }
+  },
+  agent: {
+    type: String,
+    default: null,
+    validate: {
+      validator: function(agent) {
+        return !agent || !this.game || !GAMES[this.game] || Boolean(agentRole(this.game, agent));
+      },
+      message: props => `${props.value} is not a valid agent for this game`
+    }
   },
   roundsWon: {
     type: Number,
@@ -172,6 +364,29 @@ const matchSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Bracket slot a Tournament match was played in (see tournamentSchema)
+  tournamentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    default: null
+  },
+  tournamentSlot: {
+    type: String,
+    default: null
+  },
+  // Set when the match is a player's confirmed line on a shared scoreboard
+  sharedMatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SharedMatch',
+    default: null
+  },
+  // Round-by-round detail; when present the totals above add up from it
+  roundLog: [roundSchema],
+  // Keys of the achievements this match earned
+  achievements: {
+    type: [String],
+    default: []
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -187,781 +402,7474 @@ matchSchema.virtual('rounds').get(function() {
 matchSchema.set('toJSON', { virtuals: true });
 matchSchema.set('toObject', { virtuals: true });
 
-const User = mongoose.model('User', userSchema);
-const Match = mongoose.model('Match', matchSchema);
-
-// ======================
-// HELPER FUNCTIONS
-// ======================
+// Session Schema (one per signed-in device; holds the current refresh token)
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Only hashes are stored, so a database leak doesn't hand out live tokens
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The token this one replaced; seeing it again after the grace window means a
+  // refresh token was stolen
+  previousTokenHash: {
+    type: String,
+    index: true
+  },
+  rotatedAt: Date,
+  // The current refresh token, sealed with the previous one (see sealRefreshToken)
+  graceToken: String,
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
 
-// Hash password
-const hashPassword = async (password) => {
-  const salt = await bcrypt.genSalt(10);
-  return await bcrypt.hash(password, salt);
-};
+// Let MongoDB remove sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-// Calculate user stats from all matches
-const calculateUserStats = async (userId) => {
-  try {
-    const matches = await Match.find({ userId });
-    
-    if (matches.length === 0) {
-      return {
-        kdRatio: 0,
-        damagePerRound: 0,
-        winPercentage: 0,
-        killsPerRound: 0,
-        wins: 0,
-        kills: 0,
-        deaths: 0,
-        assists: 0,
-        totalGames: 0,
-        totalRounds: 0,
-        totalDamage: 0
-      };
-    }
-    
-    // Calculate totals
-    let totalKills = 0;
-    let totalDeaths = 0;
-    let totalAssists = 0;
-    let totalDamage = 0;
-    let totalRounds = 0;
-    let wins = 0;
-    let totalGames = matches.length;
-    
-    matches.forEach(match => {
-      totalKills += match.kills;
-      totalDeaths += match.deaths;
-      totalAssists += match.assists;
-      totalDamage += match.damage;
-      totalRounds += (match.roundsWon + match.roundsLost);
-      if (match.outcome === 'Win') wins++;
-    });
-    
-    // Calculate derived stats
-    const kdRatio = totalDeaths > 0 ? parseFloat((totalKills / totalDeaths).toFixed(2)) : totalKills;
-    const damagePerRound = totalRounds > 0 ? parseFloat((totalDamage / totalRounds).toFixed(0)) : 0;
-    const winPercentage = parseFloat(((wins / totalGames) * 100).toFixed(1));
-    const killsPerRound = totalRounds > 0 ? parseFloat((totalKills / totalRounds).toFixed(2)) : 0;
-    
-    return {
-      kdRatio,
-      damagePerRound,
-      winPercentage,
-      killsPerRound,
-      wins,
-      kills: totalKills,
-      deaths: totalDeaths,
-      assists: totalAssists,
-      totalGames,
-      totalRounds,
-      totalDamage
-    };
-  } catch (error) {
-    console.error('Calculate stats error:', error);
-    throw error;
+// Password Reset Schema (single-use; deleted when redeemed)
+const passwordResetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
   }
-};
+});
 
-// ======================
-// AUTHENTICATION MIDDLEWARE
-// ======================
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Access token required' 
-    });
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Follow Schema (one player following another)
+const followSchema = new mongoose.Schema({
+  followerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  followingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
-  
-  const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-  
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Invalid or expired token' 
-      });
-    }
-    
-    req.user = decoded;
-    next();
-  });
-};
+});
 
-// ======================
-// ROUTES
-// ======================
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Server is running',
-    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
+// Team roles, most senior first. Every team has exactly one Owner.
+const TEAM_ROLES = ['Owner', 'Captain', 'Player', 'Substitute', 'Coach'];
+// Roles that can invite and remove players
+const TEAM_MANAGER_ROLES = ['Owner', 'Captain'];
+const TEAM_TAG_PATTERN = /^[A-Z0-9]{2,5}$/;
 
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Nolu Stats API',
-    version: '1.0.0',
-    endpoints: {
-      auth: ['POST /api/signup', 'POST /api/login'],
-      public: [
-        'GET /api/user/:userId',
-        'GET /api/search/players?query=searchTerm',
-        'GET /api/maps'
-      ],
-      protected: [
-        'GET /api/user/me/stats',
-        'GET /api/user/me/matches',
-        'POST /api/user/me/matches',
-        'PUT /api/user/me/privacy',
-        'DELETE /api/user/me/matches/:id',
-        'DELETE /api/user/me/stats',
-        'DELETE /api/user/me'
-      ]
-    }
-  });
+// One roster entry; invited players join the team once they accept
+const teamMemberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: TEAM_ROLES,
+    default: 'Player'
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'active'],
+    default: 'invited'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  joinedAt: Date
+}, { _id: false });
+
+// Team Schema (roster embedded; teams are small)
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 40
+  },
+  // Short unique tag, also used in team URLs
+  tag: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [TEAM_TAG_PATTERN, 'Team tag must be 2-5 letters or numbers']
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Same model as User.isPublic: private teams are only visible to their roster
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  members: [teamMemberSchema]
+}, {
+  timestamps: true
 });
 
-// ======================
-// AUTHENTICATION ROUTES
-// ======================
+teamSchema.index({ 'members.userId': 1 });
 
-// Signup
-app.post('/api/signup', async (req, res) => {
-  try {
-    const { userId, username, password } = req.body;
-    
-    // Validation
-    if (!userId || !username || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'User ID, username, and password are required'
-      });
-    }
-    
-    // Check if user exists
-    const existingUser = await User.findOne({ userId });
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        message: 'User ID already exists'
-      });
-    }
-    
+const TOURNAMENT_FORMATS = ['single-elimination', 'double-elimination', 'round-robin', 'swiss'];
+const TOURNAMENT_STATUSES = ['registration', 'in-progress', 'completed'];
+const SLOT_STATUSES = ['pending', 'ready', 'completed', 'bye'];
+
+// A player or team entered in a tournament. `members` lists the players who
+// play for the entry (the player alone, or the team's roster when it was
+// entered and again when the tournament started).
+const tournamentParticipantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  seed: Number,
+  registeredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One side of a bracket slot
+const slotSideSchema = new mongoose.Schema({
+  participantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  score: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+// Where a slot's winner or loser goes next
+const slotLinkSchema = new mongoose.Schema({
+  code: String,
+  side: Number
+}, { _id: false });
+
+// One pairing in a bracket or league round, addressed by its code (e.g. 'W2-1').
+// Byes are settled without a result: the one side present goes through.
+const bracketSlotSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  bracket: {
+    type: String,
+    enum: ['winners', 'losers', 'final', 'league'],
+    required: true
+  },
+  round: Number,
+  position: Number,
+  label: String,
+  sides: [slotSideSchema],
+  status: {
+    type: String,
+    enum: SLOT_STATUSES,
+    default: 'pending'
+  },
+  winnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  winnerTo: slotLinkSchema,
+  loserTo: slotLinkSchema,
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reportedAt: Date
+}, { _id: false });
+
+// Tournament Schema (participants and bracket embedded; brackets are small)
+const tournamentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 60
+  },
+  game: {
+    type: String,
+    required: true,
+    enum: GAME_NAMES
+  },
+  format: {
+    type: String,
+    required: true,
+    enum: TOURNAMENT_FORMATS
+  },
+  participantType: {
+    type: String,
+    enum: ['player', 'team'],
+    default: 'player'
+  },
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: Date,
+  maxParticipants: {
+    type: Number,
+    default: 16
+  },
+  // Swiss only: how many rounds are paired
+  swissRounds: Number,
+  status: {
+    type: String,
+    enum: TOURNAMENT_STATUSES,
+    default: 'registration'
+  },
+  participants: [tournamentParticipantSchema],
+  slots: [bracketSlotSchema],
+  winnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true,
+  // Results for different slots change shared state (the next slot, the next
+  // Swiss round), so concurrent saves must not overwrite each other
+  optimisticConcurrency: true
+});
+
+tournamentSchema.index({ status: 1, startDate: -1 });
+tournamentSchema.index({ 'participants.members': 1 });
+
+// Matches logged for a tournament, per player
+matchSchema.index({ tournamentId: 1, userId: 1 });
+
+const MAX_SCOREBOARD_TEAM_SIZE = 5;
+const SCOREBOARD_ROW_STATUSES = ['pending', 'confirmed', 'declined'];
+
+// One line of a scoreboard. Rows linked to a Nolu player (userId) carry a
+// status: the match only lands in their history once they confirm it.
+const scoreboardRowSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: SCOREBOARD_ROW_STATUSES
+  },
+  // The player's own Match created from this row once confirmed
+  matchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    default: null
+  },
+  agent: {
+    type: String,
+    default: null
+  },
+  kills: { type: Number, required: true, min: 0 },
+  deaths: { type: Number, required: true, min: 0 },
+  assists: { type: Number, required: true, min: 0 },
+  damage: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const scoreboardTeamSchema = new mongoose.Schema({
+  roundsWon: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  players: [scoreboardRowSchema]
+}, { _id: false });
+
+// Shared Match Schema: one game with the scoreboard of both teams. Each
+// confirmed player gets a regular Match built from their row, so stats,
+// history and breakdowns work on it like on any other match.
+const sharedMatchSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  game: {
+    type: String,
+    required: true,
+    enum: GAME_NAMES
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  matchType: {
+    type: String,
+    required: true,
+    enum: MATCH_TYPES
+  },
+  map: {
+    type: String,
+    required: true
+  },
+  teams: [scoreboardTeamSchema]
+}, {
+  timestamps: true
+});
+
+sharedMatchSchema.index({ 'teams.players.userId': 1 });
+
+const GOAL_COMPARISONS = ['atLeast', 'atMost'];
+const GOAL_STATUSES = ['on-track', 'achieved', 'failed'];
+
+// Goal Schema: a target on one stat over a window of matches, e.g. K/D at least
+// 1.2 over the next 20 ranked games. Matches dated from startDate on count, up to
+// `games` of them and/or until endDate. Match dates are whole days, so every
+// match on the start day counts, including ones played before the goal was set. status, value and gamesPlayed are a
+// snapshot, refreshed whenever the player's matches change.
+const goalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 80,
+    default: ''
+  },
+  // One of the aggregate stat fields (kdRatio, wins, ...)
+  metric: {
+    type: String,
+    required: true
+  },
+  comparison: {
+    type: String,
+    enum: GOAL_COMPARISONS,
+    default: 'atLeast'
+  },
+  target: {
+    type: Number,
+    required: true
+  },
+  // Which matches count (null = any)
+  matchType: {
+    type: String,
+    enum: MATCH_TYPES,
+    default: null
+  },
+  game: {
+    type: String,
+    enum: GAME_NAMES,
+    default: null
+  },
+  map: {
+    type: String,
+    default: null
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  games: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: GOAL_STATUSES,
+    default: 'on-track'
+  },
+  value: {
+    type: Number,
+    default: 0
+  },
+  gamesPlayed: {
+    type: Number,
+    default: 0
+  },
+  evaluatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Newest matches per player, for the friends feed
+matchSchema.index({ userId: 1, createdAt: -1 });
+// A player's achievement-earning matches
+matchSchema.index({ userId: 1, achievements: 1 });
+
+const User = mongoose.model('User', userSchema);
+const Match = mongoose.model('Match', matchSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
+const Follow = mongoose.model('Follow', followSchema);
+const Team = mongoose.model('Team', teamSchema);
+const Tournament = mongoose.model('Tournament', tournamentSchema);
+const SharedMatch = mongoose.model('SharedMatch', sharedMatchSchema);
+const Goal = mongoose.model('Goal', goalSchema);
+
+// Rate Limit Schema (backs the mongo rate limit store)
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowExpiresAt: Date,
+  lockedUntil: Date,
+  // Whichever of the window and lock ends last; MongoDB removes the record after it
+  expiresAt: Date
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+// Migration Schema (one record per data migration; see runMigrations)
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Set while an instance is running it, so others leave it alone
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+// ======================
+// HELPER FUNCTIONS
+// ======================
+
+// Hash password
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return await bcrypt.hash(password, salt);
+};
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// How long a rotated-out refresh token still counts as a retry (another tab
+// refreshing at the same time, or a response that never arrived) rather than a replay
+const REFRESH_GRACE_SECONDS = 30;
+
+// Encrypt the new refresh token with a key derived from the one it replaces, so
+// only that token's holder can recover it during the grace window (and a
+// database leak still hands out no live tokens)
+const graceKey = (previousToken) => crypto.createHash('sha256').update(`grace:${previousToken}`).digest();
+
+const sealRefreshToken = (token, previousToken) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', graceKey(previousToken), iv);
+  const data = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('hex')).join('.');
+};
+
+const openRefreshToken = (sealed, previousToken) => {
+  const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', graceKey(previousToken), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user.userId,
+    id: user._id,
+    username: user.username,
+    sid: sessionId
+  },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Start a session for a device and return its first token pair
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip || '',
+    expiresAt: refreshTokenExpiry()
+  });
+  
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken
+  };
+};
+
+// Short "Browser on OS" label for a session's user agent
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  
+  const browser = [
+    ['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'], ['Safari/', 'Safari']
+  ].find(([marker]) => userAgent.includes(marker));
+  const os = [
+    ['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'],
+    ['Mac OS X', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']
+  ].find(([marker]) => userAgent.includes(marker));
+  
+  if (!browser && !os) return userAgent.slice(0, 60);
+  return `${browser ? browser[1] : 'Unknown browser'} on ${os ? os[1] : 'unknown OS'}`;
+};
+
+// Derive ratio stats from totals (shared by overall stats and breakdowns)
+const deriveRatios = ({ kills, deaths, damage, rounds, wins, games }) => ({
+  kdRatio: deaths > 0 ? parseFloat((kills / deaths).toFixed(2)) : kills,
+  damagePerRound: rounds > 0 ? parseFloat((damage / rounds).toFixed(0)) : 0,
+  winPercentage: games > 0 ? parseFloat(((wins / games) * 100).toFixed(1)) : 0,
+  killsPerRound: rounds > 0 ? parseFloat((kills / rounds).toFixed(2)) : 0
+});
+
+// Aggregate matches grouped by an expression (e.g. '$map') into per-group stats
+const groupMatchStats = async (filter, groupId, sort = { games: -1, _id: 1 }) => {
+  const groups = await Match.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: groupId,
+        games: { $sum: 1 },
+        wins: { $sum: { $cond: [{ $eq: ['$outcome', 'Win'] }, 1, 0] } },
+        losses: { $sum: { $cond: [{ $eq: ['$outcome', 'Loss'] }, 1, 0] } },
+        draws: { $sum: { $cond: [{ $eq: ['$outcome', 'Draw'] }, 1, 0] } },
+        kills: { $sum: '$kills' },
+        deaths: { $sum: '$deaths' },
+        assists: { $sum: '$assists' },
+        damage: { $sum: '$damage' },
+        rounds: { $sum: { $add: ['$roundsWon', '$roundsLost'] } }
+      }
+    },
+    { $sort: sort }
+  ]);
+  
+  return groups.map(({ _id, ...totals }) => ({
+    key: _id,
+    ...totals,
+    ...deriveRatios(totals)
+  }));
+};
+
+// Per-map stats for a user (by User _id), optionally narrowed (e.g. { matchType, game })
+const calculateMapStats = async (userId, filters = {}) => {
+  const filter = { userId: new mongoose.Types.ObjectId(String(userId)) };
+  Object.entries(filters).forEach(([field, value]) => {
+    if (value) filter[field] = value;
+  });
+  
+  const groups = await groupMatchStats(filter, '$map');
+  return groups.map(({ key, ...stats }) => ({ map: key, ...stats }));
+};
+
+// Per-agent stats for a user (by User _id), same filters as calculateMapStats
+// Matches logged without an agent are left out
+const calculateAgentStats = async (userId, filters = {}) => {
+  const filter = {
+    userId: new mongoose.Types.ObjectId(String(userId)),
+    agent: { $ne: null }
+  };
+  Object.entries(filters).forEach(([field, value]) => {
+    if (value) filter[field] = value;
+  });
+  
+  const groups = await groupMatchStats(filter, { game: '$game', agent: '$agent' });
+  return groups.map(({ key, ...stats }) => ({
+    agent: key.agent,
+    game: key.game,
+    role: agentRole(key.game, key.agent) || null,
+    ...stats
+  }));
+};
+
+// Attack/defense splits for a user (by User _id), same filters as calculateMapStats.
+// Built from round logs, so only matches logged round by round count.
+const calculateSideStats = async (userId, filters = {}) => {
+  const filter = {
+    userId: new mongoose.Types.ObjectId(String(userId)),
+    'roundLog.0': { $exists: true }
+  };
+  Object.entries(filters).forEach(([field, value]) => {
+    if (value) filter[field] = value;
+  });
+  
+  const groups = await Match.aggregate([
+    { $match: filter },
+    { $unwind: '$roundLog' },
+    {
+      $group: {
+        _id: '$roundLog.side',
+        matches: { $addToSet: '$_id' },
+        rounds: { $sum: 1 },
+        roundsWon: { $sum: { $cond: ['$roundLog.won', 1, 0] } },
+        kills: { $sum: '$roundLog.kills' },
+        deaths: { $sum: '$roundLog.deaths' },
+        damage: { $sum: '$roundLog.damage' },
+        plants: { $sum: { $cond: ['$roundLog.planted', 1, 0] } },
+        defuses: { $sum: { $cond: ['$roundLog.defused', 1, 0] } },
+        firstBloods: { $sum: { $cond: ['$roundLog.firstBlood', 1, 0] } },
+        clutches: { $sum: { $cond: ['$roundLog.clutch', 1, 0] } }
+      }
+    }
+  ]);
+  
+  return ROUND_SIDES.map(side => {
+    const { matches = [], ...totals } = groups.find(({ _id }) => _id === side) || {};
+    const { rounds = 0, roundsWon = 0, kills = 0, deaths = 0, damage = 0 } = totals;
+    const { kdRatio, damagePerRound, killsPerRound } = deriveRatios({ kills, deaths, damage, rounds });
+    
+    return {
+      side,
+      matches: matches.length,
+      rounds,
+      roundsWon,
+      roundWinPercentage: rounds > 0 ? parseFloat(((roundsWon / rounds) * 100).toFixed(1)) : 0,
+      kills,
+      deaths,
+      damage,
+      kdRatio,
+      killsPerRound,
+      damagePerRound,
+      plants: totals.plants || 0,
+      defuses: totals.defuses || 0,
+      firstBloods: totals.firstBloods || 0,
+      clutches: totals.clutches || 0
+    };
+  });
+};
+
+const STAT_FIELDS = [
+  'kdRatio', 'damagePerRound', 'winPercentage', 'killsPerRound',
+  'wins', 'kills', 'deaths', 'assists', 'totalGames', 'totalRounds', 'totalDamage'
+];
+
+// Pick the aggregate stat fields off a user (or stats subdocument)
+const pickStats = (source) => Object.fromEntries(
+  STAT_FIELDS.map(field => [field, source?.[field] ?? 0])
+);
+
+// Combine several stats slices into one (totals add up, ratios are re-derived)
+const combineStats = (slices) => {
+  const totals = {
+    wins: 0,
+    kills: 0,
+    deaths: 0,
+    assists: 0,
+    totalGames: 0,
+    totalRounds: 0,
+    totalDamage: 0
+  };
+  
+  slices.forEach(slice => {
+    Object.keys(totals).forEach(field => {
+      totals[field] += slice?.[field] || 0;
+    });
+  });
+  
+  return {
+    ...deriveRatios({
+      kills: totals.kills,
+      deaths: totals.deaths,
+      damage: totals.totalDamage,
+      rounds: totals.totalRounds,
+      wins: totals.wins,
+      games: totals.totalGames
+    }),
+    ...totals
+  };
+};
+
+// Stats split by match type, as plain objects
+const getMatchTypeStats = (user) => Object.fromEntries(
+  MATCH_TYPES.map(type => [type, pickStats(user?.matchTypeStats?.[type])])
+);
+
+// Stats split by game, as plain objects
+const getGameStats = (user) => Object.fromEntries(
+  GAME_NAMES.map(game => [game, pickStats(user?.gameStats?.[game])])
+);
+
+// Headline stats shown publicly: only the match types the user opted in
+const getPublicStats = (user) => {
+  const types = user.publicMatchTypes || MATCH_TYPES;
+  if (MATCH_TYPES.every(type => types.includes(type))) {
+    return pickStats(user);
+  }
+  return combineStats(types.map(type => user.matchTypeStats?.[type]));
+};
+
+// Stats for a public response, optionally narrowed to one match type
+const getRequestedStats = (user, matchType) => (
+  matchType ? pickStats(user.matchTypeStats?.[matchType]) : getPublicStats(user)
+);
+
+// Counter fields stored on the user; the ratio fields are derived from them
+const COUNTER_FIELDS = ['wins', 'kills', 'deaths', 'assists', 'totalGames', 'totalRounds', 'totalDamage'];
+
+// What a single match contributes to the stored counters
+const matchCounters = (match) => ({
+  wins: match.outcome === 'Win' ? 1 : 0,
+  kills: match.kills,
+  deaths: match.deaths,
+  assists: match.assists,
+  totalGames: 1,
+  totalRounds: match.roundsWon + match.roundsLost,
+  totalDamage: match.damage
+});
+
+// Summarize a list of matches into aggregate stats
+const summarizeMatches = (matches) => combineStats(matches.map(matchCounters));
+
+const TREND_BUCKETS = ['day', 'week', 'month'];
+
+// Pick the trend metrics off a stats object
+const pickTrendMetrics = (stats) => ({
+  kdRatio: stats.kdRatio,
+  winPercentage: stats.winPercentage,
+  damagePerRound: stats.damagePerRound,
+  killsPerRound: stats.killsPerRound
+});
+
+// Time-bucketed trend (one point per day/week/month with matches)
+const calculateBucketTrend = async (filter, bucket) => {
+  const groups = await groupMatchStats(
+    filter,
+    { $dateTrunc: { date: '$date', unit: bucket, startOfWeek: 'monday' } },
+    { _id: 1 }
+  );
+  
+  return groups.map(group => ({
+    period: group.key,
+    games: group.games,
+    ...pickTrendMetrics(group)
+  }));
+};
+
+// Rolling trend: one point per match, covering it and the previous (window - 1) matches
+const calculateRollingTrend = (matches, window, points) => {
+  const series = matches.map((match, index) => {
+    const windowMatches = matches.slice(Math.max(0, index - window + 1), index + 1);
+    return {
+      matchId: match._id,
+      date: match.date,
+      games: windowMatches.length,
+      ...pickTrendMetrics(summarizeMatches(windowMatches))
+    };
+  });
+  
+  return series.slice(-points);
+};
+
+// A groupMatchStats group's totals under the stored counter names
+const groupCounters = (group) => ({
+  wins: group.wins,
+  kills: group.kills,
+  deaths: group.deaths,
+  assists: group.assists,
+  totalGames: group.games,
+  totalRounds: group.rounds,
+  totalDamage: group.damage
+});
+
+// Convert groupMatchStats groups into stats keyed by group (missing keys get empty stats)
+const groupsToStats = (groups, keys) => Object.fromEntries(keys.map(key => {
+  const group = groups.find(candidate => candidate.key === key);
+  return [key, combineStats(group ? [groupCounters(group)] : [])];
+}));
+
+// Per-match-type stats for a slice of a user's matches (e.g. { game: 'CS2' })
+const calculateMatchTypeBreakdown = async (userId, filter = {}) => {
+  const groups = await groupMatchStats(
+    { userId: new mongoose.Types.ObjectId(String(userId)), ...filter },
+    '$matchType'
+  );
+  return groupsToStats(groups, MATCH_TYPES);
+};
+
+// Calculate user stats from all matches (overall, per match type and per game)
+// Runs as a Mongo aggregation; used to repair stored stats rather than on every change
+const calculateUserStats = async (userId) => {
+  try {
+    const matchTypeStats = await calculateMatchTypeBreakdown(userId);
+    const gameStats = groupsToStats(
+      await groupMatchStats({ userId: new mongoose.Types.ObjectId(String(userId)) }, '$game'),
+      GAME_NAMES
+    );
+    
+    return {
+      ...combineStats(Object.values(matchTypeStats)),
+      matchTypeStats,
+      gameStats
+    };
+  } catch (error) {
+    console.error('Calculate stats error:', error);
+    throw error;
+  }
+};
+
+// Aggregation expressions deriving the ratio fields from the counters under `prefix`
+// (mirrors deriveRatios so stored ratios always match their counters)
+const ratioExpressions = (prefix = '') => {
+  const field = (name) => `$${prefix}${name}`;
+  const ratio = (numerator, denominator, places, fallback = 0) => ({
+    $cond: [
+      { $gt: [field(denominator), 0] },
+      { $round: [{ $divide: [numerator, field(denominator)] }, places] },
+      fallback
+    ]
+  });
+  
+  return {
+    [`${prefix}kdRatio`]: ratio(field('kills'), 'deaths', 2, field('kills')),
+    [`${prefix}damagePerRound`]: ratio(field('totalDamage'), 'totalRounds', 0),
+    [`${prefix}winPercentage`]: ratio({ $multiply: [field('wins'), 100] }, 'totalGames', 1),
+    [`${prefix}killsPerRound`]: ratio(field('kills'), 'totalRounds', 2)
+  };
+};
+
+// Atomically add and/or remove matches from a user's stored stats
+// Counters are incremented and ratios re-derived in a single update pipeline,
+// so concurrent changes can't overwrite each other with stale totals
+const applyMatchStats = async (userId, { add = [], remove = [] }) => {
+  const deltas = {};
+  
+  const accumulate = (match, sign) => {
+    const counters = matchCounters(match);
+    ['', `matchTypeStats.${match.matchType}.`, `gameStats.${match.game}.`].forEach(prefix => {
+      deltas[prefix] = deltas[prefix] || Object.fromEntries(COUNTER_FIELDS.map(field => [field, 0]));
+      COUNTER_FIELDS.forEach(field => {
+        deltas[prefix][field] += sign * counters[field];
+      });
+    });
+  };
+  
+  add.forEach(match => accumulate(match, 1));
+  remove.forEach(match => accumulate(match, -1));
+  
+  const counterStage = {};
+  const ratioStage = {};
+  Object.entries(deltas).forEach(([prefix, delta]) => {
+    COUNTER_FIELDS.forEach(field => {
+      counterStage[`${prefix}${field}`] = {
+        $add: [{ $ifNull: [`$${prefix}${field}`, 0] }, delta[field]]
+      };
+    });
+    Object.assign(ratioStage, ratioExpressions(prefix));
+  });
+  
+  const user = await User.findByIdAndUpdate(
+    userId,
+    [{ $set: counterStage }, { $set: ratioStage }],
+    { new: true, updatePipeline: true }
+  );
+  
+  // Goals are judged on the same matches; failing to refresh them shouldn't fail the match change
+  await evaluateGoals(userId).catch(error => console.error('❌ Evaluate goals error:', error));
+  
+  return user;
+};
+
+// Work out where a goal stands from the matches in its window. It's settled
+// once the window is over (all its games played or its end date passed), or
+// earlier for counters, which only grow: an at-least target reached or an
+// at-most target exceeded can't be undone by more matches.
+const evaluateGoal = async (goal, now = new Date()) => {
+  const filter = { userId: goal.userId, date: { $gte: goal.startDate } };
+  if (goal.endDate) filter.date.$lte = goal.endDate;
+  ['matchType', 'game', 'map'].forEach(key => {
+    if (goal[key]) filter[key] = goal[key];
+  });
+  
+  let query = Match.find(filter).sort({ date: 1, time: 1, createdAt: 1 });
+  if (goal.games) query = query.limit(goal.games);
+  const matches = await query;
+  
+  const value = summarizeMatches(matches)[goal.metric];
+  const met = goal.comparison === 'atMost' ? value <= goal.target : value >= goal.target;
+  // Match dates are midnight UTC, so the end date runs until the next midnight
+  const windowOver = (goal.games && matches.length >= goal.games) ||
+    (goal.endDate && now - goal.endDate >= 24 * 60 * 60 * 1000);
+  const settledEarly = COUNTER_FIELDS.includes(goal.metric) && (goal.comparison === 'atMost' ? !met : met);
+  
+  return {
+    status: windowOver || settledEarly ? (met ? 'achieved' : 'failed') : 'on-track',
+    value,
+    gamesPlayed: matches.length,
+    evaluatedAt: now
+  };
+};
+
+// Re-evaluate and store every goal of a player
+const evaluateGoals = async (userId) => {
+  const goals = await Goal.find({ userId }).sort({ createdAt: -1 });
+  
+  await Promise.all(goals.map(async goal => {
+    Object.assign(goal, await evaluateGoal(goal));
+    return goal.save();
+  }));
+  
+  return goals;
+};
+
+const LEADERBOARD_METRICS = ['kdRatio', 'winPercentage', 'damagePerRound', 'killsPerRound'];
+
+// Leaderboard time windows in days (all = no limit)
+const LEADERBOARD_WINDOWS = { all: null, '7d': 7, '30d': 30, '90d': 90, '365d': 365 };
+
+// Rank public players by a metric computed from their matches
+// Without a match type only each player's public headline types count
+const buildLeaderboard = async ({ metric, minGames, matchType, game, window, page, limit }) => {
+  const matchFilter = {};
+  if (matchType) matchFilter.matchType = matchType;
+  if (game) matchFilter.game = game;
+  if (LEADERBOARD_WINDOWS[window]) {
+    matchFilter.date = { $gte: new Date(Date.now() - LEADERBOARD_WINDOWS[window] * 24 * 60 * 60 * 1000) };
+  }
+  
+  const [result] = await Match.aggregate([
+    { $match: matchFilter },
+    // Group per player and match type first so the user lookup stays small
+    {
+      $group: {
+        _id: { userId: '$userId', matchType: '$matchType' },
+        wins: { $sum: { $cond: [{ $eq: ['$outcome', 'Win'] }, 1, 0] } },
+        kills: { $sum: '$kills' },
+        deaths: { $sum: '$deaths' },
+        assists: { $sum: '$assists' },
+        totalGames: { $sum: 1 },
+        totalRounds: { $sum: { $add: ['$roundsWon', '$roundsLost'] } },
+        totalDamage: { $sum: '$damage' }
+      }
+    },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: '_id.userId',
+        foreignField: '_id',
+        as: 'user',
+        pipeline: [{ $project: { userId: 1, username: 1, isPublic: 1, publicMatchTypes: 1 } }]
+      }
+    },
+    { $unwind: '$user' },
+    {
+      $match: matchType
+        ? { 'user.isPublic': true }
+        : { 'user.isPublic': true, $expr: { $in: ['$_id.matchType', { $ifNull: ['$user.publicMatchTypes', MATCH_TYPES] }] } }
+    },
+    {
+      $group: {
+        _id: '$_id.userId',
+        userId: { $first: '$user.userId' },
+        username: { $first: '$user.username' },
+        ...Object.fromEntries(COUNTER_FIELDS.map(field => [field, { $sum: `$${field}` }]))
+      }
+    },
+    { $match: { totalGames: { $gte: minGames } } },
+    { $set: ratioExpressions() },
+    { $sort: { [metric]: -1, totalGames: -1, userId: 1 } },
+    {
+      $facet: {
+        rows: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+  
+  const total = result.total[0]?.count || 0;
+  
+  return {
+    leaderboard: result.rows.map((row, index) => ({
+      rank: (page - 1) * limit + index + 1,
+      userId: row.userId,
+      username: row.username,
+      stats: pickStats(row)
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Relevance of each way a player can match a search, best first
+const SEARCH_RELEVANCE = {
+  exactUserId: 100,
+  exactUsername: 90,
+  userIdPrefix: 80,
+  usernamePrefix: 70,
+  usernameWordPrefix: 60,
+  // Fuzzy matches score this times the share of the query's trigrams they contain
+  fuzzy: 50
+};
+const MIN_FUZZY_SIMILARITY = 0.5;
+
+// Search public players by userId and username: prefix matches first, then
+// fuzzy (trigram) matches, all served from the search key indexes
+const searchPlayers = async ({ query, page, limit }) => {
+  const text = normalizeSearchText(query);
+  const trigrams = searchTrigrams(query, { partial: true });
+  
+  if (!text) {
+    return { players: [], pagination: { page, limit, total: 0, totalPages: 0 } };
+  }
+  
+  const prefix = `^${escapeRegex(text)}`;
+  
+  const [result] = await User.aggregate([
+    {
+      $match: {
+        isPublic: true,
+        $or: [
+          { 'search.userId': { $regex: prefix } },
+          { 'search.username': { $regex: prefix } },
+          { 'search.trigrams': { $in: trigrams } }
+        ]
+      }
+    },
+    {
+      $set: {
+        similarity: {
+          $divide: [
+            { $size: { $setIntersection: [{ $ifNull: ['$search.trigrams', []] }, trigrams] } },
+            trigrams.length || 1
+          ]
+        }
+      }
+    },
+    {
+      $set: {
+        relevance: {
+          $switch: {
+            branches: [
+              { case: { $eq: ['$search.userId', text] }, then: SEARCH_RELEVANCE.exactUserId },
+              { case: { $eq: ['$search.username', text] }, then: SEARCH_RELEVANCE.exactUsername },
+              { case: { $regexMatch: { input: '$search.userId', regex: prefix } }, then: SEARCH_RELEVANCE.userIdPrefix },
+              { case: { $regexMatch: { input: '$search.username', regex: prefix } }, then: SEARCH_RELEVANCE.usernamePrefix },
+              {
+                case: { $regexMatch: { input: '$search.username', regex: `(^| )${escapeRegex(text)}` } },
+                then: SEARCH_RELEVANCE.usernameWordPrefix
+              }
+            ],
+            default: { $multiply: ['$similarity', SEARCH_RELEVANCE.fuzzy] }
+          }
+        }
+      }
+    },
+    { $match: { relevance: { $gte: SEARCH_RELEVANCE.fuzzy * MIN_FUZZY_SIMILARITY } } },
+    { $sort: { relevance: -1, totalGames: -1, userId: 1 } },
+    {
+      $facet: {
+        rows: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { search: 0, password: 0, email: 0 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+  
+  const total = result.total[0]?.count || 0;
+  
+  return {
+    players: result.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Stats shown on a public profile: the headline numbers (or one match type) and
+// the per-match-type split. Stored stats cover all games, so one game is aggregated on the fly.
+const getProfileStats = async (user, { matchType, game }) => {
+  if (!game) {
+    return {
+      stats: getRequestedStats(user, matchType),
+      statsByMatchType: getMatchTypeStats(user)
+    };
+  }
+  
+  const statsByMatchType = await calculateMatchTypeBreakdown(user._id, { game });
+  return {
+    stats: matchType
+      ? statsByMatchType[matchType]
+      : combineStats(user.publicMatchTypes.map(type => statsByMatchType[type])),
+    statsByMatchType
+  };
+};
+
+// Higher is better for each of these; compare rows flag who leads them
+const COMPARE_METRICS = ['kdRatio', 'damagePerRound', 'winPercentage', 'killsPerRound'];
+const MAX_COMPARE_PLAYERS = 5;
+const RECENT_FORM_MATCHES = 10;
+
+// For each metric, the userIds holding the best value in one row of stats.
+// Ties share the flag; players with no games in the row can't lead it.
+const flagBest = (userIds, statsList) => Object.fromEntries(COMPARE_METRICS.map(metric => {
+  const contenders = statsList
+    .map((stats, index) => ({ userId: userIds[index], value: stats?.totalGames ? stats[metric] : null }))
+    .filter(({ value }) => value !== null);
+  const top = Math.max(...contenders.map(({ value }) => value));
+  return [metric, contenders.filter(({ value }) => value === top).map(({ userId }) => userId)];
+}));
+
+// Stats over a player's last few matches plus their results, newest first ('W', 'L', 'D')
+// Without a match type only the player's headline types count, like their headline stats
+const getRecentForm = async (user, { matchType, game }) => {
+  const matches = await Match.find({
+    userId: user._id,
+    matchType: matchType || { $in: user.publicMatchTypes },
+    ...(game ? { game } : {})
+  })
+    .sort({ date: -1, createdAt: -1 })
+    .limit(RECENT_FORM_MATCHES)
+    .select('outcome kills deaths assists damage roundsWon roundsLost');
+  
+  return {
+    ...summarizeMatches(matches),
+    results: matches.map(match => match.outcome[0])
+  };
+};
+
+const MAX_TEAM_MEMBERS = 15;
+// Stats each member's contribution share is worked out for
+const TEAM_CONTRIBUTION_FIELDS = ['games', 'wins', 'kills', 'assists', 'damage'];
+
+// A user's roster entry on a team, if any
+const findTeamMember = (team, userId) => team.members.find(member => String(member.userId) === String(userId));
+
+// Active members and invited players can always see their team
+const canViewTeam = (team, userId) => team.isPublic || Boolean(userId && findTeamMember(team, userId));
+
+// Aggregate stats for a set of team members: combined totals, combined record per
+// map and per member with their share of the team totals (as percentages).
+// Each member's headline match types count unless one match type is asked for.
+const calculateTeamStats = async (members, { matchType, game }) => {
+  const emptyTotals = { games: 0, wins: 0, losses: 0, draws: 0, kills: 0, deaths: 0, assists: 0, damage: 0, rounds: 0 };
+  const emptyStats = { ...emptyTotals, ...deriveRatios(emptyTotals) };
+  const withoutKey = ({ key, ...stats }) => stats;
+  
+  if (members.length === 0) {
+    return { overall: emptyStats, maps: [], members: [] };
+  }
+  
+  const filter = {
+    $or: members.map(user => ({
+      userId: user._id,
+      matchType: matchType || { $in: user.publicMatchTypes }
+    })),
+    ...(game ? { game } : {})
+  };
+  
+  const [[overallGroup], mapGroups, memberGroups] = await Promise.all([
+    groupMatchStats(filter, null),
+    groupMatchStats(filter, '$map'),
+    groupMatchStats(filter, '$userId')
+  ]);
+  
+  const overall = overallGroup ? withoutKey(overallGroup) : emptyStats;
+  
+  return {
+    overall,
+    maps: mapGroups.map(({ key, ...stats }) => ({ map: key, game: inferGame(key) || null, ...stats })),
+    members: members.map(user => {
+      const group = memberGroups.find(({ key }) => String(key) === String(user._id));
+      const stats = group ? withoutKey(group) : emptyStats;
+      return {
+        userId: user.userId,
+        ...stats,
+        share: Object.fromEntries(TEAM_CONTRIBUTION_FIELDS.map(field => [
+          field,
+          overall[field] > 0 ? parseFloat(((stats[field] / overall[field]) * 100).toFixed(1)) : 0
+        ]))
+      };
+    })
+  };
+};
+
+// Team page for one viewer (a User _id or null): private profiles and pending
+// invites are only shown to the team's own roster
+const buildTeamView = async (team, viewerId, filters) => {
+  const users = await User.find({ _id: { $in: team.members.map(member => member.userId) } })
+    .select('userId username isPublic publicMatchTypes');
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+  const viewer = viewerId && findTeamMember(team, viewerId);
+  const isRoster = Boolean(viewer);
+  
+  const roster = team.members
+    .map(member => ({ member, user: usersById.get(String(member.userId)) }))
+    .filter(({ member, user }) => user && (isRoster || (member.status === 'active' && user.isPublic)))
+    .sort((a, b) => TEAM_ROLES.indexOf(a.member.role) - TEAM_ROLES.indexOf(b.member.role));
+  
+  const counted = roster.filter(({ member }) => member.status === 'active').map(({ user }) => user);
+  const stats = await calculateTeamStats(counted, filters);
+  
+  return {
+    name: team.name,
+    tag: team.tag,
+    isPublic: team.isPublic,
+    createdAt: team.createdAt,
+    // The viewer's own place on the team (null for outsiders)
+    viewer: viewer ? { role: viewer.role, status: viewer.status } : null,
+    members: roster.map(({ member, user }) => ({
+      userId: user.userId,
+      username: user.username,
+      role: member.role,
+      status: member.status,
+      joinedAt: member.joinedAt || null
+    })),
+    stats
+  };
+};
+
+// Stored stats (overall, per match type and per game) as returned after a change
+const getStoredStats = (user) => ({
+  ...pickStats(user),
+  matchTypeStats: getMatchTypeStats(user),
+  gameStats: getGameStats(user)
+});
+
+// Build match document fields from values that passed MATCH_SCHEMA
+const buildMatchData = (data) => ({
+  game: data.game,
+  date: data.date,
+  time: data.time,
+  matchType: data.matchType,
+  outcome: data.outcome,
+  map: data.map,
+  agent: data.agent || null,
+  roundsWon: data.roundsWon,
+  roundsLost: data.roundsLost,
+  damage: data.damage,
+  kills: data.kills,
+  deaths: data.deaths,
+  assists: data.assists,
+  tournamentId: data.tournamentId || null,
+  tournamentSlot: data.tournamentId ? data.tournamentSlot : null,
+  roundLog: data.roundLog || []
+});
+
+const scoreboardOutcome = (roundsWon, roundsLost) => {
+  if (roundsWon > roundsLost) return 'Win';
+  if (roundsWon < roundsLost) return 'Loss';
+  return 'Draw';
+};
+
+// Match document fields for one row of a shared scoreboard, seen from the row's team
+const scoreboardRowMatch = (shared, teamIndex, row) => {
+  const roundsWon = shared.teams[teamIndex].roundsWon;
+  const roundsLost = shared.teams[1 - teamIndex].roundsWon;
+  
+  return {
+    game: shared.game,
+    date: shared.date,
+    time: shared.time,
+    matchType: shared.matchType,
+    outcome: scoreboardOutcome(roundsWon, roundsLost),
+    map: shared.map,
+    agent: row.agent || null,
+    roundsWon,
+    roundsLost,
+    damage: row.damage,
+    kills: row.kills,
+    deaths: row.deaths,
+    assists: row.assists,
+    sharedMatchId: shared._id
+  };
+};
+
+// Match fields anyone can see on a public profile (recent matches and the friends feed)
+const PUBLIC_MATCH_FIELDS = 'game date time matchType outcome map agent kills deaths assists damage roundsWon roundsLost createdAt';
+
+// Fields match history can be sorted by
+const MATCH_SORT_FIELDS = ['date', 'map', 'matchType', 'outcome', 'kills', 'deaths', 'assists', 'damage'];
+
+// Build a Match query from validated history filters (from, to, game, map, matchType, outcome)
+const buildMatchFilter = (userId, query) => {
+  const { from, to, game, map, matchType, outcome } = query;
+  const filter = { userId };
+  
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+  
+  if (game) filter.game = game;
+  if (map) filter.map = map;
+  if (matchType) filter.matchType = matchType;
+  if (outcome) filter.outcome = outcome;
+  
+  return filter;
+};
+
+// ======================
+// ACHIEVEMENTS
+// ======================
+
+// Achievement rules. Each is earned once, by the match that first satisfies it
+// in chronological order:
+//   when   - conditions on one match's facts (see achievementFacts), either a
+//            value to equal or { gte, lte } bounds
+//   count  - how many matching matches it takes (default 1)
+//   streak - how many matching matches in a row it takes instead
+const ACHIEVEMENTS = [
+  {
+    key: 'first-win',
+    name: 'First Win',
+    description: 'Win a match',
+    icon: '🏆',
+    when: { outcome: 'Win' }
+  },
+  {
+    key: 'thirty-bomb',
+    name: '30 Bomb',
+    description: 'Get 30 or more kills in a match',
+    icon: '💥',
+    when: { kills: { gte: 30 } }
+  },
+  {
+    key: 'win-streak-5',
+    name: 'On Fire',
+    description: 'Win 5 matches in a row',
+    icon: '🔥',
+    when: { outcome: 'Win' },
+    streak: 5
+  },
+  {
+    key: 'ranked-100',
+    name: 'Ranked Regular',
+    description: 'Play 100 ranked matches',
+    icon: '🎖️',
+    when: { matchType: 'Ranked' },
+    count: 100
+  },
+  {
+    key: 'flawless',
+    name: 'Flawless',
+    description: 'Win a match 13-0',
+    icon: '💎',
+    when: { roundsWon: 13, roundsLost: 0 }
+  },
+  {
+    key: 'adr-200',
+    name: 'Heavy Hitter',
+    description: 'Average 200 or more damage per round in a match',
+    icon: '🎯',
+    when: { damagePerRound: { gte: 200 } }
+  }
+];
+
+// The values of one match that achievement conditions can test
+const achievementFacts = (match) => {
+  const rounds = match.roundsWon + match.roundsLost;
+  return {
+    game: match.game,
+    matchType: match.matchType,
+    map: match.map,
+    agent: match.agent,
+    outcome: match.outcome,
+    roundsWon: match.roundsWon,
+    roundsLost: match.roundsLost,
+    rounds,
+    kills: match.kills,
+    deaths: match.deaths,
+    assists: match.assists,
+    damage: match.damage,
+    damagePerRound: rounds > 0 ? match.damage / rounds : 0
+  };
+};
+
+const meetsConditions = (facts, when) => Object.entries(when).every(([fact, condition]) => {
+  if (condition === null || typeof condition !== 'object') return facts[fact] === condition;
+  return (condition.gte === undefined || facts[fact] >= condition.gte) &&
+    (condition.lte === undefined || facts[fact] <= condition.lte);
+});
+
+// Walk matches oldest first and return the match that earns each rule (rule key -> match)
+const findAchievementTriggers = (matches, rules) => {
+  const progress = new Map(rules.map(rule => [rule.key, 0]));
+  const triggers = new Map();
+  
+  matches.forEach(match => {
+    const facts = achievementFacts(match);
+    rules.forEach(rule => {
+      if (triggers.has(rule.key)) return;
+      
+      if (meetsConditions(facts, rule.when)) {
+        progress.set(rule.key, progress.get(rule.key) + 1);
+      } else if (rule.streak) {
+        progress.set(rule.key, 0);
+      }
+      if (progress.get(rule.key) >= (rule.streak || rule.count || 1)) {
+        triggers.set(rule.key, match);
+      }
+    });
+  });
+  
+  return triggers;
+};
+
+const achievementView = (achievement, match) => ({
+  key: achievement.key,
+  name: achievement.name,
+  description: achievement.description,
+  icon: achievement.icon,
+  earnedAt: match ? match.date : null,
+  match: match ? { id: match._id, map: match.map, matchType: match.matchType, date: match.date } : null
+});
+
+// Check a player's history against the rules they haven't earned yet and store
+// each new achievement on the match that earned it. Editing or deleting that
+// match takes it away, so call this again afterwards to let the history earn it
+// back. Returns the new achievements.
+const awardAchievements = async (userId) => {
+  const matches = await Match.find({ userId })
+    .sort({ date: 1, time: 1, createdAt: 1 })
+    .select('game matchType map agent outcome roundsWon roundsLost kills deaths assists damage date achievements')
+    .lean();
+  
+  const earned = new Set(matches.flatMap(match => match.achievements || []));
+  const triggers = findAchievementTriggers(matches, ACHIEVEMENTS.filter(({ key }) => !earned.has(key)));
+  if (triggers.size === 0) return [];
+  
+  await Match.bulkWrite([...triggers].map(([key, match]) => ({
+    updateOne: {
+      filter: { _id: match._id },
+      update: { $addToSet: { achievements: key } }
+    }
+  })));
+  
+  return ACHIEVEMENTS
+    .filter(({ key }) => triggers.has(key))
+    .map(achievement => achievementView(achievement, triggers.get(achievement.key)));
+};
+
+// Award achievements after matches were added; a failure here is logged
+// rather than failing the insert
+const awardNewAchievements = (userId) => awardAchievements(userId).catch(error => {
+  console.error('❌ Award achievements error:', error);
+  return [];
+});
+
+// Every achievement with whether (and by which match) the player earned it
+const getAchievements = async (userId) => {
+  const matches = await Match.find({ userId, 'achievements.0': { $exists: true } })
+    .select('map matchType date achievements');
+  
+  return ACHIEVEMENTS.map(achievement => {
+    const match = matches.find(candidate => candidate.achievements.includes(achievement.key));
+    return { ...achievementView(achievement, match), earned: Boolean(match) };
+  });
+};
+
+// ======================
+// MIGRATIONS
+// ======================
+
+// Matches saved before multi-game support have no game: infer it from the map
+// and rebuild the owners' stats so the per-game aggregates include them
+const migrateMatchGames = async () => {
+  const legacy = { game: { $exists: false } };
+  const userIds = await Match.distinct('userId', legacy);
+  if (userIds.length === 0) return;
+  
+  for (const game of GAME_NAMES) {
+    await Match.updateMany({ ...legacy, map: { $in: GAMES[game].maps } }, { $set: { game } });
+  }
+  // Anything else predates the game split and was entered against the Valorant-first list
+  await Match.updateMany(legacy, { $set: { game: 'Valorant' } });
+  
+  for (const userId of userIds) {
+    await User.findByIdAndUpdate(userId, await calculateUserStats(userId));
+  }
+  
+  console.log(`✅ Added game to legacy matches for ${userIds.length} user(s)`);
+};
+
+// Stats stored before the split by match type have no matchTypeStats (they read
+// as zeros), or only counters for matches logged since: rebuild the stats of
+// everyone whose per-type games don't add up to their total
+const migrateMatchTypeStats = async () => {
+  const users = await User.find({
+    $expr: {
+      $ne: [
+        '$totalGames',
+        { $add: MATCH_TYPES.map(type => ({ $ifNull: [`$matchTypeStats.${type}.totalGames`, 0] })) }
+      ]
+    }
+  }).select('_id');
+  if (users.length === 0) return;
+  
+  for (const user of users) {
+    await User.findByIdAndUpdate(user._id, await calculateUserStats(user._id));
+  }
+  
+  console.log(`✅ Rebuilt match type stats for ${users.length} user(s)`);
+};
+
+// Users created before player search have no search keys
+const migrateUserSearchKeys = async () => {
+  const users = await User.find({ 'search.trigrams': { $exists: false } }).select('userId username');
+  if (users.length === 0) return;
+  
+  await User.bulkWrite(users.map(user => ({
+    updateOne: {
+      filter: { _id: user._id },
+      update: { $set: { search: buildSearchKeys(user) } }
+    }
+  })));
+  
+  console.log(`✅ Added search keys for ${users.length} user(s)`);
+};
+
+// Backfill achievements from history logged before they (or a newer rule) existed.
+// Registered under the current rule keys, so adding a rule runs it again
+const migrateAchievements = async () => {
+  const keys = ACHIEVEMENTS.map(({ key }) => key);
+  const users = await User.find({ achievementsChecked: { $not: { $all: keys } } }).select('_id');
+  if (users.length === 0) return;
+  
+  for (const user of users) {
+    await awardAchievements(user._id);
+    await User.updateOne({ _id: user._id }, { $set: { achievementsChecked: keys } });
+  }
+  
+  console.log(`✅ Checked achievements for ${users.length} user(s)`);
+};
+
+// In order; a migration's name must not change once it has shipped
+const MIGRATIONS = [
+  { name: 'match-games', run: migrateMatchGames },
+  { name: 'match-type-stats', run: migrateMatchTypeStats },
+  { name: 'user-search-keys', run: migrateUserSearchKeys },
+  { name: `achievements:${ACHIEVEMENTS.map(({ key }) => key).join(',')}`, run: migrateAchievements }
+];
+
+// A claim older than this belongs to an instance that died mid-run
+const MIGRATION_LOCK_MS = 10 * 60 * 1000;
+
+// Claim a migration for this instance: false if it already ran or another
+// instance is running it. The unique name makes the claim atomic.
+const claimMigration = async (name) => {
+  try {
+    await Migration.findOneAndUpdate(
+      {
+        name,
+        completedAt: null,
+        $or: [{ startedAt: null }, { startedAt: { $lt: new Date(Date.now() - MIGRATION_LOCK_MS) } }]
+      },
+      { $set: { startedAt: new Date() } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // No claimable record matched, and the upsert ran into the existing one
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Run each migration that hasn't finished yet, once across all instances.
+// Called on every cold start, so a finished one only costs a lookup.
+const runMigrations = async () => {
+  // Claims rely on the unique index on name, so make sure it's built first
+  await Migration.init();
+  const completed = await Migration.find({ completedAt: { $ne: null } }).distinct('name');
+  
+  for (const migration of MIGRATIONS) {
+    if (completed.includes(migration.name) || !await claimMigration(migration.name)) continue;
+    
+    try {
+      await migration.run();
+    } catch (error) {
+      // Release the claim so the next cold start retries it
+      await Migration.updateOne({ name: migration.name }, { $set: { startedAt: null } });
+      throw error;
+    }
+    await Migration.updateOne({ name: migration.name }, { $set: { completedAt: new Date() } });
+  }
+};
+
+// ======================
+// CSV HELPERS
+// ======================
+
+// Match columns in CSV files (import and export use the same order)
+const MATCH_CSV_FIELDS = [
+  'game', 'date', 'time', 'matchType', 'outcome', 'map', 'agent',
+  'roundsWon', 'roundsLost', 'damage', 'kills', 'deaths', 'assists'
+];
+
+// Columns that may be left out (game is inferred from the map, agent is optional)
+const OPTIONAL_CSV_FIELDS = ['game', 'agent'];
+
+// Header spellings recognised when auto-mapping CSV columns (compared lowercase, letters/digits only)
+const CSV_HEADER_ALIASES = {
+  game: ['game', 'title'],
+  date: ['date', 'day', 'matchdate', 'played', 'playedon'],
+  time: ['time', 'matchtime', 'start', 'starttime'],
+  matchType: ['matchtype', 'type', 'mode', 'queue'],
+  outcome: ['outcome', 'result', 'wl', 'winloss'],
+  map: ['map', 'mapname'],
+  agent: ['agent', 'character', 'hero', 'champion'],
+  roundsWon: ['roundswon', 'won', 'rw', 'roundwins'],
+  roundsLost: ['roundslost', 'lost', 'rl', 'roundlosses'],
+  damage: ['damage', 'dmg', 'totaldamage'],
+  kills: ['kills', 'k'],
+  deaths: ['deaths', 'd'],
+  assists: ['assists', 'a']
+};
+
+const CSV_DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY'];
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Parse CSV text into rows of string cells (RFC 4180 quoting, blank lines skipped)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Map each match field to a CSV header, using explicit choices first and aliases otherwise
+const resolveCsvMapping = (headers, requested = {}) => {
+  const normalize = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const mapping = {};
+  
+  MATCH_CSV_FIELDS.forEach(field => {
+    if (requested[field] && headers.includes(requested[field])) {
+      mapping[field] = requested[field];
+      return;
+    }
+    const header = headers.find(candidate => CSV_HEADER_ALIASES[field].includes(normalize(candidate)));
+    if (header) mapping[field] = header;
+  });
+  
+  return mapping;
+};
+
+// Parse a date cell in the given format into a UTC date (null if invalid)
+const parseCsvDate = (value, format) => {
+  const text = value.trim();
+  let year, month, day;
+  
+  let parts = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (parts && (format === 'auto' || format === 'YYYY-MM-DD')) {
+    [, year, month, day] = parts;
+  } else if ((parts = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/))) {
+    const [, first, second] = parts;
+    year = parts[3];
+    // In auto mode, day-first only when the first number can't be a month
+    const dayFirst = format === 'DD/MM/YYYY' || format === 'DD.MM.YYYY' ||
+      (format === 'auto' && (text.includes('.') || parseInt(first) > 12));
+    if (format !== 'auto' && format !== 'MM/DD/YYYY' && !dayFirst) return null;
+    [day, month] = dayFirst ? [first, second] : [second, first];
+  } else {
+    return null;
+  }
+  
+  const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+  // Reject rollovers like 31/02
+  if (date.getUTCMonth() !== parseInt(month) - 1 || date.getUTCDate() !== parseInt(day)) {
+    return null;
+  }
+  return date;
+};
+
+// Quote a CSV cell when it contains a delimiter, quote or newline
+const toCsvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(toCsvCell).join(',') + '\r\n';
+
+// Match fields in export/import order, with the date as YYYY-MM-DD
+const matchToExportRecord = (match) => Object.fromEntries(
+  MATCH_CSV_FIELDS.map(field => [
+    field,
+    field === 'date' ? match.date.toISOString().split('T')[0] : match[field]
+  ])
+);
+
+// Case-insensitive lookup of an enum value ('win' -> 'Win')
+const matchEnumValue = (values, input) => (
+  values.find(value => value.toLowerCase() === String(input).trim().toLowerCase()) || input
+);
+
+// Validate one CSV row; returns { data, errors } with data ready for Match
+const validateCsvRow = (cells, headers, mapping, dateFormat) => {
+  const record = {};
+  
+  MATCH_CSV_FIELDS.forEach(field => {
+    record[field] = mapping[field] ? cells[headers.indexOf(mapping[field])] : undefined;
+  });
+  
+  return validateMatchRecord(record, dateFormat);
+};
+
+// Validate a match record of text values (a CSV row or archive entry)
+// Returns { data, errors } with data ready for Match and errors as messages
+const validateMatchRecord = (record, dateFormat) => {
+  const errors = [];
+  const raw = {};
+  
+  MATCH_CSV_FIELDS.forEach(field => {
+    const value = record[field] === undefined || record[field] === null ? '' : String(record[field]).trim();
+    raw[field] = value === '' ? undefined : value;
+  });
+  
+  const missing = MATCH_CSV_FIELDS.filter(field => (
+    raw[field] === undefined && !OPTIONAL_CSV_FIELDS.includes(field)
+  ));
+  if (missing.length > 0) {
+    errors.push(`Missing ${missing.join(', ')}`);
+    return { data: raw, errors };
+  }
+  
+  const date = parseCsvDate(raw.date, dateFormat);
+  if (!date) {
+    errors.push(`date "${raw.date}" is not a valid ${dateFormat === 'auto' ? '' : dateFormat + ' '}date`);
+  }
+  
+  const game = raw.game ? matchEnumValue(GAME_NAMES, raw.game) : inferGame(raw.map);
+  if (!game) {
+    errors.push(`map "${raw.map}" is not a known map; add a game column or use a listed map`);
+  }
+  
+  // Spreadsheets are loose with case, so enum-like values are matched case-insensitively
+  const input = {
+    ...raw,
+    game,
+    date,
+    agent: raw.agent && GAMES[game]
+      ? matchEnumValue(listAgents(game).map(({ name }) => name), raw.agent)
+      : raw.agent,
+    matchType: matchEnumValue(MATCH_TYPES, raw.matchType),
+    outcome: matchEnumValue(OUTCOMES, raw.outcome),
+    // Only archives carry a round log; CSV rows never do
+    roundLog: Array.isArray(record.roundLog) ? record.roundLog : undefined
+  };
+  
+  const { value, errors: fieldErrors } = validateFields(input, MATCH_SCHEMA);
+  fieldErrors.forEach(({ field, message }) => {
+    // Bad dates and unknown maps are already reported above
+    if ((field === 'date' && !date) || ((field === 'game' || field === 'map') && !game)) return;
+    const round = field.match(/^roundLog\.(\d+)\./);
+    errors.push(round ? `round ${Number(round[1]) + 1}: ${message}` : message);
+  });
+  
+  return { data: errors.length > 0 ? input : buildMatchData(value), errors };
+};
+
+// ======================
+// ACCOUNT ARCHIVE
+// ======================
+
+const ARCHIVE_FORMAT = 'nolu-account-archive';
+// Version 2 added the game to each match, version 3 the optional agent,
+// version 4 the optional round log
+const ARCHIVE_VERSION = 4;
+const ARCHIVE_CONFLICT_MODES = ['skip', 'keep', 'replace'];
+
+// Build a complete, versioned archive of an account
+const buildAccountArchive = async (user) => {
+  const matches = await Match.find({ userId: user._id }).sort({ date: 1, createdAt: 1 });
+  
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: {
+      userId: user.userId,
+      username: user.username,
+      createdAt: user.createdAt
+    },
+    settings: {
+      isPublic: user.isPublic,
+      publicMatchTypes: user.publicMatchTypes
+    },
+    matches: matches.map(match => ({
+      ...matchToExportRecord(match),
+      ...(match.roundLog.length > 0 ? { roundLog: match.roundLog.map(round => round.toObject()) } : {}),
+      createdAt: match.createdAt
+    }))
+  };
+};
+
+// Check an uploaded archive and upgrade older versions to the current shape
+// Returns { archive } or { error }
+const readAccountArchive = (archive) => {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    return { error: 'File is not a Nolu account archive' };
+  }
+  
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    return { error: 'Archive version is missing or invalid' };
+  }
+  
+  if (archive.version > ARCHIVE_VERSION) {
+    return { error: `Archive version ${archive.version} is newer than this server supports (${ARCHIVE_VERSION})` };
+  }
+  
+  if (!Array.isArray(archive.matches)) {
+    return { error: 'Archive has no match list' };
+  }
+  
+  // Upgrade step by step to the current version
+  let upgraded = archive;
+  if (upgraded.version === 1) {
+    upgraded = {
+      ...upgraded,
+      version: 2,
+      matches: upgraded.matches.map(match => ({ ...match, game: match.game || inferGame(match.map) }))
+    };
+  }
+  if (upgraded.version === 2) {
+    // Agents were not tracked yet, so matches stay without one
+    upgraded = { ...upgraded, version: 3 };
+  }
+  if (upgraded.version === 3) {
+    // Matches from before round logs simply have none
+    upgraded = { ...upgraded, version: 4 };
+  }
+  
+  return { archive: upgraded };
+};
+
+// Fields that identify the same match when restoring on top of existing history
+const matchFingerprint = (match) => JSON.stringify(
+  MATCH_CSV_FIELDS.map(field => (
+    field === 'date' ? new Date(match.date).toISOString().split('T')[0] : match[field]
+  ))
+);
+
+// ======================
+// TOURNAMENT BRACKETS
+// ======================
+
+const MIN_TOURNAMENT_PARTICIPANTS = {
+  'single-elimination': 2,
+  'double-elimination': 3,
+  'round-robin': 3,
+  swiss: 4
+};
+const MAX_TOURNAMENT_PARTICIPANTS = 64;
+const LEAGUE_FORMATS = ['round-robin', 'swiss'];
+// League table points
+const LEAGUE_POINTS = { win: 3, draw: 1, loss: 0 };
+
+const isLeagueFormat = (format) => LEAGUE_FORMATS.includes(format);
+
+// Bracket positions of seeds 1..size, so the top seeds can only meet late
+// (size 8: 1 v 8, 4 v 5, 2 v 7, 3 v 6)
+const bracketSeedOrder = (size) => {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+};
+
+const newSlot = (code, bracket, round, position, label) => ({
+  code,
+  bracket,
+  round,
+  position,
+  label,
+  sides: [{ participantId: null, score: null }, { participantId: null, score: null }],
+  status: 'pending',
+  winnerId: null,
+  winnerTo: null,
+  loserTo: null
+});
+
+// Single or double elimination bracket for participant ids in seed order.
+// Missing seeds leave byes in the first round. In double elimination every
+// winners-bracket loser drops into the losers bracket and the two bracket
+// winners meet once in the grand final (there is no bracket reset).
+const buildEliminationBracket = (participantIds, { double = false } = {}) => {
+  const size = 2 ** Math.ceil(Math.log2(participantIds.length));
+  const rounds = Math.log2(size);
+  const winnersCode = (round, position) => `W${round}-${position + 1}`;
+  const losersCode = (round, position) => `L${round}-${position + 1}`;
+  const winnersLabel = (round) => {
+    const name = ['Final', 'Semifinals', 'Quarterfinals'][rounds - round] || `Round ${round}`;
+    return double ? `Winners ${name.toLowerCase()}` : name;
+  };
+  const slots = [];
+  
+  for (let round = 1; round <= rounds; round++) {
+    const count = size / 2 ** round;
+    for (let position = 0; position < count; position++) {
+      const slot = newSlot(winnersCode(round, position), 'winners', round, position + 1, winnersLabel(round));
+      if (round < rounds) {
+        slot.winnerTo = { code: winnersCode(round + 1, Math.floor(position / 2)), side: position % 2 };
+      } else if (double) {
+        slot.winnerTo = { code: 'GF', side: 0 };
+      }
+      if (double) {
+        // First-round losers pair up; later ones drop in against the losers-bracket
+        // survivors, in reverse order to put off rematches
+        slot.loserTo = round === 1
+          ? { code: losersCode(1, Math.floor(position / 2)), side: position % 2 }
+          : { code: losersCode(2 * (round - 1), count - 1 - position), side: 1 };
+      }
+      slots.push(slot);
+    }
+  }
+  
+  bracketSeedOrder(size).forEach((seed, index) => {
+    slots[Math.floor(index / 2)].sides[index % 2].participantId = participantIds[seed - 1] || null;
+  });
+  
+  if (double) {
+    // Odd losers rounds play among themselves, even ones take the next winners-round losers
+    const losersRounds = 2 * (rounds - 1);
+    for (let round = 1; round <= losersRounds; round++) {
+      const count = size / 2 ** (Math.ceil(round / 2) + 1);
+      for (let position = 0; position < count; position++) {
+        const label = round === losersRounds ? 'Losers final' : `Losers round ${round}`;
+        const slot = newSlot(losersCode(round, position), 'losers', round, position + 1, label);
+        if (round === losersRounds) {
+          slot.winnerTo = { code: 'GF', side: 1 };
+        } else if (round % 2 === 1) {
+          slot.winnerTo = { code: losersCode(round + 1, position), side: 0 };
+        } else {
+          slot.winnerTo = { code: losersCode(round + 1, Math.floor(position / 2)), side: position % 2 };
+        }
+        slots.push(slot);
+      }
+    }
+    slots.push(newSlot('GF', 'final', 1, 1, 'Grand final'));
+  }
+  
+  return slots;
+};
+
+// Round robin by the circle method: everyone meets everyone once. With an odd
+// field one entry sits out each round.
+const buildRoundRobin = (participantIds) => {
+  const circle = participantIds.length % 2 === 0 ? [...participantIds] : [...participantIds, null];
+  const slots = [];
+  
+  for (let round = 1; round < circle.length; round++) {
+    let position = 0;
+    for (let i = 0; i < circle.length / 2; i++) {
+      const pair = [circle[i], circle[circle.length - 1 - i]];
+      if (!pair[0] || !pair[1]) continue;
+      position++;
+      const slot = newSlot(`R${round}-${position}`, 'league', round, position, `Round ${round}`);
+      pair.forEach((participantId, side) => { slot.sides[side].participantId = participantId; });
+      slot.status = 'ready';
+      slots.push(slot);
+    }
+    // The first entry stays put while the rest rotate one place
+    circle.splice(1, 0, circle.pop());
+  }
+  
+  return slots;
+};
+
+// League table for round robin and Swiss: points, then score difference, then seed.
+// A Swiss bye counts as a win.
+const leagueStandings = (tournament) => {
+  const rows = new Map(tournament.participants.map(participant => [String(participant._id), {
+    participantId: String(participant._id),
+    name: participant.name,
+    seed: participant.seed,
+    played: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    scoreFor: 0,
+    scoreAgainst: 0,
+    points: 0
+  }]));
+  
+  tournament.slots.forEach(slot => {
+    if (slot.status === 'bye' && slot.winnerId) {
+      const row = rows.get(String(slot.winnerId));
+      row.wins++;
+      row.points += LEAGUE_POINTS.win;
+      return;
+    }
+    if (slot.status !== 'completed') return;
+    
+    slot.sides.forEach((side, index) => {
+      const row = rows.get(String(side.participantId));
+      row.played++;
+      row.scoreFor += side.score;
+      row.scoreAgainst += slot.sides[1 - index].score;
+      if (!slot.winnerId) {
+        row.draws++;
+        row.points += LEAGUE_POINTS.draw;
+      } else if (String(slot.winnerId) === String(side.participantId)) {
+        row.wins++;
+        row.points += LEAGUE_POINTS.win;
+      } else {
+        row.losses++;
+        row.points += LEAGUE_POINTS.loss;
+      }
+    });
+  });
+  
+  return [...rows.values()].sort((a, b) => (
+    b.points - a.points ||
+    (b.scoreFor - b.scoreAgainst) - (a.scoreFor - a.scoreAgainst) ||
+    a.seed - b.seed
+  ));
+};
+
+// Slots for one Swiss round. Round 1 pairs the top half of the seeds with the
+// bottom half; later rounds pair down the table, skipping opponents already met
+// where the greedy pairing allows. With an odd field the lowest-ranked entry
+// that hasn't had a bye yet gets one.
+const pairSwissRound = (tournament, round) => {
+  const pairKey = (a, b) => [String(a), String(b)].sort().join(':');
+  const met = new Set();
+  const hadBye = new Set();
+  tournament.slots.forEach(slot => {
+    if (slot.status === 'bye') hadBye.add(String(slot.winnerId));
+    else met.add(pairKey(slot.sides[0].participantId, slot.sides[1].participantId));
+  });
+  
+  let pool = leagueStandings(tournament).map(({ participantId }) => participantId);
+  const slots = [];
+  
+  if (pool.length % 2 === 1) {
+    const candidates = pool.filter(id => !hadBye.has(id));
+    const byeId = candidates.length > 0 ? candidates[candidates.length - 1] : pool[pool.length - 1];
+    pool = pool.filter(id => id !== byeId);
+    
+    const slot = newSlot(`S${round}-bye`, 'league', round, 0, `Round ${round}`);
+    slot.sides[0].participantId = byeId;
+    slot.status = 'bye';
+    slot.winnerId = byeId;
+    slots.push(slot);
+  }
+  
+  if (round === 1) {
+    const half = pool.length / 2;
+    pool = pool.slice(0, half).flatMap((id, index) => [id, pool[half + index]]);
+  }
+  
+  let position = 0;
+  while (pool.length > 0) {
+    const [first, ...rest] = pool;
+    const fresh = rest.find(id => !met.has(pairKey(first, id)));
+    const opponent = fresh || rest[0];
+    pool = rest.filter(id => id !== opponent);
+    
+    position++;
+    const slot = newSlot(`S${round}-${position}`, 'league', round, position, `Round ${round}`);
+    slot.sides[0].participantId = first;
+    slot.sides[1].participantId = opponent;
+    slot.status = 'ready';
+    slots.push(slot);
+  }
+  
+  return slots;
+};
+
+const findSlot = (tournament, code) => tournament.slots.find(slot => slot.code === code);
+
+// Put a participant into the slot side a winnerTo/loserTo link points at
+const placeInSlot = (tournament, link, participantId) => {
+  if (!link?.code) return;
+  findSlot(tournament, link.code).sides[link.side].participantId = participantId;
+};
+
+// Bring every undecided elimination slot up to date: ready once both sides are
+// known, pending while a side still waits on another slot. A side nothing can
+// reach any more (a missing seed, or the loser of a bye) makes the slot a bye
+// that its one participant, if any, goes through from. Byes can cascade, so
+// keep going until nothing changes.
+const settleBracket = (tournament) => {
+  const feeders = new Map();
+  tournament.slots.forEach(slot => {
+    if (slot.winnerTo?.code) feeders.set(`${slot.winnerTo.code}:${slot.winnerTo.side}`, { slot, result: 'winner' });
+    if (slot.loserTo?.code) feeders.set(`${slot.loserTo.code}:${slot.loserTo.side}`, { slot, result: 'loser' });
+  });
+  
+  const sideState = (slot, side) => {
+    if (slot.sides[side].participantId) return 'filled';
+    const feeder = feeders.get(`${slot.code}:${side}`);
+    if (!feeder) return 'empty';
+    if (feeder.slot.status === 'bye' && (feeder.result === 'loser' || !feeder.slot.winnerId)) return 'empty';
+    return 'waiting';
+  };
+  
+  let changed = true;
+  while (changed) {
+    changed = false;
+    tournament.slots.forEach(slot => {
+      if (slot.status === 'completed' || slot.status === 'bye') return;
+      
+      const states = [0, 1].map(side => sideState(slot, side));
+      if (states.includes('waiting')) {
+        slot.status = 'pending';
+        return;
+      }
+      if (states.every(state => state === 'filled')) {
+        slot.status = 'ready';
+        return;
+      }
+      
+      const present = states.indexOf('filled');
+      slot.status = 'bye';
+      slot.winnerId = present === -1 ? null : slot.sides[present].participantId;
+      if (slot.winnerId) placeInSlot(tournament, slot.winnerTo, slot.winnerId);
+      changed = true;
+    });
+  }
+};
+
+// Codes of the slots a result feeds into that have been decided already.
+// A result can only be corrected while this is empty.
+const decidedDownstream = (tournament, slot) => [slot.winnerTo, slot.loserTo]
+  .filter(link => link?.code)
+  .map(link => findSlot(tournament, link.code))
+  .filter(next => next.status === 'completed' || next.status === 'bye')
+  .map(next => next.code);
+
+// Record a slot's scores (side A, side B), move its winner and loser on and
+// settle the bracket. Equal scores are a draw, which only leagues allow.
+const recordSlotResult = (tournament, slot, scores, reportedBy) => {
+  if (slot.status === 'completed') {
+    // Take the old result back out of the slots it went to
+    [slot.winnerTo, slot.loserTo].forEach(link => placeInSlot(tournament, link, null));
+  }
+  
+  slot.sides.forEach((side, index) => { side.score = scores[index]; });
+  const winnerSide = scores[0] === scores[1] ? -1 : (scores[0] > scores[1] ? 0 : 1);
+  slot.winnerId = winnerSide === -1 ? null : slot.sides[winnerSide].participantId;
+  slot.status = 'completed';
+  slot.reportedBy = reportedBy;
+  slot.reportedAt = new Date();
+  
+  if (isLeagueFormat(tournament.format)) {
+    const round = slot.round;
+    const roundDone = tournament.slots
+      .filter(other => other.round === round)
+      .every(other => other.status === 'completed' || other.status === 'bye');
+    if (tournament.format === 'swiss' && roundDone && round < tournament.swissRounds && !tournament.slots.some(other => other.round > round)) {
+      tournament.slots.push(...pairSwissRound(tournament, round + 1));
+    }
+  } else {
+    placeInSlot(tournament, slot.winnerTo, slot.winnerId);
+    placeInSlot(tournament, slot.loserTo, slot.sides[1 - winnerSide].participantId);
+    settleBracket(tournament);
+  }
+  
+  tournament.winnerId = tournamentChampion(tournament);
+  tournament.status = tournament.winnerId ? 'completed' : 'in-progress';
+};
+
+// Seed the participants (registration order unless shuffled) and generate the bracket
+const startTournament = (tournament, { shuffle = false } = {}) => {
+  const order = [...tournament.participants];
+  if (shuffle) {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  }
+  order.forEach((participant, index) => { participant.seed = index + 1; });
+  const ids = order.map(participant => participant._id);
+  
+  switch (tournament.format) {
+    case 'single-elimination':
+    case 'double-elimination':
+      tournament.slots = buildEliminationBracket(ids, { double: tournament.format === 'double-elimination' });
+      settleBracket(tournament);
+      break;
+    case 'round-robin':
+      tournament.slots = buildRoundRobin(ids);
+      break;
+    case 'swiss':
+      tournament.swissRounds = Math.min(tournament.swissRounds || Math.ceil(Math.log2(ids.length)), ids.length - 1);
+      tournament.slots = pairSwissRound(tournament, 1);
+      break;
+  }
+  
+  tournament.status = 'in-progress';
+};
+
+// Participant id of the winner once the last slot is decided (null until then).
+// Leagues are won at the top of the table.
+const tournamentChampion = (tournament) => {
+  if (isLeagueFormat(tournament.format)) {
+    const open = tournament.slots.some(slot => slot.status === 'pending' || slot.status === 'ready');
+    const roundsLeft = tournament.format === 'swiss' &&
+      Math.max(0, ...tournament.slots.map(slot => slot.round)) < tournament.swissRounds;
+    return open || roundsLeft ? null : leagueStandings(tournament)[0].participantId;
+  }
+  
+  const final = tournament.slots.find(slot => !slot.winnerTo?.code);
+  return final.status === 'completed' || final.status === 'bye' ? final.winnerId : null;
+};
+
+// How far a participant got: win/draw/loss record and a finish like
+// 'Champion', 'Runner-up', 'Out in Semifinals' or '#3 of 8'
+const participantRun = (tournament, participantId) => {
+  const id = String(participantId);
+  const slots = tournament.slots.filter(slot => (
+    slot.status === 'completed' && slot.sides.some(side => String(side.participantId) === id)
+  ));
+  const record = {
+    wins: slots.filter(slot => String(slot.winnerId) === id).length,
+    draws: slots.filter(slot => !slot.winnerId).length,
+    losses: slots.filter(slot => slot.winnerId && String(slot.winnerId) !== id).length
+  };
+  
+  let finish = null;
+  if (tournament.status === 'registration') {
+    finish = null;
+  } else if (String(tournament.winnerId) === id) {
+    finish = 'Champion';
+  } else if (isLeagueFormat(tournament.format)) {
+    const standings = leagueStandings(tournament);
+    const rank = standings.findIndex(row => row.participantId === id) + 1;
+    finish = `#${rank} of ${standings.length}`;
+  } else {
+    // The loss that ended the run: one with nowhere to drop down to
+    const knockout = slots.find(slot => slot.winnerId && String(slot.winnerId) !== id && !slot.loserTo?.code);
+    if (knockout) {
+      finish = knockout.winnerTo?.code ? `Out in ${knockout.label}` : 'Runner-up';
+    }
+  }
+  
+  return { record, finish };
+};
+
+// The entry a user plays for in a tournament, if any
+const findTournamentEntry = (tournament, userId) => tournament.participants.find(participant => (
+  participant.members.some(member => String(member) === String(userId))
+));
+
+// Check that a match can be linked to a tournament bracket slot: the player has
+// to be playing in that slot, in the tournament's game, and can log one match per slot.
+// Returns field errors like validateFields.
+const checkTournamentLink = async (userId, { tournamentId, tournamentSlot, game }, matchId = null) => {
+  if (!tournamentId) return [];
+  
+  const tournament = await Tournament.findById(tournamentId);
+  if (!tournament) {
+    return [{ field: 'tournamentId', message: 'Tournament not found' }];
+  }
+  
+  const entry = findTournamentEntry(tournament, userId);
+  if (!entry) {
+    return [{ field: 'tournamentId', message: `You are not playing in ${tournament.name}` }];
+  }
+  
+  if (tournament.game !== game) {
+    return [{ field: 'game', message: `${tournament.name} is a ${tournament.game} tournament` }];
+  }
+  
+  const slot = findSlot(tournament, tournamentSlot);
+  if (!slot || slot.status === 'bye' || !slot.sides.some(side => String(side.participantId) === String(entry._id))) {
+    return [{ field: 'tournamentSlot', message: `${entry.name} doesn't play in that bracket slot` }];
+  }
+  
+  const duplicate = await Match.exists({
+    userId,
+    tournamentId,
+    tournamentSlot,
+    ...(matchId ? { _id: { $ne: matchId } } : {})
+  });
+  if (duplicate) {
+    return [{ field: 'tournamentSlot', message: `You already logged a match for ${slot.label} (${slot.code})` }];
+  }
+  
+  return [];
+};
+
+// Summary for tournament lists
+const tournamentSummary = (tournament) => ({
+  id: tournament._id,
+  name: tournament.name,
+  game: tournament.game,
+  format: tournament.format,
+  participantType: tournament.participantType,
+  status: tournament.status,
+  startDate: tournament.startDate,
+  endDate: tournament.endDate || null,
+  participants: tournament.participants.length,
+  maxParticipants: tournament.maxParticipants
+});
+
+// Full tournament page: entries (linked to player profiles or team pages),
+// every slot, the league table for leagues, and where the viewer fits in
+const buildTournamentView = async (tournament, viewerId) => {
+  const [users, teams] = await Promise.all([
+    User.find({
+      _id: { $in: [tournament.organizerId, ...tournament.participants.map(participant => participant.userId).filter(Boolean)] }
+    }).select('userId username isPublic'),
+    Team.find({ _id: { $in: tournament.participants.map(participant => participant.teamId).filter(Boolean) } })
+      .select('tag isPublic')
+  ]);
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+  const teamsById = new Map(teams.map(team => [String(team._id), team]));
+  const organizer = usersById.get(String(tournament.organizerId));
+  const entry = viewerId ? findTournamentEntry(tournament, viewerId) : null;
+  
+  return {
+    ...tournamentSummary(tournament),
+    swissRounds: tournament.swissRounds || null,
+    organizer: organizer ? { userId: organizer.userId, username: organizer.username } : null,
+    participants: tournament.participants.map(participant => {
+      const user = participant.userId && usersById.get(String(participant.userId));
+      const team = participant.teamId && teamsById.get(String(participant.teamId));
+      return {
+        id: participant._id,
+        name: participant.name,
+        seed: participant.seed || null,
+        // Only public profiles and teams get linked
+        userId: user?.isPublic ? user.userId : null,
+        teamTag: team?.isPublic ? team.tag : null
+      };
+    }),
+    slots: tournament.slots.map(slot => ({
+      code: slot.code,
+      bracket: slot.bracket,
+      round: slot.round,
+      position: slot.position,
+      label: slot.label,
+      status: slot.status,
+      sides: slot.sides.map(({ participantId, score }) => ({ participantId, score })),
+      winnerId: slot.winnerId,
+      reportedAt: slot.reportedAt || null
+    })),
+    standings: isLeagueFormat(tournament.format) && tournament.status !== 'registration'
+      ? leagueStandings(tournament)
+      : null,
+    winnerId: tournament.winnerId,
+    viewer: viewerId ? {
+      isOrganizer: String(tournament.organizerId) === String(viewerId),
+      participantId: entry ? entry._id : null
+    } : null
+  };
+};
+
+// ======================
+// MAIL TRANSPORT
+// ======================
+
+// A transport is { name, send({ to, subject, text }) }. Register new ones here
+// (e.g. an SMTP or API client) and pick one with MAIL_TRANSPORT.
+// `devOnly` transports never deliver anything (reset links end up in logs or
+// files), so production refuses them.
+const MAIL_TRANSPORTS = {
+  // Prints messages to the server log (local development)
+  console: () => ({
+    name: 'console',
+    devOnly: true,
+    send: async ({ to, subject, text }) => {
+      console.log(`📧 Mail to ${to || '(no address)'}: ${subject}\n${text}`);
+    }
+  }),
+  // Appends messages as JSON lines to MAIL_FILE (defaults to the temp directory)
+  file: () => {
+    const file = process.env.MAIL_FILE || path.join(os.tmpdir(), 'nolu-mail.log');
+    return {
+      name: 'file',
+      devOnly: true,
+      send: async (message) => {
+        await fs.promises.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+      }
+    };
+  }
+};
+
+const createMailTransport = (name) => {
+  if (!MAIL_TRANSPORTS[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (available: ${Object.keys(MAIL_TRANSPORTS).join(', ')})`);
+  }
+  return MAIL_TRANSPORTS[name]();
+};
+
+// null when no transport can deliver mail here; password reset by email is then unavailable
+const mailTransport = (() => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  if (!process.env.MAIL_TRANSPORT && isProduction) {
+    console.error('❌ MAIL_TRANSPORT is not set; password reset emails are disabled');
+    return null;
+  }
+  
+  const transport = createMailTransport(process.env.MAIL_TRANSPORT || 'console');
+  if (transport.devOnly && isProduction) {
+    console.error(`❌ MAIL_TRANSPORT "${transport.name}" is for local development only; password reset emails are disabled`);
+    return null;
+  }
+  return transport;
+})();
+
+// Where reset links point (the frontend's /reset-password page)
+const APP_URL = process.env.APP_URL || 'https://nolu-f781.vercel.app';
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Issue a reset token for a user and send it; older unused tokens stop working
+const sendPasswordReset = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  
+  await PasswordReset.deleteMany({ userId: user._id });
+  await PasswordReset.create({ userId: user._id, tokenHash: hashToken(token), expiresAt });
+  
+  const resetUrl = `${APP_URL}/reset-password?token=${token}`;
+  await mailTransport.send({
+    to: user.email,
+    subject: 'Reset your Nolu Stats password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `Someone asked to reset the password for player ID ${user.userId}.`,
+      `Use this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new one:`,
+      resetUrl,
+      '',
+      "If this wasn't you, you can ignore this message."
+    ].join('\n')
+  });
+};
+
+// ======================
+// RATE LIMITING
+// ======================
+
+// A store keeps { count, lockedUntil } per key:
+//   increment(key, windowMs) counts a hit (a new window starts once the old one ends)
+//   lock(key, until), get(key) and reset(key)
+// Pick one with RATE_LIMIT_STORE; use mongo when several server instances share traffic.
+const RATE_LIMIT_STORES = {
+  memory: () => {
+    const entries = new Map();
+    
+    const read = (key) => {
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry || null;
+    };
+    
+    // Drop finished entries now and then so the map doesn't grow forever
+    setInterval(() => {
+      entries.forEach((entry, key) => read(key));
+    }, 60 * 1000).unref();
+    
+    return {
+      name: 'memory',
+      increment: async (key, windowMs) => {
+        const now = Date.now();
+        const entry = read(key) || { count: 0, windowExpiresAt: 0, lockedUntil: null };
+        if (entry.windowExpiresAt <= now) {
+          entry.count = 0;
+          entry.windowExpiresAt = now + windowMs;
+        }
+        entry.count += 1;
+        entry.expiresAt = Math.max(entry.windowExpiresAt, entry.lockedUntil || 0);
+        entries.set(key, entry);
+        return { count: entry.count, lockedUntil: entry.lockedUntil && new Date(entry.lockedUntil) };
+      },
+      lock: async (key, until) => {
+        const entry = read(key) || { count: 0, windowExpiresAt: 0 };
+        entry.lockedUntil = until.getTime();
+        entry.expiresAt = Math.max(entry.windowExpiresAt, entry.lockedUntil);
+        entries.set(key, entry);
+      },
+      get: async (key) => {
+        const entry = read(key);
+        return entry && { count: entry.count, lockedUntil: entry.lockedUntil && new Date(entry.lockedUntil) };
+      },
+      reset: async (key) => {
+        entries.delete(key);
+      }
+    };
+  },
+  mongo: () => ({
+    name: 'mongo',
+    increment: async (key, windowMs) => {
+      const now = new Date();
+      const inWindow = { $gt: ['$windowExpiresAt', now] };
+      // One atomic upsert, so concurrent instances can't lose hits
+      const entry = await RateLimit.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+              windowExpiresAt: { $cond: [inWindow, '$windowExpiresAt', new Date(now.getTime() + windowMs)] }
+            }
+          },
+          { $set: { expiresAt: { $max: ['$windowExpiresAt', '$lockedUntil'] } } }
+        ],
+        { upsert: true, new: true, updatePipeline: true }
+      );
+      return { count: entry.count, lockedUntil: entry.lockedUntil || null };
+    },
+    lock: async (key, until) => {
+      await RateLimit.updateOne(
+        { key },
+        [{ $set: { lockedUntil: until, expiresAt: { $max: ['$windowExpiresAt', until] } } }],
+        { upsert: true, updatePipeline: true }
+      );
+    },
+    get: async (key) => {
+      const entry = await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } });
+      return entry && { count: entry.count, lockedUntil: entry.lockedUntil || null };
+    },
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    }
+  })
+};
+
+const createRateLimitStore = (name) => {
+  if (!RATE_LIMIT_STORES[name]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (available: ${Object.keys(RATE_LIMIT_STORES).join(', ')})`);
+  }
+  return RATE_LIMIT_STORES[name]();
+};
+
+const rateLimitStore = createRateLimitStore(process.env.RATE_LIMIT_STORE || 'memory');
+
+const MINUTE = 60 * 1000;
+
+// Each policy allows `maxHits` hits per window, then locks the key. Every further
+// hit doubles the lock (starting at baseLockMs, capped at maxLockMs).
+const RATE_LIMIT_POLICIES = {
+  // Failed logins against one account, from anywhere
+  loginAccount: { prefix: 'login:user', maxHits: 5, windowMs: 60 * MINUTE, baseLockMs: 30 * 1000, maxLockMs: 15 * MINUTE },
+  // Failed logins from one IP, across accounts
+  loginIp: { prefix: 'login:ip', maxHits: 20, windowMs: 60 * MINUTE, baseLockMs: MINUTE, maxLockMs: 60 * MINUTE },
+  // Signup attempts from one IP
+  signupIp: { prefix: 'signup:ip', maxHits: 5, windowMs: 60 * MINUTE, baseLockMs: 15 * MINUTE, maxLockMs: 24 * 60 * MINUTE }
+};
+
+const createLimiter = ({ prefix, maxHits, windowMs, baseLockMs, maxLockMs }) => {
+  const keyFor = (id) => `${prefix}:${String(id).toLowerCase()}`;
+  
+  return {
+    // Seconds until the key may try again (0 when it isn't locked)
+    retryAfter: async (id) => {
+      const entry = await rateLimitStore.get(keyFor(id));
+      const remaining = entry?.lockedUntil ? entry.lockedUntil.getTime() - Date.now() : 0;
+      return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+    },
+    // Count a hit, locking the key once it is over the limit; returns the new retryAfter
+    hit: async (id) => {
+      const { count } = await rateLimitStore.increment(keyFor(id), windowMs);
+      if (count < maxHits) {
+        return 0;
+      }
+      const lockMs = Math.min(baseLockMs * 2 ** (count - maxHits), maxLockMs);
+      await rateLimitStore.lock(keyFor(id), new Date(Date.now() + lockMs));
+      return Math.ceil(lockMs / 1000);
+    },
+    reset: (id) => rateLimitStore.reset(keyFor(id))
+  };
+};
+
+const limiters = Object.fromEntries(
+  Object.entries(RATE_LIMIT_POLICIES).map(([name, policy]) => [name, createLimiter(policy)])
+);
+
+// "3 minutes" / "45 seconds" for lockout messages
+const formatWait = (seconds) => (
+  seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} second${seconds !== 1 ? 's' : ''}`
+);
+
+// Reply 429 with a Retry-After header
+const sendTooManyRequests = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `${message} Try again in ${formatWait(retryAfter)}.`,
+    retryAfter
+  });
+};
+
+// ======================
+// REQUEST VALIDATION
+// ======================
+
+// Field rules for validate(). Every rule accepts `required`, `default` and `label`
+// (used in messages; defaults to the field name) on top of its own options.
+// `required` can also be a function of the whole input object.
+// Strings are trimmed unless the rule sets `trim: false`.
+const field = {
+  string: (options = {}) => ({ kind: 'string', ...options }),
+  integer: (options = {}) => ({ kind: 'integer', ...options }),
+  number: (options = {}) => ({ kind: 'number', ...options }),
+  boolean: (options = {}) => ({ kind: 'boolean', ...options }),
+  date: (options = {}) => ({ kind: 'date', ...options }),
+  enum: (values, options = {}) => ({ kind: 'enum', values, ...options }),
+  array: (items, options = {}) => ({ kind: 'array', items, ...options }),
+  object: (options = {}) => ({ kind: 'object', ...options }),
+  objectId: (options = {}) => ({ kind: 'objectId', ...options })
+};
+
+// Check one value against a rule; returns { value } (coerced) or { error }
+const checkValue = (input, rule) => {
+  const missing = input === undefined || input === null || (typeof input === 'string' && input.trim() === '');
+  if (missing) {
+    if (rule.required) return { error: 'is required' };
+    return { value: typeof rule.default === 'function' ? rule.default() : rule.default };
+  }
+  
+  switch (rule.kind) {
+    case 'string': {
+      if (typeof input !== 'string') return { error: 'must be text' };
+      const value = rule.trim === false ? input : input.trim();
+      if (rule.minLength && value.length < rule.minLength) {
+        return { error: `must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return { error: rule.patternMessage || 'has an invalid format' };
+      }
+      return { value };
+    }
+    case 'integer': {
+      const value = typeof input === 'string' && /^-?\d+$/.test(input.trim()) ? Number(input) : input;
+      if (!Number.isInteger(value)) return { error: 'must be a whole number' };
+      if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+      return { value };
+    }
+    case 'number': {
+      const value = typeof input === 'string' && /^-?\d+(\.\d+)?$/.test(input.trim()) ? Number(input) : input;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+      return { value };
+    }
+    case 'boolean': {
+      if (input === true || input === 'true') return { value: true };
+      if (input === false || input === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    }
+    case 'date': {
+      const value = input instanceof Date ? input : new Date(typeof input === 'string' ? input : NaN);
+      if (isNaN(value)) return { error: 'must be a valid date' };
+      return { value };
+    }
+    case 'enum': {
+      if (!rule.values.includes(input)) return { error: `must be one of: ${rule.values.join(', ')}` };
+      return { value: input };
+    }
+    case 'array': {
+      if (!Array.isArray(input)) return { error: 'must be a list' };
+      if (rule.minItems && input.length < rule.minItems) return { error: `must have at least ${rule.minItems} item${rule.minItems !== 1 ? 's' : ''}` };
+      if (rule.maxItems && input.length > rule.maxItems) return { error: `must have at most ${rule.maxItems} items` };
+      const value = [];
+      for (const item of input) {
+        const checked = checkValue(item, { ...rule.items, required: true });
+        if (checked.error) return { error: `has an item that ${checked.error}` };
+        value.push(checked.value);
+      }
+      return { value };
+    }
+    case 'object': {
+      if (typeof input !== 'object' || Array.isArray(input)) return { error: 'must be an object' };
+      return { value: input };
+    }
+    case 'objectId': {
+      if (typeof input !== 'string' || !/^[0-9a-f]{24}$/i.test(input)) return { error: 'is not a valid id' };
+      return { value: input };
+    }
+    default:
+      throw new Error(`Unknown validation rule "${rule.kind}"`);
+  }
+};
+
+// Validate an input object against a schema of { fields, prepare?, rules? }:
+//   fields  - field rules (unknown input fields are dropped)
+//   prepare - fills derived values once every field passed (e.g. infer the game)
+//   rules   - cross-field checks returning [{ field, message }]
+// Returns { value, errors } where errors is [{ field, message }]
+const validateFields = (input, schema) => {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+  
+  Object.entries(schema.fields).forEach(([name, rule]) => {
+    const required = typeof rule.required === 'function' ? rule.required(source) : rule.required;
+    const checked = checkValue(source[name], { ...rule, required });
+    if (checked.error) {
+      errors.push({ field: name, message: `${rule.label || name} ${checked.error}` });
+    } else if (checked.value !== undefined) {
+      value[name] = checked.value;
+    }
+  });
+  
+  // Cross-field rules assume the fields themselves are valid
+  if (errors.length === 0) {
+    if (schema.prepare) Object.assign(value, schema.prepare(value));
+    (schema.rules || []).forEach(rule => errors.push(...rule(value)));
+  }
+  
+  return { value, errors };
+};
+
+// The one error shape for invalid input: 400 with every failing field
+const sendValidationError = (res, errors) => res.status(400).json({
+  success: false,
+  message: errors.length === 1 ? errors[0].message : 'Some fields are invalid',
+  errors
+});
+
+// Field errors from a Mongoose ValidationError (so they never surface as a 500)
+const mongooseValidationErrors = (error) => Object.values(error.errors).map(({ path, message }) => ({
+  field: path,
+  location: 'body',
+  message
+}));
+
+// Route middleware: validate({ params, query, body }) with a schema per part.
+// Valid, coerced values end up on req.validated.{params,query,body}.
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  req.validated = {};
+  
+  ['params', 'query', 'body'].forEach(location => {
+    if (!schemas[location]) return;
+    const result = validateFields(req[location], schemas[location]);
+    req.validated[location] = result.value;
+    errors.push(...result.errors.map(error => ({ ...error, location })));
+  });
+  
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  next();
+};
+
+// Plausibility limits for a single player's match line
+const MAX_KILLS_PER_ROUND = 7;       // five opponents plus revived ones
+const MAX_DAMAGE_PER_ROUND = 1000;   // full health and shields on five opponents, plus heals
+const MAX_MATCH_ROUNDS = 100;
+
+// One entry of a match's round log
+const ROUND_SCHEMA = {
+  fields: {
+    won: field.boolean({ required: true, label: 'Won' }),
+    side: field.enum(ROUND_SIDES, { required: true, label: 'Side' }),
+    kills: field.integer({ required: true, min: 0, max: MAX_KILLS_PER_ROUND, label: 'Kills' }),
+    deaths: field.integer({ required: true, min: 0, max: 1, label: 'Deaths' }),
+    damage: field.integer({ required: true, min: 0, max: MAX_DAMAGE_PER_ROUND, label: 'Damage' }),
+    planted: field.boolean({ default: false, label: 'Planted' }),
+    defused: field.boolean({ default: false, label: 'Defused' }),
+    firstBlood: field.boolean({ default: false, label: 'First blood' }),
+    clutch: field.boolean({ default: false, label: 'Clutch' })
+  },
+  rules: [
+    ({ side, planted, defused }) => {
+      if (planted && side !== 'attack') return [{ field: 'planted', message: 'Only attackers plant' }];
+      if (defused && side !== 'defense') return [{ field: 'defused', message: 'Only defenders defuse' }];
+      return [];
+    },
+    ({ firstBlood, kills }) => (
+      firstBlood && kills === 0 ? [{ field: 'firstBlood', message: 'First blood needs a kill' }] : []
+    ),
+    ({ clutch, won }) => (
+      clutch && !won ? [{ field: 'clutch', message: 'A clutch has to win the round' }] : []
+    )
+  ]
+};
+
+// Match totals a round log adds up to, with their labels
+const ROUND_LOG_TOTALS = {
+  roundsWon: 'Rounds won',
+  roundsLost: 'Rounds lost',
+  kills: 'Kills',
+  deaths: 'Deaths',
+  damage: 'Damage'
+};
+
+const hasRoundLog = ({ roundLog }) => Array.isArray(roundLog) && roundLog.length > 0;
+
+// Check every round of a log. Returns { roundLog, errors } with errors on
+// 'roundLog.<index>.<field>'.
+const validateRoundLog = (input) => {
+  const errors = [];
+  const roundLog = input.map((round, index) => {
+    const { value, errors: roundErrors } = validateFields(round, ROUND_SCHEMA);
+    errors.push(...roundErrors.map(error => ({ ...error, field: `roundLog.${index}.${error.field}` })));
+    return value;
+  });
+  return { roundLog, errors };
+};
+
+const sumRounds = (roundLog, field) => roundLog.reduce((sum, round) => sum + round[field], 0);
+
+const roundLogTotals = (roundLog) => ({
+  roundsWon: roundLog.filter(round => round.won).length,
+  roundsLost: roundLog.filter(round => !round.won).length,
+  kills: sumRounds(roundLog, 'kills'),
+  deaths: sumRounds(roundLog, 'deaths'),
+  damage: sumRounds(roundLog, 'damage')
+});
+
+// Match totals can be left out when there's a round log; they're added up from it
+const totalRequired = (input) => !hasRoundLog(input);
+
+const MATCH_SCHEMA = {
+  fields: {
+    // Optional for older clients; inferred from the map
+    game: field.enum(GAME_NAMES, { label: 'Game' }),
+    date: field.date({ required: true, label: 'Date' }),
+    time: field.string({
+      required: true,
+      label: 'Time',
+      pattern: /^\d{1,2}:\d{2}(:\d{2})?(\s?[AaPp][Mm])?$/,
+      patternMessage: 'must look like 18:30'
+    }),
+    matchType: field.enum(MATCH_TYPES, { required: true, label: 'Match type' }),
+    outcome: field.enum(OUTCOMES, { required: true, label: 'Outcome' }),
+    map: field.string({ required: true, label: 'Map' }),
+    agent: field.string({ label: 'Agent' }),
+    roundsWon: field.integer({ required: totalRequired, min: 0, max: MAX_MATCH_ROUNDS, label: 'Rounds won' }),
+    roundsLost: field.integer({ required: totalRequired, min: 0, max: MAX_MATCH_ROUNDS, label: 'Rounds lost' }),
+    damage: field.integer({ required: totalRequired, min: 0, label: 'Damage' }),
+    kills: field.integer({ required: totalRequired, min: 0, label: 'Kills' }),
+    deaths: field.integer({ required: totalRequired, min: 0, label: 'Deaths' }),
+    assists: field.integer({ required: true, min: 0, label: 'Assists' }),
+    roundLog: field.array(field.object(), { maxItems: MAX_MATCH_ROUNDS, label: 'Round log' })
+  },
+  // Fill in the game from the map and any totals left out from a valid round log
+  prepare: (value) => {
+    const prepared = { game: value.game || inferGame(value.map) };
+    if (!hasRoundLog(value)) return prepared;
+    
+    const { roundLog, errors } = validateRoundLog(value.roundLog);
+    if (errors.length > 0) return prepared;
+    
+    const totals = roundLogTotals(roundLog);
+    Object.keys(ROUND_LOG_TOTALS).forEach(field => {
+      if (value[field] === undefined) prepared[field] = totals[field];
+    });
+    return { ...prepared, roundLog };
+  },
+  rules: [
+    // Every round has to be valid, and totals that were sent have to match the log
+    (value) => {
+      if (!hasRoundLog(value)) return [];
+      
+      const { roundLog, errors } = validateRoundLog(value.roundLog);
+      if (errors.length > 0) return errors;
+      
+      const totals = roundLogTotals(roundLog);
+      return Object.entries(ROUND_LOG_TOTALS)
+        .filter(([field]) => value[field] !== totals[field])
+        .map(([field, label]) => ({
+          field,
+          message: `${label} is ${value[field]}, but the round log adds up to ${totals[field]}`
+        }));
+    },
+    // Map and agent have to come from the game's catalog
+    ({ game, map, agent }) => {
+      if (!game) return [{ field: 'map', message: `Unknown map: ${map}` }];
+      const errors = [];
+      if (!GAMES[game].maps.includes(map)) {
+        errors.push({ field: 'map', message: `${map} is not a ${game} map` });
+      }
+      if (agent && !agentRole(game, agent)) {
+        errors.push({
+          field: 'agent',
+          message: Object.keys(GAMES[game].agents).length > 0
+            ? `${agent} is not a ${game} agent`
+            : `${game} matches do not track an agent`
+        });
+      }
+      return errors;
+    },
+    ({ outcome, roundsWon, roundsLost }) => {
+      if (roundsWon + roundsLost === 0) {
+        return [{ field: 'roundsWon', message: 'A match needs at least one round' }];
+      }
+      if (outcome === 'Win' && roundsWon <= roundsLost) {
+        return [{ field: 'outcome', message: 'A win needs more rounds won than lost' }];
+      }
+      if (outcome === 'Loss' && roundsWon >= roundsLost) {
+        return [{ field: 'outcome', message: 'A loss needs more rounds lost than won' }];
+      }
+      if (outcome === 'Draw' && roundsWon !== roundsLost) {
+        return [{ field: 'outcome', message: 'A draw needs equal rounds won and lost' }];
+      }
+      return [];
+    },
+    ({ roundsWon, roundsLost, kills, damage }) => {
+      const rounds = roundsWon + roundsLost;
+      const errors = [];
+      if (kills > rounds * MAX_KILLS_PER_ROUND) {
+        errors.push({ field: 'kills', message: `Kills can't be more than ${MAX_KILLS_PER_ROUND} per round (${rounds * MAX_KILLS_PER_ROUND} for ${rounds} rounds)` });
+      }
+      if (damage > rounds * MAX_DAMAGE_PER_ROUND) {
+        errors.push({ field: 'damage', message: `Damage can't be more than ${MAX_DAMAGE_PER_ROUND} per round (${rounds * MAX_DAMAGE_PER_ROUND} for ${rounds} rounds)` });
+      }
+      return errors;
+    }
+  ]
+};
+
+// A match logged by hand can also be linked to the tournament bracket slot it was played in
+const MATCH_BODY = {
+  ...MATCH_SCHEMA,
+  fields: {
+    ...MATCH_SCHEMA.fields,
+    tournamentId: field.objectId({ label: 'Tournament' }),
+    tournamentSlot: field.string({ maxLength: 10, label: 'Bracket slot' })
+  },
+  rules: [
+    ...MATCH_SCHEMA.rules,
+    ({ matchType, tournamentId, tournamentSlot }) => {
+      if (!tournamentId && !tournamentSlot) return [];
+      if (!tournamentId || !tournamentSlot) {
+        return [{ field: tournamentId ? 'tournamentSlot' : 'tournamentId', message: 'Pick both the tournament and the bracket slot' }];
+      }
+      if (matchType !== 'Tournament') {
+        return [{ field: 'matchType', message: 'Only Tournament matches can be linked to a bracket' }];
+      }
+      return [];
+    }
+  ]
+};
+
+// Query filters shared by the stats breakdown routes
+const STATS_FILTER_QUERY = {
+  fields: {
+    matchType: field.enum(MATCH_TYPES, { label: 'Match type' }),
+    game: field.enum(GAME_NAMES, { label: 'Game' })
+  }
+};
+
+// Query filters shared by match history, trends and export
+const MATCH_FILTER_FIELDS = {
+  from: field.date({ label: 'From date' }),
+  to: field.date({ label: 'To date' }),
+  game: field.enum(GAME_NAMES, { label: 'Game' }),
+  map: field.string({ maxLength: 50, label: 'Map' }),
+  matchType: field.enum(MATCH_TYPES, { label: 'Match type' }),
+  outcome: field.enum(OUTCOMES, { label: 'Outcome' })
+};
+
+const USER_ID_SCHEMA = {
+  fields: { userId: field.string({ required: true, maxLength: 50, label: 'User ID' }) }
+};
+
+const ID_PARAMS = {
+  fields: { id: field.objectId({ required: true, label: 'ID' }) }
+};
+
+const NEW_PASSWORD_FIELD = field.string({
+  required: true,
+  trim: false,
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: 128,
+  label: 'Password'
+});
+
+const EMAIL_FIELD = field.string({
+  maxLength: 254,
+  pattern: EMAIL_PATTERN,
+  patternMessage: 'is not a valid email address',
+  label: 'Email'
+});
+
+// ======================
+// AUTHENTICATION MIDDLEWARE
+// ======================
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  
+  if (!token) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Access token required' 
+    });
+  }
+  
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    // 401 tells the client to refresh; 403 means the token can't be used at all
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token expired'
+      });
+    }
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Invalid or expired token' 
+    });
+  }
+  
+  try {
+    // A revoked session stops its access tokens straight away. Tokens issued
+    // before sessions existed carry no sid and can't be revoked, so they're
+    // refused too and the client refreshes or logs in again.
+    const session = decoded.sid && await Session.exists({ _id: decoded.sid, userId: decoded.id });
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again'
+      });
+    }
+  } catch (error) {
+    console.error('❌ Session check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking session'
+    });
+  }
+  
+  req.user = decoded;
+  next();
+};
+
+// For open routes that show more to a signed-in viewer; a bad or expired token
+// still fails so the client can refresh it
+const optionalAuthenticate = (req, res, next) => (
+  req.headers['authorization'] ? authenticateToken(req, res, next) : next()
+);
+
+// Load a public profile by userId for /api/user/:userId/* routes
+const loadPublicUser = async (req, res, next) => {
+  // 'me' can never be a userId (min length 3), so leave it to the protected routes
+  if (req.params.userId === 'me') {
+    return next('route');
+  }
+  
+  try {
+    const user = await User.findOne({ userId: req.params.userId });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+    
+    if (!user.isPublic) {
+      return res.status(403).json({
+        success: false,
+        message: 'This player profile is private'
+      });
+    }
+    
+    req.publicUser = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ======================
+// ROUTES
+// ======================
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Server is running',
+    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
+
+// Root endpoint
+app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Nolu Stats API',
+    version: '1.0.0',
+    endpoints: {
+      auth: [
+        'POST /api/signup',
+        'POST /api/login',
+        'POST /api/token/refresh',
+        'POST /api/logout',
+        'POST /api/password/forgot',
+        'POST /api/password/reset'
+      ],
+      public: [
+        'GET /api/user/:userId?matchType=&game=',
+        'GET /api/user/:userId/stats/maps',
+        'GET /api/user/:userId/stats/agents',
+        'GET /api/user/:userId/stats/sides',
+        'GET /api/user/:userId/achievements',
+        'GET /api/search/players?query=searchTerm&page=&limit=&matchType=',
+        'GET /api/maps?game=',
+        'GET /api/agents?game=',
+        'GET /api/leaderboard?metric=&minGames=&matchType=&game=&window=&page=&limit=',
+        'GET /api/compare?players=a,b,c&matchType=&game=',
+        'GET /api/teams?query=&page=&limit=',
+        'GET /api/teams/:tag?matchType=&game=',
+        'GET /api/tournaments?query=&status=&game=&page=&limit=',
+        'GET /api/tournaments/:id',
+        'GET /api/user/:userId/tournaments'
+      ],
+      protected: [
+        'GET /api/user/me/stats?game=',
+        'GET /api/user/me/stats/maps',
+        'GET /api/user/me/stats/agents',
+        'GET /api/user/me/stats/sides',
+        'GET /api/user/me/achievements',
+        'POST /api/user/me/stats/recalculate',
+        'GET /api/user/me/stats/trends?bucket=day|week|month&window=&points=',
+        'GET /api/user/me/matches?from=&to=&map=&matchType=&outcome=&sort=&order=&page=&limit=',
+        'POST /api/user/me/matches',
+        'POST /api/user/me/matches/import',
+        'GET /api/user/me/matches/export?format=csv|json&from=&to=&map=&matchType=',
+        'GET /api/user/me/matches/:id',
+        'PUT /api/user/me/matches/:id',
+        'PATCH /api/user/me/matches/:id',
+        'PUT /api/user/me/privacy',
+        'PUT /api/user/me/privacy/match-types',
+        'DELETE /api/user/me/matches/:id',
+        'GET /api/user/me/following',
+        'PUT /api/user/me/following/:userId',
+        'DELETE /api/user/me/following/:userId',
+        'GET /api/user/me/feed?game=&page=&limit=',
+        'GET /api/user/me/teams',
+        'POST /api/teams',
+        'PUT /api/teams/:tag',
+        'DELETE /api/teams/:tag',
+        'POST /api/teams/:tag/invites',
+        'POST /api/teams/:tag/accept',
+        'PUT /api/teams/:tag/members/:userId',
+        'DELETE /api/teams/:tag/members/:userId',
+        'GET /api/user/me/tournaments',
+        'POST /api/tournaments',
+        'PUT /api/tournaments/:id',
+        'DELETE /api/tournaments/:id',
+        'POST /api/tournaments/:id/participants',
+        'DELETE /api/tournaments/:id/participants/:participantId',
+        'POST /api/tournaments/:id/start',
+        'PUT /api/tournaments/:id/slots/:code',
+        'GET /api/user/me/shared-matches?status=pending|confirmed|declined&page=&limit=',
+        'POST /api/shared-matches',
+        'GET /api/shared-matches/:id',
+        'PUT /api/shared-matches/:id',
+        'DELETE /api/shared-matches/:id',
+        'POST /api/shared-matches/:id/confirm',
+        'POST /api/shared-matches/:id/decline',
+        'GET /api/user/me/goals',
+        'POST /api/user/me/goals',
+        'PUT /api/user/me/goals/:id',
+        'DELETE /api/user/me/goals/:id',
+        'GET /api/user/me/archive',
+        'POST /api/user/me/archive/restore',
+        'PUT /api/user/me/password',
+        'PUT /api/user/me/email',
+        'GET /api/user/me/sessions',
+        'DELETE /api/user/me/sessions?keepCurrent=true',
+        'DELETE /api/user/me/sessions/:id',
+        'DELETE /api/user/me/stats',
+        'DELETE /api/user/me'
+      ]
+    }
+  });
+});
+
+// ======================
+// AUTHENTICATION ROUTES
+// ======================
+
+const SIGNUP_BODY = {
+  fields: {
+    userId: field.string({
+      required: true,
+      minLength: 3,
+      maxLength: 20,
+      pattern: /^[A-Za-z0-9_.-]+$/,
+      patternMessage: 'can only contain letters, numbers, dots, dashes and underscores',
+      label: 'Player ID'
+    }),
+    username: field.string({ required: true, minLength: 2, maxLength: 30, label: 'Username' }),
+    password: NEW_PASSWORD_FIELD,
+    email: EMAIL_FIELD
+  }
+};
+
+// Signup
+app.post('/api/signup', validate({ body: SIGNUP_BODY }), async (req, res) => {
+  try {
+    const { userId, username, password, email } = req.validated.body;
+    
+    // Every attempt counts, so scripts can't mass-create accounts from one IP
+    const signupWait = await limiters.signupIp.retryAfter(req.ip);
+    if (signupWait > 0) {
+      return sendTooManyRequests(res, signupWait, 'Too many signups from this network.');
+    }
+    await limiters.signupIp.hit(req.ip);
+    
+    // Check if user exists
+    const existingUser = await User.findOne({ userId });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'User ID already exists',
+        errors: [{ field: 'userId', location: 'body', message: 'User ID already exists' }]
+      });
+    }
+    
     // Hash password
     const hashedPassword = await hashPassword(password);
     
-    // Create user
-    const user = new User({
-      userId,
-      username,
-      password: hashedPassword,
-      isPublic: true
+    // Create user
+    const user = new User({
+      userId,
+      username,
+      password: hashedPassword,
+      email,
+      isPublic: true
+    });
+    
+    await user.save();
+    
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully!',
+      token,
+      refreshToken,
+      user: {
+        userId: user.userId,
+        username: user.username,
+        isPublic: user.isPublic,
+        stats: {
+          kdRatio: 0,
+          damagePerRound: 0,
+          winPercentage: 0,
+          killsPerRound: 0,
+          wins: 0,
+          kills: 0,
+          deaths: 0,
+          assists: 0,
+          totalGames: 0,
+          totalRounds: 0,
+          totalDamage: 0
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Signup error:', error.message);
+    
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'User ID already exists',
+        errors: [{ field: 'userId', location: 'body', message: 'User ID already exists' }]
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Server error during signup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Login
+const LOGIN_BODY = {
+  fields: {
+    userId: field.string({ required: true, maxLength: 50, label: 'Player ID' }),
+    password: field.string({ required: true, trim: false, maxLength: 128, label: 'Password' })
+  }
+};
+
+app.post('/api/login', validate({ body: LOGIN_BODY }), async (req, res) => {
+  try {
+    const { userId, password } = req.validated.body;
+    
+    // Locked accounts and IPs are turned away before the password is checked
+    const lockWait = Math.max(
+      await limiters.loginAccount.retryAfter(userId),
+      await limiters.loginIp.retryAfter(req.ip)
+    );
+    if (lockWait > 0) {
+      return sendTooManyRequests(res, lockWait, 'Too many failed login attempts.');
+    }
+    
+    // Find user and check password (unknown IDs count as failures too)
+    const user = await User.findOne({ userId });
+    const isValidPassword = user && await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      const failureWait = Math.max(
+        await limiters.loginAccount.hit(userId),
+        await limiters.loginIp.hit(req.ip)
+      );
+      if (failureWait > 0) {
+        return sendTooManyRequests(res, failureWait, 'Too many failed login attempts.');
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+    
+    await limiters.loginAccount.reset(userId);
+    
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
+    
+    res.json({
+      success: true,
+      message: 'Login successful!',
+      token,
+      refreshToken,
+      user: {
+        userId: user.userId,
+        username: user.username,
+        isPublic: user.isPublic,
+        stats: {
+          kdRatio: user.kdRatio,
+          damagePerRound: user.damagePerRound,
+          winPercentage: user.winPercentage,
+          killsPerRound: user.killsPerRound,
+          wins: user.wins,
+          kills: user.kills,
+          deaths: user.deaths,
+          assists: user.assists,
+          totalGames: user.totalGames,
+          totalRounds: user.totalRounds,
+          totalDamage: user.totalDamage
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+const REFRESH_TOKEN_BODY = {
+  fields: { refreshToken: field.string({ required: true, maxLength: 200, label: 'Refresh token' }) }
+};
+
+// Swap a refresh token for a new access token and refresh token (rotation)
+// A refresh with a token that was already rotated out. Within the grace window
+// it's a retry and gets the session's current pair; after it, it's a replayed
+// (stolen) token and the session is ended for both parties.
+const refreshWithRotatedToken = async (res, refreshToken, tokenHash) => {
+  const session = await Session.findOne({ previousTokenHash: tokenHash });
+  
+  const inGrace = session && session.graceToken && session.expiresAt > new Date() &&
+    Date.now() - session.rotatedAt < REFRESH_GRACE_SECONDS * 1000;
+  const user = inGrace && await User.findById(session.userId);
+  if (user) {
+    return res.json({
+      success: true,
+      token: signAccessToken(user, session._id),
+      refreshToken: openRefreshToken(session.graceToken, refreshToken)
+    });
+  }
+  
+  if (session) {
+    await session.deleteOne();
+    console.warn(`⚠️ Refresh token reuse detected, session ${session._id} revoked`);
+  }
+  return res.status(401).json({
+    success: false,
+    message: 'Session has ended, please log in again'
+  });
+};
+
+app.post('/api/token/refresh', validate({ body: REFRESH_TOKEN_BODY }), async (req, res) => {
+  try {
+    const { refreshToken } = req.validated.body;
+    
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ tokenHash });
+    
+    if (!session) {
+      return refreshWithRotatedToken(res, refreshToken, tokenHash);
+    }
+    
+    if (session.expiresAt < new Date()) {
+      await session.deleteOne();
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired, please log in again'
+      });
+    }
+    
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await session.deleteOne();
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again'
+      });
+    }
+    
+    const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+    // Match on the old hash so two concurrent refreshes can't both rotate
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash },
+      {
+        tokenHash: hashToken(nextRefreshToken),
+        previousTokenHash: tokenHash,
+        rotatedAt: new Date(),
+        graceToken: sealRefreshToken(nextRefreshToken, refreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: refreshTokenExpiry()
+      }
+    );
+    
+    // A concurrent refresh with the same token got there first
+    if (!rotated) {
+      return refreshWithRotatedToken(res, refreshToken, tokenHash);
+    }
+    
+    res.json({
+      success: true,
+      token: signAccessToken(user, session._id),
+      refreshToken: nextRefreshToken
+    });
+    
+  } catch (error) {
+    console.error('❌ Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing session'
+    });
+  }
+});
+
+// Logout (revokes the session the refresh token belongs to)
+app.post('/api/logout', validate({ body: REFRESH_TOKEN_BODY }), async (req, res) => {
+  try {
+    const { refreshToken } = req.validated.body;
+    
+    await Session.deleteOne({ tokenHash: hashToken(refreshToken) });
+    
+    // Succeeds even if the session was already gone, so logout always completes
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+    
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out'
+    });
+  }
+});
+
+// Request a password reset link
+app.post('/api/password/forgot', validate({ body: USER_ID_SCHEMA }), async (req, res) => {
+  try {
+    const { userId } = req.validated.body;
+    
+    // Checked before the lookup, so the answer still says nothing about the account
+    if (!mailTransport) {
+      return res.status(503).json({
+        success: false,
+        message: 'Password reset by email is not available right now'
+      });
+    }
+    
+    const user = await User.findOne({ userId });
+    if (user && user.email) {
+      await sendPasswordReset(user);
+    } else if (user) {
+      console.warn(`⚠️ Password reset requested for ${user.userId}, but no email is on file`);
+    }
+    
+    // Same answer either way, so this can't be used to find accounts
+    res.json({
+      success: true,
+      message: 'If that account has a recovery email, a reset link has been sent'
+    });
+    
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset'
+    });
+  }
+});
+
+// Set a new password with a reset token (signs out every session)
+const PASSWORD_RESET_BODY = {
+  fields: {
+    token: field.string({ required: true, maxLength: 200, label: 'Reset token' }),
+    newPassword: NEW_PASSWORD_FIELD
+  }
+};
+
+app.post('/api/password/reset', validate({ body: PASSWORD_RESET_BODY }), async (req, res) => {
+  try {
+    const { token, newPassword } = req.validated.body;
+    
+    // Deleting on redeem makes the token single-use, even with concurrent requests
+    const reset = await PasswordReset.findOneAndDelete({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() }
+    });
+    
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+    
+    const user = await User.findByIdAndUpdate(reset.userId, {
+      password: await hashPassword(newPassword)
+    });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    await Session.deleteMany({ userId: user._id });
+    // The owner proved who they are, so lift any lockout on the account
+    await limiters.loginAccount.reset(user.userId);
+    
+    res.json({
+      success: true,
+      message: 'Password reset successfully! Please log in with your new password.'
+    });
+    
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password'
+    });
+  }
+});
+
+// ======================
+// PUBLIC ROUTES
+// ======================
+
+// Search public players by userId or username, most relevant first
+const SEARCH_QUERY = {
+  fields: {
+    query: field.string({ required: true, minLength: 2, maxLength: 50, label: 'Search query' }),
+    page: field.integer({ min: 1, default: 1, label: 'Page' }),
+    limit: field.integer({ min: 1, max: 50, default: 10, label: 'Limit' }),
+    matchType: field.enum(MATCH_TYPES, { label: 'Match type' })
+  }
+};
+
+app.get('/api/search/players', validate({ query: SEARCH_QUERY }), async (req, res) => {
+  try {
+    const { query: searchQuery, page, limit, matchType } = req.validated.query;
+    
+    const { players, pagination } = await searchPlayers({ query: searchQuery, page, limit });
+    
+    res.json({
+      success: true,
+      count: players.length,
+      players: players.map(player => {
+        const stats = getRequestedStats(player, matchType);
+        return {
+          userId: player.userId,
+          username: player.username,
+          stats: {
+            kdRatio: stats.kdRatio,
+            winPercentage: stats.winPercentage,
+            totalGames: stats.totalGames,
+            wins: stats.wins,
+            kills: stats.kills,
+            deaths: stats.deaths
+          }
+        };
+      }),
+      pagination
+    });
+    
+  } catch (error) {
+    console.error('❌ Search players error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching players'
+    });
+  }
+});
+
+// Compare public players side by side (?players=a,b,c)
+const COMPARE_QUERY = {
+  fields: {
+    players: field.string({ required: true, maxLength: 200, label: 'Players' }),
+    matchType: field.enum(MATCH_TYPES, { label: 'Match type' }),
+    game: field.enum(GAME_NAMES, { label: 'Game' })
+  },
+  prepare: ({ players }) => ({
+    players: [...new Set(players.split(',').map(userId => userId.trim()).filter(Boolean))]
+  }),
+  rules: [
+    ({ players }) => (players.length < 2 || players.length > MAX_COMPARE_PLAYERS
+      ? [{ field: 'players', message: `Pick between 2 and ${MAX_COMPARE_PLAYERS} different players to compare` }]
+      : [])
+  ]
+};
+
+app.get('/api/compare', validate({ query: COMPARE_QUERY }), async (req, res) => {
+  try {
+    const { players: userIds, matchType, game } = req.validated.query;
+    
+    const users = await User.find({ userId: { $in: userIds } });
+    const usersById = new Map(users.map(user => [user.userId, user]));
+    
+    const missing = userIds.filter(userId => !usersById.has(userId));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Player${missing.length !== 1 ? 's' : ''} not found: ${missing.join(', ')}`
+      });
+    }
+    
+    const hidden = users.filter(user => !user.isPublic).map(user => user.userId);
+    if (hidden.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Private profile${hidden.length !== 1 ? 's' : ''}: ${hidden.join(', ')}`
+      });
+    }
+    
+    // Keep the order the players were asked for
+    const players = userIds.map(userId => usersById.get(userId));
+    const profiles = await Promise.all(players.map(async user => {
+      const [profileStats, maps, recentForm] = await Promise.all([
+        getProfileStats(user, { matchType, game }),
+        calculateMapStats(user._id, { matchType, game }),
+        getRecentForm(user, { matchType, game })
+      ]);
+      return { ...profileStats, maps, recentForm };
+    }));
+    
+    // One aligned row: a stats entry per player (null if they have none) and the leaders
+    const compareRow = (statsList) => ({ stats: statsList, best: flagBest(userIds, statsList) });
+    
+    const mapNames = [...new Set(profiles.flatMap(profile => profile.maps.map(({ map }) => map)))].sort();
+    
+    res.json({
+      success: true,
+      players: players.map(user => ({ userId: user.userId, username: user.username })),
+      overall: compareRow(profiles.map(profile => profile.stats)),
+      matchTypes: MATCH_TYPES.map(type => ({
+        matchType: type,
+        ...compareRow(profiles.map(profile => profile.statsByMatchType[type]))
+      })),
+      maps: mapNames.map(map => ({
+        map,
+        game: inferGame(map) || null,
+        ...compareRow(profiles.map(profile => {
+          const mapStats = profile.maps.find(row => row.map === map);
+          return mapStats ? pickStats({ ...mapStats, ...groupCounters(mapStats) }) : null;
+        }))
+      })),
+      recentForm: compareRow(profiles.map(profile => profile.recentForm))
+    });
+    
+  } catch (error) {
+    console.error('❌ Compare players error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing players'
+    });
+  }
+});
+
+// Get player by userId
+app.get('/api/user/:userId', validate({ params: USER_ID_SCHEMA, query: STATS_FILTER_QUERY }), async (req, res) => {
+  try {
+    const { userId } = req.validated.params;
+    const { matchType, game } = req.validated.query;
+    
+    const user = await User.findOne({ userId });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+    
+    if (!user.isPublic) {
+      return res.status(403).json({
+        success: false,
+        message: 'This player profile is private'
+      });
+    }
+    
+    // Get recent matches
+    const recentMatches = await Match.find({ userId: user._id, ...(game ? { game } : {}) })
+      .sort({ date: -1 })
+      .limit(5)
+      .select(PUBLIC_MATCH_FIELDS);
+    
+    const followers = await Follow.countDocuments({ followingId: user._id });
+    
+    const { stats, statsByMatchType } = await getProfileStats(user, { matchType, game });
+    
+    res.json({
+      success: true,
+      userId: user.userId,
+      username: user.username,
+      stats,
+      headlineMatchTypes: user.publicMatchTypes,
+      statsByMatchType,
+      statsByGame: getGameStats(user),
+      followers,
+      recentMatches: recentMatches || []
+    });
+    
+  } catch (error) {
+    console.error('❌ Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching player data'
+    });
+  }
+});
+
+// Get player per-map stats
+app.get('/api/user/:userId/stats/maps', loadPublicUser, validate({ query: STATS_FILTER_QUERY }), async (req, res) => {
+  try {
+    const { matchType, game } = req.validated.query;
+    
+    const maps = await calculateMapStats(req.publicUser._id, { matchType, game });
+    
+    res.json({
+      success: true,
+      maps
+    });
+    
+  } catch (error) {
+    console.error('❌ Get player map stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching map stats'
+    });
+  }
+});
+
+// Get player per-agent stats
+app.get('/api/user/:userId/stats/agents', loadPublicUser, validate({ query: STATS_FILTER_QUERY }), async (req, res) => {
+  try {
+    const { matchType, game } = req.validated.query;
+    
+    const agents = await calculateAgentStats(req.publicUser._id, { matchType, game });
+    
+    res.json({
+      success: true,
+      agents
+    });
+    
+  } catch (error) {
+    console.error('❌ Get player agent stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agent stats'
+    });
+  }
+});
+
+// Get player attack/defense splits
+app.get('/api/user/:userId/stats/sides', loadPublicUser, validate({ query: STATS_FILTER_QUERY }), async (req, res) => {
+  try {
+    const { matchType, game } = req.validated.query;
+    
+    const sides = await calculateSideStats(req.publicUser._id, { matchType, game });
+    
+    res.json({
+      success: true,
+      sides
+    });
+    
+  } catch (error) {
+    console.error('❌ Get player side stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching side stats'
+    });
+  }
+});
+
+// Get the achievements a player has earned
+app.get('/api/user/:userId/achievements', loadPublicUser, async (req, res) => {
+  try {
+    const achievements = await getAchievements(req.publicUser._id);
+    
+    res.json({
+      success: true,
+      achievements: achievements.filter(({ earned }) => earned)
+    });
+    
+  } catch (error) {
+    console.error('❌ Get player achievements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching achievements'
+    });
+  }
+});
+
+// Leaderboard of public players
+const LEADERBOARD_QUERY = {
+  fields: {
+    metric: field.enum(LEADERBOARD_METRICS, { default: 'kdRatio', label: 'Metric' }),
+    minGames: field.integer({ min: 1, default: 10, label: 'Minimum games' }),
+    matchType: field.enum(MATCH_TYPES, { label: 'Match type' }),
+    game: field.enum(GAME_NAMES, { label: 'Game' }),
+    window: field.enum(Object.keys(LEADERBOARD_WINDOWS), { default: 'all', label: 'Window' }),
+    page: field.integer({ min: 1, default: 1, label: 'Page' }),
+    limit: field.integer({ min: 1, max: 100, default: 25, label: 'Limit' })
+  }
+};
+
+app.get('/api/leaderboard', validate({ query: LEADERBOARD_QUERY }), async (req, res) => {
+  try {
+    const { metric, minGames, matchType, game, window, page, limit } = req.validated.query;
+    
+    const { leaderboard, pagination } = await buildLeaderboard({
+      metric,
+      minGames,
+      matchType,
+      game,
+      window,
+      page,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      metric,
+      minGames,
+      matchType: matchType || null,
+      game: game || null,
+      window,
+      leaderboard,
+      pagination
+    });
+    
+  } catch (error) {
+    console.error('❌ Leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching leaderboard'
+    });
+  }
+});
+
+// Get available maps
+const GAME_QUERY = {
+  fields: { game: field.enum(GAME_NAMES, { label: 'Game' }) }
+};
+
+app.get('/api/maps', validate({ query: GAME_QUERY }), (req, res) => {
+  const { game } = req.validated.query;
+  
+  const maps = game
+    ? GAMES[game].maps
+    : GAME_NAMES.flatMap(name => GAMES[name].maps);
+  
+  res.json({
+    success: true,
+    maps,
+    games: Object.fromEntries(GAME_NAMES.map(name => [name, GAMES[name].maps]))
+  });
+});
+
+// Get agents (optionally for one game)
+app.get('/api/agents', validate({ query: GAME_QUERY }), (req, res) => {
+  const { game } = req.validated.query;
+  
+  res.json({
+    success: true,
+    agents: game ? listAgents(game) : GAME_NAMES.flatMap(listAgents),
+    games: Object.fromEntries(GAME_NAMES.map(name => [name, listAgents(name)]))
+  });
+});
+
+// ======================
+// PROTECTED ROUTES
+// ======================
+
+// Get my stats
+app.get('/api/user/me/stats', authenticateToken, validate({ query: GAME_QUERY }), async (req, res) => {
+  try {
+    const { game } = req.validated.query;
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Stored stats cover all games; a single game is split by match type on the fly
+    const statsByMatchType = game
+      ? await calculateMatchTypeBreakdown(user._id, { game })
+      : getMatchTypeStats(user);
+    
+    res.json({
+      success: true,
+      stats: game ? pickStats(user.gameStats?.[game]) : pickStats(user),
+      statsByMatchType,
+      statsByGame: getGameStats(user),
+      settings: {
+        isPublic: user.isPublic,
+        publicMatchTypes: user.publicMatchTypes
+      },
+      user: {
+        userId: user.userId,
+        username: user.username,
+        email: user.email || null
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Get stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching your stats'
+    });
+  }
+});
+
+// Get my per-map stats
+app.get('/api/user/me/stats/maps', authenticateToken, validate({ query: STATS_FILTER_QUERY }), async (req, res) => {
+  try {
+    const { matchType, game } = req.validated.query;
+    
+    const maps = await calculateMapStats(req.user.id, { matchType, game });
+    
+    res.json({
+      success: true,
+      maps
+    });
+    
+  } catch (error) {
+    console.error('❌ Get map stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching map stats'
+    });
+  }
+});
+
+// Get my per-agent stats
+app.get('/api/user/me/stats/agents', authenticateToken, validate({ query: STATS_FILTER_QUERY }), async (req, res) => {
+  try {
+    const { matchType, game } = req.validated.query;
+    
+    const agents = await calculateAgentStats(req.user.id, { matchType, game });
+    
+    res.json({
+      success: true,
+      agents
+    });
+    
+  } catch (error) {
+    console.error('❌ Get agent stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agent stats'
+    });
+  }
+});
+
+// Get my attack/defense splits
+app.get('/api/user/me/stats/sides', authenticateToken, validate({ query: STATS_FILTER_QUERY }), async (req, res) => {
+  try {
+    const { matchType, game } = req.validated.query;
+    
+    const sides = await calculateSideStats(req.user.id, { matchType, game });
+    
+    res.json({
+      success: true,
+      sides
+    });
+    
+  } catch (error) {
+    console.error('❌ Get side stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching side stats'
+    });
+  }
+});
+
+// Get every achievement, earned or not
+app.get('/api/user/me/achievements', authenticateToken, async (req, res) => {
+  try {
+    const achievements = await getAchievements(req.user.id);
+    
+    res.json({
+      success: true,
+      achievements
+    });
+    
+  } catch (error) {
+    console.error('❌ Get achievements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching achievements'
+    });
+  }
+});
+
+// Recalculate my stats from scratch (repairs stored aggregates)
+app.post('/api/user/me/stats/recalculate', authenticateToken, async (req, res) => {
+  try {
+    const updatedStats = await calculateUserStats(req.user.id);
+    
+    const user = await User.findByIdAndUpdate(req.user.id, updatedStats, { new: true });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Stats recalculated successfully!',
+      updatedStats: getStoredStats(user)
+    });
+    
+  } catch (error) {
+    console.error('❌ Recalculate stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recalculating stats'
+    });
+  }
+});
+
+// Get my performance trends
+const TRENDS_QUERY = {
+  fields: {
+    ...MATCH_FILTER_FIELDS,
+    bucket: field.enum(TREND_BUCKETS, { default: 'week', label: 'Bucket' }),
+    window: field.integer({ min: 1, max: 50, default: 10, label: 'Window' }),
+    points: field.integer({ min: 1, max: 200, default: 50, label: 'Points' })
+  }
+};
+
+app.get('/api/user/me/stats/trends', authenticateToken, validate({ query: TRENDS_QUERY }), async (req, res) => {
+  try {
+    const { bucket, window, points } = req.validated.query;
+    
+    const filter = buildMatchFilter(
+      new mongoose.Types.ObjectId(String(req.user.id)),
+      req.validated.query
+    );
+    
+    // Only the matches needed for the last `points` rolling windows
+    const recentMatches = await Match.find(filter)
+      .sort({ date: -1, createdAt: -1 })
+      .limit(points + window - 1);
+    
+    const buckets = await calculateBucketTrend(filter, bucket);
+    const rolling = calculateRollingTrend(recentMatches.reverse(), window, points);
+    
+    res.json({
+      success: true,
+      bucket,
+      window,
+      buckets,
+      rolling
+    });
+    
+  } catch (error) {
+    console.error('❌ Get trends error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trends'
+    });
+  }
+});
+
+// Get my matches (filter, sort and paginate)
+const MATCH_LIST_QUERY = {
+  fields: {
+    ...MATCH_FILTER_FIELDS,
+    sort: field.enum(MATCH_SORT_FIELDS, { default: 'date', label: 'Sort' }),
+    order: field.enum(['asc', 'desc'], { default: 'desc', label: 'Order' }),
+    page: field.integer({ min: 1, default: 1, label: 'Page' }),
+    limit: field.integer({ min: 1, max: 100, default: 20, label: 'Limit' })
+  }
+};
+
+app.get('/api/user/me/matches', authenticateToken, validate({ query: MATCH_LIST_QUERY }), async (req, res) => {
+  try {
+    const { sort, order, page, limit } = req.validated.query;
+    const filter = buildMatchFilter(req.user.id, req.validated.query);
+    
+    const direction = order === 'asc' ? 1 : -1;
+    
+    const [matches, total] = await Promise.all([
+      Match.find(filter)
+        .sort({ [sort]: direction, createdAt: direction })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Match.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      matches,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Get matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching matches'
+    });
+  }
+});
+
+// Add new match
+app.post('/api/user/me/matches', authenticateToken, validate({ body: MATCH_BODY }), async (req, res) => {
+  try {
+    const linkErrors = await checkTournamentLink(req.user.id, req.validated.body);
+    if (linkErrors.length > 0) {
+      return sendValidationError(res, linkErrors.map(error => ({ ...error, location: 'body' })));
+    }
+    
+    // Create match
+    const match = new Match({
+      userId: req.user.id,
+      ...buildMatchData(req.validated.body)
+    });
+    
+    await match.save();
+    
+    // Add the match to the user's stats
+    const user = await applyMatchStats(req.user.id, { add: [match] });
+    const updatedStats = getStoredStats(user);
+    const achievements = await awardNewAchievements(req.user.id);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Match added successfully!',
+      match,
+      updatedStats,
+      achievements
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    console.error('❌ Add match error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding match',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Import matches from CSV
+// dryRun: true validates every row and returns a preview without saving
+// partial: true imports the valid rows and skips the invalid ones
+const IMPORT_BODY = {
+  fields: {
+    csv: field.string({ required: true, trim: false, label: 'CSV content' }),
+    mapping: field.object({ label: 'Column mapping' }),
+    dateFormat: field.enum(CSV_DATE_FORMATS, { default: 'auto', label: 'Date format' }),
+    dryRun: field.boolean({ default: false, label: 'Dry run' }),
+    partial: field.boolean({ default: false, label: 'Partial' })
+  }
+};
+
+app.post('/api/user/me/matches/import', authenticateToken, validate({ body: IMPORT_BODY }), async (req, res) => {
+  try {
+    const { csv, mapping: requestedMapping, dateFormat, dryRun, partial } = req.validated.body;
+    
+    // A file of only blank lines parses to nothing, not even a header row
+    const [headerCells = [], ...dataRows] = parseCsv(csv.replace(/^\uFEFF/, ''));
+    
+    if (dataRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV has no data rows'
+      });
+    }
+    
+    const headers = headerCells.map(header => header.trim());
+    
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV can have at most ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+    
+    const mapping = resolveCsvMapping(headers, requestedMapping);
+    
+    const rows = dataRows.map((cells, index) => ({
+      // Line number in the file (header is line 1)
+      line: index + 2,
+      ...validateCsvRow(cells, headers, mapping, dateFormat)
+    }));
+    const invalidRows = rows.filter(row => row.errors.length > 0);
+    const validRows = rows.filter(row => row.errors.length === 0);
+    
+    const summary = {
+      total: rows.length,
+      valid: validRows.length,
+      invalid: invalidRows.length
+    };
+    
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        headers,
+        mapping,
+        summary,
+        rows
+      });
+    }
+    
+    if (invalidRows.length > 0 && !partial) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidRows.length} row${invalidRows.length !== 1 ? 's have' : ' has'} errors. Fix them or import the valid rows only.`,
+        summary,
+        rows: invalidRows
+      });
+    }
+    
+    if (validRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid rows to import',
+        summary,
+        rows: invalidRows
+      });
+    }
+    
+    // Insert in one batch, then update stats once
+    const matches = await Match.insertMany(
+      validRows.map(row => ({ userId: req.user.id, ...row.data }))
+    );
+    
+    const user = await applyMatchStats(req.user.id, { add: matches });
+    const achievements = await awardNewAchievements(req.user.id);
+    
+    res.status(201).json({
+      success: true,
+      message: `Imported ${matches.length} match${matches.length !== 1 ? 'es' : ''}!`,
+      summary,
+      skipped: invalidRows,
+      updatedStats: getStoredStats(user),
+      achievements
+    });
+    
+  } catch (error) {
+    console.error('❌ Import matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing matches',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Export my matches as CSV or JSON (streamed, oldest first)
+const EXPORT_QUERY = {
+  fields: {
+    ...MATCH_FILTER_FIELDS,
+    format: field.enum(['csv', 'json'], { default: 'csv', label: 'Format' })
+  }
+};
+
+app.get('/api/user/me/matches/export', authenticateToken, validate({ query: EXPORT_QUERY }), async (req, res) => {
+  try {
+    const { format } = req.validated.query;
+    const filter = buildMatchFilter(req.user.id, req.validated.query);
+    
+    const cursor = Match.find(filter).sort({ date: 1, createdAt: 1 }).cursor();
+    const filename = `nolu-matches-${new Date().toISOString().split('T')[0]}.${format}`;
+    
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    // pipeline respects backpressure so large histories don't buffer in memory,
+    // and stops reading (closing the cursor) if the client goes away mid-export
+    async function* exportChunks() {
+      yield format === 'csv' ? toCsvRow(MATCH_CSV_FIELDS) : '[';
+      
+      let first = true;
+      for await (const match of cursor) {
+        const record = matchToExportRecord(match);
+        if (format === 'csv') {
+          yield toCsvRow(MATCH_CSV_FIELDS.map(field => record[field]));
+        } else {
+          yield (first ? '\n  ' : ',\n  ') + JSON.stringify(record);
+        }
+        first = false;
+      }
+      
+      if (format === 'json') {
+        yield first ? ']' : '\n]';
+      }
+    }
+    
+    try {
+      await pipeline(exportChunks, res);
+    } finally {
+      await cursor.close();
+    }
+    
+  } catch (error) {
+    // The client closed the connection; there's nobody left to answer
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+    
+    console.error('❌ Export matches error:', error);
+    
+    // Headers are gone once streaming started; all we can do is cut the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting matches'
+    });
+  }
+});
+
+// Get one of my matches, with its round log
+app.get('/api/user/me/matches/:id', authenticateToken, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const match = await Match.findOne({
+      _id: req.validated.params.id,
+      userId: req.user.id
+    });
+    
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      match
+    });
+    
+  } catch (error) {
+    console.error('❌ Get match error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching match'
+    });
+  }
+});
+
+// Update match (PUT replaces every field, PATCH merges onto the stored match)
+const updateMatch = (partial) => async (req, res) => {
+  try {
+    const match = await Match.findOne({
+      _id: req.validated.params.id,
+      userId: req.user.id
+    });
+    
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+    
+    // A shared match comes from its scoreboard, so that's where it gets changed
+    if (match.sharedMatchId) {
+      return res.status(409).json({
+        success: false,
+        message: 'This match comes from a shared scoreboard; edit the scoreboard instead',
+        sharedMatchId: match.sharedMatchId
+      });
+    }
+    
+    // The body can only be checked once PATCH has merged it onto the stored match
+    let input = req.body;
+    if (partial) {
+      const stored = match.toObject();
+      // A new round log brings its own totals, so the stored ones aren't carried over
+      if (hasRoundLog(req.body || {})) {
+        Object.keys(ROUND_LOG_TOTALS).forEach(field => delete stored[field]);
+      }
+      input = { ...stored, tournamentId: match.tournamentId ? String(match.tournamentId) : null, ...req.body };
+    }
+    
+    const { value, errors } = validateFields(input, MATCH_BODY);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors.map(error => ({ ...error, location: 'body' })));
+    }
+    
+    const linkErrors = await checkTournamentLink(req.user.id, value, match._id);
+    if (linkErrors.length > 0) {
+      return sendValidationError(res, linkErrors.map(error => ({ ...error, location: 'body' })));
+    }
+    
+    // The edited match may no longer earn its achievements; they're re-checked below
+    const matchData = { ...buildMatchData(value), achievements: [] };
+    
+    // Swap in the new values atomically, keeping the old ones to reverse their stats
+    const previous = await Match.findOneAndUpdate(
+      { _id: match._id, userId: req.user.id },
+      matchData,
+      { runValidators: true }
+    );
+    
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+    
+    match.set(matchData);
+    
+    // Replace the old match values with the new ones in the user's stats
+    const user = await applyMatchStats(req.user.id, { add: [match], remove: [previous] });
+    const updatedStats = getStoredStats(user);
+    const achievements = await awardNewAchievements(req.user.id);
+    match.achievements = achievements.filter(({ match: earnedBy }) => earnedBy.id.equals(match._id)).map(({ key }) => key);
+    
+    res.json({
+      success: true,
+      message: 'Match updated successfully!',
+      match,
+      updatedStats,
+      achievements
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    console.error('❌ Update match error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating match',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+app.put('/api/user/me/matches/:id', authenticateToken, validate({ params: ID_PARAMS }), updateMatch(false));
+app.patch('/api/user/me/matches/:id', authenticateToken, validate({ params: ID_PARAMS }), updateMatch(true));
+
+// Delete match
+app.delete('/api/user/me/matches/:id', authenticateToken, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const match = await Match.findOneAndDelete({
+      _id: req.validated.params.id,
+      userId: req.user.id
+    });
+    
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+    
+    // Deleting a shared match takes the player off the scoreboard's confirmed list
+    if (match.sharedMatchId) {
+      await SharedMatch.updateOne(
+        { _id: match.sharedMatchId },
+        { $set: { 'teams.$[].players.$[row].status': 'declined', 'teams.$[].players.$[row].matchId': null } },
+        { arrayFilters: [{ 'row.userId': match.userId }] }
+      );
+    }
+    
+    // Remove the match from the user's stats; what it earned may pass to another match
+    const user = await applyMatchStats(req.user.id, { remove: [match] });
+    const updatedStats = getStoredStats(user);
+    const achievements = await awardNewAchievements(req.user.id);
+    
+    res.json({
+      success: true,
+      message: 'Match deleted successfully!',
+      updatedStats,
+      achievements
+    });
+    
+  } catch (error) {
+    console.error('❌ Delete match error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting match'
+    });
+  }
+});
+
+// Update privacy
+const PRIVACY_BODY = {
+  fields: { isPublic: field.boolean({ required: true, label: 'isPublic' }) }
+};
+
+app.put('/api/user/me/privacy', authenticateToken, validate({ body: PRIVACY_BODY }), async (req, res) => {
+  try {
+    const { isPublic } = req.validated.body;
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    user.isPublic = isPublic;
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: `Profile is now ${isPublic ? 'public' : 'private'}`,
+      isPublic: user.isPublic
+    });
+    
+  } catch (error) {
+    console.error('❌ Update privacy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating privacy'
+    });
+  }
+});
+
+// Update which match types count toward public headline stats
+const PUBLIC_MATCH_TYPES_BODY = {
+  fields: {
+    publicMatchTypes: field.array(field.enum(MATCH_TYPES), {
+      required: true,
+      minItems: 1,
+      label: 'publicMatchTypes'
+    })
+  }
+};
+
+app.put('/api/user/me/privacy/match-types', authenticateToken, validate({ body: PUBLIC_MATCH_TYPES_BODY }), async (req, res) => {
+  try {
+    const { publicMatchTypes } = req.validated.body;
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Recalculate so the per-type stats exist for accounts created before the split
+    const updatedStats = await calculateUserStats(req.user.id);
+    user.set(updatedStats);
+    user.publicMatchTypes = [...new Set(publicMatchTypes)];
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: `Public stats now count: ${user.publicMatchTypes.join(', ')}`,
+      publicMatchTypes: user.publicMatchTypes
+    });
+    
+  } catch (error) {
+    console.error('❌ Update public match types error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating public match types'
+    });
+  }
+});
+
+// Get privacy
+app.get('/api/user/me/privacy', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      isPublic: user.isPublic,
+      publicMatchTypes: user.publicMatchTypes
+    });
+    
+  } catch (error) {
+    console.error('❌ Get privacy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching privacy settings'
+    });
+  }
+});
+
+// List the players I follow (private ones are listed without stats)
+app.get('/api/user/me/following', authenticateToken, async (req, res) => {
+  try {
+    const follows = await Follow.find({ followerId: req.user.id }).sort({ createdAt: -1 });
+    const players = await User.find({ _id: { $in: follows.map(follow => follow.followingId) } })
+      .select(`userId username isPublic publicMatchTypes matchTypeStats ${STAT_FIELDS.join(' ')}`);
+    const playersById = new Map(players.map(player => [String(player._id), player]));
+    
+    const following = follows
+      .map(follow => ({ follow, player: playersById.get(String(follow.followingId)) }))
+      .filter(({ player }) => player)
+      .map(({ follow, player }) => {
+        const stats = player.isPublic && getPublicStats(player);
+        return {
+          userId: player.userId,
+          username: player.username,
+          isPublic: player.isPublic,
+          followedAt: follow.createdAt,
+          stats: stats ? {
+            kdRatio: stats.kdRatio,
+            winPercentage: stats.winPercentage,
+            totalGames: stats.totalGames
+          } : null
+        };
+      });
+    
+    res.json({
+      success: true,
+      count: following.length,
+      following
+    });
+    
+  } catch (error) {
+    console.error('❌ Get following error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching followed players'
+    });
+  }
+});
+
+// Follow a public player
+app.put('/api/user/me/following/:userId', authenticateToken, validate({ params: USER_ID_SCHEMA }), async (req, res) => {
+  try {
+    const target = await User.findOne({ userId: req.validated.params.userId });
+    
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+    
+    if (String(target._id) === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You can't follow yourself"
+      });
+    }
+    
+    if (!target.isPublic) {
+      return res.status(403).json({
+        success: false,
+        message: 'This player profile is private'
+      });
+    }
+    
+    // Following twice is a no-op
+    await Follow.updateOne(
+      { followerId: req.user.id, followingId: target._id },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+    
+    res.json({
+      success: true,
+      message: `You are now following ${target.username}`,
+      following: true
+    });
+    
+  } catch (error) {
+    // Two follows racing each other: the other one won, which is fine
+    if (error.code === 11000) {
+      return res.json({
+        success: true,
+        message: 'You are now following this player',
+        following: true
+      });
+    }
+    console.error('❌ Follow player error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error following player'
+    });
+  }
+});
+
+// Unfollow a player (works even if their profile has gone private)
+app.delete('/api/user/me/following/:userId', authenticateToken, validate({ params: USER_ID_SCHEMA }), async (req, res) => {
+  try {
+    const target = await User.findOne({ userId: req.validated.params.userId });
+    
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+    
+    await Follow.deleteOne({ followerId: req.user.id, followingId: target._id });
+    
+    res.json({
+      success: true,
+      message: `Unfollowed ${target.username}`,
+      following: false
+    });
+    
+  } catch (error) {
+    console.error('❌ Unfollow player error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unfollowing player'
+    });
+  }
+});
+
+// Recently added matches from the public players I follow, newest first
+const FEED_QUERY = {
+  fields: {
+    game: field.enum(GAME_NAMES, { label: 'Game' }),
+    page: field.integer({ min: 1, default: 1, label: 'Page' }),
+    limit: field.integer({ min: 1, max: 50, default: 20, label: 'Limit' })
+  }
+};
+
+app.get('/api/user/me/feed', authenticateToken, validate({ query: FEED_QUERY }), async (req, res) => {
+  try {
+    const { game, page, limit } = req.validated.query;
+    
+    const followingIds = await Follow.find({ followerId: req.user.id }).distinct('followingId');
+    const players = await User.find({ _id: { $in: followingIds }, isPublic: true }).select('userId username');
+    const playersById = new Map(players.map(player => [String(player._id), player]));
+    
+    const filter = {
+      userId: { $in: players.map(player => player._id) },
+      ...(game ? { game } : {})
+    };
+    
+    const [matches, total] = await Promise.all([
+      Match.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select(`userId ${PUBLIC_MATCH_FIELDS}`),
+      Match.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      feed: matches.map(match => {
+        const { userId, ...fields } = match.toJSON();
+        const player = playersById.get(String(userId));
+        return {
+          player: { userId: player.userId, username: player.username },
+          match: fields
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Get feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching feed'
+    });
+  }
+});
+
+// Download my account archive (profile, settings and every match)
+app.get('/api/user/me/archive', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const archive = await buildAccountArchive(user);
+    const filename = `nolu-archive-${user.userId}-${new Date().toISOString().split('T')[0]}.json`;
+    
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(archive);
+    
+  } catch (error) {
+    console.error('❌ Export archive error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting account archive'
+    });
+  }
+});
+
+// Restore an account archive into my account
+// conflict: 'skip' ignores archived matches already in my history, 'keep' adds them anyway,
+// 'replace' deletes my current matches first. restoreProfile also applies username and settings.
+const ARCHIVE_RESTORE_BODY = {
+  fields: {
+    archive: field.object({ required: true, label: 'Archive' }),
+    conflict: field.enum(ARCHIVE_CONFLICT_MODES, { default: 'skip', label: 'Conflict mode' }),
+    restoreProfile: field.boolean({ default: false, label: 'restoreProfile' })
+  }
+};
+
+app.post('/api/user/me/archive/restore', authenticateToken, validate({ body: ARCHIVE_RESTORE_BODY }), async (req, res) => {
+  try {
+    const { conflict, restoreProfile } = req.validated.body;
+    
+    // The archive's own structure is checked against its version
+    const { archive, error } = readAccountArchive(req.validated.body.archive);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Validate every archived match before touching anything
+    const records = archive.matches.map((record, index) => ({
+      index,
+      createdAt: record.createdAt,
+      ...validateMatchRecord(record, 'YYYY-MM-DD')
+    }));
+    const invalidRecords = records.filter(record => record.errors.length > 0);
+    
+    if (invalidRecords.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidRecords.length} archived match${invalidRecords.length !== 1 ? 'es are' : ' is'} invalid`,
+        invalid: invalidRecords.map(({ index, errors }) => ({ index, errors }))
+      });
+    }
+    
+    let toInsert = records;
+    let skipped = 0;
+    let kept = 0;
+    
+    if (conflict === 'skip') {
+      const existing = await Match.find({ userId: req.user.id });
+      const fingerprints = new Set(existing.map(matchFingerprint));
+      toInsert = records.filter(record => !fingerprints.has(matchFingerprint(record.data)));
+      skipped = records.length - toInsert.length;
+    } else if (conflict === 'replace') {
+      // Matches from a shared scoreboard or logged for a tournament stay: the
+      // scoreboard and the bracket point at them. Their archived copies are skipped.
+      const linked = await Match.find({
+        userId: req.user.id,
+        $or: [{ sharedMatchId: { $ne: null } }, { tournamentId: { $ne: null } }]
+      });
+      await Match.deleteMany({ userId: req.user.id, sharedMatchId: null, tournamentId: null });
+      
+      const fingerprints = new Set(linked.map(matchFingerprint));
+      toInsert = records.filter(record => !fingerprints.has(matchFingerprint(record.data)));
+      skipped = records.length - toInsert.length;
+      kept = linked.length;
+    }
+    
+    const matches = await Match.insertMany(toInsert.map(({ data, createdAt }) => ({
+      userId: req.user.id,
+      ...data,
+      ...(createdAt && !isNaN(new Date(createdAt)) ? { createdAt: new Date(createdAt) } : {})
+    })));
+    
+    if (restoreProfile) {
+      const { profile = {}, settings = {} } = archive;
+      if (typeof profile.username === 'string' && profile.username.trim()) {
+        user.username = profile.username;
+      }
+      if (typeof settings.isPublic === 'boolean') {
+        user.isPublic = settings.isPublic;
+      }
+      if (Array.isArray(settings.publicMatchTypes) && settings.publicMatchTypes.length > 0 &&
+          settings.publicMatchTypes.every(type => MATCH_TYPES.includes(type))) {
+        user.publicMatchTypes = settings.publicMatchTypes;
+      }
+      await user.save();
+    }
+    
+    // Rebuild stats from scratch: 'replace' removed matches the counters still include
+    const updatedStats = await calculateUserStats(req.user.id);
+    const updatedUser = await User.findByIdAndUpdate(req.user.id, updatedStats, { new: true });
+    await evaluateGoals(req.user.id);
+    await awardNewAchievements(req.user.id);
+    
+    res.json({
+      success: true,
+      message: `Archive restored successfully: ${matches.length} match${matches.length !== 1 ? 'es' : ''} added${skipped ? `, ${skipped} already in your history skipped` : ''}${kept ? `, ${kept} linked to a shared scoreboard or tournament kept` : ''}`,
+      restored: matches.length,
+      skipped,
+      kept,
+      updatedStats: getStoredStats(updatedUser)
+    });
+    
+  } catch (error) {
+    console.error('❌ Restore archive error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring account archive',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Change my password (signs out every other session)
+const PASSWORD_CHANGE_BODY = {
+  fields: {
+    currentPassword: field.string({ required: true, trim: false, maxLength: 128, label: 'Current password' }),
+    newPassword: { ...NEW_PASSWORD_FIELD, label: 'New password' }
+  }
+};
+
+app.put('/api/user/me/password', authenticateToken, validate({ body: PASSWORD_CHANGE_BODY }), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.validated.body;
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+    if (!isValidPassword) {
+      // Not 401, which clients treat as an expired access token
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    
+    user.password = await hashPassword(newPassword);
+    await user.save();
+    
+    // Old tokens stop working everywhere; this device gets a fresh session
+    await Session.deleteMany({ userId: user._id });
+    await PasswordReset.deleteMany({ userId: user._id });
+    const { token, refreshToken } = await createSession(user, req);
+    
+    res.json({
+      success: true,
+      message: 'Password changed successfully! Other devices have been signed out.',
+      token,
+      refreshToken
+    });
+    
+  } catch (error) {
+    console.error('❌ Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password'
+    });
+  }
+});
+
+// Set or clear my recovery email
+// An empty email removes it
+const EMAIL_BODY = {
+  fields: { email: EMAIL_FIELD }
+};
+
+app.put('/api/user/me/email', authenticateToken, validate({ body: EMAIL_BODY }), async (req, res) => {
+  try {
+    const { email } = req.validated.body;
+    
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      email ? { email } : { $unset: { email: 1 } },
+      { new: true, runValidators: true }
+    );
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: email ? 'Recovery email saved successfully' : 'Recovery email removed successfully',
+      email: user.email || null
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    console.error('❌ Update email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating email'
+    });
+  }
+});
+
+// List my signed-in sessions
+app.get('/api/user/me/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({ userId: req.user.id, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 });
+    
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: describeDevice(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: String(session._id) === String(req.user.sid)
+      }))
+    });
+    
+  } catch (error) {
+    console.error('❌ Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+});
+
+// Logout everywhere (?keepCurrent=true signs out only the other devices)
+const REVOKE_SESSIONS_QUERY = {
+  fields: { keepCurrent: field.boolean({ default: false, label: 'keepCurrent' }) }
+};
+
+app.delete('/api/user/me/sessions', authenticateToken, validate({ query: REVOKE_SESSIONS_QUERY }), async (req, res) => {
+  try {
+    const { keepCurrent } = req.validated.query;
+    const filter = { userId: req.user.id };
+    if (keepCurrent) {
+      filter._id = { $ne: req.user.sid };
+    }
+    
+    const result = await Session.deleteMany(filter);
+    
+    res.json({
+      success: true,
+      message: keepCurrent
+        ? `Signed out ${result.deletedCount} other session${result.deletedCount !== 1 ? 's' : ''} successfully`
+        : 'Logged out everywhere successfully',
+      revoked: result.deletedCount
+    });
+    
+  } catch (error) {
+    console.error('❌ Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions'
+    });
+  }
+});
+
+// Revoke one session
+app.delete('/api/user/me/sessions/:id', authenticateToken, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const session = await Session.findOneAndDelete({
+      _id: req.validated.params.id,
+      userId: req.user.id
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      current: String(session._id) === String(req.user.sid)
+    });
+    
+  } catch (error) {
+    console.error('❌ Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session'
+    });
+  }
+});
+
+// Reset all stats (delete all matches)
+app.delete('/api/user/me/stats', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Delete all matches
+    await Match.deleteMany({ userId: req.user.id });
+    
+    // Reset user stats
+    user.kdRatio = 0;
+    user.damagePerRound = 0;
+    user.winPercentage = 0;
+    user.killsPerRound = 0;
+    user.wins = 0;
+    user.kills = 0;
+    user.deaths = 0;
+    user.assists = 0;
+    user.totalGames = 0;
+    user.totalRounds = 0;
+    user.totalDamage = 0;
+    user.matchTypeStats = Object.fromEntries(MATCH_TYPES.map(type => [type, {}]));
+    user.gameStats = Object.fromEntries(GAME_NAMES.map(game => [game, {}]));
+    
+    await user.save();
+    await evaluateGoals(req.user.id);
+    
+    res.json({
+      success: true,
+      message: 'All stats reset successfully!',
+      stats: {
+        kdRatio: 0,
+        damagePerRound: 0,
+        winPercentage: 0,
+        killsPerRound: 0,
+        wins: 0,
+        kills: 0,
+        deaths: 0,
+        assists: 0,
+        totalGames: 0,
+        totalRounds: 0,
+        totalDamage: 0
+      },
+      statsByMatchType: getMatchTypeStats(user)
+    });
+    
+  } catch (error) {
+    console.error('❌ Reset stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting stats'
+    });
+  }
+});
+
+// Delete account
+app.delete('/api/user/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Delete all matches, sessions and follows first
+    await Match.deleteMany({ userId: req.user.id });
+    await Session.deleteMany({ userId: req.user.id });
+    await Follow.deleteMany({ $or: [{ followerId: req.user.id }, { followingId: req.user.id }] });
+    await Team.deleteMany({ ownerId: req.user.id });
+    await Team.updateMany({ 'members.userId': req.user.id }, { $pull: { members: { userId: req.user.id } } });
+    // Tournaments they organize go; entries in ones that haven't started are withdrawn
+    const organized = await Tournament.find({ organizerId: req.user.id }).select('_id');
+    await Match.updateMany({ tournamentId: { $in: organized.map(({ _id }) => _id) } }, { tournamentId: null, tournamentSlot: null });
+    await Tournament.deleteMany({ organizerId: req.user.id });
+    await Tournament.updateMany(
+      { status: 'registration', 'participants.userId': req.user.id },
+      { $pull: { participants: { userId: req.user.id } } }
+    );
+    // Scoreboards they created go (other players keep their matches); their rows elsewhere are unlinked
+    const scoreboards = await SharedMatch.find({ createdBy: req.user.id }).select('_id');
+    await Match.updateMany({ sharedMatchId: { $in: scoreboards.map(({ _id }) => _id) } }, { sharedMatchId: null });
+    await SharedMatch.deleteMany({ createdBy: req.user.id });
+    await SharedMatch.updateMany(
+      { 'teams.players.userId': req.user.id },
+      {
+        $set: { 'teams.$[].players.$[row].userId': null, 'teams.$[].players.$[row].matchId': null },
+        $unset: { 'teams.$[].players.$[row].status': '' }
+      },
+      { arrayFilters: [{ 'row.userId': req.user.id }] }
+    );
+    await Goal.deleteMany({ userId: req.user.id });
+    
+    // Delete user
+    await User.findByIdAndDelete(req.user.id);
+    
+    res.json({
+      success: true,
+      message: 'Account deleted successfully!'
+    });
+    
+  } catch (error) {
+    console.error('❌ Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting account'
+    });
+  }
+});
+
+// ======================
+// TEAM ROUTES
+// ======================
+
+const TEAM_TAG_FIELD = field.string({
+  required: true,
+  pattern: /^[A-Za-z0-9]{2,5}$/,
+  patternMessage: 'must be 2-5 letters or numbers',
+  label: 'Team tag'
+});
+const TEAM_NAME_FIELD = field.string({ required: true, minLength: 2, maxLength: 40, label: 'Team name' });
+
+// Tags are stored uppercase, so match them that way whatever was typed
+const upperCaseTag = ({ tag }) => (tag ? { tag: tag.toUpperCase() } : {});
+
+const TEAM_PARAMS = {
+  fields: { tag: TEAM_TAG_FIELD },
+  prepare: upperCaseTag
+};
+
+const TEAM_MEMBER_PARAMS = {
+  fields: { tag: TEAM_TAG_FIELD, userId: USER_ID_SCHEMA.fields.userId },
+  prepare: upperCaseTag
+};
+
+// Load the team named by :tag onto req.team
+const loadTeam = async (req, res, next) => {
+  try {
+    req.team = await Team.findOne({ tag: req.validated.params.tag });
+    
+    if (!req.team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Load team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team'
+    });
+  }
+};
+
+// Only active members with one of `roles` get past this
+const requireTeamRole = (roles) => (req, res, next) => {
+  const member = findTeamMember(req.team, req.user.id);
+  
+  if (!member || member.status !== 'active' || !roles.includes(member.role)) {
+    return res.status(403).json({
+      success: false,
+      message: `Only the team ${roles.map(role => role.toLowerCase()).join(' or ')} can do that`
+    });
+  }
+  
+  req.teamMember = member;
+  next();
+};
+
+// A taken tag is a field error like any other
+const sendTeamTagTaken = (res) => res.status(409).json({
+  success: false,
+  message: 'Team tag is already taken',
+  errors: [{ field: 'tag', location: 'body', message: 'Team tag is already taken' }]
+});
+
+// Browse public teams (?query= matches the start of the name or tag)
+const TEAM_LIST_QUERY = {
+  fields: {
+    query: field.string({ maxLength: 40, label: 'Search query' }),
+    page: field.integer({ min: 1, default: 1, label: 'Page' }),
+    limit: field.integer({ min: 1, max: 50, default: 20, label: 'Limit' })
+  }
+};
+
+app.get('/api/teams', validate({ query: TEAM_LIST_QUERY }), async (req, res) => {
+  try {
+    const { query, page, limit } = req.validated.query;
+    
+    const filter = { isPublic: true };
+    if (query) {
+      const prefix = new RegExp(`^${escapeRegex(query)}`, 'i');
+      filter.$or = [{ name: prefix }, { tag: prefix }];
+    }
+    
+    const [teams, total] = await Promise.all([
+      Team.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Team.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      teams: teams.map(team => ({
+        name: team.name,
+        tag: team.tag,
+        members: team.members.filter(member => member.status === 'active').length
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ List teams error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching teams'
+    });
+  }
+});
+
+// Create a team; the creator becomes its owner
+const TEAM_BODY = {
+  fields: {
+    name: TEAM_NAME_FIELD,
+    tag: TEAM_TAG_FIELD,
+    isPublic: field.boolean({ default: true, label: 'isPublic' })
+  },
+  prepare: upperCaseTag
+};
+
+app.post('/api/teams', authenticateToken, validate({ body: TEAM_BODY }), async (req, res) => {
+  try {
+    const { name, tag, isPublic } = req.validated.body;
+    
+    if (await Team.exists({ tag })) {
+      return sendTeamTagTaken(res);
+    }
+    
+    const now = new Date();
+    const team = new Team({
+      name,
+      tag,
+      isPublic,
+      ownerId: req.user.id,
+      members: [{ userId: req.user.id, role: 'Owner', status: 'active', invitedAt: now, joinedAt: now }]
+    });
+    await team.save();
+    
+    res.status(201).json({
+      success: true,
+      message: `Team ${team.name} [${team.tag}] created!`,
+      team: await buildTeamView(team, req.user.id, {})
+    });
+    
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendTeamTagTaken(res);
+    }
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    console.error('❌ Create team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating team'
+    });
+  }
+});
+
+// My teams and pending invites
+app.get('/api/user/me/teams', authenticateToken, async (req, res) => {
+  try {
+    const teams = await Team.find({ 'members.userId': req.user.id }).sort({ name: 1 });
+    
+    const entries = teams.map(team => {
+      const member = findTeamMember(team, req.user.id);
+      return {
+        name: team.name,
+        tag: team.tag,
+        isPublic: team.isPublic,
+        role: member.role,
+        status: member.status,
+        members: team.members.filter(({ status }) => status === 'active').length
+      };
+    });
+    
+    res.json({
+      success: true,
+      teams: entries.filter(({ status }) => status === 'active'),
+      invites: entries.filter(({ status }) => status === 'invited')
+    });
+    
+  } catch (error) {
+    console.error('❌ Get my teams error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching teams'
+    });
+  }
+});
+
+// Team page: roster and aggregate stats (?matchType=&game=)
+app.get('/api/teams/:tag', optionalAuthenticate, validate({ params: TEAM_PARAMS, query: STATS_FILTER_QUERY }), loadTeam, async (req, res) => {
+  try {
+    const viewerId = req.user?.id || null;
+    
+    if (!canViewTeam(req.team, viewerId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This team is private'
+      });
+    }
+    
+    res.json({
+      success: true,
+      team: await buildTeamView(req.team, viewerId, req.validated.query)
+    });
+    
+  } catch (error) {
+    console.error('❌ Get team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team'
+    });
+  }
+});
+
+// Rename, re-tag or change team visibility (owner only)
+const TEAM_UPDATE_BODY = {
+  fields: {
+    name: { ...TEAM_NAME_FIELD, required: false },
+    tag: { ...TEAM_TAG_FIELD, required: false },
+    isPublic: field.boolean({ label: 'isPublic' })
+  },
+  prepare: upperCaseTag
+};
+
+app.put('/api/teams/:tag', authenticateToken, validate({ params: TEAM_PARAMS, body: TEAM_UPDATE_BODY }), loadTeam, requireTeamRole(['Owner']), async (req, res) => {
+  try {
+    const { name, tag, isPublic } = req.validated.body;
+    
+    if (tag && tag !== req.team.tag && await Team.exists({ tag })) {
+      return sendTeamTagTaken(res);
+    }
+    
+    if (name !== undefined) req.team.name = name;
+    if (tag !== undefined) req.team.tag = tag;
+    if (isPublic !== undefined) req.team.isPublic = isPublic;
+    await req.team.save();
+    
+    res.json({
+      success: true,
+      message: 'Team updated successfully',
+      team: await buildTeamView(req.team, req.user.id, {})
+    });
+    
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendTeamTagTaken(res);
+    }
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    console.error('❌ Update team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating team'
+    });
+  }
+});
+
+// Disband a team (owner only)
+app.delete('/api/teams/:tag', authenticateToken, validate({ params: TEAM_PARAMS }), loadTeam, requireTeamRole(['Owner']), async (req, res) => {
+  try {
+    await Team.deleteOne({ _id: req.team._id });
+    
+    res.json({
+      success: true,
+      message: `Team ${req.team.name} deleted`
+    });
+    
+  } catch (error) {
+    console.error('❌ Delete team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting team'
+    });
+  }
+});
+
+// Invite a player (owner or captain; only the owner can invite captains)
+const TEAM_INVITE_BODY = {
+  fields: {
+    userId: USER_ID_SCHEMA.fields.userId,
+    role: field.enum(TEAM_ROLES.filter(role => role !== 'Owner'), { default: 'Player', label: 'Role' })
+  }
+};
+
+app.post('/api/teams/:tag/invites', authenticateToken, validate({ params: TEAM_PARAMS, body: TEAM_INVITE_BODY }), loadTeam, requireTeamRole(TEAM_MANAGER_ROLES), async (req, res) => {
+  try {
+    const { userId, role } = req.validated.body;
+    
+    if (TEAM_MANAGER_ROLES.includes(role) && req.teamMember.role !== 'Owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team owner can invite captains'
+      });
+    }
+    
+    const invitee = await User.findOne({ userId });
+    
+    if (!invitee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+    
+    const existing = findTeamMember(req.team, invitee._id);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.status === 'active'
+          ? `${invitee.username} is already on the team`
+          : `${invitee.username} has already been invited`
+      });
+    }
+    
+    if (req.team.members.length >= MAX_TEAM_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        message: `Teams can have at most ${MAX_TEAM_MEMBERS} members and invites`
+      });
+    }
+    
+    req.team.members.push({ userId: invitee._id, role, status: 'invited', invitedBy: req.user.id });
+    await req.team.save();
+    
+    res.status(201).json({
+      success: true,
+      message: `Invited ${invitee.username} as ${role}`
+    });
+    
+  } catch (error) {
+    console.error('❌ Invite team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error inviting player'
+    });
+  }
+});
+
+// Accept an invite to a team
+app.post('/api/teams/:tag/accept', authenticateToken, validate({ params: TEAM_PARAMS }), loadTeam, async (req, res) => {
+  try {
+    const member = findTeamMember(req.team, req.user.id);
+    
+    if (!member || member.status !== 'invited') {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending invite to this team'
+      });
+    }
+    
+    member.status = 'active';
+    member.joinedAt = new Date();
+    await req.team.save();
+    
+    res.json({
+      success: true,
+      message: `You joined ${req.team.name}!`
+    });
+    
+  } catch (error) {
+    console.error('❌ Accept team invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invite'
+    });
+  }
+});
+
+// Change a member's role (owner only). Making someone Owner hands the team
+// over to them and makes the old owner a captain.
+const TEAM_ROLE_BODY = {
+  fields: { role: field.enum(TEAM_ROLES, { required: true, label: 'Role' }) }
+};
+
+app.put('/api/teams/:tag/members/:userId', authenticateToken, validate({ params: TEAM_MEMBER_PARAMS, body: TEAM_ROLE_BODY }), loadTeam, requireTeamRole(['Owner']), async (req, res) => {
+  try {
+    const { role } = req.validated.body;
+    const user = await User.findOne({ userId: req.validated.params.userId });
+    const member = user && findTeamMember(req.team, user._id);
+    
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player is not on this team'
+      });
+    }
+    
+    if (member === req.teamMember) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hand the team to another member to change your own role'
+      });
+    }
+    
+    if (role === 'Owner') {
+      if (member.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only members who have joined can own the team'
+        });
+      }
+      req.teamMember.role = 'Captain';
+      req.team.ownerId = user._id;
+    }
+    
+    member.role = role;
+    await req.team.save();
+    
+    res.json({
+      success: true,
+      message: role === 'Owner'
+        ? `${user.username} now owns ${req.team.name}`
+        : `${user.username} is now ${role}`
+    });
+    
+  } catch (error) {
+    console.error('❌ Update team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating member'
+    });
+  }
+});
+
+// Remove a member or cancel an invite. Anyone can remove themselves (leave or
+// decline); the owner can remove anyone else, captains only non-managers.
+app.delete('/api/teams/:tag/members/:userId', authenticateToken, validate({ params: TEAM_MEMBER_PARAMS }), loadTeam, async (req, res) => {
+  try {
+    const user = await User.findOne({ userId: req.validated.params.userId });
+    const member = user && findTeamMember(req.team, user._id);
+    
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player is not on this team'
+      });
+    }
+    
+    const isSelf = String(user._id) === String(req.user.id);
+    
+    if (isSelf && member.role === 'Owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Hand the team to another member or delete it before leaving'
+      });
+    }
+    
+    if (!isSelf) {
+      const actor = findTeamMember(req.team, req.user.id);
+      const allowed = actor && actor.status === 'active' && (
+        actor.role === 'Owner' ||
+        (actor.role === 'Captain' && !TEAM_MANAGER_ROLES.includes(member.role))
+      );
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "You can't remove this member"
+        });
+      }
+    }
+    
+    req.team.members = req.team.members.filter(entry => entry !== member);
+    await req.team.save();
+    
+    res.json({
+      success: true,
+      message: isSelf
+        ? (member.status === 'active' ? `You left ${req.team.name}` : 'Invite declined')
+        : `${user.username} was removed from the team`
+    });
+    
+  } catch (error) {
+    console.error('❌ Remove team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing member'
+    });
+  }
+});
+
+// ======================
+// TOURNAMENT ROUTES
+// ======================
+
+const TOURNAMENT_PARAMS = {
+  fields: { id: field.objectId({ required: true, label: 'Tournament ID' }) }
+};
+
+// Load the tournament named by :id onto req.tournament
+const loadTournament = async (req, res, next) => {
+  try {
+    req.tournament = await Tournament.findById(req.validated.params.id);
+    
+    if (!req.tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Load tournament error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tournament'
+    });
+  }
+};
+
+// A concurrent change to the tournament was saved first (see optimisticConcurrency)
+const sendTournamentConflict = (res) => res.status(409).json({
+  success: false,
+  message: 'The tournament changed at the same time, please reload and try again'
+});
+
+const requireOrganizer = (req, res, next) => {
+  if (String(req.tournament.organizerId) !== String(req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the tournament organizer can do that'
+    });
+  }
+  next();
+};
+
+// Browse tournaments, newest first
+const TOURNAMENT_LIST_QUERY = {
+  fields: {
+    query: field.string({ maxLength: 60, label: 'Search query' }),
+    status: field.enum(TOURNAMENT_STATUSES, { label: 'Status' }),
+    game: field.enum(GAME_NAMES, { label: 'Game' }),
+    page: field.integer({ min: 1, default: 1, label: 'Page' }),
+    limit: field.integer({ min: 1, max: 50, default: 20, label: 'Limit' })
+  }
+};
+
+app.get('/api/tournaments', validate({ query: TOURNAMENT_LIST_QUERY }), async (req, res) => {
+  try {
+    const { query, status, game, page, limit } = req.validated.query;
+    
+    const filter = {};
+    if (query) filter.name = new RegExp(escapeRegex(query), 'i');
+    if (status) filter.status = status;
+    if (game) filter.game = game;
+    
+    const [tournaments, total] = await Promise.all([
+      Tournament.find(filter)
+        .sort({ startDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-slots'),
+      Tournament.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      tournaments: tournaments.map(tournamentSummary),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ List tournaments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tournaments'
+    });
+  }
+});
+
+// Create a tournament; it opens for registration and the creator organizes it
+const TOURNAMENT_NAME_FIELD = field.string({ required: true, minLength: 3, maxLength: 60, label: 'Tournament name' });
+
+// Setup that is fixed once the bracket has been generated
+const TOURNAMENT_SETUP_FIELDS = {
+  game: field.enum(GAME_NAMES, { required: true, label: 'Game' }),
+  format: field.enum(TOURNAMENT_FORMATS, { required: true, label: 'Format' }),
+  participantType: field.enum(['player', 'team'], { default: 'player', label: 'Participant type' }),
+  maxParticipants: field.integer({ min: 2, max: MAX_TOURNAMENT_PARTICIPANTS, default: 16, label: 'Max participants' }),
+  swissRounds: field.integer({ min: 1, max: 10, label: 'Swiss rounds' })
+};
+
+// Dates have to be in order and the cap has to fit the format
+const TOURNAMENT_RULES = [
+  ({ startDate, endDate }) => (
+    startDate && endDate && endDate < startDate
+      ? [{ field: 'endDate', message: 'End date must be on or after the start date' }]
+      : []
+  ),
+  ({ format, maxParticipants }) => (
+    format && maxParticipants && maxParticipants < MIN_TOURNAMENT_PARTICIPANTS[format]
+      ? [{ field: 'maxParticipants', message: `A ${format} tournament needs room for at least ${MIN_TOURNAMENT_PARTICIPANTS[format]} participants` }]
+      : []
+  )
+];
+
+const TOURNAMENT_BODY = {
+  fields: {
+    name: TOURNAMENT_NAME_FIELD,
+    ...TOURNAMENT_SETUP_FIELDS,
+    startDate: field.date({ required: true, label: 'Start date' }),
+    endDate: field.date({ label: 'End date' })
+  },
+  rules: TOURNAMENT_RULES
+};
+
+app.post('/api/tournaments', authenticateToken, validate({ body: TOURNAMENT_BODY }), async (req, res) => {
+  try {
+    const tournament = new Tournament({
+      ...req.validated.body,
+      organizerId: req.user.id
+    });
+    await tournament.save();
+    
+    res.status(201).json({
+      success: true,
+      message: `${tournament.name} is open for registration!`,
+      tournament: await buildTournamentView(tournament, req.user.id)
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    console.error('❌ Create tournament error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating tournament'
+    });
+  }
+});
+
+// Tournaments I organize or play in, with the slots I play in (for linking matches)
+app.get('/api/user/me/tournaments', authenticateToken, async (req, res) => {
+  try {
+    const tournaments = await Tournament.find({
+      $or: [{ organizerId: req.user.id }, { 'participants.members': req.user.id }]
+    }).sort({ startDate: -1 });
+    
+    res.json({
+      success: true,
+      tournaments: tournaments.map(tournament => {
+        const entry = findTournamentEntry(tournament, req.user.id);
+        const names = new Map(tournament.participants.map(participant => [String(participant._id), participant.name]));
+        
+        return {
+          ...tournamentSummary(tournament),
+          isOrganizer: String(tournament.organizerId) === String(req.user.id),
+          entry: entry ? { id: entry._id, name: entry.name, ...participantRun(tournament, entry._id) } : null,
+          slots: entry
+            ? tournament.slots
+              .filter(slot => slot.status !== 'bye' && slot.sides.some(side => String(side.participantId) === String(entry._id)))
+              .map(slot => {
+                const opponent = slot.sides.find(side => String(side.participantId) !== String(entry._id));
+                return {
+                  code: slot.code,
+                  label: slot.label,
+                  status: slot.status,
+                  opponent: (opponent.participantId && names.get(String(opponent.participantId))) || null
+                };
+              })
+            : []
+        };
+      })
+    });
+    
+  } catch (error) {
+    console.error('❌ Get my tournaments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tournaments'
+    });
+  }
+});
+
+// A player's tournament runs with the matches they linked to each one
+app.get('/api/user/:userId/tournaments', loadPublicUser, async (req, res) => {
+  try {
+    const user = req.publicUser;
+    const tournaments = await Tournament.find({
+      'participants.members': user._id,
+      status: { $ne: 'registration' }
+    }).sort({ startDate: -1 });
+    
+    const matches = await Match.find({ userId: user._id, tournamentId: { $in: tournaments.map(({ _id }) => _id) } })
+      .sort({ date: 1 })
+      .select(`${PUBLIC_MATCH_FIELDS} tournamentId tournamentSlot`);
+    
+    res.json({
+      success: true,
+      tournaments: tournaments.map(tournament => {
+        const entry = findTournamentEntry(tournament, user._id);
+        return {
+          ...tournamentSummary(tournament),
+          entry: { id: entry._id, name: entry.name, ...participantRun(tournament, entry._id) },
+          matches: matches
+            .filter(match => String(match.tournamentId) === String(tournament._id))
+            .map(match => ({
+              ...match.toObject(),
+              slotLabel: findSlot(tournament, match.tournamentSlot)?.label || match.tournamentSlot
+            }))
+        };
+      })
+    });
+    
+  } catch (error) {
+    console.error('❌ Get player tournaments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tournaments'
+    });
+  }
+});
+
+// Tournament page: entries, bracket and (for leagues) the table
+app.get('/api/tournaments/:id', optionalAuthenticate, validate({ params: TOURNAMENT_PARAMS }), loadTournament, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tournament: await buildTournamentView(req.tournament, req.user?.id || null)
+    });
+    
+  } catch (error) {
+    console.error('❌ Get tournament error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tournament'
+    });
+  }
+});
+
+// Edit a tournament (organizer only). Name and dates can always change; the
+// game, format and entry settings only while registration is open.
+const TOURNAMENT_UPDATE_BODY = {
+  fields: {
+    name: { ...TOURNAMENT_NAME_FIELD, required: false },
+    ...Object.fromEntries(Object.entries(TOURNAMENT_SETUP_FIELDS).map(([name, rule]) => (
+      [name, { ...rule, required: false, default: undefined }]
+    ))),
+    startDate: field.date({ label: 'Start date' }),
+    endDate: field.date({ label: 'End date' })
+  }
+};
+
+app.put('/api/tournaments/:id', authenticateToken, validate({ params: TOURNAMENT_PARAMS, body: TOURNAMENT_UPDATE_BODY }), loadTournament, requireOrganizer, async (req, res) => {
+  try {
+    const { tournament } = req;
+    const updates = req.validated.body;
+    
+    const setupChanges = Object.keys(TOURNAMENT_SETUP_FIELDS).filter(name => updates[name] !== undefined);
+    if (tournament.status !== 'registration' && setupChanges.length > 0) {
+      return sendValidationError(res, setupChanges.map(name => ({
+        field: name,
+        location: 'body',
+        message: `${TOURNAMENT_SETUP_FIELDS[name].label} can't change once the tournament has started`
+      })));
+    }
+    
+    if (updates.participantType && updates.participantType !== tournament.participantType && tournament.participants.length > 0) {
+      return sendValidationError(res, [{
+        field: 'participantType',
+        location: 'body',
+        message: 'Remove every entry before switching between players and teams'
+      }]);
+    }
+    
+    if (updates.maxParticipants && updates.maxParticipants < tournament.participants.length) {
+      return sendValidationError(res, [{
+        field: 'maxParticipants',
+        location: 'body',
+        message: `${tournament.participants.length} participants are already registered`
+      }]);
+    }
+    
+    // Check the result as a whole, so a new end date still has to follow the old start date
+    const merged = { ...tournament.toObject(), ...updates };
+    const errors = TOURNAMENT_RULES.flatMap(rule => rule(merged));
+    if (errors.length > 0) {
+      return sendValidationError(res, errors.map(error => ({ ...error, location: 'body' })));
+    }
+    
+    tournament.set(updates);
+    await tournament.save();
+    
+    res.json({
+      success: true,
+      message: 'Tournament updated successfully',
+      tournament: await buildTournamentView(tournament, req.user.id)
+    });
+    
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendTournamentConflict(res);
+    }
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    console.error('❌ Update tournament error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tournament'
+    });
+  }
+});
+
+// Delete a tournament (organizer only); logged matches stay but lose their link
+app.delete('/api/tournaments/:id', authenticateToken, validate({ params: TOURNAMENT_PARAMS }), loadTournament, requireOrganizer, async (req, res) => {
+  try {
+    await Match.updateMany({ tournamentId: req.tournament._id }, { tournamentId: null, tournamentSlot: null });
+    await Tournament.deleteOne({ _id: req.tournament._id });
+    
+    res.json({
+      success: true,
+      message: `${req.tournament.name} deleted`
     });
     
-    await user.save();
+  } catch (error) {
+    console.error('❌ Delete tournament error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tournament'
+    });
+  }
+});
+
+// Enter a tournament while registration is open: yourself, or (for team
+// tournaments) a team you own or captain, with its current roster
+const TOURNAMENT_ENTRY_BODY = {
+  fields: { teamTag: { ...TEAM_TAG_FIELD, required: false } }
+};
+
+app.post('/api/tournaments/:id/participants', authenticateToken, validate({ params: TOURNAMENT_PARAMS, body: TOURNAMENT_ENTRY_BODY }), loadTournament, async (req, res) => {
+  try {
+    const { tournament } = req;
     
-    // Generate token
-    const token = jwt.sign(
-      { 
-        userId: user.userId, 
-        id: user._id,
-        username: user.username 
-      },
-      process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-      { expiresIn: '24h' }
-    );
+    if (tournament.status !== 'registration') {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration for this tournament is closed'
+      });
+    }
+    
+    if (tournament.participants.length >= tournament.maxParticipants) {
+      return res.status(400).json({
+        success: false,
+        message: `${tournament.name} is full (${tournament.maxParticipants} participants)`
+      });
+    }
+    
+    let entry;
+    if (tournament.participantType === 'team') {
+      const { teamTag } = req.validated.body;
+      if (!teamTag) {
+        return sendValidationError(res, [{ field: 'teamTag', location: 'body', message: 'Pick the team to enter' }]);
+      }
+      
+      const team = await Team.findOne({ tag: teamTag.toUpperCase() });
+      const member = team && findTeamMember(team, req.user.id);
+      if (!member || member.status !== 'active' || !TEAM_MANAGER_ROLES.includes(member.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the team owner or captain can enter a team'
+        });
+      }
+      
+      entry = {
+        name: `${team.name} [${team.tag}]`,
+        teamId: team._id,
+        members: team.members.filter(({ status }) => status === 'active').map(({ userId }) => userId)
+      };
+    } else {
+      const user = await User.findById(req.user.id).select('username');
+      entry = { name: user.username, userId: user._id, members: [user._id] };
+    }
+    
+    // Nobody can play for two entries
+    const taken = entry.members.find(userId => findTournamentEntry(tournament, userId));
+    if (taken) {
+      return res.status(409).json({
+        success: false,
+        message: String(taken) === String(req.user.id)
+          ? `You are already playing in ${tournament.name}`
+          : `Someone on ${entry.name} is already playing in ${tournament.name}`
+      });
+    }
+    
+    tournament.participants.push(entry);
+    await tournament.save();
     
     res.status(201).json({
       success: true,
-      message: 'Account created successfully!',
-      token,
-      user: {
-        userId: user.userId,
-        username: user.username,
-        isPublic: user.isPublic,
-        stats: {
-          kdRatio: 0,
-          damagePerRound: 0,
-          winPercentage: 0,
-          killsPerRound: 0,
-          wins: 0,
-          kills: 0,
-          deaths: 0,
-          assists: 0,
-          totalGames: 0,
-          totalRounds: 0,
-          totalDamage: 0
-        }
-      }
+      message: `${entry.name} entered ${tournament.name}!`,
+      tournament: await buildTournamentView(tournament, req.user.id)
     });
     
   } catch (error) {
-    console.error('❌ Signup error:', error.message);
+    if (error.name === 'VersionError') {
+      return sendTournamentConflict(res);
+    }
+    console.error('❌ Enter tournament error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error entering tournament'
+    });
+  }
+});
+
+// Withdraw an entry while registration is open: the organizer, the player
+// themselves, or the entered team's owner or captain
+const TOURNAMENT_PARTICIPANT_PARAMS = {
+  fields: {
+    id: TOURNAMENT_PARAMS.fields.id,
+    participantId: field.objectId({ required: true, label: 'Participant ID' })
+  }
+};
+
+app.delete('/api/tournaments/:id/participants/:participantId', authenticateToken, validate({ params: TOURNAMENT_PARTICIPANT_PARAMS }), loadTournament, async (req, res) => {
+  try {
+    const { tournament } = req;
+    const entry = tournament.participants.id(req.validated.params.participantId);
     
-    if (error.code === 11000) {
-      return res.status(409).json({
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entry not found'
+      });
+    }
+    
+    if (tournament.status !== 'registration') {
+      return res.status(400).json({
+        success: false,
+        message: "Entries can't be withdrawn once the tournament has started"
+      });
+    }
+    
+    let allowed = String(tournament.organizerId) === String(req.user.id) || String(entry.userId) === String(req.user.id);
+    if (!allowed && entry.teamId) {
+      const team = await Team.findById(entry.teamId);
+      const member = team && findTeamMember(team, req.user.id);
+      allowed = Boolean(member && member.status === 'active' && TEAM_MANAGER_ROLES.includes(member.role));
+    }
+    
+    if (!allowed) {
+      return res.status(403).json({
         success: false,
-        message: 'User ID already exists'
+        message: "You can't withdraw this entry"
       });
     }
     
+    tournament.participants.pull(entry._id);
+    await tournament.save();
+    
+    res.json({
+      success: true,
+      message: `${entry.name} withdrew from ${tournament.name}`,
+      tournament: await buildTournamentView(tournament, req.user.id)
+    });
+    
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendTournamentConflict(res);
+    }
+    console.error('❌ Withdraw tournament entry error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during signup',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Error withdrawing entry'
     });
   }
 });
 
-// Login
-app.post('/api/login', async (req, res) => {
+// Close registration and generate the bracket (organizer only). Entries are
+// seeded in registration order unless shuffle is set; team rosters are locked in.
+const TOURNAMENT_START_BODY = {
+  fields: { shuffle: field.boolean({ default: false, label: 'shuffle' }) }
+};
+
+app.post('/api/tournaments/:id/start', authenticateToken, validate({ params: TOURNAMENT_PARAMS, body: TOURNAMENT_START_BODY }), loadTournament, requireOrganizer, async (req, res) => {
   try {
-    const { userId, password } = req.body;
+    const { tournament } = req;
     
-    if (!userId || !password) {
+    if (tournament.status !== 'registration') {
       return res.status(400).json({
         success: false,
-        message: 'User ID and password are required'
+        message: 'This tournament has already started'
       });
     }
     
-    // Find user
-    const user = await User.findOne({ userId });
-    if (!user) {
-      return res.status(401).json({
+    const minimum = MIN_TOURNAMENT_PARTICIPANTS[tournament.format];
+    if (tournament.participants.length < minimum) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        message: `A ${tournament.format} tournament needs at least ${minimum} participants`
       });
     }
     
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
+    if (tournament.participantType === 'team') {
+      const teams = await Team.find({ _id: { $in: tournament.participants.map(({ teamId }) => teamId) } });
+      tournament.participants.forEach(participant => {
+        const team = teams.find(({ _id }) => String(_id) === String(participant.teamId));
+        if (!team) return;
+        // Players who joined since entering count, unless they already play for another entry
+        participant.members = team.members
+          .filter(({ status, userId }) => status === 'active' && !tournament.participants.some(other => (
+            other !== participant && other.members.some(member => String(member) === String(userId))
+          )))
+          .map(({ userId }) => userId);
       });
     }
     
-    // Generate token
-    const token = jwt.sign(
-      { 
-        userId: user.userId, 
-        id: user._id,
-        username: user.username 
-      },
-      process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-      { expiresIn: '24h' }
-    );
+    startTournament(tournament, req.validated.body);
+    await tournament.save();
     
     res.json({
       success: true,
-      message: 'Login successful!',
-      token,
-      user: {
-        userId: user.userId,
-        username: user.username,
-        isPublic: user.isPublic,
-        stats: {
-          kdRatio: user.kdRatio,
-          damagePerRound: user.damagePerRound,
-          winPercentage: user.winPercentage,
-          killsPerRound: user.killsPerRound,
-          wins: user.wins,
-          kills: user.kills,
-          deaths: user.deaths,
-          assists: user.assists,
-          totalGames: user.totalGames,
-          totalRounds: user.totalRounds,
-          totalDamage: user.totalDamage
+      message: `${tournament.name} has started!`,
+      tournament: await buildTournamentView(tournament, req.user.id)
+    });
+    
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendTournamentConflict(res);
+    }
+    console.error('❌ Start tournament error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting tournament'
+    });
+  }
+});
+
+// Report a slot's result (scores for side A and B), which moves the bracket on.
+// The organizer or anyone playing in the slot can report; only the organizer can
+// correct a result, and only before the slots it leads to are decided.
+const SLOT_PARAMS = {
+  fields: {
+    id: TOURNAMENT_PARAMS.fields.id,
+    code: field.string({ required: true, maxLength: 10, label: 'Slot' })
+  }
+};
+
+const SLOT_RESULT_BODY = {
+  fields: {
+    scoreA: field.integer({ required: true, min: 0, max: MAX_MATCH_ROUNDS, label: 'Score A' }),
+    scoreB: field.integer({ required: true, min: 0, max: MAX_MATCH_ROUNDS, label: 'Score B' })
+  }
+};
+
+app.put('/api/tournaments/:id/slots/:code', authenticateToken, validate({ params: SLOT_PARAMS, body: SLOT_RESULT_BODY }), loadTournament, async (req, res) => {
+  try {
+    const { scoreA, scoreB } = req.validated.body;
+    let { tournament } = req;
+    let slot;
+    
+    for (let attempt = 1; ; attempt++) {
+      slot = findSlot(tournament, req.validated.params.code);
+      
+      if (!slot) {
+        return res.status(404).json({
+          success: false,
+          message: 'Bracket slot not found'
+        });
+      }
+      
+      const isOrganizer = String(tournament.organizerId) === String(req.user.id);
+      
+      // Once it's over only the organizer can still correct a result (e.g. a wrong final score)
+      if (tournament.status === 'registration' || (tournament.status === 'completed' && !isOrganizer)) {
+        return res.status(400).json({
+          success: false,
+          message: tournament.status === 'registration'
+            ? "The bracket hasn't been drawn yet"
+            : 'This tournament is over'
+        });
+      }
+      
+      if (slot.status === 'pending' || slot.status === 'bye') {
+        return res.status(400).json({
+          success: false,
+          message: slot.status === 'bye' ? 'Byes have no result to report' : `${slot.label} is still waiting for its participants`
+        });
+      }
+      
+      const entry = findTournamentEntry(tournament, req.user.id);
+      const playsInSlot = entry && slot.sides.some(side => String(side.participantId) === String(entry._id));
+      
+      if (!isOrganizer && !playsInSlot) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the organizer or the players in this slot can report its result'
+        });
+      }
+      
+      if (slot.status === 'completed') {
+        const latestRound = Math.max(...tournament.slots.map(({ round }) => round));
+        const decided = decidedDownstream(tournament, slot);
+        const message = !isOrganizer
+          ? 'This result has been reported already; ask the organizer to correct it'
+          : decided.length > 0
+            ? `Can't correct this result: ${decided.join(', ')} already followed from it`
+            : tournament.format === 'swiss' && slot.round < latestRound
+              ? "Can't correct a result once the next Swiss round is paired"
+              : null;
+        
+        if (message) {
+          return res.status(409).json({
+            success: false,
+            message
+          });
+        }
+      }
+      
+      if (scoreA === scoreB && !isLeagueFormat(tournament.format)) {
+        return sendValidationError(res, [{ field: 'scoreB', location: 'body', message: "Elimination matches can't end in a draw" }]);
+      }
+      
+      recordSlotResult(tournament, slot, [scoreA, scoreB], req.user.id);
+      
+      try {
+        await tournament.save();
+        break;
+      } catch (error) {
+        // Another result was saved since this copy was loaded: redo it on a fresh one
+        if (error.name !== 'VersionError' || attempt >= 3) throw error;
+        tournament = await Tournament.findById(tournament._id);
+        if (!tournament) {
+          return res.status(404).json({
+            success: false,
+            message: 'Tournament not found'
+          });
         }
       }
+    }
+    
+    res.json({
+      success: true,
+      message: tournament.status === 'completed'
+        ? `${tournament.participants.id(tournament.winnerId).name} won ${tournament.name}!`
+        : `Result for ${slot.label} (${slot.code}) recorded`,
+      tournament: await buildTournamentView(tournament, req.user.id)
     });
     
   } catch (error) {
-    console.error('❌ Login error:', error);
+    if (error.name === 'VersionError') {
+      return sendTournamentConflict(res);
+    }
+    console.error('❌ Report tournament result error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Error reporting result'
     });
   }
 });
 
 // ======================
-// PUBLIC ROUTES
+// SHARED MATCH ROUTES
 // ======================
 
-// Search players (NEW ROUTE)
-app.get('/api/search/players', async (req, res) => {
+const SHARED_MATCH_PARAMS = {
+  fields: { id: field.objectId({ required: true, label: 'Scoreboard ID' }) }
+};
+
+// One scoreboard row: a linked player (their public ID), a name for anyone else, or both
+const SCOREBOARD_ROW_SCHEMA = {
+  fields: {
+    userId: field.string({ maxLength: 50, label: 'Player ID' }),
+    name: field.string({ maxLength: 50, label: 'Name' }),
+    agent: MATCH_SCHEMA.fields.agent,
+    kills: MATCH_SCHEMA.fields.kills,
+    deaths: MATCH_SCHEMA.fields.deaths,
+    assists: MATCH_SCHEMA.fields.assists,
+    damage: MATCH_SCHEMA.fields.damage
+  },
+  rules: [
+    ({ userId, name }) => (userId || name ? [] : [{ field: 'name', message: 'Give every player a name or a player ID' }])
+  ]
+};
+
+const SCOREBOARD_TEAM_SCHEMA = {
+  fields: {
+    roundsWon: MATCH_SCHEMA.fields.roundsWon,
+    players: field.array(field.object(), {
+      required: true,
+      minItems: 1,
+      maxItems: MAX_SCOREBOARD_TEAM_SIZE,
+      label: 'Players'
+    })
+  }
+};
+
+// Row fields whose MATCH_SCHEMA errors belong to the row; the rest are about the teams' rounds
+const SCOREBOARD_ROW_FIELDS = ['agent', 'kills', 'deaths', 'assists', 'damage'];
+
+// Check both teams of a scoreboard row by row. Every row also has to pass as a
+// match of its own (agent from the game's catalog, plausible kills and damage
+// for the rounds played). Errors point into the body, e.g. 'teams.1.players.0.kills'.
+// Returns { teams, errors }.
+const validateScoreboard = ({ game, date, time, matchType, map, teams }) => {
+  const errors = [];
+  const addError = (error) => {
+    if (!errors.some(({ field, message }) => field === error.field && message === error.message)) {
+      errors.push(error);
+    }
+  };
+  
+  const checkedTeams = teams.map((team, teamIndex) => {
+    const { value, errors: teamErrors } = validateFields(team, SCOREBOARD_TEAM_SCHEMA);
+    teamErrors.forEach(error => addError({ ...error, field: `teams.${teamIndex}.${error.field}` }));
+    return value;
+  });
+  if (errors.length > 0) return { teams: [], errors };
+  
+  const seen = new Set();
+  const checked = checkedTeams.map((team, teamIndex) => ({
+    roundsWon: team.roundsWon,
+    players: team.players.map((input, rowIndex) => {
+      const path = `teams.${teamIndex}.players.${rowIndex}`;
+      const { value: row, errors: rowErrors } = validateFields(input, SCOREBOARD_ROW_SCHEMA);
+      rowErrors.forEach(error => addError({ ...error, field: `${path}.${error.field}` }));
+      if (rowErrors.length > 0) return row;
+      
+      if (row.userId) {
+        if (seen.has(row.userId)) {
+          addError({ field: `${path}.userId`, message: `${row.userId} is on the scoreboard more than once` });
+        }
+        seen.add(row.userId);
+      }
+      
+      const roundsWon = team.roundsWon;
+      const roundsLost = checkedTeams[1 - teamIndex].roundsWon;
+      const asMatch = validateFields({
+        game, date, time, matchType, map,
+        outcome: scoreboardOutcome(roundsWon, roundsLost),
+        agent: row.agent,
+        roundsWon,
+        roundsLost,
+        damage: row.damage,
+        kills: row.kills,
+        deaths: row.deaths,
+        assists: row.assists
+      }, MATCH_SCHEMA);
+      asMatch.errors.forEach(error => {
+        if (SCOREBOARD_ROW_FIELDS.includes(error.field)) {
+          addError({ ...error, field: `${path}.${error.field}` });
+        } else if (['roundsWon', 'roundsLost', 'outcome'].includes(error.field)) {
+          addError({ ...error, field: 'teams' });
+        } else {
+          addError(error);
+        }
+      });
+      
+      return row;
+    })
+  }));
+  
+  return { teams: checked, errors };
+};
+
+// Game details as on a match, plus exactly two teams
+const SHARED_MATCH_BODY = {
+  fields: {
+    game: MATCH_SCHEMA.fields.game,
+    date: MATCH_SCHEMA.fields.date,
+    time: MATCH_SCHEMA.fields.time,
+    matchType: MATCH_SCHEMA.fields.matchType,
+    map: MATCH_SCHEMA.fields.map,
+    teams: field.array(field.object(), { required: true, minItems: 2, maxItems: 2, label: 'Teams' })
+  },
+  prepare: MATCH_SCHEMA.prepare,
+  rules: [
+    (value) => validateScoreboard(value).errors
+  ]
+};
+
+// A player can confirm in place of a copy of the same game they logged themselves
+const REPLACE_MATCH_FIELD = field.objectId({ label: 'Match to replace' });
+
+const SHARED_MATCH_CREATE_BODY = {
+  ...SHARED_MATCH_BODY,
+  fields: { ...SHARED_MATCH_BODY.fields, replaceMatchId: REPLACE_MATCH_FIELD }
+};
+
+// Where a player sits on a scoreboard: { teamIndex, row } or null
+const findScoreboardRow = (shared, userId) => {
+  for (const [teamIndex, team] of shared.teams.entries()) {
+    const row = team.players.find(player => player.userId && String(player.userId) === String(userId));
+    if (row) return { teamIndex, row };
+  }
+  return null;
+};
+
+// Swap the public player IDs on validated rows for users. Linked rows without
+// a name take the player's username. Returns { teams, errors }.
+const resolveScoreboardPlayers = async (teams) => {
+  const ids = teams.flatMap(team => team.players.map(row => row.userId)).filter(Boolean);
+  const users = await User.find({ userId: { $in: ids } }).select('userId username');
+  const byPublicId = new Map(users.map(user => [user.userId, user]));
+  const errors = [];
+  
+  const resolved = teams.map((team, teamIndex) => ({
+    roundsWon: team.roundsWon,
+    players: team.players.map((row, rowIndex) => {
+      if (!row.userId) return { ...row, userId: null };
+      
+      const user = byPublicId.get(row.userId);
+      if (!user) {
+        errors.push({ field: `teams.${teamIndex}.players.${rowIndex}.userId`, location: 'body', message: `Player ${row.userId} not found` });
+        return row;
+      }
+      return { ...row, userId: user._id, name: row.name || user.username };
+    })
+  }));
+  
+  return { teams: resolved, errors };
+};
+
+// The creator has to be one of the players on their own scoreboard
+const CREATOR_ROW_ERROR = {
+  field: 'teams',
+  location: 'body',
+  message: 'Add yourself to the scoreboard with your player ID'
+};
+
+// Look up a match the player wants to replace with their scoreboard line
+const findReplaceableMatch = (userId, matchId) => Match.findOne({ _id: matchId, userId, sharedMatchId: null });
+
+// Give a player their Match for their (saved) scoreboard row, optionally in
+// place of a copy they logged themselves. The row is claimed atomically first,
+// so a double submit can't create the match twice. Returns null if the row was
+// already confirmed or got declined meanwhile, else { match, user, achievements }.
+const confirmScoreboardRow = async (shared, userId, replaced = null) => {
+  const seat = findScoreboardRow(shared, userId);
+  const rowFilter = { arrayFilters: [{ 'row.userId': seat.row.userId }] };
+  
+  const claimed = await SharedMatch.updateOne(
+    { _id: shared._id, 'teams.players': { $elemMatch: { userId: seat.row.userId, status: { $ne: 'confirmed' } } } },
+    { $set: { 'teams.$[].players.$[row].status': 'confirmed' } },
+    rowFilter
+  );
+  if (claimed.modifiedCount === 0) return null;
+  
+  let match;
+  try {
+    match = await Match.create({ userId, ...scoreboardRowMatch(shared, seat.teamIndex, seat.row) });
+  } catch (error) {
+    // Hand the row back so the player can try again
+    await SharedMatch.updateOne({ _id: shared._id }, { $set: { 'teams.$[].players.$[row].status': seat.row.status } }, rowFilter);
+    throw error;
+  }
+  
+  // A decline in the meantime took the row back; the new match goes with it
+  const linked = await SharedMatch.updateOne(
+    { _id: shared._id, 'teams.players': { $elemMatch: { userId: seat.row.userId, status: 'confirmed', matchId: null } } },
+    { $set: { 'teams.$[].players.$[row].matchId': match._id } },
+    rowFilter
+  );
+  if (linked.matchedCount === 0) {
+    await Match.deleteOne({ _id: match._id });
+    return null;
+  }
+  seat.row.status = 'confirmed';
+  seat.row.matchId = match._id;
+  
+  // Only count the replaced copy out if this request is the one that deleted it
+  const removed = replaced && await Match.findOneAndDelete({ _id: replaced._id, userId, sharedMatchId: null });
+  const user = await applyMatchStats(userId, { add: [match], remove: removed ? [removed] : [] });
+  const achievements = await awardNewAchievements(userId);
+  
+  return { match, user, achievements };
+};
+
+// After a scoreboard edit, bring every confirmed player's match (and stats) in
+// line with it, and delete the matches of players who were taken off
+const syncScoreboardMatches = async (shared, removedRows) => {
+  for (const [teamIndex, team] of shared.teams.entries()) {
+    for (const row of team.players) {
+      if (row.status !== 'confirmed' || !row.matchId) continue;
+      
+      const matchData = { ...scoreboardRowMatch(shared, teamIndex, row), achievements: [] };
+      const previous = await Match.findOneAndUpdate({ _id: row.matchId, userId: row.userId }, matchData, { runValidators: true });
+      if (previous) {
+        await applyMatchStats(row.userId, { add: [{ ...previous.toObject(), ...matchData }], remove: [previous] });
+        await awardNewAchievements(row.userId);
+      }
+    }
+  }
+  
+  for (const row of removedRows) {
+    if (!row.matchId) continue;
+    
+    const match = await Match.findOneAndDelete({ _id: row.matchId, userId: row.userId });
+    if (match) {
+      await applyMatchStats(row.userId, { remove: [match] });
+      await awardNewAchievements(row.userId);
+    }
+  }
+};
+
+// List entry for a scoreboard, with the score from the viewer's side
+const sharedMatchSummary = (shared, viewerId) => {
+  const seat = findScoreboardRow(shared, viewerId);
+  const teamIndex = seat ? seat.teamIndex : 0;
+  const roundsWon = shared.teams[teamIndex].roundsWon;
+  const roundsLost = shared.teams[1 - teamIndex].roundsWon;
+  
+  return {
+    id: shared._id,
+    game: shared.game,
+    date: shared.date,
+    time: shared.time,
+    matchType: shared.matchType,
+    map: shared.map,
+    score: `${roundsWon}-${roundsLost}`,
+    outcome: scoreboardOutcome(roundsWon, roundsLost),
+    status: seat ? seat.row.status : null,
+    isCreator: String(shared.createdBy) === String(viewerId)
+  };
+};
+
+// Full scoreboard for a viewer, with linked rows showing the player's public ID
+const buildSharedMatchView = async (shared, viewerId) => {
+  const linked = shared.teams.flatMap(team => team.players.map(row => row.userId)).filter(Boolean);
+  const users = await User.find({ _id: { $in: [...linked, shared.createdBy] } }).select('userId username');
+  const byId = new Map(users.map(user => [String(user._id), user]));
+  const creator = byId.get(String(shared.createdBy));
+  const seat = findScoreboardRow(shared, viewerId);
+  
+  return {
+    ...sharedMatchSummary(shared, viewerId),
+    createdBy: creator ? { userId: creator.userId, username: creator.username } : null,
+    // The viewer's own row (null if they're not on the scoreboard)
+    viewer: seat ? { team: seat.teamIndex, status: seat.row.status, matchId: seat.row.matchId } : null,
+    teams: shared.teams.map((team, teamIndex) => ({
+      roundsWon: team.roundsWon,
+      outcome: scoreboardOutcome(team.roundsWon, shared.teams[1 - teamIndex].roundsWon),
+      players: team.players.map(row => {
+        const user = row.userId && byId.get(String(row.userId));
+        return {
+          name: row.name,
+          userId: user ? user.userId : null,
+          status: row.status || null,
+          agent: row.agent,
+          kills: row.kills,
+          deaths: row.deaths,
+          assists: row.assists,
+          damage: row.damage
+        };
+      })
+    })),
+    createdAt: shared.createdAt,
+    updatedAt: shared.updatedAt
+  };
+};
+
+// Load the scoreboard named by :id onto req.sharedMatch; only its creator and
+// the players linked on it can see it
+const loadSharedMatch = async (req, res, next) => {
   try {
-    const { query, limit = 10 } = req.query;
+    req.sharedMatch = await SharedMatch.findById(req.validated.params.id);
     
-    if (!query || query.trim().length < 2) {
-      return res.status(400).json({
+    if (!req.sharedMatch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoreboard not found'
+      });
+    }
+    
+    const isCreator = String(req.sharedMatch.createdBy) === String(req.user.id);
+    if (!isCreator && !findScoreboardRow(req.sharedMatch, req.user.id)) {
+      return res.status(403).json({
         success: false,
-        message: 'Search query must be at least 2 characters long'
+        message: 'Only players on this scoreboard can see it'
       });
     }
+    next();
+  } catch (error) {
+    console.error('❌ Load shared match error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scoreboard'
+    });
+  }
+};
+
+const requireScoreboardCreator = (req, res, next) => {
+  if (String(req.sharedMatch.createdBy) !== String(req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the player who created the scoreboard can do that'
+    });
+  }
+  next();
+};
+
+// Scoreboards the player is on, newest game first; `pending` counts the ones waiting on them
+const SHARED_MATCH_LIST_QUERY = {
+  fields: {
+    status: field.enum(SCOREBOARD_ROW_STATUSES, { label: 'Status' }),
+    page: field.integer({ min: 1, default: 1, label: 'Page' }),
+    limit: field.integer({ min: 1, max: 50, default: 20, label: 'Limit' })
+  }
+};
+
+app.get('/api/user/me/shared-matches', authenticateToken, validate({ query: SHARED_MATCH_LIST_QUERY }), async (req, res) => {
+  try {
+    const { status, page, limit } = req.validated.query;
     
-    const searchQuery = query.trim();
+    const filter = status
+      ? { 'teams.players': { $elemMatch: { userId: req.user.id, status } } }
+      : { 'teams.players.userId': req.user.id };
     
-    // Search in both userId and username fields for public profiles
-    const players = await User.find({
-      $and: [
-        { isPublic: true },
-        {
-          $or: [
-            { userId: { $regex: searchQuery, $options: 'i' } },
-            { username: { $regex: searchQuery, $options: 'i' } }
-          ]
-        }
-      ]
-    })
-    .select('userId username kdRatio winPercentage totalGames wins kills deaths')
-    .limit(parseInt(limit))
-    .sort({ totalGames: -1 });
+    const [sharedMatches, total, pending] = await Promise.all([
+      SharedMatch.find(filter)
+        .sort({ date: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SharedMatch.countDocuments(filter),
+      SharedMatch.countDocuments({ 'teams.players': { $elemMatch: { userId: req.user.id, status: 'pending' } } })
+    ]);
     
     res.json({
       success: true,
-      count: players.length,
-      players: players.map(player => ({
-        userId: player.userId,
-        username: player.username,
-        stats: {
-          kdRatio: player.kdRatio,
-          winPercentage: player.winPercentage,
-          totalGames: player.totalGames,
-          wins: player.wins,
-          kills: player.kills,
-          deaths: player.deaths
-        }
-      }))
+      sharedMatches: sharedMatches.map(shared => sharedMatchSummary(shared, req.user.id)),
+      pending,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
     });
-    
+  
   } catch (error) {
-    console.error('❌ Search players error:', error);
+    console.error('❌ List shared matches error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error searching players'
+      message: 'Error fetching scoreboards'
     });
   }
 });
 
-// Get player by userId
-app.get('/api/user/:userId', async (req, res) => {
+// Create a scoreboard. The creator's row counts as confirmed straight away;
+// every other linked player confirms or declines it themselves.
+app.post('/api/shared-matches', authenticateToken, validate({ body: SHARED_MATCH_CREATE_BODY }), async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { replaceMatchId, ...details } = req.validated.body;
+    const { teams, errors } = await resolveScoreboardPlayers(validateScoreboard(details).teams);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
     
-    const user = await User.findOne({ userId });
+    teams.forEach(team => team.players.forEach(row => {
+      if (row.userId) row.status = 'pending';
+    }));
     
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Player not found'
-      });
+    const shared = new SharedMatch({
+      createdBy: req.user.id,
+      game: details.game,
+      date: details.date,
+      time: details.time,
+      matchType: details.matchType,
+      map: details.map,
+      teams
+    });
+    
+    if (!findScoreboardRow(shared, req.user.id)) {
+      return sendValidationError(res, [CREATOR_ROW_ERROR]);
     }
     
-    if (!user.isPublic) {
-      return res.status(403).json({
+    const replaced = replaceMatchId ? await findReplaceableMatch(req.user.id, replaceMatchId) : null;
+    if (replaceMatchId && !replaced) {
+      return res.status(404).json({
         success: false,
-        message: 'This player profile is private'
+        message: 'Match to replace not found'
       });
     }
     
-    // Get recent matches
-    const recentMatches = await Match.find({ userId: user._id })
-      .sort({ date: -1 })
-      .limit(5)
-      .select('date outcome map kills deaths assists damage roundsWon roundsLost');
+    await shared.save();
+    const { match, user, achievements } = await confirmScoreboardRow(shared, req.user.id, replaced);
     
-    res.json({
+    res.status(201).json({
       success: true,
-      userId: user.userId,
-      username: user.username,
-      stats: {
-        kdRatio: user.kdRatio,
-        damagePerRound: user.damagePerRound,
-        winPercentage: user.winPercentage,
-        killsPerRound: user.killsPerRound,
-        wins: user.wins,
-        kills: user.kills,
-        deaths: user.deaths,
-        assists: user.assists,
-        totalGames: user.totalGames,
-        totalRounds: user.totalRounds,
-        totalDamage: user.totalDamage
-      },
-      recentMatches: recentMatches || []
+      message: 'Scoreboard saved! The other linked players can now confirm it.',
+      sharedMatch: await buildSharedMatchView(shared, req.user.id),
+      match,
+      updatedStats: getStoredStats(user),
+      achievements
     });
-    
+  
   } catch (error) {
-    console.error('❌ Get user error:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    console.error('❌ Create shared match error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching player data'
+      message: 'Error saving scoreboard'
     });
   }
 });
 
-// Get available maps
-app.get('/api/maps', (req, res) => {
-  const maps = [
-    'Ascent', 'Bind', 'Haven', 'Split', 'Icebox', 'Breeze', 
-    'Fracture', 'Pearl', 'Lotus', 'Sunset', 'Abyss', 'District',
-    'Mirage', 'Inferno', 'Dust2', 'Nuke', 'Overpass', 'Vertigo'
-  ];
+app.get('/api/shared-matches/:id', authenticateToken, validate({ params: SHARED_MATCH_PARAMS }), loadSharedMatch, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sharedMatch: await buildSharedMatchView(req.sharedMatch, req.user.id)
+    });
   
-  res.json({
-    success: true,
-    maps
-  });
+  } catch (error) {
+    console.error('❌ Get shared match error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scoreboard'
+    });
+  }
 });
 
-// ======================
-// PROTECTED ROUTES
-// ======================
-
-// Get my stats
-app.get('/api/user/me/stats', authenticateToken, async (req, res) => {
+// Replace the scoreboard. Players who stay keep their status and their matches
+// follow the new numbers; players taken off lose the match; new ones start pending.
+app.put('/api/shared-matches/:id', authenticateToken, validate({ params: SHARED_MATCH_PARAMS, body: SHARED_MATCH_BODY }), loadSharedMatch, requireScoreboardCreator, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const shared = req.sharedMatch;
+    const details = req.validated.body;
+    const { teams, errors } = await resolveScoreboardPlayers(validateScoreboard(details).teams);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
     
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    const previousRows = shared.teams.flatMap(team => team.players).filter(row => row.userId);
+    const stays = (userId) => teams.some(team => team.players.some(row => row.userId && String(row.userId) === String(userId)));
+    
+    teams.forEach(team => team.players.forEach(row => {
+      if (!row.userId) return;
+      const before = previousRows.find(old => String(old.userId) === String(row.userId));
+      row.status = before ? before.status : 'pending';
+      row.matchId = before ? before.matchId : null;
+    }));
+    
+    const removedRows = previousRows
+      .filter(row => !stays(row.userId))
+      .map(row => ({ userId: row.userId, matchId: row.matchId }));
+    
+    shared.set({
+      game: details.game,
+      date: details.date,
+      time: details.time,
+      matchType: details.matchType,
+      map: details.map,
+      teams
+    });
+    
+    if (!findScoreboardRow(shared, req.user.id)) {
+      return sendValidationError(res, [CREATOR_ROW_ERROR]);
     }
     
+    await shared.save();
+    await syncScoreboardMatches(shared, removedRows);
+    
+    const user = await User.findById(req.user.id);
+    
     res.json({
       success: true,
-      stats: {
-        kdRatio: user.kdRatio,
-        damagePerRound: user.damagePerRound,
-        winPercentage: user.winPercentage,
-        killsPerRound: user.killsPerRound,
-        wins: user.wins,
-        kills: user.kills,
-        deaths: user.deaths,
-        assists: user.assists,
-        totalGames: user.totalGames,
-        totalRounds: user.totalRounds,
-        totalDamage: user.totalDamage
-      },
-      settings: {
-        isPublic: user.isPublic
-      },
-      user: {
-        userId: user.userId,
-        username: user.username
-      }
+      message: 'Scoreboard updated!',
+      sharedMatch: await buildSharedMatchView(shared, req.user.id),
+      updatedStats: getStoredStats(user)
     });
-    
+  
   } catch (error) {
-    console.error('❌ Get stats error:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    console.error('❌ Update shared match error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching your stats'
+      message: 'Error updating scoreboard'
     });
   }
 });
 
-// Get my matches
-app.get('/api/user/me/matches', authenticateToken, async (req, res) => {
+// Delete a scoreboard. Players who confirmed keep the match as a regular one.
+app.delete('/api/shared-matches/:id', authenticateToken, validate({ params: SHARED_MATCH_PARAMS }), loadSharedMatch, requireScoreboardCreator, async (req, res) => {
   try {
-    const matches = await Match.find({ userId: req.user.id })
-      .sort({ date: -1, createdAt: -1 })
-      .limit(100);
+    await Match.updateMany({ sharedMatchId: req.sharedMatch._id }, { sharedMatchId: null });
+    await req.sharedMatch.deleteOne();
     
     res.json({
       success: true,
-      matches
+      message: 'Scoreboard deleted'
     });
-    
+  
   } catch (error) {
-    console.error('❌ Get matches error:', error);
+    console.error('❌ Delete shared match error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching matches'
+      message: 'Error deleting scoreboard'
     });
   }
 });
 
-// Add new match
-app.post('/api/user/me/matches', authenticateToken, async (req, res) => {
+// Confirm your row: the match goes into your history and stats
+const SHARED_MATCH_CONFIRM_BODY = {
+  fields: { replaceMatchId: REPLACE_MATCH_FIELD }
+};
+
+app.post('/api/shared-matches/:id/confirm', authenticateToken, validate({ params: SHARED_MATCH_PARAMS, body: SHARED_MATCH_CONFIRM_BODY }), loadSharedMatch, async (req, res) => {
   try {
-    const {
-      date,
-      time,
-      matchType,
-      outcome,
-      map,
-      roundsWon,
-      roundsLost,
-      damage,
-      kills,
-      deaths,
-      assists
-    } = req.body;
-    
-    // Validate required fields
-    if (!date || !time || !matchType || !outcome || !map || 
-        roundsWon === undefined || roundsLost === undefined ||
-        damage === undefined || kills === undefined || 
-        deaths === undefined || assists === undefined) {
-      return res.status(400).json({
+    const shared = req.sharedMatch;
+    const seat = findScoreboardRow(shared, req.user.id);
+    
+    if (!seat) {
+      return res.status(403).json({
         success: false,
-        message: 'All fields are required'
+        message: "You're not on this scoreboard"
       });
     }
     
-    // Validate rounds
-    if (roundsWon < 0 || roundsLost < 0) {
-      return res.status(400).json({
+    if (seat.row.status === 'confirmed') {
+      return res.status(409).json({
         success: false,
-        message: 'Rounds won and lost cannot be negative'
+        message: 'You already confirmed this match'
       });
     }
     
-    // Create match
-    const match = new Match({
-      userId: req.user.id,
-      date,
-      time,
-      matchType,
-      outcome,
-      map,
-      roundsWon: parseInt(roundsWon),
-      roundsLost: parseInt(roundsLost),
-      damage: parseInt(damage),
-      kills: parseInt(kills),
-      deaths: parseInt(deaths),
-      assists: parseInt(assists)
-    });
-    
-    await match.save();
-    
-    // Recalculate user stats
-    const updatedStats = await calculateUserStats(req.user.id);
+    const { replaceMatchId } = req.validated.body;
+    const replaced = replaceMatchId ? await findReplaceableMatch(req.user.id, replaceMatchId) : null;
+    if (replaceMatchId && !replaced) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match to replace not found'
+      });
+    }
     
-    // Update user with new stats
-    await User.findByIdAndUpdate(req.user.id, updatedStats);
+    const confirmed = await confirmScoreboardRow(shared, req.user.id, replaced);
+    // Another confirm or decline for the same row got there first
+    if (!confirmed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your row changed at the same time, please reload and try again'
+      });
+    }
+    const { match, user, achievements } = confirmed;
     
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Match added successfully!',
+      message: replaced ? 'Match confirmed and your own copy replaced!' : 'Match confirmed and added to your history!',
+      sharedMatch: await buildSharedMatchView(shared, req.user.id),
       match,
-      updatedStats
+      updatedStats: getStoredStats(user),
+      achievements
     });
-    
+  
   } catch (error) {
-    console.error('❌ Add match error:', error);
+    console.error('❌ Confirm shared match error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error adding match',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Error confirming match'
     });
   }
 });
 
-// Delete match
-app.delete('/api/user/me/matches/:id', authenticateToken, async (req, res) => {
+// Decline your row; if you had confirmed it, the match leaves your history again
+app.post('/api/shared-matches/:id/decline', authenticateToken, validate({ params: SHARED_MATCH_PARAMS }), loadSharedMatch, async (req, res) => {
   try {
-    const match = await Match.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user.id
-    });
+    const shared = req.sharedMatch;
+    const seat = findScoreboardRow(shared, req.user.id);
     
-    if (!match) {
-      return res.status(404).json({
+    if (!seat) {
+      return res.status(403).json({
         success: false,
-        message: 'Match not found'
+        message: "You're not on this scoreboard"
       });
     }
     
-    // Recalculate user stats
-    const updatedStats = await calculateUserStats(req.user.id);
+    // Only decline the row as it was loaded, so a confirm running at the same
+    // time can't end up with a match the row no longer links to
+    const declined = await SharedMatch.updateOne(
+      {
+        _id: shared._id,
+        'teams.players': { $elemMatch: { userId: seat.row.userId, status: seat.row.status, matchId: seat.row.matchId } }
+      },
+      { $set: { 'teams.$[].players.$[row].status': 'declined', 'teams.$[].players.$[row].matchId': null } },
+      { arrayFilters: [{ 'row.userId': seat.row.userId }] }
+    );
+    if (declined.matchedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your row changed at the same time, please reload and try again'
+      });
+    }
+    
+    const match = seat.row.matchId
+      ? await Match.findOneAndDelete({ _id: seat.row.matchId, userId: req.user.id })
+      : null;
     
-    // Update user with new stats
-    await User.findByIdAndUpdate(req.user.id, updatedStats);
+    seat.row.status = 'declined';
+    seat.row.matchId = null;
+    
+    const user = match
+      ? await applyMatchStats(req.user.id, { remove: [match] })
+      : await User.findById(req.user.id);
+    const achievements = match ? await awardNewAchievements(req.user.id) : [];
     
     res.json({
       success: true,
-      message: 'Match deleted successfully!',
-      updatedStats
+      message: 'Match declined',
+      sharedMatch: await buildSharedMatchView(shared, req.user.id),
+      updatedStats: getStoredStats(user),
+      achievements
     });
-    
+  
   } catch (error) {
-    console.error('❌ Delete match error:', error);
+    console.error('❌ Decline shared match error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error deleting match'
+      message: 'Error declining match'
     });
   }
 });
 
-// Update privacy
-app.put('/api/user/me/privacy', authenticateToken, async (req, res) => {
+// ======================
+// GOAL ROUTES
+// ======================
+
+const MAX_GOALS = 20;
+const MAX_GOAL_GAMES = 500;
+
+const GOAL_PARAMS = {
+  fields: { id: field.objectId({ required: true, label: 'Goal ID' }) }
+};
+
+// A target on one stat, which matches count towards it and over what window.
+// Without a start date the goal counts matches from today on, all of today's
+// included (match dates have no time of day to tell earlier ones apart).
+const GOAL_BODY = {
+  fields: {
+    title: field.string({ maxLength: 80, default: '', label: 'Title' }),
+    metric: field.enum(STAT_FIELDS, { required: true, label: 'Metric' }),
+    comparison: field.enum(GOAL_COMPARISONS, { default: 'atLeast', label: 'Comparison' }),
+    target: field.number({ required: true, min: 0, label: 'Target' }),
+    matchType: field.enum(MATCH_TYPES, { label: 'Match type' }),
+    game: field.enum(GAME_NAMES, { label: 'Game' }),
+    map: field.string({ label: 'Map' }),
+    startDate: field.date({ default: () => new Date(new Date().toISOString().split('T')[0]), label: 'Start date' }),
+    endDate: field.date({ label: 'End date' }),
+    games: field.integer({ min: 1, max: MAX_GOAL_GAMES, label: 'Games' })
+  },
+  prepare: (value) => (value.map && !value.game ? { game: inferGame(value.map) } : {}),
+  rules: [
+    ({ game, map }) => {
+      if (!map) return [];
+      if (!game) return [{ field: 'map', message: `Unknown map: ${map}` }];
+      return GAMES[game].maps.includes(map) ? [] : [{ field: 'map', message: `${map} is not a ${game} map` }];
+    },
+    // Without a window, a ratio goal could never be settled
+    ({ games, endDate }) => (games || endDate ? [] : [{ field: 'games', message: 'Give the goal a number of games, an end date or both' }]),
+    ({ startDate, endDate }) => (
+      endDate && endDate < startDate ? [{ field: 'endDate', message: 'End date must be on or after the start date' }] : []
+    ),
+    ({ metric, target }) => (
+      metric === 'winPercentage' && target > 100 ? [{ field: 'target', message: 'Target must be at most 100 for a win percentage' }] : []
+    )
+  ]
+};
+
+const goalView = (goal) => ({
+  id: goal._id,
+  title: goal.title,
+  metric: goal.metric,
+  comparison: goal.comparison,
+  target: goal.target,
+  matchType: goal.matchType,
+  game: goal.game,
+  map: goal.map,
+  startDate: goal.startDate,
+  endDate: goal.endDate,
+  games: goal.games,
+  status: goal.status,
+  value: goal.value,
+  gamesPlayed: goal.gamesPlayed,
+  evaluatedAt: goal.evaluatedAt,
+  createdAt: goal.createdAt
+});
+
+// The goal body as stored (scope and window fields left out are cleared)
+const goalFields = (body) => ({
+  title: body.title,
+  metric: body.metric,
+  comparison: body.comparison,
+  target: body.target,
+  matchType: body.matchType || null,
+  game: body.game || null,
+  map: body.map || null,
+  startDate: body.startDate,
+  endDate: body.endDate || null,
+  games: body.games || null
+});
+
+// The player's goals, newest first. They're re-evaluated on the way out so
+// goals whose end date passed since the last match change are settled too.
+app.get('/api/user/me/goals', authenticateToken, async (req, res) => {
   try {
-    const { isPublic } = req.body;
-    
-    if (typeof isPublic !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        message: 'isPublic must be true or false'
-      });
-    }
-    
-    const user = await User.findById(req.user.id);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-    
-    user.isPublic = isPublic;
-    await user.save();
+    const goals = await evaluateGoals(req.user.id);
     
     res.json({
       success: true,
-      message: `Profile is now ${isPublic ? 'public' : 'private'}`,
-      isPublic: user.isPublic
+      goals: goals.map(goalView)
     });
-    
+  
   } catch (error) {
-    console.error('❌ Update privacy error:', error);
+    console.error('❌ List goals error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error updating privacy'
+      message: 'Error fetching goals'
     });
   }
 });
 
-// Get privacy
-app.get('/api/user/me/privacy', authenticateToken, async (req, res) => {
+app.post('/api/user/me/goals', authenticateToken, validate({ body: GOAL_BODY }), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    
-    if (!user) {
-      return res.status(404).json({
+    const count = await Goal.countDocuments({ userId: req.user.id });
+    if (count >= MAX_GOALS) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: `You can have at most ${MAX_GOALS} goals`
       });
     }
     
-    res.json({
+    const goal = new Goal({ userId: req.user.id, ...goalFields(req.validated.body) });
+    Object.assign(goal, await evaluateGoal(goal));
+    await goal.save();
+    
+    res.status(201).json({
       success: true,
-      isPublic: user.isPublic
+      message: 'Goal created!',
+      goal: goalView(goal)
     });
-    
+  
   } catch (error) {
-    console.error('❌ Get privacy error:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    console.error('❌ Create goal error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching privacy settings'
+      message: 'Error creating goal'
     });
   }
 });
 
-// Reset all stats (delete all matches)
-app.delete('/api/user/me/stats', authenticateToken, async (req, res) => {
+// Replace a goal's target, scope and window; its progress is worked out again
+app.put('/api/user/me/goals/:id', authenticateToken, validate({ params: GOAL_PARAMS, body: GOAL_BODY }), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const goal = await Goal.findOne({ _id: req.validated.params.id, userId: req.user.id });
     
-    if (!user) {
+    if (!goal) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Goal not found'
       });
     }
     
-    // Delete all matches
-    await Match.deleteMany({ userId: req.user.id });
-    
-    // Reset user stats
-    user.kdRatio = 0;
-    user.damagePerRound = 0;
-    user.winPercentage = 0;
-    user.killsPerRound = 0;
-    user.wins = 0;
-    user.kills = 0;
-    user.deaths = 0;
-    user.assists = 0;
-    user.totalGames = 0;
-    user.totalRounds = 0;
-    user.totalDamage = 0;
-    
-    await user.save();
+    goal.set(goalFields(req.validated.body));
+    Object.assign(goal, await evaluateGoal(goal));
+    await goal.save();
     
     res.json({
       success: true,
-      message: 'All stats reset successfully!',
-      stats: {
-        kdRatio: 0,
-        damagePerRound: 0,
-        winPercentage: 0,
-        killsPerRound: 0,
-        wins: 0,
-        kills: 0,
-        deaths: 0,
-        assists: 0,
-        totalGames: 0,
-        totalRounds: 0,
-        totalDamage: 0
-      }
+      message: 'Goal updated!',
+      goal: goalView(goal)
     });
-    
+  
   } catch (error) {
-    console.error('❌ Reset stats error:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, mongooseValidationErrors(error));
+    }
+    console.error('❌ Update goal error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error resetting stats'
+      message: 'Error updating goal'
     });
   }
 });
 
-// Delete account
-app.delete('/api/user/me', authenticateToken, async (req, res) => {
+app.delete('/api/user/me/goals/:id', authenticateToken, validate({ params: GOAL_PARAMS }), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const goal = await Goal.findOneAndDelete({ _id: req.validated.params.id, userId: req.user.id });
     
-    if (!user) {
+    if (!goal) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Goal not found'
       });
     }
     
-    // Delete all matches first
-    await Match.deleteMany({ userId: req.user.id });
-    
-    // Delete user
-    await User.findByIdAndDelete(req.user.id);
-    
     res.json({
       success: true,
-      message: 'Account deleted successfully!'
+      message: 'Goal deleted!'
     });
-    
+  
   } catch (error) {
-    console.error('❌ Delete account error:', error);
+    console.error('❌ Delete goal error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error deleting account'
+      message: 'Error deleting goal'
     });
   }
 });
@@ -972,6 +7880,11 @@ app.delete('/api/user/me', authenticateToken, async (req, res) => {
 
 // Global error handler
 app.use((error, req, res, next) => {
+  // Malformed JSON bodies are bad input, not server errors
+  if (error.type === 'entity.parse.failed') {
+    return sendValidationError(res, [{ field: null, location: 'body', message: 'Request body is not valid JSON' }]);
+  }
+  
   console.error('🔥 Unhandled error:', error);
   
   res.status(500).json({
@@ -7,6 +7,21 @@ import Signup from './pages/Signup'
 import Dashboard from './pages/Dashboard'
 import AddMatchStats from './pages/AddMatchStats'
 import MatchHistory from './pages/MatchHistory'
+import MatchDetail from './pages/MatchDetail'
+import ImportMatches from './pages/ImportMatches'
+import Leaderboard from './pages/Leaderboard'
+import ForgotPassword from './pages/ForgotPassword'
+import ResetPassword from './pages/ResetPassword'
+import AccountSecurity from './pages/AccountSecurity'
+import Feed from './pages/Feed'
+import Compare from './pages/Compare'
+import Teams from './pages/Teams'
+import TeamPage from './pages/TeamPage'
+import Tournaments from './pages/Tournaments'
+import TournamentPage from './pages/TournamentPage'
+import SharedMatches from './pages/SharedMatches'
+import SharedMatch from './pages/SharedMatch'
+import { saveSession, clearSession, endSession, installSessionRefresh } from './session'
 
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false)
@@ -24,23 +39,31 @@ function App() {
     setLoading(false)
   }, [])
 
-  const handleLogin = (token, userData) => {
-    localStorage.setItem('token', token)
-    localStorage.setItem('user', JSON.stringify(userData))
+  // Renew expired access tokens; sign out locally once the session is gone
+  useEffect(() => installSessionRefresh(() => {
+    setIsAuthenticated(false)
+    setUser(null)
+  }), [])
+
+  const handleLogin = (token, userData, refreshToken) => {
+    saveSession(token, refreshToken, userData)
     setIsAuthenticated(true)
     setUser(userData)
   }
 
-  const handleSignup = (token, userData) => {
-    localStorage.setItem('token', token)
-    localStorage.setItem('user', JSON.stringify(userData))
+  const handleSignup = (token, userData, refreshToken) => {
+    saveSession(token, refreshToken, userData)
     setIsAuthenticated(true)
     setUser(userData)
   }
 
-  const handleLogout = () => {
-    localStorage.removeItem('token')
-    localStorage.removeItem('user')
+  // `revoked` is set when the server session is already gone (e.g. after logout everywhere)
+  const handleLogout = (revoked = false) => {
+    if (revoked) {
+      clearSession()
+    } else {
+      endSession()
+    }
     setIsAuthenticated(false)
     setUser(null)
   }
@@ -67,12 +90,26 @@ function App() {
         
         <div className="container mx-auto px-4 py-8">
           <Routes>
-            <Route path="/" element={<Home />} />
+            <Route path="/" element={<Home user={isAuthenticated ? user : null} />} />
+            <Route path="/leaderboard" element={<Leaderboard />} />
+            <Route path="/compare" element={<Compare />} />
+            <Route path="/teams" element={<Teams user={isAuthenticated ? user : null} />} />
+            <Route path="/teams/:tag" element={<TeamPage user={isAuthenticated ? user : null} />} />
+            <Route path="/tournaments" element={<Tournaments user={isAuthenticated ? user : null} />} />
+            <Route path="/tournaments/:id" element={<TournamentPage user={isAuthenticated ? user : null} />} />
             <Route path="/login" element={!isAuthenticated ? <Login onLogin={handleLogin} /> : <Navigate to="/dashboard" />} />
             <Route path="/signup" element={!isAuthenticated ? <Signup onSignup={handleSignup} /> : <Navigate to="/dashboard" />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
             <Route path="/dashboard" element={isAuthenticated ? <Dashboard user={user} onLogout={handleLogout} /> : <Navigate to="/login" />} />
             <Route path="/add-match" element={isAuthenticated ? <AddMatchStats /> : <Navigate to="/login" />} />
             <Route path="/match-history" element={isAuthenticated ? <MatchHistory /> : <Navigate to="/login" />} />
+            <Route path="/matches/:id" element={isAuthenticated ? <MatchDetail /> : <Navigate to="/login" />} />
+            <Route path="/import-matches" element={isAuthenticated ? <ImportMatches /> : <Navigate to="/login" />} />
+            <Route path="/account-security" element={isAuthenticated ? <AccountSecurity /> : <Navigate to="/login" />} />
+            <Route path="/feed" element={isAuthenticated ? <Feed /> : <Navigate to="/login" />} />
+            <Route path="/shared-matches" element={isAuthenticated ? <SharedMatches user={user} /> : <Navigate to="/login" />} />
+            <Route path="/shared-matches/:id" element={isAuthenticated ? <SharedMatch /> : <Navigate to="/login" />} />
           </Routes>
         </div>
       </div>
@@ -0,0 +1,51 @@
+import { Link } from 'react-router-dom'
+import { formatDate } from '../tournaments'
+
+// Achievement badges with the match that earned each; ones not earned yet are
+// greyed out. `linkMatches` links to the earning match (only for the owner).
+export default function AchievementBadges({ achievements, linkMatches = false }) {
+  const earned = achievements.filter((achievement) => achievement.earned)
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Achievements</h2>
+        <span className="text-gray-400 text-sm">
+          {earned.length === achievements.length ? `${earned.length} earned` : `${earned.length}/${achievements.length} earned`}
+        </span>
+      </div>
+
+      {achievements.length === 0 ? (
+        <p className="text-gray-400">No achievements earned yet</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {achievements.map((achievement) => (
+            <div
+              key={achievement.key}
+              className={`flex gap-3 items-start rounded-lg p-4 ${
+                achievement.earned ? 'bg-gray-700/50' : 'bg-gray-900/50 opacity-50'
+              }`}
+            >
+              <span className={`text-3xl ${achievement.earned ? '' : 'grayscale'}`}>{achievement.icon}</span>
+              <div>
+                <p className="font-semibold">{achievement.name}</p>
+                <p className="text-sm text-gray-400">{achievement.description}</p>
+                {achievement.match && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {linkMatches ? (
+                      <Link to={`/matches/${achievement.match.id}`} className="hover:text-blue-400">
+                        {achievement.match.map} · {formatDate(achievement.earnedAt)}
+                      </Link>
+                    ) : (
+                      `${achievement.match.map} · ${formatDate(achievement.earnedAt)}`
+                    )}
+                  </p>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+})
+
+// Devices signed in to the current account, with per-session and global sign out
+export default function ActiveSessions({ onLogout }) {
+  const [sessions, setSessions] = useState([])
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/sessions`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setSessions(response.data.sessions)
+      } catch (err) {
+        console.error('Failed to fetch sessions:', err)
+      }
+    }
+
+    fetchSessions()
+  }, [])
+
+  const handleRevoke = async (session) => {
+    try {
+      const token = localStorage.getItem('token')
+      await axios.delete(`${API_URL}/user/me/sessions/${session.id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+
+      if (session.current) {
+        onLogout(true)
+        return
+      }
+      setSessions(prev => prev.filter(({ id }) => id !== session.id))
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to revoke session')
+      setTimeout(() => setMessage(''), 3000)
+    }
+  }
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return
+
+    try {
+      const token = localStorage.getItem('token')
+      await axios.delete(`${API_URL}/user/me/sessions`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      onLogout(true)
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to sign out everywhere')
+      setTimeout(() => setMessage(''), 3000)
+    }
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 mb-8">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-4 gap-4">
+        <div>
+          <h2 className="text-xl font-semibold">Active Sessions</h2>
+          <p className="text-gray-400 text-sm">Devices currently signed in to your account.</p>
+        </div>
+        <button
+          onClick={handleLogoutEverywhere}
+          className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded font-semibold transition-colors"
+        >
+          Logout Everywhere
+        </button>
+      </div>
+
+      {message && (
+        <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-4">
+          {message}
+        </div>
+      )}
+
+      {sessions.length === 0 ? (
+        <p className="text-gray-400">No active sessions</p>
+      ) : (
+        <div className="divide-y divide-gray-700">
+          {sessions.map((session) => (
+            <div key={session.id} className="flex justify-between items-center py-3">
+              <div>
+                <p className="font-medium">
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 rounded text-xs bg-green-900/50 text-green-300">This device</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-400">
+                  Last used {formatDateTime(session.lastUsedAt)} · Signed in {formatDateTime(session.createdAt)}
+                  {session.ip && ` · ${session.ip}`}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-sm transition-colors"
+              >
+                {session.current ? 'Sign out' : 'Revoke'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,6 @@
+// Server-side validation message shown under the input it belongs to
+export default function FieldError({ message }) {
+  if (!message) return null
+
+  return <p className="text-red-400 text-sm mt-1">{message}</p>
+}
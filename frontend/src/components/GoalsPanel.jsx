@@ -0,0 +1,321 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import FieldError from './FieldError'
+import {
+  GOAL_METRICS,
+  GOAL_STATUS_LABELS,
+  GOAL_STATUS_COLORS,
+  formatGoalValue,
+  describeGoal,
+  meetsTarget
+} from '../goals'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const MATCH_TYPES = ['Ranked', 'Casual', 'Tournament', 'Practice']
+const GAMES = ['Valorant', 'CS2']
+
+const emptyGoal = () => ({
+  title: '',
+  metric: 'kdRatio',
+  comparison: 'atLeast',
+  target: '',
+  matchType: '',
+  game: '',
+  map: '',
+  startDate: new Date().toISOString().split('T')[0],
+  games: '',
+  endDate: ''
+})
+
+// The player's goals with their progress, and a form to set a new one.
+// Progress is worked out by the server whenever matches change.
+export default function GoalsPanel() {
+  const [goals, setGoals] = useState([])
+  const [creating, setCreating] = useState(false)
+  const [formData, setFormData] = useState(emptyGoal)
+  const [gameMaps, setGameMaps] = useState({})
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    const fetchGoals = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/goals`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setGoals(response.data.goals)
+      } catch (err) {
+        console.error('Failed to fetch goals:', err)
+      }
+    }
+
+    const fetchMaps = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/maps`)
+        setGameMaps(response.data.games)
+      } catch (err) {
+        console.error('Failed to fetch maps:', err)
+      }
+    }
+
+    fetchGoals()
+    fetchMaps()
+  }, [])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // Maps belong to one game, so switching games clears the map
+      ...(name === 'game' ? { map: '' } : {})
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setMessage('')
+    setFieldErrors({})
+
+    try {
+      const token = localStorage.getItem('token')
+      // Blank optional fields are left out so the goal isn't scoped by them
+      const payload = Object.fromEntries(Object.entries(formData).filter(([, value]) => value !== ''))
+      const response = await axios.post(`${API_URL}/user/me/goals`, payload, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      setGoals(prev => [response.data.goal, ...prev])
+      setFormData(emptyGoal())
+      setCreating(false)
+    } catch (err) {
+      const errors = err.response?.data?.errors || []
+      if (errors.length > 0) {
+        setFieldErrors(Object.fromEntries(errors.map(({ field, message }) => [field, message])))
+      } else {
+        setMessage(err.response?.data?.message || 'Failed to create goal')
+      }
+    }
+  }
+
+  const handleDelete = async (goal) => {
+    if (!window.confirm('Delete this goal?')) return
+
+    try {
+      const token = localStorage.getItem('token')
+      await axios.delete(`${API_URL}/user/me/goals/${goal.id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      setGoals(prev => prev.filter(({ id }) => id !== goal.id))
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to delete goal')
+      setTimeout(() => setMessage(''), 3000)
+    }
+  }
+
+  const maps = formData.game ? gameMaps[formData.game] || [] : Object.values(gameMaps).flat()
+  const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Goals</h2>
+        {!creating && (
+          <button
+            onClick={() => setCreating(true)}
+            className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded text-sm font-semibold transition-colors"
+          >
+            + New Goal
+          </button>
+        )}
+      </div>
+
+      {message && (
+        <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-4">
+          {message}
+        </div>
+      )}
+
+      {creating && (
+        <form onSubmit={handleCreate} className="bg-gray-900/50 rounded-lg p-4 mb-6 space-y-4">
+          <div>
+            <label className="block text-gray-300 mb-2">Title</label>
+            <input
+              type="text"
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              maxLength={80}
+              placeholder="e.g. Coach's K/D target"
+              className={inputClass}
+            />
+            <FieldError message={fieldErrors.title} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-gray-300 mb-2">Stat *</label>
+              <select name="metric" value={formData.metric} onChange={handleChange} className={inputClass}>
+                {GOAL_METRICS.map(({ field, label }) => (
+                  <option key={field} value={field}>{label}</option>
+                ))}
+              </select>
+              <FieldError message={fieldErrors.metric} />
+            </div>
+            <div>
+              <label className="block text-gray-300 mb-2">Should be *</label>
+              <select name="comparison" value={formData.comparison} onChange={handleChange} className={inputClass}>
+                <option value="atLeast">At least</option>
+                <option value="atMost">At most</option>
+              </select>
+              <FieldError message={fieldErrors.comparison} />
+            </div>
+            <div>
+              <label className="block text-gray-300 mb-2">Target *</label>
+              <input
+                type="number"
+                name="target"
+                value={formData.target}
+                onChange={handleChange}
+                min="0"
+                step="any"
+                required
+                className={inputClass}
+              />
+              <FieldError message={fieldErrors.target} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-gray-300 mb-2">Match Type</label>
+              <select name="matchType" value={formData.matchType} onChange={handleChange} className={inputClass}>
+                <option value="">Any</option>
+                {MATCH_TYPES.map((type) => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+              <FieldError message={fieldErrors.matchType} />
+            </div>
+            <div>
+              <label className="block text-gray-300 mb-2">Game</label>
+              <select name="game" value={formData.game} onChange={handleChange} className={inputClass}>
+                <option value="">Any</option>
+                {GAMES.map((game) => (
+                  <option key={game} value={game}>{game}</option>
+                ))}
+              </select>
+              <FieldError message={fieldErrors.game} />
+            </div>
+            <div>
+              <label className="block text-gray-300 mb-2">Map</label>
+              <select name="map" value={formData.map} onChange={handleChange} className={inputClass}>
+                <option value="">Any</option>
+                {maps.map((map) => (
+                  <option key={map} value={map}>{map}</option>
+                ))}
+              </select>
+              <FieldError message={fieldErrors.map} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-gray-300 mb-2">Starting *</label>
+              <input type="date" name="startDate" value={formData.startDate} onChange={handleChange} required className={inputClass} />
+              <FieldError message={fieldErrors.startDate} />
+            </div>
+            <div>
+              <label className="block text-gray-300 mb-2">Over the next games</label>
+              <input
+                type="number"
+                name="games"
+                value={formData.games}
+                onChange={handleChange}
+                min="1"
+                placeholder="e.g. 20"
+                className={inputClass}
+              />
+              <FieldError message={fieldErrors.games} />
+            </div>
+            <div>
+              <label className="block text-gray-300 mb-2">Until</label>
+              <input type="date" name="endDate" value={formData.endDate} onChange={handleChange} className={inputClass} />
+              <FieldError message={fieldErrors.endDate} />
+            </div>
+          </div>
+          <p className="text-sm text-gray-400">
+            Set a number of games, an end date, or both; the goal is settled when either runs out.
+            Every match on the starting day counts, including ones you already played that day.
+          </p>
+
+          <div className="flex gap-4">
+            <button
+              type="submit"
+              className="flex-1 bg-green-600 hover:bg-green-700 font-semibold py-2 rounded transition-colors"
+            >
+              Create Goal
+            </button>
+            <button
+              type="button"
+              onClick={() => { setCreating(false); setFieldErrors({}) }}
+              className="flex-1 bg-gray-600 hover:bg-gray-700 font-semibold py-2 rounded transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {goals.length === 0 ? (
+        <p className="text-gray-400">No goals yet. Set a target to track it automatically as you log matches.</p>
+      ) : (
+        <div className="space-y-4">
+          {goals.map((goal) => {
+            const met = meetsTarget(goal)
+            const ratio = goal.target > 0 ? Math.min(goal.value / goal.target, 1) : 1
+
+            return (
+              <div key={goal.id} className="bg-gray-900/50 rounded-lg p-4">
+                <div className="flex justify-between items-start gap-4 mb-2">
+                  <div>
+                    {goal.title && <p className="font-semibold">{goal.title}</p>}
+                    <p className={goal.title ? 'text-sm text-gray-400' : 'font-semibold'}>{describeGoal(goal)}</p>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <span className={`px-2 py-1 rounded text-xs font-semibold ${GOAL_STATUS_COLORS[goal.status]}`}>
+                      {GOAL_STATUS_LABELS[goal.status]}
+                    </span>
+                    <button
+                      onClick={() => handleDelete(goal)}
+                      className="text-red-400 hover:text-red-300 text-sm"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+
+                <div className="w-full bg-gray-700 rounded-full h-2 mb-2">
+                  <div
+                    className={`h-2 rounded-full ${met ? 'bg-green-500' : goal.comparison === 'atMost' ? 'bg-red-500' : 'bg-blue-500'}`}
+                    style={{ width: `${ratio * 100}%` }}
+                  ></div>
+                </div>
+
+                <p className="text-sm text-gray-400">
+                  {formatGoalValue(goal.metric, goal.value)} of {formatGoalValue(goal.metric, goal.target)}
+                  {' · '}
+                  {goal.games
+                    ? `${goal.gamesPlayed}/${goal.games} games played`
+                    : `${goal.gamesPlayed} game${goal.gamesPlayed !== 1 ? 's' : ''} played`}
+                  {goal.status === 'on-track' && goal.gamesPlayed > 0 && !met && ` · ${goal.comparison === 'atMost' ? 'above' : 'below'} target so far`}
+                </p>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
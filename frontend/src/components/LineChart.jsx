@@ -0,0 +1,85 @@
+const WIDTH = 400
+const HEIGHT = 160
+const PADDING = { top: 12, right: 12, bottom: 24, left: 44 }
+
+const strokeClasses = {
+  blue: 'stroke-blue-400',
+  green: 'stroke-green-400',
+  purple: 'stroke-purple-400',
+  yellow: 'stroke-yellow-400',
+}
+
+const fillClasses = {
+  blue: 'fill-blue-400',
+  green: 'fill-green-400',
+  purple: 'fill-purple-400',
+  yellow: 'fill-yellow-400',
+}
+
+// Simple SVG line chart; `points` is a list of { label, value }
+export default function LineChart({ title, points, color = 'blue', formatValue = (value) => value }) {
+  const values = points.map(point => point.value)
+  const min = Math.min(...values)
+  const max = Math.max(...values)
+  // Avoid a flat line collapsing the scale when every value is equal
+  const range = max - min || 1
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+
+  const coordinates = points.map((point, index) => ({
+    ...point,
+    x: PADDING.left + (points.length > 1 ? (index / (points.length - 1)) * plotWidth : plotWidth / 2),
+    y: PADDING.top + plotHeight - ((point.value - min) / range) * plotHeight
+  }))
+
+  return (
+    <div className="bg-gray-700/50 p-4 rounded">
+      <p className="text-gray-300 mb-2">{title}</p>
+      {points.length === 0 ? (
+        <p className="text-gray-500 text-sm py-12 text-center">Not enough matches yet</p>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+          {/* Axes */}
+          <line
+            x1={PADDING.left} y1={PADDING.top}
+            x2={PADDING.left} y2={PADDING.top + plotHeight}
+            className="stroke-gray-600"
+          />
+          <line
+            x1={PADDING.left} y1={PADDING.top + plotHeight}
+            x2={PADDING.left + plotWidth} y2={PADDING.top + plotHeight}
+            className="stroke-gray-600"
+          />
+
+          {/* Scale labels */}
+          <text x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end" className="fill-gray-400 text-[10px]">
+            {formatValue(max)}
+          </text>
+          <text x={PADDING.left - 6} y={PADDING.top + plotHeight} textAnchor="end" className="fill-gray-400 text-[10px]">
+            {formatValue(min)}
+          </text>
+          <text x={PADDING.left} y={HEIGHT - 6} className="fill-gray-400 text-[10px]">
+            {points[0].label}
+          </text>
+          <text x={PADDING.left + plotWidth} y={HEIGHT - 6} textAnchor="end" className="fill-gray-400 text-[10px]">
+            {points[points.length - 1].label}
+          </text>
+
+          {/* Series */}
+          <polyline
+            points={coordinates.map(({ x, y }) => `${x},${y}`).join(' ')}
+            fill="none"
+            strokeWidth="2"
+            className={strokeClasses[color]}
+          />
+          {coordinates.map(({ x, y, label, value }, index) => (
+            <circle key={index} cx={x} cy={y} r="3" className={fillClasses[color]}>
+              <title>{`${label}: ${formatValue(value)}`}</title>
+            </circle>
+          ))}
+        </svg>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,27 @@
+import { useState, useEffect } from 'react'
+
+const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+
+// Shown after a 429; counts down to `until` (a timestamp) and then calls `onExpire`
+export default function LockoutNotice({ message, until, onExpire }) {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const current = Date.now()
+      setNow(current)
+      if (current >= until) onExpire()
+    }, 1000)
+    return () => clearInterval(timer)
+  }, [until, onExpire])
+
+  const secondsLeft = Math.max(0, Math.ceil((until - now) / 1000))
+
+  return (
+    <div className="bg-yellow-900/50 border border-yellow-700 text-yellow-200 px-4 py-3 rounded mb-4">
+      <p className="font-semibold">Temporarily locked</p>
+      <p className="text-sm">{message}</p>
+      <p className="text-sm mt-1">{formatCountdown(secondsLeft)} remaining</p>
+    </div>
+  )
+}
@@ -20,9 +20,27 @@ export default function Navbar({ isAuthenticated, user, onLogout }) {
             <Link to="/" className="hover:text-blue-400 transition-colors">
               Home
             </Link>
+            <Link to="/leaderboard" className="hover:text-blue-400 transition-colors">
+              Leaderboard
+            </Link>
+            <Link to="/compare" className="hover:text-blue-400 transition-colors">
+              Compare
+            </Link>
+            <Link to="/teams" className="hover:text-blue-400 transition-colors">
+              Teams
+            </Link>
+            <Link to="/tournaments" className="hover:text-blue-400 transition-colors">
+              Tournaments
+            </Link>
             
             {isAuthenticated ? (
               <>
+                <Link to="/feed" className="hover:text-blue-400 transition-colors">
+                  Feed
+                </Link>
+                <Link to="/shared-matches" className="hover:text-blue-400 transition-colors">
+                  Scoreboards
+                </Link>
                 <span className="text-gray-300">Welcome, {user?.username}</span>
                 <Link 
                   to="/dashboard" 
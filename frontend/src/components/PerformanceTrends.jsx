@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import LineChart from './LineChart'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const METRICS = [
+  { field: 'kdRatio', title: 'K/D Ratio', color: 'blue', format: (value) => value.toFixed(2) },
+  { field: 'winPercentage', title: 'Win %', color: 'purple', format: (value) => `${value.toFixed(1)}%` },
+  { field: 'damagePerRound', title: 'Damage/Round', color: 'green', format: (value) => value.toFixed(0) },
+  { field: 'killsPerRound', title: 'Kills/Round', color: 'yellow', format: (value) => value.toFixed(2) },
+]
+
+const formatShortDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric'
+})
+
+// Trend charts for the logged-in player, optionally for one match type and game
+export default function PerformanceTrends({ matchType, game = 'All' }) {
+  const [mode, setMode] = useState('period')
+  const [bucket, setBucket] = useState('week')
+  const [windowSize, setWindowSize] = useState(10)
+  const [trends, setTrends] = useState({ buckets: [], rolling: [] })
+
+  useEffect(() => {
+    const fetchTrends = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/stats/trends`, {
+          headers: { Authorization: `Bearer ${token}` },
+          params: {
+            bucket,
+            window: windowSize,
+            ...(matchType === 'All' ? {} : { matchType }),
+            ...(game === 'All' ? {} : { game })
+          }
+        })
+        setTrends({ buckets: response.data.buckets, rolling: response.data.rolling })
+      } catch (err) {
+        console.error('Failed to fetch trends:', err)
+      }
+    }
+
+    fetchTrends()
+  }, [bucket, windowSize, matchType, game])
+
+  const series = mode === 'period'
+    ? trends.buckets.map(point => ({ ...point, label: formatShortDate(point.period) }))
+    : trends.rolling.map(point => ({ ...point, label: formatShortDate(point.date) }))
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 mb-8">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+        <h2 className="text-xl font-semibold">Performance Trends</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="period">By period</option>
+            <option value="rolling">Rolling window</option>
+          </select>
+          {mode === 'period' ? (
+            <select
+              value={bucket}
+              onChange={(e) => setBucket(e.target.value)}
+              className="bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="day">Daily</option>
+              <option value="week">Weekly</option>
+              <option value="month">Monthly</option>
+            </select>
+          ) : (
+            <select
+              value={windowSize}
+              onChange={(e) => setWindowSize(parseInt(e.target.value))}
+              className="bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value={5}>Last 5 matches</option>
+              <option value={10}>Last 10 matches</option>
+              <option value={20}>Last 20 matches</option>
+            </select>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {METRICS.map(({ field, title, color, format }) => (
+          <LineChart
+            key={field}
+            title={title}
+            color={color}
+            formatValue={format}
+            points={series.map(point => ({ label: point.label, value: point[field] }))}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
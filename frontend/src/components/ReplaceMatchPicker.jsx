@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import FieldError from './FieldError'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+// Pick a match the player already logged by hand on `date` (YYYY-MM-DD), so a
+// shared match can take its place instead of counting the game twice
+export default function ReplaceMatchPicker({ date, value, onChange, error }) {
+  const [matches, setMatches] = useState([])
+
+  useEffect(() => {
+    if (!date) return
+
+    const fetchMatches = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/matches`, {
+          params: { from: date, to: date, limit: 20 },
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setMatches(response.data.matches.filter(({ sharedMatchId }) => !sharedMatchId))
+      } catch (err) {
+        console.error('Failed to fetch matches to replace:', err)
+      }
+    }
+
+    fetchMatches()
+  }, [date])
+
+  if (matches.length === 0) return null
+
+  return (
+    <div>
+      <label className="block text-gray-300 mb-2">Already logged this game yourself?</label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="">No, keep my matches as they are</option>
+        {matches.map((match) => (
+          <option key={match._id} value={match._id}>
+            Replace {match.time} {match.map} ({match.roundsWon}-{match.roundsLost}, {match.kills}/{match.deaths}/{match.assists})
+          </option>
+        ))}
+      </select>
+      <FieldError message={error} />
+    </div>
+  )
+}
@@ -0,0 +1,152 @@
+import FieldError from './FieldError'
+import { SIDE_LABELS, emptyRound } from '../rounds'
+
+const MAX_ROUNDS = 100
+
+// Row-per-round entry for a match's round log. `fieldErrors` are keyed by the
+// server's field paths (e.g. 'roundLog.3.kills').
+export default function RoundLogEditor({ rounds, onChange, fieldErrors = {} }) {
+  const updateRound = (index, changes) => {
+    onChange(rounds.map((round, i) => (i === index ? { ...round, ...changes } : round)))
+  }
+
+  // Plants only happen on attack and defuses on defense, so a side switch clears the other one
+  const handleSideChange = (index, side) => {
+    updateRound(index, side === 'attack' ? { side, defused: false } : { side, planted: false })
+  }
+
+  // A new round keeps the side of the one before it
+  const addRound = () => {
+    onChange([...rounds, emptyRound(rounds.length > 0 ? rounds[rounds.length - 1].side : 'attack')])
+  }
+
+  const cellClass = 'bg-gray-700 border border-gray-600 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400">
+              <th className="text-left p-2">#</th>
+              <th className="text-left p-2">Result</th>
+              <th className="text-left p-2">Side</th>
+              <th className="text-left p-2">Kills</th>
+              <th className="text-left p-2">Died</th>
+              <th className="text-left p-2">Damage</th>
+              <th className="text-left p-2">Plant</th>
+              <th className="text-left p-2">Defuse</th>
+              <th className="text-left p-2">First Blood</th>
+              <th className="text-left p-2">Clutch</th>
+              <th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rounds.map((round, index) => {
+              const path = `roundLog.${index}`
+              const errors = ['won', 'side', 'kills', 'deaths', 'damage', 'planted', 'defused', 'firstBlood', 'clutch']
+                .map((name) => fieldErrors[`${path}.${name}`])
+                .filter(Boolean)
+
+              return (
+                <tr key={index} className="border-t border-gray-700 align-top">
+                  <td className="p-2 text-gray-400">{index + 1}</td>
+                  <td className="p-2">
+                    <select
+                      value={round.won ? 'won' : 'lost'}
+                      onChange={(e) => updateRound(index, e.target.value === 'won' ? { won: true } : { won: false, clutch: false })}
+                      className={cellClass}
+                    >
+                      <option value="won">Won</option>
+                      <option value="lost">Lost</option>
+                    </select>
+                  </td>
+                  <td className="p-2">
+                    <select value={round.side} onChange={(e) => handleSideChange(index, e.target.value)} className={cellClass}>
+                      {Object.entries(SIDE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="p-2">
+                    <input
+                      type="number"
+                      min="0"
+                      max="7"
+                      value={round.kills}
+                      onChange={(e) => updateRound(index, { kills: e.target.value })}
+                      className={`${cellClass} w-16`}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={round.deaths === 1}
+                      onChange={(e) => updateRound(index, { deaths: e.target.checked ? 1 : 0 })}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={round.damage}
+                      onChange={(e) => updateRound(index, { damage: e.target.value })}
+                      className={`${cellClass} w-20`}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={round.planted}
+                      disabled={round.side !== 'attack'}
+                      onChange={(e) => updateRound(index, { planted: e.target.checked })}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={round.defused}
+                      disabled={round.side !== 'defense'}
+                      onChange={(e) => updateRound(index, { defused: e.target.checked })}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={round.firstBlood}
+                      onChange={(e) => updateRound(index, { firstBlood: e.target.checked })}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={round.clutch}
+                      disabled={!round.won}
+                      onChange={(e) => updateRound(index, { clutch: e.target.checked })}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <button
+                      type="button"
+                      onClick={() => onChange(rounds.filter((_, i) => i !== index))}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      Remove
+                    </button>
+                    {errors.map((error) => <FieldError key={error} message={error} />)}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {rounds.length < MAX_ROUNDS && (
+        <button type="button" onClick={addRound} className="mt-2 text-blue-400 hover:text-blue-300 text-sm">
+          + Add round
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,327 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import FieldError from './FieldError'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const GAMES = ['Valorant', 'CS2']
+const MAX_TEAM_SIZE = 5
+
+const emptyRow = (row = {}) => ({
+  userId: '',
+  name: '',
+  agent: '',
+  kills: '',
+  deaths: '',
+  assists: '',
+  damage: '',
+  ...row
+})
+
+// Convert a scoreboard from the API into form values for editing
+const sharedMatchToFormData = (sharedMatch) => ({
+  game: sharedMatch.game,
+  date: new Date(sharedMatch.date).toISOString().split('T')[0],
+  time: sharedMatch.time,
+  matchType: sharedMatch.matchType,
+  map: sharedMatch.map,
+  teams: sharedMatch.teams.map((team) => ({
+    roundsWon: String(team.roundsWon),
+    players: team.players.map((row) => emptyRow({
+      userId: row.userId || '',
+      name: row.name,
+      agent: row.agent || '',
+      kills: String(row.kills),
+      deaths: String(row.deaths),
+      assists: String(row.assists),
+      damage: String(row.damage)
+    }))
+  }))
+})
+
+// Blank numbers go out as missing so the server reports them as required
+const toNumber = (value) => (value === '' ? undefined : Number(value))
+
+// Both teams of one game, a row per player. Pass `sharedMatch` to edit a
+// scoreboard, or `firstRow` to prefill the first row of a new one.
+// `onSubmit(payload)` sends it; `fieldErrors` are keyed by the server's field
+// paths (e.g. 'teams.1.players.0.kills'). `renderExtra(formData)` adds inputs
+// above the submit button.
+export default function ScoreboardForm({ sharedMatch, firstRow, fieldErrors = {}, submitLabel, onSubmit, onCancel, renderExtra }) {
+  const [formData, setFormData] = useState(() => sharedMatch ? sharedMatchToFormData(sharedMatch) : {
+    game: 'Valorant',
+    date: new Date().toISOString().split('T')[0],
+    time: new Date().toTimeString().slice(0, 5),
+    matchType: 'Ranked',
+    map: '',
+    teams: [
+      { roundsWon: '', players: [emptyRow(firstRow)] },
+      { roundsWon: '', players: [emptyRow()] }
+    ]
+  })
+  const [gameMaps, setGameMaps] = useState({})
+  const [gameAgents, setGameAgents] = useState({})
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    const fetchCatalog = async () => {
+      try {
+        const [maps, agents] = await Promise.all([
+          axios.get(`${API_URL}/maps`),
+          axios.get(`${API_URL}/agents`)
+        ])
+        setGameMaps(maps.data.games)
+        setGameAgents(agents.data.games)
+      } catch (err) {
+        console.error('Failed to fetch maps and agents:', err)
+      }
+    }
+
+    fetchCatalog()
+  }, [])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // Maps and agents belong to one game, so switching games clears them
+      ...(name === 'game' ? {
+        map: '',
+        teams: prev.teams.map(team => ({ ...team, players: team.players.map(row => ({ ...row, agent: '' })) }))
+      } : {})
+    }))
+  }
+
+  const updateTeam = (teamIndex, update) => {
+    setFormData(prev => ({
+      ...prev,
+      teams: prev.teams.map((team, index) => (index === teamIndex ? { ...team, ...update(team) } : team))
+    }))
+  }
+
+  const handleRowChange = (teamIndex, rowIndex, name, value) => {
+    updateTeam(teamIndex, team => ({
+      players: team.players.map((row, index) => (index === rowIndex ? { ...row, [name]: value } : row))
+    }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+
+    await onSubmit({
+      game: formData.game,
+      date: formData.date,
+      time: formData.time,
+      matchType: formData.matchType,
+      map: formData.map,
+      teams: formData.teams.map(team => ({
+        roundsWon: toNumber(team.roundsWon),
+        players: team.players.map(row => ({
+          userId: row.userId.trim(),
+          name: row.name.trim(),
+          agent: row.agent,
+          kills: toNumber(row.kills),
+          deaths: toNumber(row.deaths),
+          assists: toNumber(row.assists),
+          damage: toNumber(row.damage)
+        }))
+      }))
+    })
+
+    setLoading(false)
+  }
+
+  const agents = gameAgents[formData.game] || []
+  const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500'
+  const cellClass = 'w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        <div>
+          <label className="block text-gray-300 mb-2">Game *</label>
+          <select name="game" value={formData.game} onChange={handleChange} className={inputClass}>
+            {GAMES.map((game) => (
+              <option key={game} value={game}>{game}</option>
+            ))}
+          </select>
+          <FieldError message={fieldErrors.game} />
+        </div>
+        <div>
+          <label className="block text-gray-300 mb-2">Map *</label>
+          <select name="map" value={formData.map} onChange={handleChange} required className={inputClass}>
+            <option value="">Select map</option>
+            {(gameMaps[formData.game] || []).map((map) => (
+              <option key={map} value={map}>{map}</option>
+            ))}
+          </select>
+          <FieldError message={fieldErrors.map} />
+        </div>
+        <div>
+          <label className="block text-gray-300 mb-2">Match Type *</label>
+          <select name="matchType" value={formData.matchType} onChange={handleChange} className={inputClass}>
+            <option value="Ranked">Ranked</option>
+            <option value="Casual">Casual</option>
+            <option value="Tournament">Tournament</option>
+            <option value="Practice">Practice</option>
+          </select>
+          <FieldError message={fieldErrors.matchType} />
+        </div>
+        <div>
+          <label className="block text-gray-300 mb-2">Date *</label>
+          <input type="date" name="date" value={formData.date} onChange={handleChange} required className={inputClass} />
+          <FieldError message={fieldErrors.date} />
+        </div>
+        <div>
+          <label className="block text-gray-300 mb-2">Time *</label>
+          <input type="time" name="time" value={formData.time} onChange={handleChange} required className={inputClass} />
+          <FieldError message={fieldErrors.time} />
+        </div>
+      </div>
+
+      <FieldError message={fieldErrors.teams} />
+
+      {formData.teams.map((team, teamIndex) => (
+        <div key={teamIndex} className="bg-gray-900/50 rounded-lg p-4">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="text-lg font-semibold">Team {teamIndex + 1}</h3>
+            <div className="flex items-center gap-2">
+              <label className="text-gray-300 text-sm">Rounds won *</label>
+              <input
+                type="number"
+                min="0"
+                value={team.roundsWon}
+                onChange={(e) => updateTeam(teamIndex, () => ({ roundsWon: e.target.value }))}
+                required
+                className="w-20 bg-gray-700 border border-gray-600 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+          <FieldError message={fieldErrors[`teams.${teamIndex}.roundsWon`] || fieldErrors[`teams.${teamIndex}.players`]} />
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400">
+                  <th className="text-left p-2">Player ID</th>
+                  <th className="text-left p-2">Name</th>
+                  <th className="text-left p-2">Agent</th>
+                  <th className="text-left p-2">K</th>
+                  <th className="text-left p-2">D</th>
+                  <th className="text-left p-2">A</th>
+                  <th className="text-left p-2">Damage</th>
+                  <th className="p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {team.players.map((row, rowIndex) => {
+                  const path = `teams.${teamIndex}.players.${rowIndex}`
+                  const rowErrors = ['userId', 'name', 'agent', 'kills', 'deaths', 'assists', 'damage']
+                    .map((name) => fieldErrors[`${path}.${name}`])
+                    .filter(Boolean)
+
+                  return (
+                    <tr key={rowIndex} className="align-top">
+                      <td className="p-2">
+                        <input
+                          type="text"
+                          value={row.userId}
+                          onChange={(e) => handleRowChange(teamIndex, rowIndex, 'userId', e.target.value)}
+                          placeholder="Not on Nolu"
+                          className={cellClass}
+                        />
+                      </td>
+                      <td className="p-2">
+                        <input
+                          type="text"
+                          value={row.name}
+                          onChange={(e) => handleRowChange(teamIndex, rowIndex, 'name', e.target.value)}
+                          placeholder={row.userId ? 'Their username' : 'Name'}
+                          className={cellClass}
+                        />
+                      </td>
+                      <td className="p-2">
+                        <select
+                          value={row.agent}
+                          onChange={(e) => handleRowChange(teamIndex, rowIndex, 'agent', e.target.value)}
+                          disabled={agents.length === 0}
+                          className={cellClass}
+                        >
+                          <option value="">{agents.length ? '-' : 'Not tracked'}</option>
+                          {agents.map(({ name }) => (
+                            <option key={name} value={name}>{name}</option>
+                          ))}
+                        </select>
+                      </td>
+                      {['kills', 'deaths', 'assists', 'damage'].map((name) => (
+                        <td key={name} className="p-2">
+                          <input
+                            type="number"
+                            min="0"
+                            value={row[name]}
+                            onChange={(e) => handleRowChange(teamIndex, rowIndex, name, e.target.value)}
+                            required
+                            className={`${cellClass} ${name === 'damage' ? 'w-24' : 'w-16'}`}
+                          />
+                        </td>
+                      ))}
+                      <td className="p-2">
+                        {team.players.length > 1 && (
+                          <button
+                            type="button"
+                            onClick={() => updateTeam(teamIndex, ({ players }) => ({ players: players.filter((_, index) => index !== rowIndex) }))}
+                            className="text-red-400 hover:text-red-300"
+                          >
+                            Remove
+                          </button>
+                        )}
+                        {rowErrors.length > 0 && (
+                          <div className="min-w-48">
+                            {rowErrors.map((error) => <FieldError key={error} message={error} />)}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {team.players.length < MAX_TEAM_SIZE && (
+            <button
+              type="button"
+              onClick={() => updateTeam(teamIndex, ({ players }) => ({ players: [...players, emptyRow()] }))}
+              className="mt-2 text-blue-400 hover:text-blue-300 text-sm"
+            >
+              + Add player
+            </button>
+          )}
+        </div>
+      ))}
+
+      {renderExtra && renderExtra(formData)}
+
+      <div className="flex gap-4">
+        <button
+          type="submit"
+          disabled={loading}
+          className="flex-1 bg-green-600 hover:bg-green-700 font-semibold py-3 rounded transition-colors disabled:opacity-50"
+        >
+          {loading ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 bg-gray-600 hover:bg-gray-700 font-semibold py-3 rounded transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
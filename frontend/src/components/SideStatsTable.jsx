@@ -0,0 +1,48 @@
+import { SIDE_LABELS } from '../rounds'
+
+// Attack vs defense splits, built from matches logged round by round
+export default function SideStatsTable({ title = 'Attack / Defense', sides }) {
+  const logged = sides.some(({ rounds }) => rounds > 0)
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 mb-8">
+      <h2 className="text-xl font-semibold mb-4">{title}</h2>
+      {!logged ? (
+        <p className="text-gray-400">No matches logged round by round yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="bg-gray-900 text-gray-300">
+                <th className="text-left p-3">Side</th>
+                <th className="text-left p-3">Rounds</th>
+                <th className="text-left p-3">Round Win %</th>
+                <th className="text-left p-3">K/D</th>
+                <th className="text-left p-3">KPR</th>
+                <th className="text-left p-3">DPR</th>
+                <th className="text-left p-3">First Bloods</th>
+                <th className="text-left p-3">Clutches</th>
+                <th className="text-left p-3">Plants / Defuses</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sides.map((side) => (
+                <tr key={side.side} className="border-b border-gray-700">
+                  <td className="p-3 font-medium">{SIDE_LABELS[side.side]}</td>
+                  <td className="p-3">{side.roundsWon}/{side.rounds}</td>
+                  <td className="p-3">{side.roundWinPercentage}%</td>
+                  <td className="p-3">{side.kdRatio}</td>
+                  <td className="p-3">{side.killsPerRound}</td>
+                  <td className="p-3">{side.damagePerRound}</td>
+                  <td className="p-3">{side.firstBloods}</td>
+                  <td className="p-3">{side.clutches}</td>
+                  <td className="p-3">{side.side === 'attack' ? side.plants : side.defuses}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,73 @@
+import { useState } from 'react'
+
+const COLUMNS = [
+  { field: 'games', label: 'Games' },
+  { field: 'record', label: 'W/L/D', sortBy: 'wins' },
+  { field: 'winPercentage', label: 'Win %' },
+  { field: 'kdRatio', label: 'K/D' },
+  { field: 'killsPerRound', label: 'KPR' },
+  { field: 'damagePerRound', label: 'DPR' },
+]
+
+// Sortable table of per-group stats (e.g. one row per map)
+export default function StatsBreakdownTable({ title, labelHeader, labelField, rows, emptyMessage = 'No matches recorded yet' }) {
+  const [sort, setSort] = useState({ field: 'games', order: 'desc' })
+
+  const handleSort = (field) => {
+    setSort(prev => ({
+      field,
+      order: prev.field === field && prev.order === 'desc' ? 'asc' : 'desc'
+    }))
+  }
+
+  const sortedRows = [...rows].sort((a, b) => {
+    const left = a[sort.field]
+    const right = b[sort.field]
+    const result = typeof left === 'string' ? left.localeCompare(right) : left - right
+    return sort.order === 'asc' ? result : -result
+  })
+
+  const renderHeader = (field, label) => (
+    <th key={field} className="text-left p-3 text-gray-300">
+      <button
+        onClick={() => handleSort(field)}
+        className={`hover:text-blue-400 transition-colors ${sort.field === field ? 'text-blue-400' : ''}`}
+      >
+        {label} {sort.field === field && (sort.order === 'asc' ? '▲' : '▼')}
+      </button>
+    </th>
+  )
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 mb-8">
+      <h2 className="text-xl font-semibold mb-4">{title}</h2>
+      {rows.length === 0 ? (
+        <p className="text-gray-400">{emptyMessage}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="bg-gray-900">
+                {renderHeader(labelField, labelHeader)}
+                {COLUMNS.map(({ field, label, sortBy }) => renderHeader(sortBy || field, label))}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedRows.map((row) => (
+                <tr key={row[labelField]} className="border-b border-gray-700">
+                  <td className="p-3 font-medium">{row[labelField]}</td>
+                  <td className="p-3">{row.games}</td>
+                  <td className="p-3">{row.wins}/{row.losses}/{row.draws}</td>
+                  <td className="p-3">{row.winPercentage.toFixed(1)}%</td>
+                  <td className="p-3">{row.kdRatio.toFixed(2)}</td>
+                  <td className="p-3">{row.killsPerRound.toFixed(2)}</td>
+                  <td className="p-3">{row.damagePerRound.toFixed(0)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,57 @@
+// Display helpers for personal goals
+
+const fixed = (places) => (value) => value.toFixed(places)
+const whole = (value) => value.toLocaleString()
+
+export const GOAL_METRICS = [
+  { field: 'kdRatio', label: 'K/D ratio', format: fixed(2) },
+  { field: 'winPercentage', label: 'Win %', format: (value) => `${value.toFixed(1)}%` },
+  { field: 'damagePerRound', label: 'Damage/round', format: fixed(0) },
+  { field: 'killsPerRound', label: 'Kills/round', format: fixed(2) },
+  { field: 'wins', label: 'Wins', format: whole },
+  { field: 'kills', label: 'Kills', format: whole },
+  { field: 'deaths', label: 'Deaths', format: whole },
+  { field: 'assists', label: 'Assists', format: whole },
+  { field: 'totalGames', label: 'Games played', format: whole },
+  { field: 'totalRounds', label: 'Rounds played', format: whole },
+  { field: 'totalDamage', label: 'Total damage', format: whole }
+]
+
+export const GOAL_STATUS_LABELS = {
+  'on-track': 'On track',
+  achieved: 'Achieved',
+  failed: 'Failed'
+}
+
+export const GOAL_STATUS_COLORS = {
+  'on-track': 'bg-blue-900/50 text-blue-300',
+  achieved: 'bg-green-900/50 text-green-300',
+  failed: 'bg-red-900/50 text-red-300'
+}
+
+const metricOf = (field) => GOAL_METRICS.find((metric) => metric.field === field)
+
+export const formatGoalValue = (field, value) => metricOf(field).format(value)
+
+const formatDay = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  timeZone: 'UTC',
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+})
+
+// e.g. "K/D ratio ≥ 1.20 over 20 Ranked games on Ascent, until Nov 30, 2026"
+export const describeGoal = (goal) => {
+  const target = `${metricOf(goal.metric).label} ${goal.comparison === 'atMost' ? '≤' : '≥'} ${formatGoalValue(goal.metric, goal.target)}`
+  const scope = [goal.matchType, goal.game].filter(Boolean).join(' ')
+  const games = goal.games
+    ? ` over ${goal.games}${scope ? ` ${scope}` : ''} game${goal.games !== 1 ? 's' : ''}`
+    : scope ? ` in ${scope} games` : ''
+
+  return `${target}${games}${goal.map ? ` on ${goal.map}` : ''}${goal.endDate ? `, until ${formatDay(goal.endDate)}` : ''}`
+}
+
+// Whether the goal's current value meets its target
+export const meetsTarget = (goal) => (
+  goal.comparison === 'atMost' ? goal.value <= goal.target : goal.value >= goal.target
+)
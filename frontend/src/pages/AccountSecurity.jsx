@@ -0,0 +1,194 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import axios from 'axios'
+import { saveSession } from '../session'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+export default function AccountSecurity() {
+  const [passwordData, setPasswordData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  })
+  const [email, setEmail] = useState('')
+  const [message, setMessage] = useState('')
+  const [loading, setLoading] = useState(false)
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    const fetchEmail = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/stats`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setEmail(response.data.user.email || '')
+      } catch (err) {
+        console.error('Failed to fetch account:', err)
+      }
+    }
+
+    fetchEmail()
+  }, [])
+
+  const handlePasswordChange = (e) => {
+    setPasswordData({
+      ...passwordData,
+      [e.target.name]: e.target.value
+    })
+  }
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault()
+    setMessage('')
+
+    if (passwordData.newPassword !== passwordData.confirmPassword) {
+      setMessage({ type: 'error', text: 'New passwords do not match' })
+      return
+    }
+
+    if (passwordData.newPassword.length < 6) {
+      setMessage({ type: 'error', text: 'Password must be at least 6 characters' })
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const token = localStorage.getItem('token')
+      const response = await axios.put(
+        `${API_URL}/user/me/password`,
+        {
+          currentPassword: passwordData.currentPassword,
+          newPassword: passwordData.newPassword
+        },
+        { headers: { Authorization: `Bearer ${token}` } }
+      )
+
+      // Every old session was revoked; keep this device signed in with the new one
+      saveSession(response.data.token, response.data.refreshToken)
+      setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' })
+      setMessage({ type: 'success', text: response.data.message })
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to change password' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault()
+    setMessage('')
+
+    try {
+      const token = localStorage.getItem('token')
+      const response = await axios.put(
+        `${API_URL}/user/me/email`,
+        { email },
+        { headers: { Authorization: `Bearer ${token}` } }
+      )
+      setEmail(response.data.email || '')
+      setMessage({ type: 'success', text: response.data.message })
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to save recovery email' })
+    }
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold">Account Security</h1>
+          <p className="text-gray-400">Change your password and recovery email</p>
+        </div>
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="bg-gray-600 hover:bg-gray-700 px-4 py-2 rounded font-semibold transition-colors"
+        >
+          Back to Dashboard
+        </button>
+      </div>
+
+      {message && (
+        <div className={`mb-6 p-4 rounded ${
+          message.type === 'success'
+            ? 'bg-green-900/50 border border-green-700 text-green-200'
+            : 'bg-red-900/50 border border-red-700 text-red-200'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      <form onSubmit={handlePasswordSubmit} className="bg-gray-800 rounded-lg p-6 mb-8 space-y-4">
+        <h2 className="text-xl font-semibold">Change Password</h2>
+        <p className="text-gray-400 text-sm">Changing your password signs out every other device.</p>
+
+        <div>
+          <label className="block text-gray-300 mb-2">Current Password</label>
+          <input
+            type="password"
+            name="currentPassword"
+            value={passwordData.currentPassword}
+            onChange={handlePasswordChange}
+            required
+            className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <div>
+          <label className="block text-gray-300 mb-2">New Password</label>
+          <input
+            type="password"
+            name="newPassword"
+            value={passwordData.newPassword}
+            onChange={handlePasswordChange}
+            required
+            className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="At least 6 characters"
+          />
+        </div>
+
+        <div>
+          <label className="block text-gray-300 mb-2">Confirm New Password</label>
+          <input
+            type="password"
+            name="confirmPassword"
+            value={passwordData.confirmPassword}
+            onChange={handlePasswordChange}
+            required
+            className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full bg-blue-600 hover:bg-blue-700 font-semibold py-3 rounded transition-colors disabled:opacity-50"
+        >
+          {loading ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+
+      <form onSubmit={handleEmailSubmit} className="bg-gray-800 rounded-lg p-6 space-y-4">
+        <h2 className="text-xl font-semibold">Recovery Email</h2>
+        <p className="text-gray-400 text-sm">Password reset links are sent here. Leave it empty to remove it.</p>
+
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          placeholder="you@example.com"
+        />
+
+        <button
+          type="submit"
+          className="w-full bg-gray-600 hover:bg-gray-700 font-semibold py-3 rounded transition-colors"
+        >
+          Save Email
+        </button>
+      </form>
+    </div>
+  )
+}
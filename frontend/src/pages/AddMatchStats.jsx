@@ -1,65 +1,137 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import axios from 'axios'
+import FieldError from '../components/FieldError'
+import RoundLogEditor from '../components/RoundLogEditor'
+import { roundLogTotals } from '../rounds'
 
 // Update this URL for production
 const API_URL ='https://nolu-lemon.vercel.app/api';
 
-export default function AddMatchStats() {
-  const [formData, setFormData] = useState({
-    date: '',
-    time: '',
+// Convert a stored match into form values for editing
+const matchToFormData = (match) => ({
+  game: match.game || 'Valorant',
+  date: new Date(match.date).toISOString().split('T')[0],
+  time: match.time,
+  matchType: match.matchType,
+  outcome: match.outcome,
+  map: match.map,
+  agent: match.agent || '',
+  roundsWon: String(match.roundsWon),
+  roundsLost: String(match.roundsLost),
+  damage: String(match.damage),
+  kills: String(match.kills),
+  deaths: String(match.deaths),
+  assists: String(match.assists),
+  tournamentId: match.tournamentId || '',
+  tournamentSlot: match.tournamentSlot || '',
+  roundLog: (match.roundLog || []).map((round) => ({ ...round, kills: String(round.kills), damage: String(round.damage) }))
+})
+
+// Pass `match` (with `onSaved`/`onCancel`) to edit an existing match instead of adding one
+export default function AddMatchStats({ match, onSaved, onCancel }) {
+  const isEditing = Boolean(match)
+  // Today's date and time are the defaults for a new match
+  const [formData, setFormData] = useState(() => match ? matchToFormData(match) : {
+    game: 'Valorant',
+    date: new Date().toISOString().split('T')[0],
+    time: new Date().toTimeString().slice(0, 5),
     matchType: 'Ranked',
     outcome: 'Win',
     map: '',
+    agent: '',
     roundsWon: '',
     roundsLost: '',
     damage: '',
     kills: '',
     deaths: '',
-    assists: ''
+    assists: '',
+    tournamentId: '',
+    tournamentSlot: '',
+    roundLog: []
   })
-  const [maps, setMaps] = useState([])
+  // Tournaments the player is entered in, for linking Tournament matches to a bracket slot
+  const [tournaments, setTournaments] = useState([])
+  const [gameAgents, setGameAgents] = useState({})
+  const [gameMaps, setGameMaps] = useState({})
   const [loading, setLoading] = useState(false)
   const [message, setMessage] = useState('')
+  // Per-field messages from the server, keyed by field name
+  const [fieldErrors, setFieldErrors] = useState({})
   const navigate = useNavigate()
 
   useEffect(() => {
     fetchMaps()
-    // Set today's date as default
-    const today = new Date().toISOString().split('T')[0]
-    const now = new Date().toTimeString().slice(0, 5)
-    setFormData(prev => ({
-      ...prev,
-      date: today,
-      time: now
-    }))
+    fetchAgents()
+    fetchTournaments()
   }, [])
 
   const fetchMaps = async () => {
     try {
       const response = await axios.get(`${API_URL}/maps`)
-      setMaps(response.data.maps)
+      setGameMaps(response.data.games)
     } catch (err) {
       console.error('Failed to fetch maps:', err)
       // Fallback maps if API fails
-      setMaps(['Ascent', 'Bind', 'Haven', 'Split', 'Icebox', 'Breeze', 'Fracture'])
+      setGameMaps({
+        Valorant: ['Ascent', 'Bind', 'Haven', 'Split', 'Icebox', 'Breeze', 'Fracture'],
+        CS2: ['Mirage', 'Inferno', 'Dust2', 'Nuke', 'Overpass', 'Vertigo']
+      })
+    }
+  }
+
+  const fetchAgents = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/agents`)
+      setGameAgents(response.data.games)
+    } catch (err) {
+      // The agent is optional, so the form still works without the list
+      console.error('Failed to fetch agents:', err)
+    }
+  }
+
+  const fetchTournaments = async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const response = await axios.get(`${API_URL}/user/me/tournaments`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      setTournaments(response.data.tournaments.filter(({ entry, status }) => entry && status !== 'registration'))
+    } catch (err) {
+      // Linking is optional, so the form still works without the list
+      console.error('Failed to fetch tournaments:', err)
     }
   }
 
   const handleChange = (e) => {
     const { name, value } = e.target
     
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }))
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // Maps and agents belong to one game, so switching games clears them
+      ...(name === 'game' ? { map: '', agent: '', tournamentId: '', tournamentSlot: '' } : {}),
+      // Only Tournament matches link to a bracket slot, and slots belong to one tournament
+      ...(name === 'matchType' && value !== 'Tournament' ? { tournamentId: '', tournamentSlot: '' } : {}),
+      ...(name === 'tournamentId' ? { tournamentSlot: '' } : {})
     }))
   }
 
+  // Totals follow the round log while there is one
+  const logTotals = formData.roundLog.length > 0 ? roundLogTotals(formData.roundLog) : null
+  const totalValue = (name) => (logTotals ? logTotals[name] : formData[name])
+
+  const handleRoundLogChange = (roundLog) => {
+    setFieldErrors(prev => Object.fromEntries(Object.entries(prev).filter(([field]) => !field.startsWith('roundLog.'))))
+    setFormData(prev => ({ ...prev, roundLog }))
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     setLoading(true)
     setMessage('')
+    setFieldErrors({})
 
     // Validation
     if (parseInt(formData.roundsWon) < 0 || parseInt(formData.roundsLost) < 0) {
@@ -74,8 +146,21 @@ export default function AddMatchStats() {
     try {
       const token = localStorage.getItem('token')
       
-      // Convert string values to numbers
-      const dataToSend = {
+      // Convert string values to numbers; with a round log the server adds up the totals
+      const dataToSend = logTotals ? {
+        ...formData,
+        roundsWon: undefined,
+        roundsLost: undefined,
+        damage: undefined,
+        kills: undefined,
+        deaths: undefined,
+        assists: parseInt(formData.assists) || 0,
+        roundLog: formData.roundLog.map((round) => ({
+          ...round,
+          kills: parseInt(round.kills) || 0,
+          damage: parseInt(round.damage) || 0
+        }))
+      } : {
         ...formData,
         roundsWon: parseInt(formData.roundsWon) || 0,
         roundsLost: parseInt(formData.roundsLost) || 0,
@@ -85,6 +170,18 @@ export default function AddMatchStats() {
         assists: parseInt(formData.assists) || 0
       }
 
+      if (isEditing) {
+        const response = await axios.put(
+          `${API_URL}/user/me/matches/${match._id}`,
+          dataToSend,
+          {
+            headers: { Authorization: `Bearer ${token}` }
+          }
+        )
+        onSaved?.(response.data.match)
+        return
+      }
+
       const response = await axios.post(
         `${API_URL}/user/me/matches`,
         dataToSend,
@@ -93,24 +190,32 @@ export default function AddMatchStats() {
         }
       )
 
+      const earned = response.data.achievements || []
       setMessage({
         type: 'success',
-        text: 'Match added successfully! Stats have been updated.'
+        text: earned.length > 0
+          ? `Match added! Achievement unlocked: ${earned.map(({ icon, name }) => `${icon} ${name}`).join(', ')}`
+          : 'Match added successfully! Stats have been updated.'
       })
 
       // Reset form
       setFormData({
+        game: formData.game,
         date: new Date().toISOString().split('T')[0],
         time: new Date().toTimeString().slice(0, 5),
         matchType: 'Ranked',
         outcome: 'Win',
         map: '',
+        agent: '',
         roundsWon: '',
         roundsLost: '',
         damage: '',
         kills: '',
         deaths: '',
-        assists: ''
+        assists: '',
+        tournamentId: '',
+        tournamentSlot: '',
+        roundLog: []
       })
 
       // Redirect to dashboard after 2 seconds
@@ -119,23 +224,32 @@ export default function AddMatchStats() {
       }, 2000)
 
     } catch (err) {
+      const errors = err.response?.data?.errors || []
+      setFieldErrors(Object.fromEntries(errors.map(({ field, message }) => [field, message])))
       setMessage({
         type: 'error',
-        text: err.response?.data?.message || 'Failed to add match'
+        text: errors.length > 1
+          ? 'Some fields need fixing, see the messages below'
+          : err.response?.data?.message || (isEditing ? 'Failed to update match' : 'Failed to add match')
       })
     } finally {
       setLoading(false)
     }
   }
 
+  const gameTournaments = tournaments.filter(({ game }) => game === formData.game)
+  const selectedTournament = tournaments.find(({ id }) => id === formData.tournamentId)
+
   // Calculate total rounds
-  const totalRounds = (parseInt(formData.roundsWon) || 0) + (parseInt(formData.roundsLost) || 0);
+  const totalRounds = (parseInt(totalValue('roundsWon')) || 0) + (parseInt(totalValue('roundsLost')) || 0);
 
   return (
     <div className="max-w-4xl mx-auto">
       <div className="mb-8">
-        <h1 className="text-3xl font-bold mb-2">Add Match Stats</h1>
-        <p className="text-gray-400">Add a new match to update your statistics</p>
+        <h1 className="text-3xl font-bold mb-2">{isEditing ? 'Edit Match' : 'Add Match Stats'}</h1>
+        <p className="text-gray-400">
+          {isEditing ? 'Fix the details of this match and your stats will be recalculated' : 'Add a new match to update your statistics'}
+        </p>
       </div>
 
       {message && (
@@ -162,6 +276,7 @@ export default function AddMatchStats() {
                 required
                 className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
+              <FieldError message={fieldErrors.date} />
             </div>
 
             <div>
@@ -174,6 +289,7 @@ export default function AddMatchStats() {
                 required
                 className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
+              <FieldError message={fieldErrors.time} />
             </div>
 
             <div>
@@ -189,11 +305,26 @@ export default function AddMatchStats() {
                 <option value="Tournament">Tournament</option>
                 <option value="Practice">Practice</option>
               </select>
+              <FieldError message={fieldErrors.matchType} />
             </div>
           </div>
 
-          {/* Outcome and Map */}
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {/* Game, Outcome, Map and Agent */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-gray-300 mb-2">Game *</label>
+              <select
+                name="game"
+                value={formData.game}
+                onChange={handleChange}
+                className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="Valorant">Valorant</option>
+                <option value="CS2">CS2</option>
+              </select>
+              <FieldError message={fieldErrors.game} />
+            </div>
+
             <div>
               <label className="block text-gray-300 mb-2">Outcome *</label>
               <select
@@ -206,6 +337,7 @@ export default function AddMatchStats() {
                 <option value="Loss">Loss</option>
                 <option value="Draw">Draw</option>
               </select>
+              <FieldError message={fieldErrors.outcome} />
             </div>
 
             <div>
@@ -218,10 +350,28 @@ export default function AddMatchStats() {
                 className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
                 <option value="">Select a map</option>
-                {maps.map((map) => (
+                {(gameMaps[formData.game] || []).map((map) => (
                   <option key={map} value={map}>{map}</option>
                 ))}
               </select>
+              <FieldError message={fieldErrors.map} />
+            </div>
+
+            <div>
+              <label className="block text-gray-300 mb-2">Agent</label>
+              <select
+                name="agent"
+                value={formData.agent}
+                onChange={handleChange}
+                disabled={!gameAgents[formData.game]?.length}
+                className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                <option value="">{gameAgents[formData.game]?.length ? 'Not specified' : 'Not tracked'}</option>
+                {(gameAgents[formData.game] || []).map(({ name, role }) => (
+                  <option key={name} value={name}>{name} ({role})</option>
+                ))}
+              </select>
+              <FieldError message={fieldErrors.agent} />
             </div>
           </div>
 
@@ -232,13 +382,15 @@ export default function AddMatchStats() {
               <input
                 type="number"
                 name="roundsWon"
-                value={formData.roundsWon}
+                value={totalValue('roundsWon')}
                 onChange={handleChange}
                 min="0"
-                required
+                required={!logTotals}
+                readOnly={Boolean(logTotals)}
                 className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
                 placeholder="e.g., 7"
               />
+              <FieldError message={fieldErrors.roundsWon} />
             </div>
 
             <div>
@@ -246,13 +398,15 @@ export default function AddMatchStats() {
               <input
                 type="number"
                 name="roundsLost"
-                value={formData.roundsLost}
+                value={totalValue('roundsLost')}
                 onChange={handleChange}
                 min="0"
-                required
+                required={!logTotals}
+                readOnly={Boolean(logTotals)}
                 className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
                 placeholder="e.g., 6"
               />
+              <FieldError message={fieldErrors.roundsLost} />
             </div>
 
             <div>
@@ -271,13 +425,15 @@ export default function AddMatchStats() {
               <input
                 type="number"
                 name="damage"
-                value={formData.damage}
+                value={totalValue('damage')}
                 onChange={handleChange}
                 min="0"
-                required
+                required={!logTotals}
+                readOnly={Boolean(logTotals)}
                 className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
                 placeholder="e.g., 3200"
               />
+              <FieldError message={fieldErrors.damage} />
             </div>
 
             <div>
@@ -285,13 +441,15 @@ export default function AddMatchStats() {
               <input
                 type="number"
                 name="kills"
-                value={formData.kills}
+                value={totalValue('kills')}
                 onChange={handleChange}
                 min="0"
-                required
+                required={!logTotals}
+                readOnly={Boolean(logTotals)}
                 className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
                 placeholder="e.g., 15"
               />
+              <FieldError message={fieldErrors.kills} />
             </div>
 
             <div>
@@ -299,13 +457,15 @@ export default function AddMatchStats() {
               <input
                 type="number"
                 name="deaths"
-                value={formData.deaths}
+                value={totalValue('deaths')}
                 onChange={handleChange}
                 min="0"
-                required
+                required={!logTotals}
+                readOnly={Boolean(logTotals)}
                 className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
                 placeholder="e.g., 10"
               />
+              <FieldError message={fieldErrors.deaths} />
             </div>
 
             <div>
@@ -320,10 +480,60 @@ export default function AddMatchStats() {
                 className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
                 placeholder="e.g., 5"
               />
+              <FieldError message={fieldErrors.assists} />
+            </div>
+          </div>
+
+          {/* Round log */}
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-lg font-semibold">Round Log</h3>
+              <span className="text-xs text-gray-400">
+                {logTotals ? 'Rounds, kills, deaths and damage are added up from the log' : 'Optional: log the match round by round'}
+              </span>
             </div>
+            <RoundLogEditor rounds={formData.roundLog} onChange={handleRoundLogChange} fieldErrors={fieldErrors} />
+            <FieldError message={fieldErrors.roundLog} />
           </div>
 
-         
+          {/* Bracket link */}
+          {formData.matchType === 'Tournament' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-gray-300 mb-2">Tournament</label>
+                <select
+                  name="tournamentId"
+                  value={formData.tournamentId}
+                  onChange={handleChange}
+                  className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">{gameTournaments.length > 0 ? 'Not linked' : `No ${formData.game} tournaments to link`}</option>
+                  {gameTournaments.map(({ id, name, entry }) => (
+                    <option key={id} value={id}>{name} ({entry.name})</option>
+                  ))}
+                </select>
+                <FieldError message={fieldErrors.tournamentId} />
+              </div>
+
+              <div>
+                <label className="block text-gray-300 mb-2">Bracket Slot</label>
+                <select
+                  name="tournamentSlot"
+                  value={formData.tournamentSlot}
+                  onChange={handleChange}
+                  required={Boolean(formData.tournamentId)}
+                  disabled={!selectedTournament}
+                  className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                  <option value="">Select a slot</option>
+                  {(selectedTournament?.slots || []).map(({ code, label, opponent }) => (
+                    <option key={code} value={code}>{label} ({code}) vs {opponent || 'TBD'}</option>
+                  ))}
+                </select>
+                <FieldError message={fieldErrors.tournamentSlot} />
+              </div>
+            </div>
+          )}
 
           {/* Buttons */}
           <div className="flex gap-4 pt-4">
@@ -332,11 +542,13 @@ export default function AddMatchStats() {
               disabled={loading}
               className="flex-1 bg-green-600 hover:bg-green-700 text-white font-semibold py-3 rounded transition-colors disabled:opacity-50"
             >
-              {loading ? 'Adding Match...' : 'Add Match'}
+              {isEditing
+                ? (loading ? 'Saving Changes...' : 'Save Changes')
+                : (loading ? 'Adding Match...' : 'Add Match')}
             </button>
             <button
               type="button"
-              onClick={() => navigate('/dashboard')}
+              onClick={() => isEditing ? onCancel?.() : navigate('/dashboard')}
               className="px-6 bg-gray-600 hover:bg-gray-700 text-white font-semibold py-3 rounded transition-colors"
             >
               Cancel
@@ -346,16 +558,18 @@ export default function AddMatchStats() {
       </div>
 
       {/* How it works */}
-      <div className="mt-8 bg-gray-800/50 rounded-lg p-6">
-        <h3 className="text-lg font-semibold mb-4">How Stats are Calculated</h3>
-        <div className="text-sm text-gray-400 space-y-2">
-          <p>• <span className="text-blue-400">Total Rounds</span> = Rounds Won + Rounds Lost</p>
-          <p>• <span className="text-blue-400">K/D Ratio</span> = Total Kills ÷ Total Deaths</p>
-          <p>• <span className="text-green-400">Damage/Round</span> = Total Damage ÷ Total Rounds</p>
-          <p>• <span className="text-purple-400">Win %</span> = (Total Wins ÷ Total Matches) × 100</p>
-          <p>• <span className="text-yellow-400">Kills/Round</span> = Total Kills ÷ Total Rounds</p>
+      {!isEditing && (
+        <div className="mt-8 bg-gray-800/50 rounded-lg p-6">
+          <h3 className="text-lg font-semibold mb-4">How Stats are Calculated</h3>
+          <div className="text-sm text-gray-400 space-y-2">
+            <p>• <span className="text-blue-400">Total Rounds</span> = Rounds Won + Rounds Lost</p>
+            <p>• <span className="text-blue-400">K/D Ratio</span> = Total Kills ÷ Total Deaths</p>
+            <p>• <span className="text-green-400">Damage/Round</span> = Total Damage ÷ Total Rounds</p>
+            <p>• <span className="text-purple-400">Win %</span> = (Total Wins ÷ Total Matches) × 100</p>
+            <p>• <span className="text-yellow-400">Kills/Round</span> = Total Kills ÷ Total Rounds</p>
+          </div>
         </div>
-      </div>
+      )}
     </div>
   )
 }
\ No newline at end of file
@@ -0,0 +1,327 @@
+import { useState, useEffect } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import axios from 'axios'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const MATCH_TYPES = ['Ranked', 'Casual', 'Tournament', 'Practice']
+const GAMES = ['Valorant', 'CS2']
+const MAX_PLAYERS = 5
+
+const METRICS = [
+  { value: 'kdRatio', label: 'K/D Ratio', format: (stats) => stats.kdRatio.toFixed(2) },
+  { value: 'winPercentage', label: 'Win %', format: (stats) => `${stats.winPercentage.toFixed(1)}%` },
+  { value: 'damagePerRound', label: 'Damage/Round', format: (stats) => stats.damagePerRound.toFixed(0) },
+  { value: 'killsPerRound', label: 'Kills/Round', format: (stats) => stats.killsPerRound.toFixed(2) },
+]
+
+const RESULT_COLORS = {
+  W: 'bg-green-900/50 text-green-300',
+  L: 'bg-red-900/50 text-red-300',
+  D: 'bg-yellow-900/50 text-yellow-300'
+}
+
+// One stat cell; the leader(s) of the row get highlighted
+function StatCell({ stats, metric, isBest }) {
+  if (!stats?.totalGames) {
+    return <td className="p-3 text-gray-500">—</td>
+  }
+
+  return (
+    <td className={`p-3 ${isBest ? 'text-green-400 font-bold' : ''}`}>
+      {metric.format(stats)}
+      {isBest && <span className="ml-1 text-xs">★</span>}
+    </td>
+  )
+}
+
+// The comparison lives in the URL (?players=a,b) so it can be shared and linked to
+export default function Compare() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const playerIds = (searchParams.get('players') || '').split(',').filter(Boolean)
+  const playersParam = playerIds.join(',')
+  const [newPlayer, setNewPlayer] = useState('')
+  const [filters, setFilters] = useState({ game: '', matchType: '' })
+  const [breakdownMetric, setBreakdownMetric] = useState('kdRatio')
+  const [comparison, setComparison] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (playersParam.split(',').filter(Boolean).length < 2) return
+
+    const fetchComparison = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/compare`, {
+          params: {
+            players: playersParam,
+            ...(filters.game ? { game: filters.game } : {}),
+            ...(filters.matchType ? { matchType: filters.matchType } : {})
+          }
+        })
+        setComparison(response.data)
+        setError('')
+      } catch (err) {
+        setComparison(null)
+        setError(err.response?.data?.message || 'Failed to compare players')
+      }
+    }
+
+    fetchComparison()
+  }, [playersParam, filters])
+
+  const setPlayers = (ids) => {
+    setSearchParams(ids.length > 0 ? { players: ids.join(',') } : {})
+  }
+
+  const handleAddPlayer = (e) => {
+    e.preventDefault()
+    const userId = newPlayer.trim()
+    if (!userId || playerIds.includes(userId)) return
+    setPlayers([...playerIds, userId])
+    setNewPlayer('')
+  }
+
+  const handleRemovePlayer = (userId) => {
+    setPlayers(playerIds.filter(id => id !== userId))
+  }
+
+  const handleFilterChange = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }))
+  }
+
+  const metric = METRICS.find(({ value }) => value === breakdownMetric)
+  const ready = playerIds.length >= 2 && comparison
+
+  const renderPlayerHeaders = () => comparison.players.map((player) => (
+    <th key={player.userId} className="text-left p-3 text-gray-300">
+      <div>{player.username}</div>
+      <div className="text-xs text-gray-500 font-normal">{player.userId}</div>
+    </th>
+  ))
+
+  // Rows of one metric (e.g. per map), each with its own leaders
+  const renderBreakdown = (title, labelHeader, rows) => (
+    <div className="bg-gray-800 rounded-lg overflow-hidden mb-8">
+      <h2 className="text-xl font-semibold p-4 border-b border-gray-700">{title}</h2>
+      {rows.length === 0 ? (
+        <p className="p-4 text-gray-400">No matches recorded yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-700">
+              <tr>
+                <th className="text-left p-3 text-gray-300">{labelHeader}</th>
+                {renderPlayerHeaders()}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.label} className="border-b border-gray-700">
+                  <td className="p-3">
+                    <div className="font-medium">{row.label}</div>
+                    {row.note && <div className="text-xs text-gray-400">{row.note}</div>}
+                  </td>
+                  {row.stats.map((stats, index) => (
+                    <StatCell
+                      key={comparison.players[index].userId}
+                      stats={stats}
+                      metric={metric}
+                      isBest={row.best[metric.value].includes(comparison.players[index].userId)}
+                    />
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold">Compare Players</h1>
+        <p className="text-gray-400">Line up to {MAX_PLAYERS} public profiles side by side</p>
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-6 mb-8">
+        <div className="flex flex-wrap gap-2 mb-4">
+          {playerIds.map((userId) => (
+            <span key={userId} className="flex items-center gap-2 bg-gray-700 px-3 py-1 rounded">
+              {userId}
+              <button
+                onClick={() => handleRemovePlayer(userId)}
+                className="text-gray-400 hover:text-red-400"
+                aria-label={`Remove ${userId}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+
+        <form onSubmit={handleAddPlayer} className="flex flex-col md:flex-row gap-4">
+          <input
+            type="text"
+            value={newPlayer}
+            onChange={(e) => setNewPlayer(e.target.value)}
+            placeholder="Add a player ID"
+            disabled={playerIds.length >= MAX_PLAYERS}
+            className="flex-1 bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          />
+          <button
+            type="submit"
+            disabled={playerIds.length >= MAX_PLAYERS}
+            className="bg-blue-600 hover:bg-blue-700 px-6 py-2 rounded font-semibold disabled:opacity-50 transition-colors"
+          >
+            Add
+          </button>
+          <select
+            value={filters.game}
+            onChange={(e) => handleFilterChange('game', e.target.value)}
+            className="bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All games</option>
+            {GAMES.map((game) => (
+              <option key={game} value={game}>{game}</option>
+            ))}
+          </select>
+          <select
+            value={filters.matchType}
+            onChange={(e) => handleFilterChange('matchType', e.target.value)}
+            className="bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Headline match types</option>
+            {MATCH_TYPES.map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </form>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-8">
+          {error}
+        </div>
+      )}
+
+      {playerIds.length < 2 && (
+        <div className="bg-gray-800 rounded-lg p-8 text-center text-gray-400">
+          Add at least two players to compare them.
+        </div>
+      )}
+
+      {ready && (
+        <>
+          {/* Overall */}
+          <div className="bg-gray-800 rounded-lg overflow-hidden mb-8">
+            <h2 className="text-xl font-semibold p-4 border-b border-gray-700">Overall</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-700">
+                  <tr>
+                    <th className="text-left p-3 text-gray-300">Metric</th>
+                    {renderPlayerHeaders()}
+                  </tr>
+                </thead>
+                <tbody>
+                  {METRICS.map((row) => (
+                    <tr key={row.value} className="border-b border-gray-700">
+                      <td className="p-3 font-medium">{row.label}</td>
+                      {comparison.overall.stats.map((stats, index) => (
+                        <StatCell
+                          key={comparison.players[index].userId}
+                          stats={stats}
+                          metric={row}
+                          isBest={comparison.overall.best[row.value].includes(comparison.players[index].userId)}
+                        />
+                      ))}
+                    </tr>
+                  ))}
+                  <tr className="border-b border-gray-700">
+                    <td className="p-3 font-medium">Games</td>
+                    {comparison.overall.stats.map((stats, index) => (
+                      <td key={comparison.players[index].userId} className="p-3">{stats.totalGames}</td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Recent form */}
+          <div className="bg-gray-800 rounded-lg overflow-hidden mb-8">
+            <h2 className="text-xl font-semibold p-4 border-b border-gray-700">Recent Form</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-700">
+                  <tr>
+                    <th className="text-left p-3 text-gray-300">Last matches</th>
+                    {renderPlayerHeaders()}
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="border-b border-gray-700">
+                    <td className="p-3 font-medium">Results</td>
+                    {comparison.recentForm.stats.map((form, index) => (
+                      <td key={comparison.players[index].userId} className="p-3">
+                        <div className="flex gap-1">
+                          {form.results.length === 0 && <span className="text-gray-500">—</span>}
+                          {form.results.map((result, resultIndex) => (
+                            <span key={resultIndex} className={`px-1.5 rounded text-xs font-semibold ${RESULT_COLORS[result]}`}>
+                              {result}
+                            </span>
+                          ))}
+                        </div>
+                      </td>
+                    ))}
+                  </tr>
+                  {METRICS.map((row) => (
+                    <tr key={row.value} className="border-b border-gray-700">
+                      <td className="p-3 font-medium">{row.label}</td>
+                      {comparison.recentForm.stats.map((stats, index) => (
+                        <StatCell
+                          key={comparison.players[index].userId}
+                          stats={stats}
+                          metric={row}
+                          isBest={comparison.recentForm.best[row.value].includes(comparison.players[index].userId)}
+                        />
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Breakdowns */}
+          <div className="flex justify-end items-center gap-2 mb-4">
+            <span className="text-gray-400 text-sm">Breakdowns show</span>
+            <select
+              value={breakdownMetric}
+              onChange={(e) => setBreakdownMetric(e.target.value)}
+              className="bg-gray-700 border border-gray-600 rounded px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {METRICS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {renderBreakdown(
+            'By Match Type',
+            'Match Type',
+            comparison.matchTypes.map(({ matchType, stats, best }) => ({ label: matchType, stats, best }))
+          )}
+
+          {renderBreakdown(
+            'By Map',
+            'Map',
+            comparison.maps.map(({ map, game, stats, best }) => ({ label: map, note: game, stats, best }))
+          )}
+        </>
+      )}
+    </div>
+  )
+}
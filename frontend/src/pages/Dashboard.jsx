@@ -1,29 +1,52 @@
 import { useState, useEffect } from 'react'
 import { useNavigate, Link } from 'react-router-dom'
 import axios from 'axios'
+import StatsBreakdownTable from '../components/StatsBreakdownTable'
+import SideStatsTable from '../components/SideStatsTable'
+import PerformanceTrends from '../components/PerformanceTrends'
+import ActiveSessions from '../components/ActiveSessions'
+import GoalsPanel from '../components/GoalsPanel'
+import AchievementBadges from '../components/AchievementBadges'
 
 const API_URL ='https://nolu-lemon.vercel.app/api';
 
+const MATCH_TYPES = ['Ranked', 'Casual', 'Tournament', 'Practice']
+const GAMES = ['Valorant', 'CS2']
+
 export default function Dashboard({ user, onLogout }) {
   const [stats, setStats] = useState(null)
+  const [statsByMatchType, setStatsByMatchType] = useState({})
+  const [selectedType, setSelectedType] = useState('All')
+  const [selectedGame, setSelectedGame] = useState('All')
+  const [mapStats, setMapStats] = useState([])
+  const [agentStats, setAgentStats] = useState([])
+  const [sideStats, setSideStats] = useState([])
+  const [achievements, setAchievements] = useState([])
   const [isPublic, setIsPublic] = useState(true)
+  const [publicMatchTypes, setPublicMatchTypes] = useState(MATCH_TYPES)
   const [loading, setLoading] = useState(true)
   const [message, setMessage] = useState('')
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
+  const [restoreConflict, setRestoreConflict] = useState('skip')
+  const [restoreProfile, setRestoreProfile] = useState(false)
   const navigate = useNavigate()
 
   useEffect(() => {
     fetchStats()
+    fetchBreakdowns()
     fetchPrivacy()
+    fetchAchievements()
   }, [])
 
-  const fetchStats = async () => {
+  const fetchStats = async (game = 'All') => {
     try {
       const token = localStorage.getItem('token')
       const response = await axios.get(`${API_URL}/user/me/stats`, {
-        headers: { Authorization: `Bearer ${token}` }
+        headers: { Authorization: `Bearer ${token}` },
+        params: game === 'All' ? {} : { game }
       })
       setStats(response.data.stats)
+      setStatsByMatchType(response.data.statsByMatchType)
     } catch (err) {
       console.error('Failed to fetch stats:', err)
       setMessage('Failed to load stats. Please try again.')
@@ -32,6 +55,42 @@ export default function Dashboard({ user, onLogout }) {
     }
   }
 
+  // Per-map, per-agent and per-side breakdowns for the selected match type and game
+  const fetchBreakdowns = async (matchType = 'All', game = 'All') => {
+    try {
+      const token = localStorage.getItem('token')
+      const request = {
+        headers: { Authorization: `Bearer ${token}` },
+        params: {
+          ...(matchType === 'All' ? {} : { matchType }),
+          ...(game === 'All' ? {} : { game })
+        }
+      }
+      const [mapsResponse, agentsResponse, sidesResponse] = await Promise.all([
+        axios.get(`${API_URL}/user/me/stats/maps`, request),
+        axios.get(`${API_URL}/user/me/stats/agents`, request),
+        axios.get(`${API_URL}/user/me/stats/sides`, request)
+      ])
+      setMapStats(mapsResponse.data.maps)
+      setAgentStats(agentsResponse.data.agents)
+      setSideStats(sidesResponse.data.sides)
+    } catch (err) {
+      console.error('Failed to fetch stat breakdowns:', err)
+    }
+  }
+
+  const fetchAchievements = async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const response = await axios.get(`${API_URL}/user/me/achievements`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      setAchievements(response.data.achievements)
+    } catch (err) {
+      console.error('Failed to fetch achievements:', err)
+    }
+  }
+
   const fetchPrivacy = async () => {
     try {
       const token = localStorage.getItem('token')
@@ -39,6 +98,7 @@ export default function Dashboard({ user, onLogout }) {
         headers: { Authorization: `Bearer ${token}` }
       })
       setIsPublic(response.data.isPublic)
+      setPublicMatchTypes(response.data.publicMatchTypes)
     } catch (err) {
       console.error('Failed to fetch privacy:', err)
     }
@@ -61,6 +121,122 @@ export default function Dashboard({ user, onLogout }) {
     }
   }
 
+  const handleTypeChange = (matchType) => {
+    setSelectedType(matchType)
+    fetchBreakdowns(matchType, selectedGame)
+  }
+
+  const handleGameChange = (game) => {
+    setSelectedGame(game)
+    fetchStats(game)
+    fetchBreakdowns(selectedType, game)
+  }
+
+  // Updated stats from the API cover every game, so a single-game view refetches its own split
+  const applyUpdatedStats = (updatedStats) => {
+    if (selectedGame !== 'All') {
+      fetchStats(selectedGame)
+      return
+    }
+    const { matchTypeStats, gameStats: _gameStats, ...overallStats } = updatedStats
+    setStats(overallStats)
+    setStatsByMatchType(matchTypeStats)
+  }
+
+  const handlePublicMatchTypeToggle = async (matchType) => {
+    const updatedTypes = publicMatchTypes.includes(matchType)
+      ? publicMatchTypes.filter(type => type !== matchType)
+      : [...publicMatchTypes, matchType]
+
+    if (updatedTypes.length === 0) {
+      setMessage('At least one match type must count toward your public stats')
+      setTimeout(() => setMessage(''), 3000)
+      return
+    }
+
+    try {
+      const token = localStorage.getItem('token')
+      const response = await axios.put(
+        `${API_URL}/user/me/privacy/match-types`,
+        { publicMatchTypes: updatedTypes },
+        { headers: { Authorization: `Bearer ${token}` } }
+      )
+      setPublicMatchTypes(response.data.publicMatchTypes)
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to update public stats')
+      setTimeout(() => setMessage(''), 3000)
+    }
+  }
+
+  const handleRecalculateStats = async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const response = await axios.post(
+        `${API_URL}/user/me/stats/recalculate`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      )
+      applyUpdatedStats(response.data.updatedStats)
+      setMessage(response.data.message)
+      setTimeout(() => setMessage(''), 3000)
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to recalculate stats')
+      setTimeout(() => setMessage(''), 3000)
+    }
+  }
+
+  const handleDownloadArchive = async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const response = await axios.get(`${API_URL}/user/me/archive`, {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: 'blob'
+      })
+
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `nolu-archive-${user?.userId}-${new Date().toISOString().split('T')[0]}.json`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error('Failed to download archive:', err)
+      setMessage('Failed to download account archive')
+      setTimeout(() => setMessage(''), 3000)
+    }
+  }
+
+  const handleRestoreArchive = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    if (restoreConflict === 'replace' &&
+        !window.confirm('Replace mode deletes your current matches before restoring (ones from shared scoreboards or tournaments are kept). Continue?')) {
+      return
+    }
+
+    try {
+      const archive = JSON.parse(await file.text())
+      const token = localStorage.getItem('token')
+      const response = await axios.post(
+        `${API_URL}/user/me/archive/restore`,
+        { archive, conflict: restoreConflict, restoreProfile },
+        { headers: { Authorization: `Bearer ${token}` } }
+      )
+      applyUpdatedStats(response.data.updatedStats)
+      fetchBreakdowns(selectedType, selectedGame)
+      if (restoreProfile) fetchPrivacy()
+      setMessage(response.data.message)
+      setTimeout(() => setMessage(''), 5000)
+    } catch (err) {
+      setMessage(err instanceof SyntaxError
+        ? 'Archive file is not valid JSON'
+        : err.response?.data?.message || 'Failed to restore account archive')
+      setTimeout(() => setMessage(''), 5000)
+    }
+  }
+
   const handleDeleteStats = async () => {
     if (!window.confirm('Are you sure you want to reset all stats? This will delete all your matches!')) {
       return
@@ -72,6 +248,8 @@ export default function Dashboard({ user, onLogout }) {
         headers: { Authorization: `Bearer ${token}` }
       })
       setStats(response.data.stats)
+      setStatsByMatchType(response.data.statsByMatchType)
+      setMapStats([])
       setMessage('All stats have been reset!')
       setTimeout(() => setMessage(''), 3000)
     } catch (err) {
@@ -91,12 +269,8 @@ export default function Dashboard({ user, onLogout }) {
         headers: { Authorization: `Bearer ${token}` }
       })
       
-      // Clear local storage
-      localStorage.removeItem('token')
-      localStorage.removeItem('user')
-      
-      // Notify parent component
-      onLogout()
+      // Sessions were deleted with the account, so only local state is left to clear
+      onLogout(true)
       
       // Redirect to home
       navigate('/')
@@ -107,6 +281,9 @@ export default function Dashboard({ user, onLogout }) {
     }
   }
 
+  // Stats shown in the headline cards, overall or for the selected match type
+  const displayedStats = selectedType === 'All' ? stats : statsByMatchType[selectedType]
+
   if (loading) {
     return (
       <div className="text-center py-12">
@@ -176,23 +353,50 @@ export default function Dashboard({ user, onLogout }) {
         </div>
       )}
 
+      {/* Game and Match Type Toggle */}
+      <div className="flex flex-wrap gap-2 mb-6">
+        <select
+          value={selectedGame}
+          onChange={(e) => handleGameChange(e.target.value)}
+          className="bg-gray-700 border border-gray-600 rounded px-4 py-2 font-semibold focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="All">All games</option>
+          {GAMES.map((game) => (
+            <option key={game} value={game}>{game}</option>
+          ))}
+        </select>
+        {['All', ...MATCH_TYPES].map((matchType) => (
+          <button
+            key={matchType}
+            onClick={() => handleTypeChange(matchType)}
+            className={`px-4 py-2 rounded font-semibold transition-colors ${
+              selectedType === matchType
+                ? 'bg-blue-600 hover:bg-blue-700'
+                : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+            }`}
+          >
+            {matchType}
+          </button>
+        ))}
+      </div>
+
       {/* Main Stats */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
         <StatCard 
           title="K/D Ratio" 
-          value={stats?.kdRatio?.toFixed(2)} 
+          value={displayedStats?.kdRatio?.toFixed(2)} 
           color="blue"
           helpText="Total Kills ÷ Total Deaths"
         />
         <StatCard 
           title="Damage/Round" 
-          value={stats?.damagePerRound?.toFixed(0)} 
+          value={displayedStats?.damagePerRound?.toFixed(0)} 
           color="green"
           helpText="Total Damage ÷ Total Rounds"
         />
         <StatCard 
           title="Win %" 
-          value={`${stats?.winPercentage?.toFixed(1)}%`} 
+          value={`${displayedStats?.winPercentage?.toFixed(1)}%`} 
           color="purple"
           helpText="(Wins ÷ Total Matches) × 100"
         />
@@ -202,22 +406,22 @@ export default function Dashboard({ user, onLogout }) {
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
         <div className="bg-gray-800/50 p-4 rounded">
           <p className="text-gray-400 text-sm">Kills/Round</p>
-          <p className="text-2xl font-bold">{stats?.killsPerRound?.toFixed(2)}</p>
+          <p className="text-2xl font-bold">{displayedStats?.killsPerRound?.toFixed(2)}</p>
           <p className="text-xs text-gray-500 mt-1">Kills ÷ Rounds</p>
         </div>
         <div className="bg-gray-800/50 p-4 rounded">
           <p className="text-gray-400 text-sm">Total Matches</p>
-          <p className="text-2xl font-bold">{stats?.totalGames}</p>
+          <p className="text-2xl font-bold">{displayedStats?.totalGames}</p>
           <p className="text-xs text-gray-500 mt-1">Games played</p>
         </div>
         <div className="bg-gray-800/50 p-4 rounded">
           <p className="text-gray-400 text-sm">Win Rate</p>
-          <p className="text-2xl font-bold">{stats?.wins}W-{stats?.totalGames - stats?.wins}L</p>
+          <p className="text-2xl font-bold">{displayedStats?.wins}W-{displayedStats?.totalGames - displayedStats?.wins}L</p>
           <p className="text-xs text-gray-500 mt-1">Wins - Losses</p>
         </div>
         <div className="bg-gray-800/50 p-4 rounded">
           <p className="text-gray-400 text-sm">Total Rounds</p>
-          <p className="text-2xl font-bold">{stats?.totalRounds}</p>
+          <p className="text-2xl font-bold">{displayedStats?.totalRounds}</p>
           <p className="text-xs text-gray-500 mt-1">Rounds played</p>
         </div>
       </div>
@@ -226,13 +430,67 @@ export default function Dashboard({ user, onLogout }) {
       <div className="bg-gray-800 rounded-lg p-6 mb-8">
         <h2 className="text-xl font-semibold mb-6">Combat Statistics</h2>
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-          <StatItem title="Total Kills" value={stats?.kills} color="blue" />
-          <StatItem title="Total Deaths" value={stats?.deaths} color="red" />
-          <StatItem title="Total Assists" value={stats?.assists} color="green" />
-          <StatItem title="Total Damage" value={stats?.totalDamage?.toLocaleString()} color="purple" />
+          <StatItem title="Total Kills" value={displayedStats?.kills} color="blue" />
+          <StatItem title="Total Deaths" value={displayedStats?.deaths} color="red" />
+          <StatItem title="Total Assists" value={displayedStats?.assists} color="green" />
+          <StatItem title="Total Damage" value={displayedStats?.totalDamage?.toLocaleString()} color="purple" />
+        </div>
+      </div>
+
+      {/* Goals */}
+      <GoalsPanel />
+
+      {/* Achievements */}
+      <AchievementBadges achievements={achievements} linkMatches />
+
+      {/* Trends */}
+      <PerformanceTrends matchType={selectedType} game={selectedGame} />
+
+      {/* Map Breakdown */}
+      <StatsBreakdownTable
+        title={selectedType === 'All' ? 'Map Performance' : `Map Performance (${selectedType})`}
+        labelHeader="Map"
+        labelField="map"
+        rows={mapStats}
+      />
+
+      {/* Agent Breakdown */}
+      <StatsBreakdownTable
+        title={selectedType === 'All' ? 'Agent Performance' : `Agent Performance (${selectedType})`}
+        labelHeader="Agent"
+        labelField="agent"
+        emptyMessage="No matches with an agent recorded yet"
+        rows={agentStats}
+      />
+
+      {/* Side Breakdown */}
+      <SideStatsTable
+        title={selectedType === 'All' ? 'Attack / Defense' : `Attack / Defense (${selectedType})`}
+        sides={sideStats}
+      />
+
+      {/* Public Headline Stats */}
+      <div className="bg-gray-800 rounded-lg p-6 mb-8">
+        <h2 className="text-xl font-semibold mb-2">Public Profile Stats</h2>
+        <p className="text-gray-400 text-sm mb-4">Choose which match types count toward the headline numbers others see on your profile.</p>
+        <div className="flex flex-wrap gap-4">
+          {MATCH_TYPES.map((matchType) => (
+            <label key={matchType} className="flex items-center gap-2 text-gray-300">
+              <input
+                type="checkbox"
+                checked={publicMatchTypes.includes(matchType)}
+                onChange={() => handlePublicMatchTypeToggle(matchType)}
+                className="h-4 w-4"
+              />
+              {matchType}
+            </label>
+          ))}
         </div>
       </div>
 
+      {/* Sessions */}
+      <ActiveSessions onLogout={onLogout} />
+
       {/* Action Cards */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
         <div className="bg-blue-900/20 border border-blue-700/50 rounded-lg p-6">
@@ -260,6 +518,48 @@ export default function Dashboard({ user, onLogout }) {
         <div className="bg-gray-800/50 border border-gray-700 rounded-lg p-6">
           <h3 className="text-lg font-semibold mb-3 text-gray-300">Quick Actions</h3>
           <div className="space-y-3">
+            <button
+              onClick={handleRecalculateStats}
+              className="w-full bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-semibold transition-colors text-sm"
+            >
+              Recalculate Stats
+            </button>
+            <button
+              onClick={handleDownloadArchive}
+              className="w-full bg-purple-600 hover:bg-purple-700 px-4 py-2 rounded font-semibold transition-colors text-sm"
+            >
+              Download Account Archive
+            </button>
+            <Link
+              to="/account-security"
+              className="block w-full text-center bg-gray-600 hover:bg-gray-700 px-4 py-2 rounded font-semibold transition-colors text-sm"
+            >
+              Change Password
+            </Link>
+            <div className="border border-gray-700 rounded p-3 space-y-2">
+              <select
+                value={restoreConflict}
+                onChange={(e) => setRestoreConflict(e.target.value)}
+                className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm focus:outline-none"
+              >
+                <option value="skip">Skip matches I already have</option>
+                <option value="keep">Keep duplicates</option>
+                <option value="replace">Replace all my matches</option>
+              </select>
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={restoreProfile}
+                  onChange={(e) => setRestoreProfile(e.target.checked)}
+                  className="h-4 w-4"
+                />
+                Also restore username and privacy
+              </label>
+              <label className="block w-full text-center bg-gray-600 hover:bg-gray-700 px-4 py-2 rounded font-semibold transition-colors text-sm cursor-pointer">
+                Restore From Archive
+                <input type="file" accept=".json,application/json" onChange={handleRestoreArchive} className="hidden" />
+              </label>
+            </div>
             <button
               onClick={handleDeleteStats}
               className="w-full bg-orange-600 hover:bg-orange-700 px-4 py-2 rounded font-semibold transition-colors text-sm"
@@ -285,6 +585,13 @@ export default function Dashboard({ user, onLogout }) {
               Are you sure you want to delete your account? This action cannot be undone. 
               All your matches and stats will be permanently deleted.
             </p>
+            <p className="text-gray-400 text-sm mb-6">
+              Want a backup?{' '}
+              <button onClick={handleDownloadArchive} className="text-blue-400 hover:text-blue-300">
+                Download your account archive
+              </button>{' '}
+              first so you can restore it later.
+            </p>
             <div className="flex justify-end gap-4">
               <button
                 onClick={() => setShowDeleteConfirm(false)}
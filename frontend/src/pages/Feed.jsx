@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const GAMES = ['Valorant', 'CS2']
+const PAGE_SIZE = 20
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+})
+
+export default function Feed() {
+  const [following, setFollowing] = useState([])
+  const [feed, setFeed] = useState([])
+  const [game, setGame] = useState('')
+  const [page, setPage] = useState(1)
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 })
+  const [loading, setLoading] = useState(true)
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    const fetchFollowing = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/following`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setFollowing(response.data.following)
+      } catch (err) {
+        console.error('Failed to fetch followed players:', err)
+      }
+    }
+
+    fetchFollowing()
+  }, [])
+
+  useEffect(() => {
+    const fetchFeed = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/feed`, {
+          headers: { Authorization: `Bearer ${token}` },
+          params: {
+            ...(game ? { game } : {}),
+            page,
+            limit: PAGE_SIZE
+          }
+        })
+        setFeed(response.data.feed)
+        setPagination(response.data.pagination)
+      } catch (err) {
+        console.error('Failed to fetch feed:', err)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchFeed()
+  }, [game, page])
+
+  const handleUnfollow = async (player) => {
+    try {
+      const token = localStorage.getItem('token')
+      await axios.delete(`${API_URL}/user/me/following/${player.userId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      setFollowing(prev => prev.filter(({ userId }) => userId !== player.userId))
+      // Their matches drop out of the feed too
+      setFeed(prev => prev.filter(item => item.player.userId !== player.userId))
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to unfollow player')
+      setTimeout(() => setMessage(''), 3000)
+    }
+  }
+
+  const handleGameChange = (value) => {
+    setGame(value)
+    setPage(1)
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        <p className="mt-4 text-gray-400">Loading feed...</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold">Feed</h1>
+        <p className="text-gray-400">Recent matches from the players you follow</p>
+      </div>
+
+      {message && (
+        <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-6">
+          {message}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Feed */}
+        <div className="lg:col-span-2">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold">Latest Matches</h2>
+            <select
+              value={game}
+              onChange={(e) => handleGameChange(e.target.value)}
+              className="bg-gray-700 border border-gray-600 rounded px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All games</option>
+              {GAMES.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+
+          {feed.length === 0 ? (
+            <div className="bg-gray-800 rounded-lg p-8 text-center text-gray-400">
+              {following.length === 0
+                ? 'Follow players from their public profile on the Home page to see their matches here.'
+                : 'No matches from the players you follow yet.'}
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {feed.map(({ player, match }) => (
+                <div key={match._id} className="bg-gray-800 rounded-lg p-4">
+                  <div className="flex justify-between items-start mb-3">
+                    <div>
+                      <p className="font-semibold">{player.username}</p>
+                      <p className="text-xs text-gray-400">
+                        {player.userId} · added {formatDate(match.createdAt)}
+                      </p>
+                    </div>
+                    <span className={`px-2 py-1 rounded text-xs font-semibold ${
+                      match.outcome === 'Win' ? 'bg-green-900/50 text-green-300' :
+                      match.outcome === 'Loss' ? 'bg-red-900/50 text-red-300' :
+                      'bg-yellow-900/50 text-yellow-300'
+                    }`}>
+                      {match.outcome} {match.roundsWon}-{match.roundsLost}
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                    <div>
+                      <p className="text-gray-400">Map</p>
+                      <p>{match.map}</p>
+                      <p className="text-xs text-gray-400">{match.agent ? `${match.game} · ${match.agent}` : match.game}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-400">Played</p>
+                      <p>{formatDate(match.date)}</p>
+                      <p className="text-xs text-gray-400">{match.matchType}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-400">K/D/A</p>
+                      <p className="font-bold">{match.kills}/{match.deaths}/{match.assists}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-400">Damage</p>
+                      <p className="font-bold">{match.damage}</p>
+                      <p className="text-xs text-gray-400">{Math.round(match.damage / match.rounds)}/round</p>
+                    </div>
+                  </div>
+                </div>
+              ))}
+
+              {pagination.totalPages > 1 && (
+                <div className="flex justify-end items-center gap-2 text-gray-400 text-sm">
+                  <button
+                    onClick={() => setPage(page - 1)}
+                    disabled={page <= 1}
+                    className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <span>Page {page} of {pagination.totalPages}</span>
+                  <button
+                    onClick={() => setPage(page + 1)}
+                    disabled={page >= pagination.totalPages}
+                    className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Following */}
+        <div>
+          <h2 className="text-xl font-semibold mb-4">Following ({following.length})</h2>
+          <div className="bg-gray-800 rounded-lg divide-y divide-gray-700">
+            {following.length === 0 ? (
+              <p className="p-4 text-gray-400">You aren't following anyone yet.</p>
+            ) : (
+              following.map((player) => (
+                <div key={player.userId} className="flex justify-between items-center p-4">
+                  <div>
+                    <p className="font-medium">{player.username}</p>
+                    <p className="text-xs text-gray-400">
+                      {player.stats
+                        ? `${player.userId} · ${player.stats.kdRatio} K/D · ${player.stats.totalGames} games`
+                        : `${player.userId} · Private profile`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleUnfollow(player)}
+                    className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-sm transition-colors"
+                  >
+                    Unfollow
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
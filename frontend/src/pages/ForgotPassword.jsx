@@ -0,0 +1,79 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import axios from 'axios'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+export default function ForgotPassword() {
+  const [userId, setUserId] = useState('')
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setMessage('')
+    setLoading(true)
+
+    try {
+      const response = await axios.post(`${API_URL}/password/forgot`, { userId })
+      setMessage(response.data.message)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to request password reset')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="max-w-md mx-auto">
+      <div className="bg-gray-800 rounded-lg p-8">
+        <h1 className="text-2xl font-bold mb-2 text-center">Forgot Password</h1>
+        <p className="text-gray-400 text-center mb-6">
+          We'll send a reset link to the recovery email on your account.
+        </p>
+
+        {error && (
+          <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-green-900/50 border border-green-700 text-green-200 px-4 py-3 rounded mb-4">
+            {message}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="block text-gray-300 mb-2">Player ID</label>
+            <input
+              type="text"
+              value={userId}
+              onChange={(e) => setUserId(e.target.value)}
+              required
+              className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Enter your player ID"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 rounded transition-colors disabled:opacity-50"
+          >
+            {loading ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+
+        <div className="mt-6 text-center">
+          <Link to="/login" className="text-blue-400 hover:text-blue-300">
+            Back to login
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,34 +1,205 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
 import axios from 'axios'
+import StatsBreakdownTable from '../components/StatsBreakdownTable'
+import SideStatsTable from '../components/SideStatsTable'
+import AchievementBadges from '../components/AchievementBadges'
+import { FORMAT_LABELS } from '../tournaments'
 
 const API_URL ='https://nolu-lemon.vercel.app/api';
 
-export default function Home() {
+const MATCH_TYPES = ['Ranked', 'Casual', 'Tournament', 'Practice']
+const GAMES = ['Valorant', 'CS2']
+// Autocomplete waits for a pause in typing before asking the server
+const SEARCH_DEBOUNCE_MS = 250
+const SUGGESTION_LIMIT = 8
+const MIN_SEARCH_LENGTH = 2
+
+// `user` is the signed-in player, or null when browsing logged out
+export default function Home({ user }) {
   const [searchId, setSearchId] = useState('')
   const [playerStats, setPlayerStats] = useState(null)
+  const [mapStats, setMapStats] = useState([])
+  const [agentStats, setAgentStats] = useState([])
+  const [sideStats, setSideStats] = useState([])
+  const [tournamentRuns, setTournamentRuns] = useState([])
+  const [achievements, setAchievements] = useState([])
+  const [selectedType, setSelectedType] = useState('Headline')
+  const [selectedGame, setSelectedGame] = useState('All')
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
+  const [suggestions, setSuggestions] = useState([])
+  const [showSuggestions, setShowSuggestions] = useState(false)
+  const [highlighted, setHighlighted] = useState(-1)
+  const [followedIds, setFollowedIds] = useState([])
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    if (!user) return
+
+    const fetchFollowing = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/following`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setFollowedIds(response.data.following.map(({ userId }) => userId))
+      } catch (err) {
+        console.error('Failed to fetch followed players:', err)
+      }
+    }
+
+    fetchFollowing()
+  }, [user])
+
+  useEffect(() => {
+    const query = searchId.trim()
+    if (query.length < MIN_SEARCH_LENGTH) return
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${API_URL}/search/players`, {
+          params: { query, limit: SUGGESTION_LIMIT }
+        })
+        // Ignore answers to a query the user has already typed past
+        if (!cancelled) {
+          setSuggestions(response.data.players)
+          setHighlighted(-1)
+        }
+      } catch (err) {
+        console.error('Failed to search players:', err)
+      }
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [searchId])
+
+  const handleSearchChange = (e) => {
+    setSearchId(e.target.value)
+    setShowSuggestions(true)
+    if (e.target.value.trim().length < MIN_SEARCH_LENGTH) {
+      setSuggestions([])
+    }
+  }
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault()
+      setShowSuggestions(true)
+      setHighlighted(prev => (prev + 1) % suggestions.length)
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault()
+      setHighlighted(prev => (prev <= 0 ? suggestions.length : prev) - 1)
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (showSuggestions && highlighted >= 0) {
+        selectSuggestion(suggestions[highlighted])
+      } else {
+        searchPlayer()
+      }
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false)
+    }
+  }
+
+  const selectSuggestion = (player) => {
+    setSearchId(player.userId)
+    searchPlayer(player.userId)
+  }
 
-  const searchPlayer = async () => {
-    if (!searchId.trim()) {
+  const searchPlayer = async (userId = searchId.trim()) => {
+    if (!userId) {
       setError('Please enter a player ID')
       return
     }
 
+    setShowSuggestions(false)
     setLoading(true)
     setError('')
     setPlayerStats(null)
+    setMapStats([])
+    setAgentStats([])
+    setSideStats([])
+    setSelectedType('Headline')
+    setSelectedGame('All')
 
     try {
-      const response = await axios.get(`${API_URL}/user/${searchId}`)
-      setPlayerStats(response.data)
+      await fetchProfile(userId, 'All')
     } catch (err) {
-      setError(err.response?.data?.message || 'Player not found or profile is private')
+      if (err.response?.status === 404 && suggestions.length > 0) {
+        // No exact ID match, but the search found close ones
+        setError('No player with that exact ID. Did you mean one of these?')
+        setShowSuggestions(true)
+      } else {
+        setError(err.response?.data?.message || 'Player not found or profile is private')
+      }
     } finally {
       setLoading(false)
     }
   }
 
+  const fetchProfile = async (userId, game) => {
+    const params = game === 'All' ? {} : { game }
+    const [response, mapsResponse, agentsResponse, sidesResponse, tournamentsResponse, achievementsResponse] = await Promise.all([
+      axios.get(`${API_URL}/user/${userId}`, { params }),
+      axios.get(`${API_URL}/user/${userId}/stats/maps`, { params }),
+      axios.get(`${API_URL}/user/${userId}/stats/agents`, { params }),
+      axios.get(`${API_URL}/user/${userId}/stats/sides`, { params }),
+      axios.get(`${API_URL}/user/${userId}/tournaments`),
+      axios.get(`${API_URL}/user/${userId}/achievements`)
+    ])
+    setPlayerStats(response.data)
+    setMapStats(mapsResponse.data.maps)
+    setAgentStats(agentsResponse.data.agents)
+    setSideStats(sidesResponse.data.sides)
+    setTournamentRuns(tournamentsResponse.data.tournaments)
+    setAchievements(achievementsResponse.data.achievements)
+  }
+
+  const handleGameChange = async (game) => {
+    setSelectedGame(game)
+    try {
+      await fetchProfile(playerStats.userId, game)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load stats for this game')
+    }
+  }
+
+  // Compare a player against the signed-in player when there is one
+  const comparePlayers = (userId) => (
+    user && user.userId !== userId ? `${user.userId},${userId}` : userId
+  )
+
+  const isFollowing = Boolean(playerStats) && followedIds.includes(playerStats.userId)
+
+  const handleToggleFollow = async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const request = { headers: { Authorization: `Bearer ${token}` } }
+      const url = `${API_URL}/user/me/following/${playerStats.userId}`
+
+      if (isFollowing) {
+        await axios.delete(url, request)
+        setFollowedIds(prev => prev.filter(id => id !== playerStats.userId))
+      } else {
+        await axios.put(url, {}, request)
+        setFollowedIds(prev => [...prev, playerStats.userId])
+      }
+      setPlayerStats(prev => ({ ...prev, followers: prev.followers + (isFollowing ? -1 : 1) }))
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update follow')
+    }
+  }
+
+  // Headline stats only count the match types the player opted in
+  const displayedStats = selectedType === 'Headline'
+    ? playerStats?.stats
+    : playerStats?.statsByMatchType?.[selectedType]
+
   return (
     <div className="max-w-4xl mx-auto">
       <h1 className="text-3xl font-bold mb-8 text-center">Nolu Player Stats</h1>
@@ -36,15 +207,68 @@ export default function Home() {
       <div className="bg-gray-800 rounded-lg p-6 mb-8">
         <h2 className="text-xl font-semibold mb-4">Search Player Stats</h2>
         <div className="flex gap-4 mb-4">
-          <input
-            type="text"
-            value={searchId}
-            onChange={(e) => setSearchId(e.target.value)}
-            placeholder="Enter Player ID"
-            className="flex-1 bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
+          <div className="relative flex-1">
+            <input
+              type="text"
+              value={searchId}
+              onChange={handleSearchChange}
+              onKeyDown={handleSearchKeyDown}
+              onFocus={() => setShowSuggestions(true)}
+              onBlur={() => setShowSuggestions(false)}
+              placeholder="Search by player ID or username"
+              role="combobox"
+              aria-expanded={showSuggestions && suggestions.length > 0}
+              aria-autocomplete="list"
+              className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {showSuggestions && suggestions.length > 0 && (
+              <ul
+                role="listbox"
+                className="absolute z-10 left-0 right-0 mt-1 bg-gray-700 border border-gray-600 rounded shadow-lg overflow-hidden"
+              >
+                {suggestions.map((player, index) => (
+                  <li
+                    key={player.userId}
+                    role="option"
+                    aria-selected={index === highlighted}
+                    // mousedown fires before the input's blur closes the list
+                    onMouseDown={(e) => {
+                      e.preventDefault()
+                      selectSuggestion(player)
+                    }}
+                    onMouseEnter={() => setHighlighted(index)}
+                    className={`flex justify-between items-center px-4 py-2 cursor-pointer ${
+                      index === highlighted ? 'bg-gray-600' : ''
+                    }`}
+                  >
+                    <div>
+                      <p className="font-medium">{player.username}</p>
+                      <p className="text-xs text-gray-400">{player.userId}</p>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <p className="text-xs text-gray-400">
+                        {player.stats.totalGames} games · {player.stats.kdRatio} K/D
+                      </p>
+                      <button
+                        type="button"
+                        onMouseDown={(e) => {
+                          // Don't also open the profile
+                          e.preventDefault()
+                          e.stopPropagation()
+                          navigate(`/compare?players=${encodeURIComponent(comparePlayers(player.userId))}`)
+                        }}
+                        className="bg-gray-600 hover:bg-gray-500 px-2 py-0.5 rounded text-xs transition-colors"
+                      >
+                        Compare
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
           <button
-            onClick={searchPlayer}
+            onClick={() => searchPlayer()}
             disabled={loading}
             className="bg-blue-600 hover:bg-blue-700 px-6 py-2 rounded font-semibold disabled:opacity-50 transition-colors"
           >
@@ -65,24 +289,77 @@ export default function Home() {
             <div>
               <h2 className="text-2xl font-bold">{playerStats.username}</h2>
               <p className="text-gray-400">ID: {playerStats.userId}</p>
+              <p className="text-sm text-gray-500">
+                {playerStats.followers} follower{playerStats.followers !== 1 ? 's' : ''}
+              </p>
             </div>
+            <div className="flex items-center gap-3">
+              <Link
+                to={`/compare?players=${encodeURIComponent(comparePlayers(playerStats.userId))}`}
+                className="bg-gray-700 hover:bg-gray-600 px-4 py-1 rounded text-sm font-semibold transition-colors"
+              >
+                Compare
+              </Link>
+              {user && user.userId !== playerStats.userId && (
+                <button
+                  onClick={handleToggleFollow}
+                  className={`px-4 py-1 rounded text-sm font-semibold transition-colors ${
+                    isFollowing
+                      ? 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                      : 'bg-blue-600 hover:bg-blue-700'
+                  }`}
+                >
+                  {isFollowing ? 'Following' : 'Follow'}
+                </button>
+              )}
+              <select
+                value={selectedGame}
+                onChange={(e) => handleGameChange(e.target.value)}
+                className="bg-gray-700 border border-gray-600 rounded px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="All">All games</option>
+                {GAMES.map((game) => (
+                  <option key={game} value={game}>{game}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Match Type Toggle */}
+          <div className="flex flex-wrap gap-2 mb-2">
+            {['Headline', ...MATCH_TYPES].map((matchType) => (
+              <button
+                key={matchType}
+                onClick={() => setSelectedType(matchType)}
+                className={`px-3 py-1 rounded text-sm font-semibold transition-colors ${
+                  selectedType === matchType
+                    ? 'bg-blue-600 hover:bg-blue-700'
+                    : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                }`}
+              >
+                {matchType}
+              </button>
+            ))}
           </div>
+          <p className="text-xs text-gray-500 mb-6">
+            Headline stats include: {playerStats.headlineMatchTypes?.join(', ')}
+          </p>
 
           {/* Main Stats */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
             <StatCard 
               title="K/D Ratio" 
-              value={playerStats.stats.kdRatio.toFixed(2)} 
+              value={displayedStats.kdRatio.toFixed(2)} 
               color="blue"
             />
             <StatCard 
               title="Damage/Round" 
-              value={playerStats.stats.damagePerRound.toFixed(0)} 
+              value={displayedStats.damagePerRound.toFixed(0)} 
               color="green"
             />
             <StatCard 
               title="Win %" 
-              value={`${playerStats.stats.winPercentage.toFixed(1)}%`} 
+              value={`${displayedStats.winPercentage.toFixed(1)}%`} 
               color="purple"
             />
           </div>
@@ -91,25 +368,104 @@ export default function Home() {
           <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
             <div className="bg-gray-700/50 p-4 rounded">
               <p className="text-gray-400 text-sm">Wins</p>
-              <p className="text-2xl font-bold">{playerStats.stats.wins}</p>
+              <p className="text-2xl font-bold">{displayedStats.wins}</p>
             </div>
             <div className="bg-gray-700/50 p-4 rounded">
               <p className="text-gray-400 text-sm">Kills</p>
-              <p className="text-2xl font-bold">{playerStats.stats.kills}</p>
+              <p className="text-2xl font-bold">{displayedStats.kills}</p>
             </div>
             <div className="bg-gray-700/50 p-4 rounded">
               <p className="text-gray-400 text-sm">Deaths</p>
-              <p className="text-2xl font-bold">{playerStats.stats.deaths}</p>
+              <p className="text-2xl font-bold">{displayedStats.deaths}</p>
             </div>
             <div className="bg-gray-700/50 p-4 rounded">
               <p className="text-gray-400 text-sm">Assists</p>
-              <p className="text-2xl font-bold">{playerStats.stats.assists}</p>
+              <p className="text-2xl font-bold">{displayedStats.assists}</p>
             </div>
             <div className="bg-gray-700/50 p-4 rounded">
               <p className="text-gray-400 text-sm">Kills/Round</p>
-              <p className="text-2xl font-bold">{playerStats.stats.killsPerRound.toFixed(2)}</p>
+              <p className="text-2xl font-bold">{displayedStats.killsPerRound.toFixed(2)}</p>
             </div>
           </div>
+
+          {/* Map Breakdown */}
+          <div className="mt-8">
+            <StatsBreakdownTable
+              title="Map Performance"
+              labelHeader="Map"
+              labelField="map"
+              rows={mapStats}
+            />
+          </div>
+
+          {/* Agent Breakdown */}
+          <div className="mt-8">
+            <StatsBreakdownTable
+              title="Agent Performance"
+              labelHeader="Agent"
+              labelField="agent"
+              emptyMessage="No matches with an agent recorded yet"
+              rows={agentStats}
+            />
+          </div>
+
+          {/* Side Breakdown */}
+          <div className="mt-8">
+            <SideStatsTable sides={sideStats} />
+          </div>
+
+          {/* Achievements */}
+          <div className="mt-8">
+            <AchievementBadges achievements={achievements} />
+          </div>
+
+          {/* Tournament runs */}
+          {tournamentRuns.length > 0 && (
+            <div className="mt-8">
+              <h3 className="text-xl font-semibold mb-4">Tournament Runs</h3>
+              <div className="space-y-4">
+                {tournamentRuns.map((run) => (
+                  <div key={run.id} className="bg-gray-700/50 rounded p-4">
+                    <div className="flex justify-between items-start mb-2">
+                      <div>
+                        <Link to={`/tournaments/${run.id}`} className="font-semibold hover:text-blue-400">
+                          {run.name}
+                        </Link>
+                        <p className="text-xs text-gray-400">
+                          {run.game} · {FORMAT_LABELS[run.format]} · as {run.entry.name}
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <p className={`font-bold ${run.entry.finish === 'Champion' ? 'text-yellow-400' : ''}`}>
+                          {run.entry.finish || 'In progress'}
+                        </p>
+                        <p className="text-xs text-gray-400">
+                          {run.entry.record.wins}W {run.entry.record.draws > 0 ? `${run.entry.record.draws}D ` : ''}{run.entry.record.losses}L
+                        </p>
+                      </div>
+                    </div>
+                    {run.matches.length > 0 && (
+                      <div className="divide-y divide-gray-600 text-sm">
+                        {run.matches.map((match) => (
+                          <div key={match._id} className="flex justify-between py-2">
+                            <span>
+                              <span className="text-gray-400">{match.slotLabel}</span> · {match.map}
+                            </span>
+                            <span>
+                              <span className={match.outcome === 'Win' ? 'text-green-400' : match.outcome === 'Loss' ? 'text-red-400' : 'text-yellow-400'}>
+                                {match.outcome} {match.roundsWon}-{match.roundsLost}
+                              </span>
+                              <span className="text-gray-400 ml-3">{match.kills}/{match.deaths}/{match.assists}</span>
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -0,0 +1,248 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import axios from 'axios'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const MATCH_FIELDS = [
+  { field: 'game', label: 'Game' },
+  { field: 'date', label: 'Date' },
+  { field: 'time', label: 'Time' },
+  { field: 'matchType', label: 'Match Type' },
+  { field: 'outcome', label: 'Outcome' },
+  { field: 'map', label: 'Map' },
+  { field: 'agent', label: 'Agent' },
+  { field: 'roundsWon', label: 'Rounds Won' },
+  { field: 'roundsLost', label: 'Rounds Lost' },
+  { field: 'damage', label: 'Damage' },
+  { field: 'kills', label: 'Kills' },
+  { field: 'deaths', label: 'Deaths' },
+  { field: 'assists', label: 'Assists' },
+]
+
+export default function ImportMatches() {
+  const [csv, setCsv] = useState('')
+  const [fileName, setFileName] = useState('')
+  const [dateFormat, setDateFormat] = useState('auto')
+  const [mapping, setMapping] = useState({})
+  const [partial, setPartial] = useState(false)
+  const [preview, setPreview] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [message, setMessage] = useState('')
+  const navigate = useNavigate()
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+
+    setCsv(await file.text())
+    setFileName(file.name)
+    setMapping({})
+    setPreview(null)
+    setMessage('')
+  }
+
+  const handleMappingChange = (field, header) => {
+    setMapping(prev => ({ ...prev, [field]: header }))
+    setPreview(null)
+  }
+
+  const submitImport = async (dryRun) => {
+    setLoading(true)
+    setMessage('')
+
+    try {
+      const token = localStorage.getItem('token')
+      const response = await axios.post(
+        `${API_URL}/user/me/matches/import`,
+        { csv, mapping, dateFormat, partial, dryRun },
+        { headers: { Authorization: `Bearer ${token}` } }
+      )
+
+      if (dryRun) {
+        setPreview(response.data)
+        setMapping(response.data.mapping)
+        return
+      }
+
+      setMessage({ type: 'success', text: response.data.message })
+      setTimeout(() => {
+        navigate('/match-history')
+      }, 2000)
+    } catch (err) {
+      setMessage({
+        type: 'error',
+        text: err.response?.data?.message || (dryRun ? 'Failed to preview import' : 'Failed to import matches')
+      })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold">Import Matches</h1>
+          <p className="text-gray-400">Upload a CSV exported from your spreadsheet</p>
+        </div>
+        <button
+          onClick={() => navigate('/match-history')}
+          className="bg-gray-600 hover:bg-gray-700 px-4 py-2 rounded font-semibold transition-colors"
+        >
+          Back to History
+        </button>
+      </div>
+
+      {message && (
+        <div className={`mb-6 p-4 rounded ${
+          message.type === 'success'
+            ? 'bg-green-900/50 border border-green-700 text-green-200'
+            : 'bg-red-900/50 border border-red-700 text-red-200'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-6 mb-8 space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-gray-300 mb-2">CSV File *</label>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2"
+            />
+            {fileName && <p className="text-xs text-gray-400 mt-1">{fileName}</p>}
+          </div>
+
+          <div>
+            <label className="block text-gray-300 mb-2">Date Format</label>
+            <select
+              value={dateFormat}
+              onChange={(e) => { setDateFormat(e.target.value); setPreview(null) }}
+              className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="auto">Detect automatically</option>
+              <option value="YYYY-MM-DD">YYYY-MM-DD</option>
+              <option value="MM/DD/YYYY">MM/DD/YYYY</option>
+              <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+              <option value="DD.MM.YYYY">DD.MM.YYYY</option>
+            </select>
+          </div>
+        </div>
+
+        {preview && (
+          <div>
+            <h2 className="text-lg font-semibold mb-3">Column Mapping</h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {MATCH_FIELDS.map(({ field, label }) => (
+                <div key={field}>
+                  <label className="block text-gray-400 text-sm mb-1">{label}</label>
+                  <select
+                    value={mapping[field] || ''}
+                    onChange={(e) => handleMappingChange(field, e.target.value)}
+                    className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Not mapped</option>
+                    {preview.headers.map((header) => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <label className="flex items-center gap-2 text-gray-300">
+          <input
+            type="checkbox"
+            checked={partial}
+            onChange={(e) => setPartial(e.target.checked)}
+            className="h-4 w-4"
+          />
+          Import valid rows and skip rows with errors
+        </label>
+
+        <div className="flex gap-4">
+          <button
+            onClick={() => submitImport(true)}
+            disabled={!csv || loading}
+            className="flex-1 bg-blue-600 hover:bg-blue-700 font-semibold py-3 rounded transition-colors disabled:opacity-50"
+          >
+            {loading && !preview ? 'Checking...' : 'Preview'}
+          </button>
+          <button
+            onClick={() => submitImport(false)}
+            disabled={!preview || loading || (preview.summary.invalid > 0 && !partial) || preview.summary.valid === 0}
+            className="flex-1 bg-green-600 hover:bg-green-700 font-semibold py-3 rounded transition-colors disabled:opacity-50"
+          >
+            {loading && preview ? 'Importing...' : `Import ${preview ? preview.summary.valid : ''} Matches`}
+          </button>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="bg-gray-800 rounded-lg overflow-hidden">
+          <div className="p-4 border-b border-gray-700 text-gray-300">
+            {preview.summary.total} rows: <span className="text-green-400">{preview.summary.valid} valid</span>,{' '}
+            <span className="text-red-400">{preview.summary.invalid} with errors</span>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="bg-gray-900">
+                  <th className="text-left p-3 text-gray-300">Line</th>
+                  <th className="text-left p-3 text-gray-300">Date</th>
+                  <th className="text-left p-3 text-gray-300">Game</th>
+                  <th className="text-left p-3 text-gray-300">Map</th>
+                  <th className="text-left p-3 text-gray-300">Type</th>
+                  <th className="text-left p-3 text-gray-300">Outcome</th>
+                  <th className="text-left p-3 text-gray-300">K/D/A</th>
+                  <th className="text-left p-3 text-gray-300">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((row) => (
+                  <tr key={row.line} className={`border-b border-gray-700 ${row.errors.length > 0 ? 'bg-red-900/20' : ''}`}>
+                    <td className="p-3 text-gray-400">{row.line}</td>
+                    <td className="p-3">{row.data.date ? String(row.data.date).split('T')[0] : '-'}</td>
+                    <td className="p-3">{row.data.game || '-'}</td>
+                    <td className="p-3">{row.data.map || '-'}</td>
+                    <td className="p-3">{row.data.matchType || '-'}</td>
+                    <td className="p-3">{row.data.outcome || '-'}</td>
+                    <td className="p-3">{row.data.kills ?? '-'}/{row.data.deaths ?? '-'}/{row.data.assists ?? '-'}</td>
+                    <td className="p-3 text-sm">
+                      {row.errors.length === 0 ? (
+                        <span className="text-green-400">OK</span>
+                      ) : (
+                        <ul className="text-red-300 space-y-1">
+                          {row.errors.map((error) => <li key={error}>{error}</li>)}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Expected format */}
+      <div className="mt-8 bg-gray-800/50 rounded-lg p-6">
+        <h3 className="text-lg font-semibold mb-4">CSV Format</h3>
+        <div className="text-sm text-gray-400 space-y-2">
+          <p>• The first row must be a header. Columns are matched by name and can be remapped after previewing.</p>
+          <p>• Expected columns: <span className="text-blue-400">{MATCH_FIELDS.map(({ field }) => field).join(', ')}</span></p>
+          <p>• Game is Valorant or CS2. The column is optional; when it is missing the game is worked out from the map.</p>
+          <p>• Agent is optional and must be an agent from that game (CS2 matches leave it blank).</p>
+          <p>• Match Type is Ranked, Casual, Tournament or Practice; Outcome is Win, Loss or Draw.</p>
+          <p>• Nothing is saved until you click Import.</p>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,218 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const PAGE_SIZE = 25
+
+const METRICS = [
+  { value: 'kdRatio', label: 'K/D Ratio', format: (stats) => stats.kdRatio.toFixed(2) },
+  { value: 'winPercentage', label: 'Win %', format: (stats) => `${stats.winPercentage.toFixed(1)}%` },
+  { value: 'damagePerRound', label: 'Damage/Round', format: (stats) => stats.damagePerRound.toFixed(0) },
+  { value: 'killsPerRound', label: 'Kills/Round', format: (stats) => stats.killsPerRound.toFixed(2) },
+]
+
+export default function Leaderboard() {
+  const [filters, setFilters] = useState({
+    metric: 'kdRatio',
+    game: '',
+    matchType: '',
+    window: 'all',
+    minGames: 10
+  })
+  const [page, setPage] = useState(1)
+  const [leaderboard, setLeaderboard] = useState([])
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const fetchLeaderboard = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/leaderboard`, {
+          params: {
+            metric: filters.metric,
+            window: filters.window,
+            minGames: filters.minGames,
+            ...(filters.game ? { game: filters.game } : {}),
+            ...(filters.matchType ? { matchType: filters.matchType } : {}),
+            page,
+            limit: PAGE_SIZE
+          }
+        })
+        setLeaderboard(response.data.leaderboard)
+        setPagination(response.data.pagination)
+        setError('')
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load leaderboard')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchLeaderboard()
+  }, [filters, page])
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target
+    setFilters(prev => ({ ...prev, [name]: value }))
+    setPage(1)
+  }
+
+  const selectedMetric = METRICS.find(metric => metric.value === filters.metric)
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold">Leaderboard</h1>
+        <p className="text-gray-400">Top public players ranked by {selectedMetric.label}</p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-gray-800 rounded-lg p-4 mb-6 grid grid-cols-2 md:grid-cols-5 gap-4">
+        <div>
+          <label className="block text-gray-400 text-sm mb-1">Rank By</label>
+          <select
+            name="metric"
+            value={filters.metric}
+            onChange={handleFilterChange}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {METRICS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-1">Game</label>
+          <select
+            name="game"
+            value={filters.game}
+            onChange={handleFilterChange}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All games</option>
+            <option value="Valorant">Valorant</option>
+            <option value="CS2">CS2</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-1">Match Type</label>
+          <select
+            name="matchType"
+            value={filters.matchType}
+            onChange={handleFilterChange}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All types</option>
+            <option value="Ranked">Ranked</option>
+            <option value="Casual">Casual</option>
+            <option value="Tournament">Tournament</option>
+            <option value="Practice">Practice</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-1">Time Window</label>
+          <select
+            name="window"
+            value={filters.window}
+            onChange={handleFilterChange}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="all">All time</option>
+            <option value="7d">Last 7 days</option>
+            <option value="30d">Last 30 days</option>
+            <option value="90d">Last 90 days</option>
+            <option value="365d">Last year</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-1">Minimum Games</label>
+          <select
+            name="minGames"
+            value={filters.minGames}
+            onChange={handleFilterChange}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value={1}>1+</option>
+            <option value={5}>5+</option>
+            <option value={10}>10+</option>
+            <option value={25}>25+</option>
+            <option value={50}>50+</option>
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-6">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+          <p className="mt-4 text-gray-400">Loading leaderboard...</p>
+        </div>
+      ) : leaderboard.length === 0 ? (
+        <div className="bg-gray-800/50 rounded-lg p-8 text-center">
+          <p className="text-gray-400 text-lg">No players have {filters.minGames}+ games for these filters yet</p>
+        </div>
+      ) : (
+        <div className="bg-gray-800 rounded-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="bg-gray-900">
+                  <th className="text-left p-4 text-gray-300">#</th>
+                  <th className="text-left p-4 text-gray-300">Player</th>
+                  <th className="text-left p-4 text-blue-400">{selectedMetric.label}</th>
+                  <th className="text-left p-4 text-gray-300">Games</th>
+                  <th className="text-left p-4 text-gray-300">K/D</th>
+                  <th className="text-left p-4 text-gray-300">Win %</th>
+                  <th className="text-left p-4 text-gray-300">DPR</th>
+                </tr>
+              </thead>
+              <tbody>
+                {leaderboard.map((entry) => (
+                  <tr key={entry.userId} className="border-b border-gray-700">
+                    <td className={`p-4 font-bold ${entry.rank <= 3 ? 'text-yellow-400' : 'text-gray-400'}`}>{entry.rank}</td>
+                    <td className="p-4">
+                      <div className="font-medium">{entry.username}</div>
+                      <div className="text-sm text-gray-400">{entry.userId}</div>
+                    </td>
+                    <td className="p-4 font-bold text-blue-400">{selectedMetric.format(entry.stats)}</td>
+                    <td className="p-4">{entry.stats.totalGames}</td>
+                    <td className="p-4">{entry.stats.kdRatio.toFixed(2)}</td>
+                    <td className="p-4">{entry.stats.winPercentage.toFixed(1)}%</td>
+                    <td className="p-4">{entry.stats.damagePerRound.toFixed(0)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="p-4 border-t border-gray-700 text-gray-400 text-sm flex justify-between items-center">
+            <span>{pagination.total} ranked player{pagination.total !== 1 ? 's' : ''}</span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>Page {page} of {pagination.totalPages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.totalPages}
+                className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
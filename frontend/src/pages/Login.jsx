@@ -1,6 +1,7 @@
 import { useState } from 'react'
 import { useNavigate, Link } from 'react-router-dom'
 import axios from 'axios'
+import LockoutNotice from '../components/LockoutNotice'
 
 const API_URL ='https://nolu-lemon.vercel.app/api';
 
@@ -10,6 +11,7 @@ export default function Login({ onLogin }) {
     password: ''
   })
   const [error, setError] = useState('')
+  const [lockout, setLockout] = useState(null)
   const [loading, setLoading] = useState(false)
   const navigate = useNavigate()
 
@@ -27,10 +29,16 @@ export default function Login({ onLogin }) {
 
     try {
       const response = await axios.post(`${API_URL}/login`, formData)
-      onLogin(response.data.token, response.data.user)
+      onLogin(response.data.token, response.data.user, response.data.refreshToken)
       navigate('/dashboard')
     } catch (err) {
-      setError(err.response?.data?.message || 'Login failed')
+      if (err.response?.status === 429) {
+        // Too many attempts: the server says how long to wait
+        const retryAfter = err.response.data.retryAfter || parseInt(err.response.headers['retry-after']) || 60
+        setLockout({ message: err.response.data.message, until: Date.now() + retryAfter * 1000 })
+      } else {
+        setError(err.response?.data?.message || 'Login failed')
+      }
     } finally {
       setLoading(false)
     }
@@ -41,6 +49,14 @@ export default function Login({ onLogin }) {
       <div className="bg-gray-800 rounded-lg p-8">
         <h1 className="text-2xl font-bold mb-6 text-center">Login to Nolu Stats</h1>
         
+        {lockout && (
+          <LockoutNotice
+            message={lockout.message}
+            until={lockout.until}
+            onExpire={() => setLockout(null)}
+          />
+        )}
+
         {error && (
           <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-4">
             {error}
@@ -72,11 +88,16 @@ export default function Login({ onLogin }) {
               className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
               placeholder="Enter your password"
             />
+            <div className="text-right mt-2">
+              <Link to="/forgot-password" className="text-sm text-blue-400 hover:text-blue-300">
+                Forgot password?
+              </Link>
+            </div>
           </div>
 
           <button
             type="submit"
-            disabled={loading}
+            disabled={loading || Boolean(lockout)}
             className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 rounded transition-colors disabled:opacity-50"
           >
             {loading ? 'Logging in...' : 'Login'}
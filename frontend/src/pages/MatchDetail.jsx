@@ -0,0 +1,190 @@
+import { useState, useEffect } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import axios from 'axios'
+import { SIDE_LABELS } from '../rounds'
+import { formatDate } from '../tournaments'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+// Per-side totals for one match's round log
+const sideSummary = (roundLog, side) => {
+  const rounds = roundLog.filter((round) => round.side === side)
+  const sum = (field) => rounds.reduce((total, round) => total + round[field], 0)
+  const count = (field) => rounds.filter((round) => round[field]).length
+
+  return {
+    side,
+    rounds: rounds.length,
+    roundsWon: count('won'),
+    kills: sum('kills'),
+    deaths: sum('deaths'),
+    damage: sum('damage'),
+    plants: count('planted'),
+    defuses: count('defused'),
+    firstBloods: count('firstBlood'),
+    clutches: count('clutch')
+  }
+}
+
+// One match with its round-by-round timeline
+export default function MatchDetail() {
+  const { id } = useParams()
+  const [match, setMatch] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    const fetchMatch = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/matches/${id}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setMatch(response.data.match)
+      } catch (err) {
+        setMessage(err.response?.data?.message || 'Failed to load match')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchMatch()
+  }, [id])
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    )
+  }
+
+  if (!match) {
+    return (
+      <div className="max-w-4xl mx-auto text-center py-12">
+        <p className="text-gray-400 mb-4">{message}</p>
+        <Link to="/match-history" className="text-blue-400 hover:text-blue-300">Back to match history</Link>
+      </div>
+    )
+  }
+
+  const roundLog = match.roundLog || []
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <Link to="/match-history" className="text-blue-400 hover:text-blue-300 text-sm">&larr; Match History</Link>
+
+      <div className="flex justify-between items-start mt-2 mb-8">
+        <div>
+          <h1 className="text-3xl font-bold">{match.map}</h1>
+          <p className="text-gray-400">
+            {match.game}{match.agent && ` · ${match.agent}`} · {match.matchType} · {formatDate(match.date)} {match.time}
+          </p>
+        </div>
+        <div className="text-right">
+          <p className={`text-3xl font-bold ${
+            match.outcome === 'Win' ? 'text-green-400' : match.outcome === 'Loss' ? 'text-red-400' : 'text-yellow-400'
+          }`}>
+            {match.roundsWon}-{match.roundsLost}
+          </p>
+          <p className="text-gray-400">
+            {match.kills}/{match.deaths}/{match.assists} · {match.damage} damage
+          </p>
+          {match.sharedMatchId && (
+            <Link to={`/shared-matches/${match.sharedMatchId}`} className="text-sm text-blue-400 hover:text-blue-300">
+              View full scoreboard
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {roundLog.length === 0 ? (
+        <div className="bg-gray-800/50 rounded-lg p-8 text-center">
+          <p className="text-gray-400">This match was logged without round-by-round detail</p>
+        </div>
+      ) : (
+        <>
+          {/* Side splits */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
+            {Object.keys(SIDE_LABELS).map((side) => {
+              const summary = sideSummary(roundLog, side)
+              return (
+                <div key={side} className="bg-gray-800 rounded-lg p-6">
+                  <div className="flex justify-between items-center mb-2">
+                    <h2 className="text-xl font-semibold">{SIDE_LABELS[side]}</h2>
+                    <span className="text-gray-400">{summary.roundsWon}/{summary.rounds} rounds won</span>
+                  </div>
+                  <p className="text-sm text-gray-300">
+                    {summary.kills}/{summary.deaths} K/D · {summary.damage} damage
+                    {summary.rounds > 0 && ` (${Math.round(summary.damage / summary.rounds)}/round)`}
+                  </p>
+                  <p className="text-sm text-gray-400">
+                    {summary.firstBloods} first blood{summary.firstBloods !== 1 && 's'} · {summary.clutches} clutch{summary.clutches !== 1 && 'es'}
+                    {side === 'attack' ? ` · ${summary.plants} plant${summary.plants !== 1 ? 's' : ''}` : ` · ${summary.defuses} defuse${summary.defuses !== 1 ? 's' : ''}`}
+                  </p>
+                </div>
+              )
+            })}
+          </div>
+
+          {/* Timeline */}
+          <div className="bg-gray-800 rounded-lg p-6">
+            <h2 className="text-xl font-semibold mb-4">Rounds</h2>
+            <div className="flex flex-wrap gap-1 mb-6">
+              {roundLog.map((round, index) => (
+                <div
+                  key={index}
+                  title={`Round ${index + 1}: ${round.won ? 'won' : 'lost'} on ${SIDE_LABELS[round.side].toLowerCase()}`}
+                  className={`w-8 h-8 rounded flex items-center justify-center text-xs font-semibold border-b-4 ${
+                    round.won ? 'bg-green-900/60 text-green-300' : 'bg-red-900/60 text-red-300'
+                  } ${round.side === 'attack' ? 'border-orange-400' : 'border-blue-400'}`}
+                >
+                  {index + 1}
+                </div>
+              ))}
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="bg-gray-900 text-gray-300">
+                    <th className="text-left p-3">Round</th>
+                    <th className="text-left p-3">Result</th>
+                    <th className="text-left p-3">Side</th>
+                    <th className="text-left p-3">Kills</th>
+                    <th className="text-left p-3">Damage</th>
+                    <th className="text-left p-3">Events</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {roundLog.map((round, index) => (
+                    <tr key={index} className="border-b border-gray-700">
+                      <td className="p-3 text-gray-400">{index + 1}</td>
+                      <td className={`p-3 font-semibold ${round.won ? 'text-green-400' : 'text-red-400'}`}>
+                        {round.won ? 'Won' : 'Lost'}
+                      </td>
+                      <td className="p-3">{SIDE_LABELS[round.side]}</td>
+                      <td className="p-3">
+                        {round.kills}
+                        {round.deaths > 0 && <span className="text-gray-400"> · died</span>}
+                      </td>
+                      <td className="p-3">{round.damage}</td>
+                      <td className="p-3 text-gray-300">
+                        {[
+                          round.firstBlood && 'First blood',
+                          round.planted && 'Planted',
+                          round.defused && 'Defused',
+                          round.clutch && 'Clutch'
+                        ].filter(Boolean).join(' · ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -1,33 +1,77 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import axios from 'axios'
 import { useNavigate } from 'react-router-dom'
+import AddMatchStats from './AddMatchStats'
 
 const API_URL ='https://nolu-lemon.vercel.app/api';
 
+const PAGE_SIZE = 20
+
+const EMPTY_FILTERS = {
+  from: '',
+  to: '',
+  game: '',
+  map: '',
+  matchType: '',
+  outcome: ''
+}
+
 export default function MatchHistory() {
   const [matches, setMatches] = useState([])
   const [loading, setLoading] = useState(true)
   const [message, setMessage] = useState('')
+  const [editingMatch, setEditingMatch] = useState(null)
+  const [gameMaps, setGameMaps] = useState({})
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [sort, setSort] = useState({ field: 'date', order: 'desc' })
+  const [page, setPage] = useState(1)
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 })
+  const [exportFormat, setExportFormat] = useState('csv')
   const navigate = useNavigate()
 
   useEffect(() => {
-    fetchMatches()
+    fetchMaps()
   }, [])
 
-  const fetchMatches = async () => {
+  const fetchMaps = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/maps`)
+      setGameMaps(response.data.games)
+    } catch (err) {
+      console.error('Failed to fetch maps:', err)
+    }
+  }
+
+  const fetchMatches = useCallback(async () => {
     try {
       const token = localStorage.getItem('token')
+      // Only send the filters that are set
+      const activeFilters = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value)
+      )
       const response = await axios.get(`${API_URL}/user/me/matches`, {
-        headers: { Authorization: `Bearer ${token}` }
+        headers: { Authorization: `Bearer ${token}` },
+        params: {
+          ...activeFilters,
+          sort: sort.field,
+          order: sort.order,
+          page,
+          limit: PAGE_SIZE
+        }
       })
       setMatches(response.data.matches)
+      setPagination(response.data.pagination)
     } catch (err) {
       console.error('Failed to fetch matches:', err)
       setMessage('Failed to load match history')
     } finally {
       setLoading(false)
     }
-  }
+  }, [filters, sort, page])
+
+  useEffect(() => {
+    fetchMatches()
+  }, [fetchMatches])
 
   const handleDeleteMatch = async (matchId) => {
     if (!window.confirm('Are you sure you want to delete this match?')) {
@@ -49,6 +93,64 @@ export default function MatchHistory() {
     }
   }
 
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target
+    setFilters(prev => ({
+      ...prev,
+      [name]: value,
+      // Maps belong to one game, so switching games clears the map filter
+      ...(name === 'game' ? { map: '' } : {})
+    }))
+    setPage(1)
+  }
+
+  const filterMaps = filters.game
+    ? gameMaps[filters.game] || []
+    : Object.values(gameMaps).flat()
+
+  const handleSort = (field) => {
+    setSort(prev => ({
+      field,
+      order: prev.field === field && prev.order === 'desc' ? 'asc' : 'desc'
+    }))
+    setPage(1)
+  }
+
+  // Download every match matching the current filters
+  const handleExport = async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const activeFilters = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value)
+      )
+      const response = await axios.get(`${API_URL}/user/me/matches/export`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { ...activeFilters, format: exportFormat },
+        responseType: 'blob'
+      })
+
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `nolu-matches-${new Date().toISOString().split('T')[0]}.${exportFormat}`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error('Failed to export matches:', err)
+      setMessage('Failed to export matches')
+    }
+  }
+
+  const handleMatchSaved = () => {
+    setEditingMatch(null)
+    setMessage('Match updated successfully!')
+    fetchMatches() // Refresh list
+
+    setTimeout(() => setMessage(''), 3000)
+  }
+
+  const hasFilters = Object.values(filters).some(Boolean)
+
   const formatDate = (dateString) => {
     const date = new Date(dateString)
     return date.toLocaleDateString('en-US', {
@@ -81,6 +183,28 @@ export default function MatchHistory() {
           >
             Add New Match
           </button>
+          <div className="flex">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="bg-gray-700 border border-gray-600 rounded-l px-2 py-2 focus:outline-none"
+            >
+              <option value="csv">CSV</option>
+              <option value="json">JSON</option>
+            </select>
+            <button
+              onClick={handleExport}
+              className="bg-purple-600 hover:bg-purple-700 px-4 py-2 rounded-r font-semibold transition-colors"
+            >
+              Download
+            </button>
+          </div>
+          <button
+            onClick={() => navigate('/import-matches')}
+            className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-semibold transition-colors"
+          >
+            Import CSV
+          </button>
           <button
             onClick={() => navigate('/dashboard')}
             className="bg-gray-600 hover:bg-gray-700 px-4 py-2 rounded font-semibold transition-colors"
@@ -96,7 +220,100 @@ export default function MatchHistory() {
         </div>
       )}
 
-      {matches.length === 0 ? (
+      {/* Filters */}
+      <div className="bg-gray-800 rounded-lg p-4 mb-6 grid grid-cols-2 md:grid-cols-7 gap-4">
+        <div>
+          <label className="block text-gray-400 text-sm mb-1">From</label>
+          <input
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={handleFilterChange}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-1">To</label>
+          <input
+            type="date"
+            name="to"
+            value={filters.to}
+            onChange={handleFilterChange}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-1">Game</label>
+          <select
+            name="game"
+            value={filters.game}
+            onChange={handleFilterChange}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All games</option>
+            {Object.keys(gameMaps).map((game) => (
+              <option key={game} value={game}>{game}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-1">Map</label>
+          <select
+            name="map"
+            value={filters.map}
+            onChange={handleFilterChange}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All maps</option>
+            {filterMaps.map((map) => (
+              <option key={map} value={map}>{map}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-1">Type</label>
+          <select
+            name="matchType"
+            value={filters.matchType}
+            onChange={handleFilterChange}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All types</option>
+            <option value="Ranked">Ranked</option>
+            <option value="Casual">Casual</option>
+            <option value="Tournament">Tournament</option>
+            <option value="Practice">Practice</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-1">Outcome</label>
+          <select
+            name="outcome"
+            value={filters.outcome}
+            onChange={handleFilterChange}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All outcomes</option>
+            <option value="Win">Win</option>
+            <option value="Loss">Loss</option>
+            <option value="Draw">Draw</option>
+          </select>
+        </div>
+        <div className="flex items-end">
+          <button
+            onClick={() => { setFilters(EMPTY_FILTERS); setPage(1) }}
+            className="w-full bg-gray-600 hover:bg-gray-700 px-3 py-2 rounded transition-colors"
+          >
+            Clear Filters
+          </button>
+        </div>
+      </div>
+
+      {matches.length === 0 && hasFilters ? (
+        <div className="bg-gray-800/50 rounded-lg p-8 text-center">
+          <p className="text-gray-400 text-lg">No matches found for these filters</p>
+        </div>
+      ) : matches.length === 0 ? (
         <div className="bg-gray-800/50 rounded-lg p-8 text-center">
           <p className="text-gray-400 text-lg mb-4">No matches recorded yet</p>
           <button
@@ -112,13 +329,13 @@ export default function MatchHistory() {
             <table className="w-full">
               <thead>
                 <tr className="bg-gray-900">
-                  <th className="text-left p-4 text-gray-300">Date</th>
-                  <th className="text-left p-4 text-gray-300">Map</th>
-                  <th className="text-left p-4 text-gray-300">Type</th>
-                  <th className="text-left p-4 text-gray-300">Outcome</th>
-                  <th className="text-left p-4 text-gray-300">K/D/A</th>
+                  <SortableHeader label="Date" field="date" sort={sort} onSort={handleSort} />
+                  <SortableHeader label="Map" field="map" sort={sort} onSort={handleSort} />
+                  <SortableHeader label="Type" field="matchType" sort={sort} onSort={handleSort} />
+                  <SortableHeader label="Outcome" field="outcome" sort={sort} onSort={handleSort} />
+                  <SortableHeader label="K/D/A" field="kills" sort={sort} onSort={handleSort} />
                   <th className="text-left p-4 text-gray-300">Rounds</th>
-                  <th className="text-left p-4 text-gray-300">Damage</th>
+                  <SortableHeader label="Damage" field="damage" sort={sort} onSort={handleSort} />
                   <th className="text-left p-4 text-gray-300">Actions</th>
                 </tr>
               </thead>
@@ -129,7 +346,10 @@ export default function MatchHistory() {
                       <div className="font-medium">{formatDate(match.date)}</div>
                       <div className="text-sm text-gray-400">{match.time}</div>
                     </td>
-                    <td className="p-4">{match.map}</td>
+                    <td className="p-4">
+                      <div>{match.map}</div>
+                      <div className="text-sm text-gray-400">{match.agent ? `${match.game} · ${match.agent}` : match.game}</div>
+                    </td>
                     <td className="p-4">
                       <span className={`px-2 py-1 rounded text-xs ${
                         match.matchType === 'Ranked' ? 'bg-purple-900/50 text-purple-300' :
@@ -164,23 +384,95 @@ export default function MatchHistory() {
                       </div>
                     </td>
                     <td className="p-4">
-                      <button
-                        onClick={() => handleDeleteMatch(match._id)}
-                        className="bg-red-600 hover:bg-red-700 px-3 py-1 rounded text-sm transition-colors"
-                      >
-                        Delete
-                      </button>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => navigate(`/matches/${match._id}`)}
+                          className="bg-gray-600 hover:bg-gray-700 px-3 py-1 rounded text-sm transition-colors"
+                        >
+                          {match.roundLog?.length > 0 ? 'Rounds' : 'Details'}
+                        </button>
+                        {/* Shared matches are edited on their scoreboard */}
+                        {match.sharedMatchId ? (
+                          <button
+                            onClick={() => navigate(`/shared-matches/${match.sharedMatchId}`)}
+                            className="bg-purple-600 hover:bg-purple-700 px-3 py-1 rounded text-sm transition-colors"
+                          >
+                            Scoreboard
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => setEditingMatch(match)}
+                            className="bg-blue-600 hover:bg-blue-700 px-3 py-1 rounded text-sm transition-colors"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleDeleteMatch(match._id)}
+                          className="bg-red-600 hover:bg-red-700 px-3 py-1 rounded text-sm transition-colors"
+                        >
+                          Delete
+                        </button>
+                      </div>
                     </td>
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
-          <div className="p-4 border-t border-gray-700 text-gray-400 text-sm">
-            Showing {matches.length} match{matches.length !== 1 ? 'es' : ''}
+          <div className="p-4 border-t border-gray-700 text-gray-400 text-sm flex justify-between items-center">
+            <span>
+              Showing {(page - 1) * PAGE_SIZE + 1}-{(page - 1) * PAGE_SIZE + matches.length} of {pagination.total} match{pagination.total !== 1 ? 'es' : ''}
+            </span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>Page {page} of {pagination.totalPages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.totalPages}
+                className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Edit Match Modal */}
+      {editingMatch && (
+        <div className="fixed inset-0 bg-black/70 flex items-start justify-center z-50 p-4 overflow-y-auto">
+          <div className="bg-gray-900 rounded-lg p-6 max-w-4xl w-full my-8">
+            <AddMatchStats
+              key={editingMatch._id}
+              match={editingMatch}
+              onSaved={handleMatchSaved}
+              onCancel={() => setEditingMatch(null)}
+            />
           </div>
         </div>
       )}
     </div>
   )
+}
+
+function SortableHeader({ label, field, sort, onSort }) {
+  const isActive = sort.field === field
+
+  return (
+    <th className="text-left p-4 text-gray-300">
+      <button
+        onClick={() => onSort(field)}
+        className={`hover:text-blue-400 transition-colors ${isActive ? 'text-blue-400' : ''}`}
+      >
+        {label} {isActive && (sort.order === 'asc' ? '▲' : '▼')}
+      </button>
+    </th>
+  )
 }
\ No newline at end of file
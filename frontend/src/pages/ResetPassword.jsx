@@ -0,0 +1,134 @@
+import { useState } from 'react'
+import { useNavigate, useSearchParams, Link } from 'react-router-dom'
+import axios from 'axios'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+// Reached from the emailed link: /reset-password?token=...
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [formData, setFormData] = useState({
+    newPassword: '',
+    confirmPassword: ''
+  })
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const navigate = useNavigate()
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    if (formData.newPassword.length < 6) {
+      setError('Password must be at least 6 characters')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const response = await axios.post(`${API_URL}/password/reset`, {
+        token,
+        newPassword: formData.newPassword
+      })
+      setMessage(response.data.message)
+      setTimeout(() => {
+        navigate('/login')
+      }, 2000)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset password')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className="max-w-md mx-auto">
+        <div className="bg-gray-800 rounded-lg p-8 text-center">
+          <h1 className="text-2xl font-bold mb-4">Reset Password</h1>
+          <p className="text-gray-400 mb-6">This reset link is missing its token.</p>
+          <Link to="/forgot-password" className="text-blue-400 hover:text-blue-300">
+            Request a new link
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-md mx-auto">
+      <div className="bg-gray-800 rounded-lg p-8">
+        <h1 className="text-2xl font-bold mb-6 text-center">Choose a New Password</h1>
+
+        {error && (
+          <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-green-900/50 border border-green-700 text-green-200 px-4 py-3 rounded mb-4">
+            {message}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="block text-gray-300 mb-2">New Password</label>
+            <input
+              type="password"
+              name="newPassword"
+              value={formData.newPassword}
+              onChange={handleChange}
+              required
+              className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="At least 6 characters"
+            />
+          </div>
+
+          <div>
+            <label className="block text-gray-300 mb-2">Confirm New Password</label>
+            <input
+              type="password"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              required
+              className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Confirm your new password"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading || Boolean(message)}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 rounded transition-colors disabled:opacity-50"
+          >
+            {loading ? 'Saving...' : 'Reset Password'}
+          </button>
+        </form>
+
+        <div className="mt-6 text-center">
+          <Link to="/forgot-password" className="text-blue-400 hover:text-blue-300">
+            Need a new link?
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,239 @@
+import { useState, useEffect } from 'react'
+import { Link, useParams, useNavigate } from 'react-router-dom'
+import axios from 'axios'
+import ScoreboardForm from '../components/ScoreboardForm'
+import ReplaceMatchPicker from '../components/ReplaceMatchPicker'
+import { ROW_STATUS_LABELS, ROW_STATUS_COLORS } from '../sharedMatches'
+import { formatDate } from '../tournaments'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+// One game's scoreboard: linked players confirm or decline their row, the creator edits or deletes it
+export default function SharedMatch() {
+  const { id } = useParams()
+  const [sharedMatch, setSharedMatch] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [editing, setEditing] = useState(false)
+  const [replaceMatchId, setReplaceMatchId] = useState('')
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [message, setMessage] = useState(null)
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    const fetchSharedMatch = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/shared-matches/${id}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setSharedMatch(response.data.sharedMatch)
+      } catch (err) {
+        setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to load scoreboard' })
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchSharedMatch()
+  }, [id])
+
+  const request = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } })
+
+  const handleAnswer = async (confirm) => {
+    setMessage(null)
+
+    try {
+      const response = confirm
+        ? await axios.post(`${API_URL}/shared-matches/${id}/confirm`, replaceMatchId ? { replaceMatchId } : {}, request())
+        : await axios.post(`${API_URL}/shared-matches/${id}/decline`, {}, request())
+      setSharedMatch(response.data.sharedMatch)
+      setReplaceMatchId('')
+      setMessage({ type: 'success', text: response.data.message })
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to answer' })
+    }
+  }
+
+  const handleUpdate = async (payload) => {
+    setMessage(null)
+    setFieldErrors({})
+
+    try {
+      const response = await axios.put(`${API_URL}/shared-matches/${id}`, payload, request())
+      setSharedMatch(response.data.sharedMatch)
+      setEditing(false)
+      setMessage({ type: 'success', text: response.data.message })
+    } catch (err) {
+      const errors = err.response?.data?.errors || []
+      if (errors.length > 0) {
+        setFieldErrors(Object.fromEntries(errors.map(({ field, message }) => [field, message])))
+      } else {
+        setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to update scoreboard' })
+      }
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this scoreboard? Players who confirmed keep the match in their history.')) return
+
+    try {
+      await axios.delete(`${API_URL}/shared-matches/${id}`, request())
+      navigate('/shared-matches')
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to delete scoreboard' })
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    )
+  }
+
+  if (!sharedMatch) {
+    return (
+      <div className="max-w-4xl mx-auto text-center py-12">
+        <p className="text-gray-400 mb-4">{message?.text}</p>
+        <Link to="/shared-matches" className="text-blue-400 hover:text-blue-300">Back to scoreboards</Link>
+      </div>
+    )
+  }
+
+  const { viewer } = sharedMatch
+  const dateValue = new Date(sharedMatch.date).toISOString().split('T')[0]
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <Link to="/shared-matches" className="text-blue-400 hover:text-blue-300 text-sm">&larr; Scoreboards</Link>
+
+      <div className="flex justify-between items-start mt-2 mb-8">
+        <div>
+          <h1 className="text-3xl font-bold">{sharedMatch.map}</h1>
+          <p className="text-gray-400">
+            {sharedMatch.game} · {sharedMatch.matchType} · {formatDate(sharedMatch.date)} {sharedMatch.time}
+            {sharedMatch.createdBy && ` · Logged by ${sharedMatch.createdBy.username}`}
+          </p>
+        </div>
+        {sharedMatch.isCreator && !editing && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => setEditing(true)}
+              className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded transition-colors"
+            >
+              Edit
+            </button>
+            <button
+              onClick={handleDelete}
+              className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded transition-colors"
+            >
+              Delete
+            </button>
+          </div>
+        )}
+      </div>
+
+      {message && (
+        <div className={`px-4 py-3 rounded mb-6 ${
+          message.type === 'success'
+            ? 'bg-green-900/50 border border-green-700 text-green-200'
+            : 'bg-red-900/50 border border-red-700 text-red-200'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* The viewer's own row, if they still have to answer */}
+      {viewer && viewer.status !== 'confirmed' && !editing && (
+        <div className="bg-gray-800 rounded-lg p-6 mb-8 space-y-4">
+          <p>
+            {viewer.status === 'pending'
+              ? 'You were added to this scoreboard. Confirm it to add the match to your history and stats.'
+              : 'You declined this match. You can still confirm it.'}
+          </p>
+          <ReplaceMatchPicker date={dateValue} value={replaceMatchId} onChange={setReplaceMatchId} />
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleAnswer(true)}
+              className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded transition-colors"
+            >
+              Confirm
+            </button>
+            {viewer.status === 'pending' && (
+              <button
+                onClick={() => handleAnswer(false)}
+                className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded transition-colors"
+              >
+                Decline
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {editing ? (
+        <div className="bg-gray-800 rounded-lg p-6">
+          <ScoreboardForm
+            sharedMatch={sharedMatch}
+            fieldErrors={fieldErrors}
+            submitLabel="Save Changes"
+            onSubmit={handleUpdate}
+            onCancel={() => { setEditing(false); setFieldErrors({}) }}
+          />
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {sharedMatch.teams.map((team, teamIndex) => (
+            <div key={teamIndex} className="bg-gray-800 rounded-lg overflow-hidden">
+              <div className="flex justify-between items-center p-4 bg-gray-900">
+                <h2 className="text-xl font-semibold">
+                  Team {teamIndex + 1}
+                  {viewer?.team === teamIndex && <span className="text-sm text-gray-400 font-normal"> (your team)</span>}
+                </h2>
+                <span className={`text-2xl font-bold ${
+                  team.outcome === 'Win' ? 'text-green-400' : team.outcome === 'Loss' ? 'text-red-400' : 'text-yellow-400'
+                }`}>
+                  {team.roundsWon}
+                </span>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="text-gray-400 text-sm">
+                      <th className="text-left p-4">Player</th>
+                      <th className="text-left p-4">Agent</th>
+                      <th className="text-left p-4">K/D/A</th>
+                      <th className="text-left p-4">Damage</th>
+                      <th className="text-left p-4"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {team.players.map((row, rowIndex) => (
+                      <tr key={rowIndex} className="border-t border-gray-700">
+                        <td className="p-4">
+                          <div className="font-medium">{row.name}</div>
+                          {row.userId && <div className="text-xs text-gray-400">{row.userId}</div>}
+                        </td>
+                        <td className="p-4 text-gray-300">{row.agent || '-'}</td>
+                        <td className="p-4 font-bold">{row.kills}/{row.deaths}/{row.assists}</td>
+                        <td className="p-4">{row.damage}</td>
+                        <td className="p-4">
+                          {row.status && (
+                            <span className={`px-2 py-1 rounded text-xs font-semibold ${ROW_STATUS_COLORS[row.status]}`}>
+                              {ROW_STATUS_LABELS[row.status]}
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,180 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import axios from 'axios'
+import ScoreboardForm from '../components/ScoreboardForm'
+import ReplaceMatchPicker from '../components/ReplaceMatchPicker'
+import { ROW_STATUS_LABELS, ROW_STATUS_COLORS } from '../sharedMatches'
+import { formatDate } from '../tournaments'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const PAGE_SIZE = 20
+
+// Scoreboards the player is on, and a form to log a new one for the whole lobby
+export default function SharedMatches({ user }) {
+  const [status, setStatus] = useState('')
+  const [sharedMatches, setSharedMatches] = useState([])
+  const [pending, setPending] = useState(0)
+  const [page, setPage] = useState(1)
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 })
+  const [creating, setCreating] = useState(false)
+  const [replaceMatchId, setReplaceMatchId] = useState('')
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [message, setMessage] = useState('')
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    const fetchSharedMatches = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/shared-matches`, {
+          params: { ...(status ? { status } : {}), page, limit: PAGE_SIZE },
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setSharedMatches(response.data.sharedMatches)
+        setPending(response.data.pending)
+        setPagination(response.data.pagination)
+      } catch (err) {
+        console.error('Failed to fetch scoreboards:', err)
+      }
+    }
+
+    fetchSharedMatches()
+  }, [status, page])
+
+  const handleCreate = async (payload) => {
+    setMessage('')
+    setFieldErrors({})
+
+    try {
+      const token = localStorage.getItem('token')
+      const response = await axios.post(`${API_URL}/shared-matches`, {
+        ...payload,
+        ...(replaceMatchId ? { replaceMatchId } : {})
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      navigate(`/shared-matches/${response.data.sharedMatch.id}`)
+    } catch (err) {
+      const errors = err.response?.data?.errors || []
+      if (errors.length > 0) {
+        setFieldErrors(Object.fromEntries(errors.map(({ field, message }) => [field, message])))
+      } else {
+        setMessage(err.response?.data?.message || 'Failed to save scoreboard')
+      }
+    }
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold">Scoreboards</h1>
+          <p className="text-gray-400">Log a game once for everyone who played it</p>
+        </div>
+        {!creating && (
+          <button
+            onClick={() => setCreating(true)}
+            className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded font-semibold transition-colors"
+          >
+            + New Scoreboard
+          </button>
+        )}
+      </div>
+
+      {message && (
+        <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-6">
+          {message}
+        </div>
+      )}
+
+      {creating && (
+        <div className="bg-gray-800 rounded-lg p-6 mb-8">
+          <h2 className="text-xl font-semibold mb-2">New Scoreboard</h2>
+          <p className="text-sm text-gray-400 mb-4">
+            Add players on Nolu by their player ID; they'll get the match once they confirm it. Your own row counts as confirmed.
+          </p>
+          <ScoreboardForm
+            firstRow={{ userId: user.userId, name: user.username }}
+            fieldErrors={fieldErrors}
+            submitLabel="Save Scoreboard"
+            onSubmit={handleCreate}
+            onCancel={() => setCreating(false)}
+            renderExtra={(formData) => (
+              <ReplaceMatchPicker
+                date={formData.date}
+                value={replaceMatchId}
+                onChange={setReplaceMatchId}
+                error={fieldErrors.replaceMatchId}
+              />
+            )}
+          />
+        </div>
+      )}
+
+      <div className="flex gap-2 mb-4">
+        {['', 'pending', 'confirmed', 'declined'].map((value) => (
+          <button
+            key={value}
+            onClick={() => { setStatus(value); setPage(1) }}
+            className={`px-3 py-1 rounded text-sm transition-colors ${
+              status === value ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'
+            }`}
+          >
+            {value ? ROW_STATUS_LABELS[value] : 'All'}
+            {value === 'pending' && pending > 0 && ` (${pending})`}
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-gray-800 rounded-lg divide-y divide-gray-700">
+        {sharedMatches.length === 0 ? (
+          <p className="p-4 text-gray-400">No scoreboards here yet</p>
+        ) : (
+          sharedMatches.map((sharedMatch) => (
+            <Link
+              key={sharedMatch.id}
+              to={`/shared-matches/${sharedMatch.id}`}
+              className="flex justify-between items-center p-4 hover:bg-gray-700 transition-colors"
+            >
+              <div>
+                <p className="font-semibold">
+                  {sharedMatch.map} · {sharedMatch.outcome} {sharedMatch.score}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {sharedMatch.game} · {sharedMatch.matchType} · {formatDate(sharedMatch.date)} {sharedMatch.time}
+                  {sharedMatch.isCreator && ' · Created by you'}
+                </p>
+              </div>
+              {sharedMatch.status && (
+                <span className={`px-2 py-1 rounded text-xs font-semibold ${ROW_STATUS_COLORS[sharedMatch.status]}`}>
+                  {ROW_STATUS_LABELS[sharedMatch.status]}
+                </span>
+              )}
+            </Link>
+          ))
+        )}
+      </div>
+
+      {pagination.totalPages > 1 && (
+        <div className="flex justify-end items-center gap-2 mt-4 text-gray-400 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {pagination.totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.totalPages}
+            className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
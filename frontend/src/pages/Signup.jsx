@@ -1,6 +1,8 @@
 import { useState } from 'react'
 import { useNavigate, Link } from 'react-router-dom'
 import axios from 'axios'
+import LockoutNotice from '../components/LockoutNotice'
+import FieldError from '../components/FieldError'
 
 const API_URL ='https://nolu-lemon.vercel.app/api';
 
@@ -8,14 +10,18 @@ export default function Signup({ onSignup }) {
   const [formData, setFormData] = useState({
     userId: '',
     username: '',
+    email: '',
     password: '',
     confirmPassword: ''
   })
   const [error, setError] = useState('')
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [lockout, setLockout] = useState(null)
   const [loading, setLoading] = useState(false)
   const navigate = useNavigate()
 
   const handleChange = (e) => {
+    setFieldErrors({ ...fieldErrors, [e.target.name]: undefined })
     setFormData({
       ...formData,
       [e.target.name]: e.target.value
@@ -25,14 +31,15 @@ export default function Signup({ onSignup }) {
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError('')
+    setFieldErrors({})
 
     if (formData.password !== formData.confirmPassword) {
-      setError('Passwords do not match')
+      setFieldErrors({ confirmPassword: 'Passwords do not match' })
       return
     }
 
     if (formData.password.length < 6) {
-      setError('Password must be at least 6 characters')
+      setFieldErrors({ password: 'Password must be at least 6 characters' })
       return
     }
 
@@ -42,12 +49,22 @@ export default function Signup({ onSignup }) {
       const response = await axios.post(`${API_URL}/signup`, {
         userId: formData.userId,
         username: formData.username,
+        email: formData.email || undefined,
         password: formData.password
       })
-      onSignup(response.data.token, response.data.user)
+      onSignup(response.data.token, response.data.user, response.data.refreshToken)
       navigate('/dashboard')
     } catch (err) {
-      setError(err.response?.data?.message || 'Signup failed')
+      if (err.response?.status === 429) {
+        // Too many attempts: the server says how long to wait
+        const retryAfter = err.response.data.retryAfter || parseInt(err.response.headers['retry-after']) || 60
+        setLockout({ message: err.response.data.message, until: Date.now() + retryAfter * 1000 })
+      } else if (err.response?.data?.errors?.length) {
+        // Field problems are shown next to their inputs
+        setFieldErrors(Object.fromEntries(err.response.data.errors.map(({ field, message }) => [field, message])))
+      } else {
+        setError(err.response?.data?.message || 'Signup failed')
+      }
     } finally {
       setLoading(false)
     }
@@ -58,6 +75,14 @@ export default function Signup({ onSignup }) {
       <div className="bg-gray-800 rounded-lg p-8">
         <h1 className="text-2xl font-bold mb-6 text-center">Create Nolu Account</h1>
         
+        {lockout && (
+          <LockoutNotice
+            message={lockout.message}
+            until={lockout.until}
+            onExpire={() => setLockout(null)}
+          />
+        )}
+
         {error && (
           <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-4">
             {error}
@@ -76,6 +101,7 @@ export default function Signup({ onSignup }) {
               className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
               placeholder="Choose a unique player ID"
             />
+            <FieldError message={fieldErrors.userId} />
           </div>
 
           <div>
@@ -89,6 +115,20 @@ export default function Signup({ onSignup }) {
               className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
               placeholder="Enter your display name"
             />
+            <FieldError message={fieldErrors.username} />
+          </div>
+
+          <div>
+            <label className="block text-gray-300 mb-2">Recovery Email</label>
+            <input
+              type="email"
+              name="email"
+              value={formData.email}
+              onChange={handleChange}
+              className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Optional, used to reset your password"
+            />
+            <FieldError message={fieldErrors.email} />
           </div>
 
           <div>
@@ -102,6 +142,7 @@ export default function Signup({ onSignup }) {
               className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
               placeholder="At least 6 characters"
             />
+            <FieldError message={fieldErrors.password} />
           </div>
 
           <div>
@@ -115,11 +156,12 @@ export default function Signup({ onSignup }) {
               className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
               placeholder="Confirm your password"
             />
+            <FieldError message={fieldErrors.confirmPassword} />
           </div>
 
           <button
             type="submit"
-            disabled={loading}
+            disabled={loading || Boolean(lockout)}
             className="w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-3 rounded transition-colors disabled:opacity-50"
           >
             {loading ? 'Creating account...' : 'Sign Up'}
@@ -0,0 +1,442 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import axios from 'axios'
+import StatsBreakdownTable from '../components/StatsBreakdownTable'
+import FieldError from '../components/FieldError'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const MATCH_TYPES = ['Ranked', 'Casual', 'Tournament', 'Practice']
+const GAMES = ['Valorant', 'CS2']
+const TEAM_ROLES = ['Owner', 'Captain', 'Player', 'Substitute', 'Coach']
+const MANAGER_ROLES = ['Owner', 'Captain']
+
+const SHARE_COLUMNS = [
+  { field: 'kills', label: 'Kills' },
+  { field: 'damage', label: 'Damage' },
+  { field: 'assists', label: 'Assists' },
+  { field: 'wins', label: 'Wins' },
+]
+
+// Optional auth: signed-in viewers also see private members and invites of their own team
+const authHeaders = () => {
+  const token = localStorage.getItem('token')
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+export default function TeamPage({ user }) {
+  const { tag } = useParams()
+  const [team, setTeam] = useState(null)
+  const [filters, setFilters] = useState({ game: '', matchType: '' })
+  // Bumped after every change so the team is fetched again
+  const [version, setVersion] = useState(0)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState(null)
+  const [invite, setInvite] = useState({ userId: '', role: 'Player' })
+  const [settings, setSettings] = useState(null)
+  const [fieldErrors, setFieldErrors] = useState({})
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    const fetchTeam = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/teams/${tag}`, {
+          headers: authHeaders(),
+          params: {
+            ...(filters.game ? { game: filters.game } : {}),
+            ...(filters.matchType ? { matchType: filters.matchType } : {})
+          }
+        })
+        setTeam(response.data.team)
+        setError('')
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load team')
+      }
+    }
+
+    fetchTeam()
+  }, [tag, filters, version, user])
+
+  const viewer = team?.viewer
+  const isOwner = viewer?.status === 'active' && viewer.role === 'Owner'
+  const isManager = viewer?.status === 'active' && MANAGER_ROLES.includes(viewer.role)
+
+  const showResult = (text, type = 'success') => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage(null), 3000)
+  }
+
+  // Run a team change, then reload the team
+  const runAction = async (request, fallback) => {
+    try {
+      const response = await request({ headers: authHeaders() })
+      showResult(response.data.message)
+      setVersion(prev => prev + 1)
+      return response
+    } catch (err) {
+      showResult(err.response?.data?.message || fallback, 'error')
+      return null
+    }
+  }
+
+  const handleInviteSubmit = async (e) => {
+    e.preventDefault()
+    const response = await runAction(
+      (config) => axios.post(`${API_URL}/teams/${tag}/invites`, invite, config),
+      'Failed to invite player'
+    )
+    if (response) setInvite({ userId: '', role: 'Player' })
+  }
+
+  const handleRoleChange = (member, role) => {
+    if (role === 'Owner' && !window.confirm(`Hand ${team.name} over to ${member.username}? You'll become a captain.`)) return
+    runAction(
+      (config) => axios.put(`${API_URL}/teams/${tag}/members/${member.userId}`, { role }, config),
+      'Failed to change role'
+    )
+  }
+
+  const handleRemove = (member) => {
+    const isSelf = member.userId === user?.userId
+    if (!window.confirm(isSelf ? `Leave ${team.name}?` : `Remove ${member.username} from the team?`)) return
+    runAction(
+      (config) => axios.delete(`${API_URL}/teams/${tag}/members/${member.userId}`, config),
+      'Failed to remove member'
+    )
+  }
+
+  const handleAccept = () => {
+    runAction(
+      (config) => axios.post(`${API_URL}/teams/${tag}/accept`, {}, config),
+      'Failed to accept invite'
+    )
+  }
+
+  const handleSettingsSubmit = async (e) => {
+    e.preventDefault()
+    setFieldErrors({})
+    try {
+      const response = await axios.put(`${API_URL}/teams/${tag}`, settings, { headers: authHeaders() })
+      setSettings(null)
+      showResult(response.data.message)
+      if (response.data.team.tag !== tag) {
+        navigate(`/teams/${response.data.team.tag}`, { replace: true })
+      } else {
+        setVersion(prev => prev + 1)
+      }
+    } catch (err) {
+      const errors = err.response?.data?.errors || []
+      setFieldErrors(Object.fromEntries(errors.map(({ field, message }) => [field, message])))
+      if (errors.length === 0) {
+        showResult(err.response?.data?.message || 'Failed to update team', 'error')
+      }
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${team.name}? This can't be undone.`)) return
+    try {
+      await axios.delete(`${API_URL}/teams/${tag}`, { headers: authHeaders() })
+      navigate('/teams')
+    } catch (err) {
+      showResult(err.response?.data?.message || 'Failed to delete team', 'error')
+    }
+  }
+
+  // Owners can remove anyone else; captains only players, substitutes and coaches
+  const canRemove = (member) => (
+    member.userId !== user?.userId &&
+    (isOwner || (isManager && !MANAGER_ROLES.includes(member.role)))
+  )
+
+  if (error && !team) {
+    return (
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+        <Link to="/teams" className="text-blue-400 hover:text-blue-300">Back to teams</Link>
+      </div>
+    )
+  }
+
+  if (!team) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        <p className="mt-4 text-gray-400">Loading team...</p>
+      </div>
+    )
+  }
+
+  const { stats } = team
+  const usernames = Object.fromEntries(team.members.map(({ userId, username }) => [userId, username]))
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold">
+            {team.name} <span className="text-gray-400">[{team.tag}]</span>
+          </h1>
+          <p className="text-gray-400">
+            {team.isPublic ? 'Public team' : 'Private team'} · {team.members.filter(({ status }) => status === 'active').length} members
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {viewer?.status === 'invited' && (
+            <button
+              onClick={handleAccept}
+              className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded font-semibold transition-colors"
+            >
+              Accept Invite
+            </button>
+          )}
+          {viewer && !isOwner && (
+            <button
+              onClick={() => handleRemove({ userId: user.userId, username: user.username })}
+              className="bg-gray-600 hover:bg-gray-700 px-4 py-2 rounded font-semibold transition-colors"
+            >
+              {viewer.status === 'invited' ? 'Decline Invite' : 'Leave Team'}
+            </button>
+          )}
+          {isOwner && (
+            <button
+              onClick={() => setSettings(settings ? null : { name: team.name, tag: team.tag, isPublic: team.isPublic })}
+              className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-semibold transition-colors"
+            >
+              Team Settings
+            </button>
+          )}
+        </div>
+      </div>
+
+      {message && (
+        <div className={`mb-6 p-4 rounded ${
+          message.type === 'success'
+            ? 'bg-green-900/50 border border-green-700 text-green-200'
+            : 'bg-red-900/50 border border-red-700 text-red-200'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Owner settings */}
+      {settings && (
+        <form onSubmit={handleSettingsSubmit} className="bg-gray-800 rounded-lg p-6 mb-8 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-gray-300 mb-2">Team Name</label>
+              <input
+                type="text"
+                value={settings.name}
+                onChange={(e) => setSettings({ ...settings, name: e.target.value })}
+                className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <FieldError message={fieldErrors.name} />
+            </div>
+            <div>
+              <label className="block text-gray-300 mb-2">Tag</label>
+              <input
+                type="text"
+                value={settings.tag}
+                maxLength={5}
+                onChange={(e) => setSettings({ ...settings, tag: e.target.value })}
+                className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 uppercase focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <FieldError message={fieldErrors.tag} />
+            </div>
+          </div>
+          <label className="flex items-center gap-2 text-gray-300">
+            <input
+              type="checkbox"
+              checked={settings.isPublic}
+              onChange={(e) => setSettings({ ...settings, isPublic: e.target.checked })}
+            />
+            Public team (anyone can see the roster and stats of members with public profiles)
+          </label>
+          <div className="flex justify-between">
+            <button
+              type="submit"
+              className="bg-green-600 hover:bg-green-700 px-6 py-2 rounded font-semibold transition-colors"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="bg-red-600 hover:bg-red-700 px-6 py-2 rounded font-semibold transition-colors"
+            >
+              Delete Team
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Roster */}
+      <div className="bg-gray-800 rounded-lg p-6 mb-8">
+        <h2 className="text-xl font-semibold mb-4">Roster</h2>
+        <div className="divide-y divide-gray-700">
+          {team.members.map((member) => (
+            <div key={member.userId} className="flex justify-between items-center py-3">
+              <div>
+                <p className="font-medium">
+                  {member.username}
+                  {member.status === 'invited' && (
+                    <span className="ml-2 px-2 py-0.5 rounded text-xs bg-yellow-900/50 text-yellow-300">Invited</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-400">{member.userId}</p>
+              </div>
+              <div className="flex items-center gap-2">
+                {isOwner && member.role !== 'Owner' ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm focus:outline-none"
+                  >
+                    {TEAM_ROLES.filter(role => role !== 'Owner' || member.status === 'active').map((role) => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="text-sm text-gray-300">{member.role}</span>
+                )}
+                {canRemove(member) && (
+                  <button
+                    onClick={() => handleRemove(member)}
+                    className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-sm transition-colors"
+                  >
+                    {member.status === 'invited' ? 'Cancel Invite' : 'Remove'}
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {isManager && (
+          <form onSubmit={handleInviteSubmit} className="flex flex-col md:flex-row gap-4 mt-4">
+            <input
+              type="text"
+              value={invite.userId}
+              onChange={(e) => setInvite({ ...invite, userId: e.target.value })}
+              placeholder="Player ID to invite"
+              required
+              className="flex-1 bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <select
+              value={invite.role}
+              onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+              className="bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {TEAM_ROLES.filter(role => role !== 'Owner' && (isOwner || !MANAGER_ROLES.includes(role))).map((role) => (
+                <option key={role} value={role}>{role}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 px-6 py-2 rounded font-semibold transition-colors"
+            >
+              Invite
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Stats filters */}
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <h2 className="text-2xl font-semibold">Team Stats</h2>
+        <div className="flex gap-2">
+          <select
+            value={filters.game}
+            onChange={(e) => setFilters({ ...filters, game: e.target.value })}
+            className="bg-gray-700 border border-gray-600 rounded px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All games</option>
+            {GAMES.map((game) => (
+              <option key={game} value={game}>{game}</option>
+            ))}
+          </select>
+          <select
+            value={filters.matchType}
+            onChange={(e) => setFilters({ ...filters, matchType: e.target.value })}
+            className="bg-gray-700 border border-gray-600 rounded px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Headline match types</option>
+            {MATCH_TYPES.map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-6">
+        Combined from every member's own matches{team.viewer ? '' : ' (members with public profiles only)'}.
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
+        {[
+          { label: 'Games', value: stats.overall.games },
+          { label: 'Record', value: `${stats.overall.wins}/${stats.overall.losses}/${stats.overall.draws}` },
+          { label: 'Win %', value: `${stats.overall.winPercentage.toFixed(1)}%` },
+          { label: 'K/D', value: stats.overall.kdRatio.toFixed(2) },
+          { label: 'Damage/Round', value: stats.overall.damagePerRound.toFixed(0) },
+        ].map(({ label, value }) => (
+          <div key={label} className="bg-gray-800 rounded-lg p-4">
+            <p className="text-gray-400 text-sm">{label}</p>
+            <p className="text-2xl font-bold">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <StatsBreakdownTable
+        title="Combined Record by Map"
+        labelHeader="Map"
+        labelField="map"
+        rows={stats.maps}
+      />
+
+      {/* Contribution */}
+      <div className="bg-gray-800 rounded-lg p-6 mb-8">
+        <h2 className="text-xl font-semibold mb-4">Member Contribution</h2>
+        {stats.members.length === 0 ? (
+          <p className="text-gray-400">No member stats to show</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="bg-gray-900">
+                  <th className="text-left p-3 text-gray-300">Member</th>
+                  <th className="text-left p-3 text-gray-300">Games</th>
+                  <th className="text-left p-3 text-gray-300">K/D</th>
+                  {SHARE_COLUMNS.map(({ field, label }) => (
+                    <th key={field} className="text-left p-3 text-gray-300">{label} share</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {stats.members.map((member) => (
+                  <tr key={member.userId} className="border-b border-gray-700">
+                    <td className="p-3 font-medium">{usernames[member.userId] || member.userId}</td>
+                    <td className="p-3">{member.games}</td>
+                    <td className="p-3">{member.kdRatio.toFixed(2)}</td>
+                    {SHARE_COLUMNS.map(({ field }) => (
+                      <td key={field} className="p-3">
+                        <div className="flex items-center gap-2">
+                          <div className="w-16 bg-gray-700 rounded h-2">
+                            <div className="bg-blue-500 h-2 rounded" style={{ width: `${member.share[field]}%` }}></div>
+                          </div>
+                          <span className="text-sm">{member.share[field].toFixed(1)}%</span>
+                        </div>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,285 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import axios from 'axios'
+import FieldError from '../components/FieldError'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const PAGE_SIZE = 20
+
+// Browse public teams; signed-in players also see their own teams, invites and a create form
+export default function Teams({ user }) {
+  const [query, setQuery] = useState('')
+  const [teams, setTeams] = useState([])
+  const [page, setPage] = useState(1)
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 })
+  const [myTeams, setMyTeams] = useState({ teams: [], invites: [] })
+  const [formData, setFormData] = useState({ name: '', tag: '', isPublic: true })
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [message, setMessage] = useState('')
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    const fetchTeams = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/teams`, {
+          params: {
+            ...(query.trim() ? { query: query.trim() } : {}),
+            page,
+            limit: PAGE_SIZE
+          }
+        })
+        setTeams(response.data.teams)
+        setPagination(response.data.pagination)
+      } catch (err) {
+        console.error('Failed to fetch teams:', err)
+      }
+    }
+
+    fetchTeams()
+  }, [query, page])
+
+  useEffect(() => {
+    if (!user) return
+
+    const fetchMyTeams = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/teams`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setMyTeams({ teams: response.data.teams, invites: response.data.invites })
+      } catch (err) {
+        console.error('Failed to fetch my teams:', err)
+      }
+    }
+
+    fetchMyTeams()
+  }, [user])
+
+  const handleQueryChange = (value) => {
+    setQuery(value)
+    setPage(1)
+  }
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }))
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setMessage('')
+    setFieldErrors({})
+
+    try {
+      const token = localStorage.getItem('token')
+      const response = await axios.post(`${API_URL}/teams`, formData, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      navigate(`/teams/${response.data.team.tag}`)
+    } catch (err) {
+      const errors = err.response?.data?.errors || []
+      if (errors.length > 0) {
+        setFieldErrors(Object.fromEntries(errors.map(({ field, message }) => [field, message])))
+      } else {
+        setMessage(err.response?.data?.message || 'Failed to create team')
+      }
+    }
+  }
+
+  const handleInvite = async (invite, accept) => {
+    try {
+      const token = localStorage.getItem('token')
+      const request = { headers: { Authorization: `Bearer ${token}` } }
+      if (accept) {
+        await axios.post(`${API_URL}/teams/${invite.tag}/accept`, {}, request)
+      } else {
+        await axios.delete(`${API_URL}/teams/${invite.tag}/members/${user.userId}`, request)
+      }
+      setMyTeams(prev => ({
+        teams: accept ? [...prev.teams, { ...invite, status: 'active' }] : prev.teams,
+        invites: prev.invites.filter(({ tag }) => tag !== invite.tag)
+      }))
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to answer invite')
+    }
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold">Teams</h1>
+        <p className="text-gray-400">Find a team or start your own</p>
+      </div>
+
+      {message && (
+        <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-6">
+          {message}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Public teams */}
+        <div className="lg:col-span-2">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => handleQueryChange(e.target.value)}
+            placeholder="Search teams by name or tag"
+            className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 mb-4 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+
+          <div className="bg-gray-800 rounded-lg divide-y divide-gray-700">
+            {teams.length === 0 ? (
+              <p className="p-4 text-gray-400">No public teams found</p>
+            ) : (
+              teams.map((team) => (
+                <Link
+                  key={team.tag}
+                  to={`/teams/${team.tag}`}
+                  className="flex justify-between items-center p-4 hover:bg-gray-700 transition-colors"
+                >
+                  <div>
+                    <p className="font-semibold">{team.name}</p>
+                    <p className="text-xs text-gray-400">[{team.tag}]</p>
+                  </div>
+                  <p className="text-sm text-gray-400">
+                    {team.members} member{team.members !== 1 ? 's' : ''}
+                  </p>
+                </Link>
+              ))
+            )}
+          </div>
+
+          {pagination.totalPages > 1 && (
+            <div className="flex justify-end items-center gap-2 mt-4 text-gray-400 text-sm">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>Page {page} of {pagination.totalPages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.totalPages}
+                className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* My teams */}
+        <div className="space-y-8">
+          {!user ? (
+            <div className="bg-gray-800 rounded-lg p-6 text-gray-400">
+              <Link to="/login" className="text-blue-400 hover:text-blue-300">Log in</Link> to create or join a team.
+            </div>
+          ) : (
+            <>
+              {myTeams.invites.length > 0 && (
+                <div>
+                  <h2 className="text-xl font-semibold mb-4">Invites</h2>
+                  <div className="bg-gray-800 rounded-lg divide-y divide-gray-700">
+                    {myTeams.invites.map((invite) => (
+                      <div key={invite.tag} className="p-4">
+                        <Link to={`/teams/${invite.tag}`} className="font-semibold hover:text-blue-400">
+                          {invite.name} [{invite.tag}]
+                        </Link>
+                        <p className="text-xs text-gray-400 mb-2">Invited as {invite.role}</p>
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleInvite(invite, true)}
+                            className="bg-green-600 hover:bg-green-700 px-3 py-1 rounded text-sm transition-colors"
+                          >
+                            Accept
+                          </button>
+                          <button
+                            onClick={() => handleInvite(invite, false)}
+                            className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-sm transition-colors"
+                          >
+                            Decline
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <h2 className="text-xl font-semibold mb-4">My Teams</h2>
+                <div className="bg-gray-800 rounded-lg divide-y divide-gray-700">
+                  {myTeams.teams.length === 0 ? (
+                    <p className="p-4 text-gray-400">You're not on a team yet.</p>
+                  ) : (
+                    myTeams.teams.map((team) => (
+                      <Link
+                        key={team.tag}
+                        to={`/teams/${team.tag}`}
+                        className="flex justify-between items-center p-4 hover:bg-gray-700 transition-colors"
+                      >
+                        <span className="font-semibold">{team.name} [{team.tag}]</span>
+                        <span className="text-xs text-gray-400">{team.role}</span>
+                      </Link>
+                    ))
+                  )}
+                </div>
+              </div>
+
+              <form onSubmit={handleCreate} className="bg-gray-800 rounded-lg p-6 space-y-4">
+                <h2 className="text-xl font-semibold">Create a Team</h2>
+                <div>
+                  <label className="block text-gray-300 mb-2">Team Name *</label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    required
+                    className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <FieldError message={fieldErrors.name} />
+                </div>
+                <div>
+                  <label className="block text-gray-300 mb-2">Tag *</label>
+                  <input
+                    type="text"
+                    name="tag"
+                    value={formData.tag}
+                    onChange={handleChange}
+                    required
+                    maxLength={5}
+                    className="w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 uppercase focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="2-5 letters or numbers"
+                  />
+                  <FieldError message={fieldErrors.tag} />
+                </div>
+                <label className="flex items-center gap-2 text-gray-300">
+                  <input
+                    type="checkbox"
+                    name="isPublic"
+                    checked={formData.isPublic}
+                    onChange={handleChange}
+                  />
+                  Public team
+                </label>
+                <button
+                  type="submit"
+                  className="w-full bg-green-600 hover:bg-green-700 font-semibold py-3 rounded transition-colors"
+                >
+                  Create Team
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
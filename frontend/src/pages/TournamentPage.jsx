@@ -0,0 +1,429 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import axios from 'axios'
+import { FORMAT_LABELS, STATUS_LABELS, STATUS_COLORS, formatDate } from '../tournaments'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const BRACKET_TITLES = {
+  winners: 'Winners Bracket',
+  losers: 'Losers Bracket',
+  final: 'Grand Final',
+  league: 'Rounds'
+}
+
+// Optional auth: signed-in viewers see where they fit in and what they can report
+const authHeaders = () => {
+  const token = localStorage.getItem('token')
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+// One pairing with its result; reportable slots get score inputs
+function SlotCard({ slot, names, highlightId, canReport, onReport }) {
+  const [scores, setScores] = useState(() => slot.sides.map(side => side.score ?? ''))
+  const [editing, setEditing] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const saved = await onReport(slot, scores.map(score => parseInt(score) || 0))
+    if (saved) setEditing(false)
+  }
+
+  const sideName = (side) => {
+    if (side.participantId) return names[side.participantId] || 'Unknown'
+    return slot.status === 'bye' ? 'Bye' : 'TBD'
+  }
+
+  const showForm = canReport && (slot.status === 'ready' || editing)
+
+  return (
+    <div className="bg-gray-900 rounded p-3 text-sm">
+      <div className="flex justify-between text-xs text-gray-500 mb-2">
+        <span>{slot.code}</span>
+        {slot.status === 'completed' && canReport && !editing && (
+          <button onClick={() => setEditing(true)} className="hover:text-blue-400">Correct</button>
+        )}
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-1">
+        {slot.sides.map((side, index) => {
+          const isWinner = slot.winnerId && slot.winnerId === side.participantId
+          return (
+            <div
+              key={index}
+              className={`flex justify-between items-center gap-2 px-2 py-1 rounded ${
+                side.participantId && side.participantId === highlightId ? 'bg-blue-900/40' : ''
+              }`}
+            >
+              <span className={`truncate ${isWinner ? 'font-bold text-green-400' : side.participantId ? '' : 'text-gray-500'}`}>
+                {sideName(side)}
+              </span>
+              {showForm ? (
+                <input
+                  type="number"
+                  min="0"
+                  value={scores[index]}
+                  onChange={(e) => setScores(prev => prev.map((score, i) => (i === index ? e.target.value : score)))}
+                  required
+                  className="w-14 bg-gray-700 border border-gray-600 rounded px-2 py-0.5 text-right focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              ) : (
+                <span className="font-semibold">{side.score ?? ''}</span>
+              )}
+            </div>
+          )
+        })}
+        {showForm && (
+          <button
+            type="submit"
+            className="w-full bg-blue-600 hover:bg-blue-700 px-2 py-1 rounded text-xs font-semibold transition-colors mt-1"
+          >
+            Report Result
+          </button>
+        )}
+      </form>
+    </div>
+  )
+}
+
+export default function TournamentPage({ user }) {
+  const { id } = useParams()
+  const [tournament, setTournament] = useState(null)
+  const [myTeams, setMyTeams] = useState([])
+  const [teamTag, setTeamTag] = useState('')
+  const [shuffle, setShuffle] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState(null)
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    const fetchTournament = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/tournaments/${id}`, { headers: authHeaders() })
+        setTournament(response.data.tournament)
+        setError('')
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load tournament')
+      }
+    }
+
+    fetchTournament()
+  }, [id, user])
+
+  // Teams the viewer can enter: ones they own or captain
+  useEffect(() => {
+    if (!user) return
+
+    const fetchMyTeams = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/teams`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setMyTeams(response.data.teams.filter(({ role }) => role === 'Owner' || role === 'Captain'))
+      } catch (err) {
+        console.error('Failed to fetch my teams:', err)
+      }
+    }
+
+    fetchMyTeams()
+  }, [user])
+
+  const showResult = (text, type = 'success') => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage(null), 3000)
+  }
+
+  // Run a tournament change; every one answers with the updated tournament
+  const runAction = async (request, fallback) => {
+    try {
+      const response = await request({ headers: authHeaders() })
+      setTournament(response.data.tournament)
+      showResult(response.data.message)
+      return true
+    } catch (err) {
+      showResult(err.response?.data?.message || fallback, 'error')
+      return false
+    }
+  }
+
+  const handleEnter = (e) => {
+    e.preventDefault()
+    runAction(
+      (config) => axios.post(`${API_URL}/tournaments/${id}/participants`, teamTag ? { teamTag } : {}, config),
+      'Failed to enter tournament'
+    )
+  }
+
+  const handleWithdraw = (entry) => {
+    if (!window.confirm(`Withdraw ${entry.name} from ${tournament.name}?`)) return
+    runAction(
+      (config) => axios.delete(`${API_URL}/tournaments/${id}/participants/${entry.id}`, config),
+      'Failed to withdraw entry'
+    )
+  }
+
+  const handleStart = () => {
+    if (!window.confirm('Close registration and draw the bracket? Entries are locked in after this.')) return
+    runAction(
+      (config) => axios.post(`${API_URL}/tournaments/${id}/start`, { shuffle }, config),
+      'Failed to start tournament'
+    )
+  }
+
+  const handleReport = (slot, [scoreA, scoreB]) => runAction(
+    (config) => axios.put(`${API_URL}/tournaments/${id}/slots/${slot.code}`, { scoreA, scoreB }, config),
+    'Failed to report result'
+  )
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${tournament.name}? Linked matches are kept but lose their bracket link.`)) return
+    try {
+      await axios.delete(`${API_URL}/tournaments/${id}`, { headers: authHeaders() })
+      navigate('/tournaments')
+    } catch (err) {
+      showResult(err.response?.data?.message || 'Failed to delete tournament', 'error')
+    }
+  }
+
+  if (error && !tournament) {
+    return (
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+        <Link to="/tournaments" className="text-blue-400 hover:text-blue-300">Back to tournaments</Link>
+      </div>
+    )
+  }
+
+  if (!tournament) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        <p className="mt-4 text-gray-400">Loading tournament...</p>
+      </div>
+    )
+  }
+
+  const { viewer } = tournament
+  const isOrganizer = Boolean(viewer?.isOrganizer)
+  const myEntryId = viewer?.participantId || null
+  const isRegistration = tournament.status === 'registration'
+  const names = Object.fromEntries(tournament.participants.map(({ id: entryId, name }) => [entryId, name]))
+  const champion = tournament.winnerId && names[tournament.winnerId]
+
+  const canReport = (slot) => tournament.status === 'in-progress' && (
+    isOrganizer ||
+    (slot.status === 'ready' && slot.sides.some(side => side.participantId && side.participantId === myEntryId))
+  )
+
+  const canWithdraw = (entry) => isRegistration && (isOrganizer || entry.id === myEntryId)
+
+  // Slots grouped by bracket, then by round (one column per round)
+  const brackets = Object.keys(BRACKET_TITLES)
+    .map(bracket => {
+      const slots = tournament.slots.filter(slot => slot.bracket === bracket)
+      const rounds = [...new Set(slots.map(({ round }) => round))].sort((a, b) => a - b)
+      return {
+        bracket,
+        rounds: rounds.map(round => slots.filter(slot => slot.round === round).sort((a, b) => a.position - b.position))
+      }
+    })
+    .filter(({ rounds }) => rounds.length > 0)
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8 gap-4">
+        <div>
+          <div className="flex items-center gap-3">
+            <h1 className="text-3xl font-bold">{tournament.name}</h1>
+            <span className={`px-2 py-1 rounded text-xs font-semibold ${STATUS_COLORS[tournament.status]}`}>
+              {STATUS_LABELS[tournament.status]}
+            </span>
+          </div>
+          <p className="text-gray-400">
+            {tournament.game} · {FORMAT_LABELS[tournament.format]}
+            {tournament.format === 'swiss' && tournament.swissRounds && ` (${tournament.swissRounds} rounds)`}
+            {' · '}{formatDate(tournament.startDate)}
+            {tournament.endDate && ` – ${formatDate(tournament.endDate)}`}
+          </p>
+          {tournament.organizer && (
+            <p className="text-xs text-gray-500">Organized by {tournament.organizer.username}</p>
+          )}
+        </div>
+        {isOrganizer && (
+          <div className="flex items-center gap-2">
+            {isRegistration && (
+              <>
+                <label className="flex items-center gap-2 text-sm text-gray-300">
+                  <input type="checkbox" checked={shuffle} onChange={(e) => setShuffle(e.target.checked)} />
+                  Random seeding
+                </label>
+                <button
+                  onClick={handleStart}
+                  className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded font-semibold transition-colors"
+                >
+                  Start Tournament
+                </button>
+              </>
+            )}
+            <button
+              onClick={handleDelete}
+              className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded font-semibold transition-colors"
+            >
+              Delete
+            </button>
+          </div>
+        )}
+      </div>
+
+      {message && (
+        <div className={`mb-6 p-4 rounded ${
+          message.type === 'success'
+            ? 'bg-green-900/50 border border-green-700 text-green-200'
+            : 'bg-red-900/50 border border-red-700 text-red-200'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {champion && (
+        <div className="bg-yellow-900/30 border border-yellow-700 rounded-lg p-4 mb-8 text-center">
+          <p className="text-yellow-300 text-sm">Champion</p>
+          <p className="text-2xl font-bold">{champion}</p>
+        </div>
+      )}
+
+      {/* Entries */}
+      <div className="bg-gray-800 rounded-lg p-6 mb-8">
+        <h2 className="text-xl font-semibold mb-4">
+          {tournament.participantType === 'team' ? 'Teams' : 'Players'} ({tournament.participants.length}/{tournament.maxParticipants})
+        </h2>
+        {tournament.participants.length === 0 ? (
+          <p className="text-gray-400">Nobody has entered yet.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {tournament.participants.map((entry) => (
+              <div
+                key={entry.id}
+                className={`flex justify-between items-center px-3 py-2 rounded ${entry.id === myEntryId ? 'bg-blue-900/40' : 'bg-gray-900'}`}
+              >
+                <div>
+                  {entry.seed && <span className="text-gray-500 text-sm mr-2">#{entry.seed}</span>}
+                  {entry.teamTag ? (
+                    <Link to={`/teams/${entry.teamTag}`} className="hover:text-blue-400">{entry.name}</Link>
+                  ) : (
+                    <span>{entry.name}</span>
+                  )}
+                  {entry.userId && <span className="text-xs text-gray-500 ml-2">{entry.userId}</span>}
+                </div>
+                {canWithdraw(entry) && (
+                  <button
+                    onClick={() => handleWithdraw(entry)}
+                    className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-sm transition-colors"
+                  >
+                    Withdraw
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {isRegistration && user && !myEntryId && (
+          <form onSubmit={handleEnter} className="flex flex-col md:flex-row gap-4 mt-4">
+            {tournament.participantType === 'team' && (
+              <select
+                value={teamTag}
+                onChange={(e) => setTeamTag(e.target.value)}
+                required
+                className="flex-1 bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">{myTeams.length > 0 ? 'Pick a team you own or captain' : 'You need to own or captain a team'}</option>
+                {myTeams.map(({ name, tag }) => (
+                  <option key={tag} value={tag}>{name} [{tag}]</option>
+                ))}
+              </select>
+            )}
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 px-6 py-2 rounded font-semibold transition-colors"
+            >
+              {tournament.participantType === 'team' ? 'Enter Team' : 'Enter Tournament'}
+            </button>
+          </form>
+        )}
+        {isRegistration && !user && (
+          <p className="text-gray-400 mt-4">
+            <Link to="/login" className="text-blue-400 hover:text-blue-300">Log in</Link> to enter.
+          </p>
+        )}
+      </div>
+
+      {/* League table */}
+      {tournament.standings && (
+        <div className="bg-gray-800 rounded-lg overflow-hidden mb-8">
+          <h2 className="text-xl font-semibold p-4 border-b border-gray-700">Standings</h2>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-700">
+                <tr>
+                  {['#', 'Entry', 'Played', 'W', 'D', 'L', 'Score', 'Points'].map((header) => (
+                    <th key={header} className="text-left p-3 text-gray-300">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {tournament.standings.map((row, index) => (
+                  <tr
+                    key={row.participantId}
+                    className={`border-b border-gray-700 ${row.participantId === myEntryId ? 'bg-blue-900/30' : ''}`}
+                  >
+                    <td className="p-3 text-gray-400">{index + 1}</td>
+                    <td className="p-3 font-medium">{row.name}</td>
+                    <td className="p-3">{row.played}</td>
+                    <td className="p-3">{row.wins}</td>
+                    <td className="p-3">{row.draws}</td>
+                    <td className="p-3">{row.losses}</td>
+                    <td className="p-3">{row.scoreFor}-{row.scoreAgainst}</td>
+                    <td className="p-3 font-bold">{row.points}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Bracket */}
+      {brackets.map(({ bracket, rounds }) => (
+        <div key={bracket} className="bg-gray-800 rounded-lg p-6 mb-8">
+          <h2 className="text-xl font-semibold mb-4">{BRACKET_TITLES[bracket]}</h2>
+          <div className="flex gap-4 overflow-x-auto pb-2">
+            {rounds.map((slots) => (
+              <div key={slots[0].round} className="min-w-[200px] flex flex-col justify-around gap-3">
+                <p className="text-sm text-gray-400 font-semibold">{slots[0].label}</p>
+                {slots.map((slot) => (
+                  <SlotCard
+                    key={`${slot.code}-${slot.reportedAt}`}
+                    slot={slot}
+                    names={names}
+                    highlightId={myEntryId}
+                    canReport={canReport(slot)}
+                    onReport={handleReport}
+                  />
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {isRegistration && (
+        <div className="bg-gray-800 rounded-lg p-8 text-center text-gray-400">
+          The bracket is drawn when the organizer starts the tournament.
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,321 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import axios from 'axios'
+import FieldError from '../components/FieldError'
+import { FORMAT_LABELS, STATUS_LABELS, STATUS_COLORS, formatDate } from '../tournaments'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+const GAMES = ['Valorant', 'CS2']
+const PAGE_SIZE = 20
+
+const emptyForm = () => ({
+  name: '',
+  game: 'Valorant',
+  format: 'single-elimination',
+  participantType: 'player',
+  startDate: new Date().toISOString().split('T')[0],
+  endDate: '',
+  maxParticipants: '16',
+  swissRounds: ''
+})
+
+// Browse tournaments; signed-in players also see their own and can organize one
+export default function Tournaments({ user }) {
+  const [filters, setFilters] = useState({ query: '', status: '', game: '' })
+  const [tournaments, setTournaments] = useState([])
+  const [page, setPage] = useState(1)
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 })
+  const [myTournaments, setMyTournaments] = useState([])
+  const [formData, setFormData] = useState(emptyForm)
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [message, setMessage] = useState('')
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    const fetchTournaments = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/tournaments`, {
+          params: {
+            ...(filters.query.trim() ? { query: filters.query.trim() } : {}),
+            ...(filters.status ? { status: filters.status } : {}),
+            ...(filters.game ? { game: filters.game } : {}),
+            page,
+            limit: PAGE_SIZE
+          }
+        })
+        setTournaments(response.data.tournaments)
+        setPagination(response.data.pagination)
+      } catch (err) {
+        console.error('Failed to fetch tournaments:', err)
+      }
+    }
+
+    fetchTournaments()
+  }, [filters, page])
+
+  useEffect(() => {
+    if (!user) return
+
+    const fetchMyTournaments = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await axios.get(`${API_URL}/user/me/tournaments`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setMyTournaments(response.data.tournaments)
+      } catch (err) {
+        console.error('Failed to fetch my tournaments:', err)
+      }
+    }
+
+    fetchMyTournaments()
+  }, [user])
+
+  const handleFilterChange = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }))
+    setPage(1)
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }))
+    setFormData(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setMessage('')
+    setFieldErrors({})
+
+    try {
+      const token = localStorage.getItem('token')
+      const response = await axios.post(`${API_URL}/tournaments`, {
+        name: formData.name,
+        game: formData.game,
+        format: formData.format,
+        participantType: formData.participantType,
+        startDate: formData.startDate,
+        maxParticipants: parseInt(formData.maxParticipants) || undefined,
+        ...(formData.endDate ? { endDate: formData.endDate } : {}),
+        ...(formData.format === 'swiss' && formData.swissRounds ? { swissRounds: parseInt(formData.swissRounds) } : {})
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      navigate(`/tournaments/${response.data.tournament.id}`)
+    } catch (err) {
+      const errors = err.response?.data?.errors || []
+      if (errors.length > 0) {
+        setFieldErrors(Object.fromEntries(errors.map(({ field, message }) => [field, message])))
+      } else {
+        setMessage(err.response?.data?.message || 'Failed to create tournament')
+      }
+    }
+  }
+
+  const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold">Tournaments</h1>
+        <p className="text-gray-400">Brackets and leagues for players and teams</p>
+      </div>
+
+      {message && (
+        <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded mb-6">
+          {message}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* All tournaments */}
+        <div className="lg:col-span-2">
+          <div className="flex flex-col md:flex-row gap-2 mb-4">
+            <input
+              type="text"
+              value={filters.query}
+              onChange={(e) => handleFilterChange('query', e.target.value)}
+              placeholder="Search tournaments"
+              className="flex-1 bg-gray-700 border border-gray-600 rounded px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <select
+              value={filters.status}
+              onChange={(e) => handleFilterChange('status', e.target.value)}
+              className="bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Any status</option>
+              {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.game}
+              onChange={(e) => handleFilterChange('game', e.target.value)}
+              className="bg-gray-700 border border-gray-600 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All games</option>
+              {GAMES.map((game) => (
+                <option key={game} value={game}>{game}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="bg-gray-800 rounded-lg divide-y divide-gray-700">
+            {tournaments.length === 0 ? (
+              <p className="p-4 text-gray-400">No tournaments found</p>
+            ) : (
+              tournaments.map((tournament) => (
+                <Link
+                  key={tournament.id}
+                  to={`/tournaments/${tournament.id}`}
+                  className="flex justify-between items-center p-4 hover:bg-gray-700 transition-colors"
+                >
+                  <div>
+                    <p className="font-semibold">{tournament.name}</p>
+                    <p className="text-xs text-gray-400">
+                      {tournament.game} · {FORMAT_LABELS[tournament.format]} · {tournament.participantType === 'team' ? 'Teams' : 'Players'} · {formatDate(tournament.startDate)}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <span className={`px-2 py-1 rounded text-xs font-semibold ${STATUS_COLORS[tournament.status]}`}>
+                      {STATUS_LABELS[tournament.status]}
+                    </span>
+                    <p className="text-xs text-gray-400 mt-1">
+                      {tournament.participants}/{tournament.maxParticipants} entered
+                    </p>
+                  </div>
+                </Link>
+              ))
+            )}
+          </div>
+
+          {pagination.totalPages > 1 && (
+            <div className="flex justify-end items-center gap-2 mt-4 text-gray-400 text-sm">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>Page {page} of {pagination.totalPages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.totalPages}
+                className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded transition-colors disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* My tournaments */}
+        <div className="space-y-8">
+          {!user ? (
+            <div className="bg-gray-800 rounded-lg p-6 text-gray-400">
+              <Link to="/login" className="text-blue-400 hover:text-blue-300">Log in</Link> to enter or organize a tournament.
+            </div>
+          ) : (
+            <>
+              <div>
+                <h2 className="text-xl font-semibold mb-4">My Tournaments</h2>
+                <div className="bg-gray-800 rounded-lg divide-y divide-gray-700">
+                  {myTournaments.length === 0 ? (
+                    <p className="p-4 text-gray-400">You haven't entered or organized any tournaments yet.</p>
+                  ) : (
+                    myTournaments.map((tournament) => (
+                      <Link
+                        key={tournament.id}
+                        to={`/tournaments/${tournament.id}`}
+                        className="block p-4 hover:bg-gray-700 transition-colors"
+                      >
+                        <p className="font-semibold">{tournament.name}</p>
+                        <p className="text-xs text-gray-400">
+                          {tournament.isOrganizer && 'Organizer'}
+                          {tournament.isOrganizer && tournament.entry && ' · '}
+                          {tournament.entry && `Playing as ${tournament.entry.name}`}
+                          {tournament.entry?.finish && ` · ${tournament.entry.finish}`}
+                        </p>
+                      </Link>
+                    ))
+                  )}
+                </div>
+              </div>
+
+              <form onSubmit={handleCreate} className="bg-gray-800 rounded-lg p-6 space-y-4">
+                <h2 className="text-xl font-semibold">Organize a Tournament</h2>
+                <div>
+                  <label className="block text-gray-300 mb-2">Name *</label>
+                  <input type="text" name="name" value={formData.name} onChange={handleChange} required className={inputClass} />
+                  <FieldError message={fieldErrors.name} />
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-gray-300 mb-2">Game *</label>
+                    <select name="game" value={formData.game} onChange={handleChange} className={inputClass}>
+                      {GAMES.map((game) => (
+                        <option key={game} value={game}>{game}</option>
+                      ))}
+                    </select>
+                    <FieldError message={fieldErrors.game} />
+                  </div>
+                  <div>
+                    <label className="block text-gray-300 mb-2">Entries *</label>
+                    <select name="participantType" value={formData.participantType} onChange={handleChange} className={inputClass}>
+                      <option value="player">Players</option>
+                      <option value="team">Teams</option>
+                    </select>
+                    <FieldError message={fieldErrors.participantType} />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-gray-300 mb-2">Format *</label>
+                  <select name="format" value={formData.format} onChange={handleChange} className={inputClass}>
+                    {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <FieldError message={fieldErrors.format} />
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-gray-300 mb-2">Max Entries</label>
+                    <input type="number" name="maxParticipants" value={formData.maxParticipants} onChange={handleChange} min="2" max="64" className={inputClass} />
+                    <FieldError message={fieldErrors.maxParticipants} />
+                  </div>
+                  {formData.format === 'swiss' && (
+                    <div>
+                      <label className="block text-gray-300 mb-2">Rounds</label>
+                      <input type="number" name="swissRounds" value={formData.swissRounds} onChange={handleChange} min="1" max="10" placeholder="Auto" className={inputClass} />
+                      <FieldError message={fieldErrors.swissRounds} />
+                    </div>
+                  )}
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-gray-300 mb-2">Starts *</label>
+                    <input type="date" name="startDate" value={formData.startDate} onChange={handleChange} required className={inputClass} />
+                    <FieldError message={fieldErrors.startDate} />
+                  </div>
+                  <div>
+                    <label className="block text-gray-300 mb-2">Ends</label>
+                    <input type="date" name="endDate" value={formData.endDate} onChange={handleChange} className={inputClass} />
+                    <FieldError message={fieldErrors.endDate} />
+                  </div>
+                </div>
+                <button
+                  type="submit"
+                  className="w-full bg-green-600 hover:bg-green-700 font-semibold py-3 rounded transition-colors"
+                >
+                  Create Tournament
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,24 @@
+// Round log helpers shared by match entry and the match detail view
+
+export const SIDE_LABELS = { attack: 'Attack', defense: 'Defense' }
+
+export const emptyRound = (side = 'attack') => ({
+  won: true,
+  side,
+  kills: '0',
+  deaths: 0,
+  damage: '0',
+  planted: false,
+  defused: false,
+  firstBlood: false,
+  clutch: false
+})
+
+// Match totals a round log adds up to (the server derives the same ones)
+export const roundLogTotals = (roundLog) => ({
+  roundsWon: roundLog.filter(({ won }) => won).length,
+  roundsLost: roundLog.filter(({ won }) => !won).length,
+  kills: roundLog.reduce((sum, { kills }) => sum + (parseInt(kills) || 0), 0),
+  deaths: roundLog.reduce((sum, { deaths }) => sum + deaths, 0),
+  damage: roundLog.reduce((sum, { damage }) => sum + (parseInt(damage) || 0), 0)
+})
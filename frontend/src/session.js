@@ -0,0 +1,88 @@
+import axios from 'axios'
+
+const API_URL ='https://nolu-lemon.vercel.app/api';
+
+// Requests that must never trigger a refresh (they either are one or don't need a session)
+const SESSION_ENDPOINTS = ['/login', '/signup', '/token/refresh', '/logout']
+
+export const saveSession = (token, refreshToken, userData) => {
+  localStorage.setItem('token', token)
+  localStorage.setItem('refreshToken', refreshToken)
+  if (userData) {
+    localStorage.setItem('user', JSON.stringify(userData))
+  }
+}
+
+export const clearSession = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+  localStorage.removeItem('user')
+}
+
+// Revoke this device's session on the server, then forget it locally
+export const endSession = async () => {
+  const refreshToken = localStorage.getItem('refreshToken')
+  clearSession()
+  if (!refreshToken) return
+
+  try {
+    await axios.post(`${API_URL}/logout`, { refreshToken })
+  } catch (err) {
+    // The session expires on its own if the server can't be reached
+    console.error('Failed to revoke session:', err)
+  }
+}
+
+// One refresh at a time; requests that fail together wait on the same rotation.
+// Other tabs refresh on their own: the server accepts a just-rotated token for
+// a short grace window and answers it with the current pair.
+let pendingRefresh = null
+
+const refreshSession = () => {
+  if (!pendingRefresh) {
+    const refreshToken = localStorage.getItem('refreshToken')
+    pendingRefresh = (refreshToken
+      ? axios.post(`${API_URL}/token/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        saveSession(response.data.token, response.data.refreshToken)
+        return response.data.token
+      })
+      .finally(() => {
+        pendingRefresh = null
+      })
+  }
+  return pendingRefresh
+}
+
+// Retry requests rejected with 401 once using a refreshed access token.
+// `onSessionEnd` runs when the session can't be refreshed. Returns an uninstall function.
+export const installSessionRefresh = (onSessionEnd) => {
+  const interceptor = axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error
+      const isSessionRequest = SESSION_ENDPOINTS.some(endpoint => config?.url === `${API_URL}${endpoint}`)
+
+      if (response?.status !== 401 || !config || config._retried || isSessionRequest) {
+        throw error
+      }
+
+      let token
+      try {
+        token = await refreshSession()
+      } catch {
+        clearSession()
+        onSessionEnd()
+        throw error
+      }
+
+      config._retried = true
+      config.headers.Authorization = `Bearer ${token}`
+      return axios(config)
+    }
+  )
+
+  return () => axios.interceptors.response.eject(interceptor)
+}
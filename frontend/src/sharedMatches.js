@@ -0,0 +1,13 @@
+// Display helpers shared by the scoreboard pages
+
+export const ROW_STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  declined: 'Declined'
+}
+
+export const ROW_STATUS_COLORS = {
+  pending: 'bg-yellow-900/50 text-yellow-300',
+  confirmed: 'bg-green-900/50 text-green-300',
+  declined: 'bg-gray-700 text-gray-300'
+}
@@ -0,0 +1,26 @@
+// Display helpers shared by the tournament pages
+
+export const FORMAT_LABELS = {
+  'single-elimination': 'Single elimination',
+  'double-elimination': 'Double elimination',
+  'round-robin': 'Round robin',
+  swiss: 'Swiss'
+}
+
+export const STATUS_LABELS = {
+  registration: 'Registration open',
+  'in-progress': 'In progress',
+  completed: 'Completed'
+}
+
+export const STATUS_COLORS = {
+  registration: 'bg-blue-900/50 text-blue-300',
+  'in-progress': 'bg-yellow-900/50 text-yellow-300',
+  completed: 'bg-gray-700 text-gray-300'
+}
+
+export const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+})